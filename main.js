@@ -4,10 +4,17 @@ const { app, BrowserWindow, dialog, ipcMain } = require('electron');
 const path = require('path');
 const fs = require('fs');
 
+// Bytes read from disk at a time while a CSV file is streamed to the renderer
+const CSV_STREAM_CHUNK_SIZE = 1024 * 1024 * 2;
+
 console.log('Starting Electron application...');
 
 // Keep a global reference of the window object to prevent garbage collection
 let mainWindow;
+// CSV file being streamed to the renderer ({ cancel }), so the import can be canceled
+let activeCSVRead = null;
+// Only the CSV file last chosen in the open dialog may be streamed to the renderer
+let allowedCSVPath = null;
 
 // Set up all IPC handlers immediately
 function setupIpcHandlers() {
@@ -28,12 +35,18 @@ function setupIpcHandlers() {
       
       if (!canceled && filePaths.length > 0) {
         try {
-          const content = fs.readFileSync(filePaths[0], 'utf8');
+          const extension = path.extname(filePaths[0]).toLowerCase();
           const result = {
             path: filePaths[0],
-            content,
-            extension: path.extname(filePaths[0]).toLowerCase()
+            extension
           };
+          if (extension === '.csv') {
+            // CSV is not read here; the renderer asks for it to be streamed with read-csv-file
+            allowedCSVPath = filePaths[0];
+            result.size = fs.statSync(filePaths[0]).size;
+          } else {
+            result.content = fs.readFileSync(filePaths[0], 'utf8');
+          }
           console.log('File read successful, returning data');
           return result;
         } catch (error) {
@@ -49,6 +62,59 @@ function setupIpcHandlers() {
     }
   });
 
+  // Stream the bytes of the CSV file chosen in open-file-dialog to the renderer as csv-data
+  // messages; parsing happens on the renderer's CSV worker. Resolves with { totalBytes }, or
+  // { canceled: true }.
+  ipcMain.handle('read-csv-file', (event, filePath) => {
+    console.log('IPC: read-csv-file received for', filePath);
+    if (!allowedCSVPath || filePath !== allowedCSVPath) {
+      throw new Error('Only the CSV file chosen in the open dialog can be read');
+    }
+    if (activeCSVRead) activeCSVRead.cancel();
+    
+    return new Promise((resolve, reject) => {
+      let totalBytes;
+      try {
+        totalBytes = fs.statSync(filePath).size;
+      } catch (error) {
+        reject(new Error(`Failed to read file: ${error.message}`));
+        return;
+      }
+      const stream = fs.createReadStream(filePath, { highWaterMark: CSV_STREAM_CHUNK_SIZE });
+      let settled = false;
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        activeCSVRead = null;
+        callback(value);
+      };
+      activeCSVRead = {
+        cancel: () => {
+          console.log('CSV read canceled');
+          stream.destroy();
+          finish(resolve, { canceled: true });
+        }
+      };
+      stream.on('data', data => {
+        if (settled) return;
+        event.sender.send('csv-data', {
+          data,
+          bytesRead: Math.min(totalBytes, stream.bytesRead),
+          totalBytes
+        });
+      });
+      stream.on('end', () => {
+        console.log(`CSV streamed: ${totalBytes} bytes`);
+        finish(resolve, { totalBytes });
+      });
+      stream.on('error', error => finish(reject, new Error(`Failed to read file: ${error.message}`)));
+    });
+  });
+  
+  ipcMain.on('cancel-csv-read', () => {
+    if (activeCSVRead) activeCSVRead.cancel();
+  });
+
   // Handle saving scene data
   ipcMain.handle('save-scene', async (event, sceneData) => {
     console.log('IPC: save-scene received');
@@ -82,6 +148,34 @@ function setupIpcHandlers() {
     }
   });
 
+  // Handle loading a previously saved scene
+  ipcMain.handle('open-scene-dialog', async () => {
+    console.log('IPC: open-scene-dialog received');
+    try {
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Load Scene',
+        properties: ['openFile'],
+        filters: [{ name: 'JSON Files', extensions: ['json'] }]
+      });
+
+      if (!canceled && filePaths.length > 0) {
+        try {
+          const content = fs.readFileSync(filePaths[0], 'utf8');
+          console.log('Scene file read successful, returning data');
+          return JSON.parse(content);
+        } catch (error) {
+          console.error('Error reading scene file:', error);
+          throw new Error(`Failed to read scene file: ${error.message}`);
+        }
+      }
+      console.log('Scene load canceled');
+      return null;
+    } catch (error) {
+      console.error('Error in open-scene-dialog handler:', error);
+      throw error;
+    }
+  });
+
   // Handle exporting screenshot
   ipcMain.handle('save-screenshot', async (event, imageDataUrl) => {
     console.log('IPC: save-screenshot received');
@@ -116,6 +210,40 @@ function setupIpcHandlers() {
       return false;
     }
   });
+
+  // Handle exporting the data table as CSV, or rows as JSON when the default name ends in .json
+  ipcMain.handle('save-data', async (event, csv, defaultName) => {
+    console.log('IPC: save-data received');
+    try {
+      if (typeof csv !== 'string') {
+        console.error('Invalid CSV data');
+        return false;
+      }
+      
+      const isJSON = /\.json$/i.test(defaultName || '');
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Data',
+        defaultPath: defaultName || 'data.csv',
+        filters: [isJSON ? { name: 'JSON Files', extensions: ['json'] } : { name: 'CSV Files', extensions: ['csv'] }]
+      });
+
+      if (!canceled && filePath) {
+        try {
+          fs.writeFileSync(filePath, csv, 'utf8');
+          console.log('Data exported successfully to:', filePath);
+          return true;
+        } catch (error) {
+          console.error('Error writing data file:', error);
+          return false;
+        }
+      }
+      console.log('Data export canceled');
+      return false;
+    } catch (error) {
+      console.error('Error in save-data handler:', error);
+      return false;
+    }
+  });
   
   console.log('All IPC handlers registered successfully');
 }
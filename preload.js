@@ -19,6 +19,20 @@ try {
           throw error;
         }
       },
+      readCSV: async (filePath, onData) => {
+        console.log('Renderer calling readCSV');
+        // File bytes arrive in chunks while the main process streams the file
+        const listener = (event, chunk) => onData(chunk);
+        ipcRenderer.on('csv-data', listener);
+        try {
+          return await ipcRenderer.invoke('read-csv-file', filePath);
+        } finally {
+          ipcRenderer.removeListener('csv-data', listener);
+        }
+      },
+      cancelReadCSV: () => {
+        ipcRenderer.send('cancel-csv-read');
+      },
       saveScene: async (sceneData) => {
         console.log('Renderer calling saveScene');
         try {
@@ -29,6 +43,15 @@ try {
           return { success: false, error: error.message };
         }
       },
+      loadScene: async () => {
+        console.log('Renderer calling loadScene');
+        try {
+          return await ipcRenderer.invoke('open-scene-dialog');
+        } catch (error) {
+          console.error('Error in loadScene:', error);
+          throw error;
+        }
+      },
       exportScreenshot: async (imageDataUrl) => {
         console.log('Renderer calling exportScreenshot');
         try {
@@ -38,6 +61,16 @@ try {
           console.error('Error in exportScreenshot:', error);
           return { success: false, error: error.message };
         }
+      },
+      exportData: async (csv, defaultName) => {
+        console.log('Renderer calling exportData');
+        try {
+          const result = await ipcRenderer.invoke('save-data', csv, defaultName);
+          return { success: result };
+        } catch (error) {
+          console.error('Error in exportData:', error);
+          return { success: false, error: error.message };
+        }
       }
     }
   );
@@ -15,10 +15,34 @@ const DEFAULT_CONFIG = {
   connectionColor: 0x888888,
   connectionOpacity: 0.5,
   nodeGeometryType: 'Box',
+  instancingThreshold: 5000, // Point count at which nodes are drawn with InstancedMesh
+  maxConnectionNodes: 5000, // Nearest-neighbour connections are skipped above this count
+  edgeColor: 0xaaaaaa,
+  edgeOpacity: { min: 0.1, max: 0.9 }, // Opacity of the weakest and strongest graph edges
+  edgeOpacityLevels: 5, // Edges are drawn in this many opacity bands, one draw call each
+  axisColors: { x: 0xff5555, y: 0x55dd55, z: 0x5599ff },
+  axisLabelColor: '#dddddd',
+  gridColor: 0x444444,
+  gridSubColor: 0x222222,
+  correlationColors: { positive: 0x00ff00, negative: 0xff00ff }, // Local correlation line colours at |r| = 1
+  correlationLineWidth: { min: 1, max: 5 }, // Pixel widths of the weakest and strongest correlation lines
+  correlationWidthLevels: 4, // Correlation lines are drawn in this many width bands, one draw call each
+  correlationOpacity: 0.8,
+  envelopeOpacity: 0.15, // Opacity of group hulls and ellipsoids
+  envelopeMinRadius: 0.5, // Smallest ellipsoid radius, so flat groups stay visible
+  fitSurfaceColor: 0x03a9f4,
+  fitSurfaceOpacity: 0.25,
+  fitSurfaceSegments: 24, // Grid cells along each side of a fitted surface
   cameraPosition: { x: 100, y: 100, z: 100 },
-  cameraTarget: { x: 0, y: 0, z: 0 }
+  cameraTarget: { x: 0, y: 0, z: 0 },
+  flightDuration: 800, // Milliseconds the camera takes to fly to a group of points
+  selectionStrokeColor: '#ffaa00', // Outline of the box and lasso while they are dragged
+  selectionFillColor: 'rgba(255, 170, 0, 0.1)'
 };
 
+// What a left-drag on the scene does: rotate the camera, or draw a box or lasso around points
+const SELECTION_TOOLS = ['orbit', 'box', 'lasso'];
+
 class Scene3D {
   constructor(containerId, config = {}) {
     console.log(`Initializing Scene3D with container: ${containerId}`);
@@ -48,9 +72,27 @@ class Scene3D {
       // Scene data
       this.dataPoints = [];
       this.nodes = [];
+      this.nodeLookup = []; // Data point index -> { mesh, instanceId } (instanceId only for instanced nodes)
+      this.useInstancing = false;
       this.connections = [];
       this.outlierNodes = new Set();
-      this.selectedNode = null;
+      this.highlightStates = new Map(); // Data point index -> 'highlight' | 'dim'
+      this.selectedIndices = new Set(); // Selected data point indices; other features read them with getSelectedIndices
+      this.selectionTool = 'orbit';
+      this.selectionDrag = null; // { mode, path } while a box or lasso is dragged
+      this.suppressClick = false; // Set after a box or lasso so its mouseup is not taken as a click
+      this.hiddenIndices = new Set(); // Data point indices hidden from the legend
+      this.axisInfo = null; // Axis titles/ticks from DataProcessor.buildAxisInfo
+      this.edges = []; // Graph edges { source, target, strength } between data point indices
+      this.edgeBands = []; // { lines, edges } per opacity band
+      this.cameraFlight = null; // Running flyToIndices animation
+      this.onSelectionChange = null; // Called with the selected indices when the user changes the selection in the scene
+
+      // Scratch objects for instance matrix updates
+      this._instanceMatrix = new THREE.Matrix4();
+      this._instancePosition = new THREE.Vector3();
+      this._instanceQuaternion = new THREE.Quaternion();
+      this._instanceScale = new THREE.Vector3();
 
       // Set up scene
       this.setupScene();
@@ -87,18 +129,30 @@ class Scene3D {
     // Create groups for organization
     this.nodesGroup = new THREE.Group();
     this.connectionsGroup = new THREE.Group();
-    this.analysisGroup = new THREE.Group(); // Group for analysis visuals (corr lines)
+    this.analysisGroup = new THREE.Group(); // Group for analysis visuals
     this.scene.add(this.nodesGroup);
     this.scene.add(this.connectionsGroup);
     this.scene.add(this.analysisGroup); // Add analysis group to scene
+    this.envelopeGroup = new THREE.Group(); // Group hulls/ellipsoids, kept when correlation lines are cleared
+    this.analysisGroup.add(this.envelopeGroup);
+    this.fitGroup = new THREE.Group(); // Fitted regression surface, also kept when correlation lines are cleared
+    this.analysisGroup.add(this.fitGroup);
+    this.correlationGroup = new THREE.Group(); // Local correlation lines, one child per width band
+    this.analysisGroup.add(this.correlationGroup);
 
-    // Add axes helper for orientation
-    const axesHelper = new THREE.AxesHelper(20);
-    this.scene.add(axesHelper);
+    // 2D overlay the box and lasso are drawn on while they are dragged
+    this.selectionCanvas = document.createElement('canvas');
+    this.selectionCanvas.className = 'selection-overlay';
+    this.container.appendChild(this.selectionCanvas);
+    // Fitted surfaces are clipped to the Z axis range
+    this.renderer.localClippingEnabled = true;
+    this.edgesGroup = new THREE.Group(); // Real graph edges, unlike the generated connections
+    this.scene.add(this.edgesGroup);
 
-    // Add grid for reference
-    const gridHelper = new THREE.GridHelper(100, 20, 0x444444, 0x222222);
-    this.scene.add(gridHelper);
+    // Axes, ticks, labels and the reference grid are rebuilt whenever the data changes
+    this.axesGroup = new THREE.Group();
+    this.scene.add(this.axesGroup);
+    this.updateAxes(null);
   }
 
   /**
@@ -126,6 +180,10 @@ class Scene3D {
       this.camera.aspect = clientWidth / clientHeight;
       this.camera.updateProjectionMatrix();
       this.renderer.setSize(clientWidth, clientHeight);
+      // Fat line widths are in pixels
+      this.correlationGroup.children.forEach(child => {
+        if (child.material && child.material.isLineMaterial) child.material.resolution.set(clientWidth, clientHeight);
+      });
     });
   }
 
@@ -161,6 +219,9 @@ class Scene3D {
     // Set limits to prevent getting lost in the scene
     this.controls.minDistance = 10;
     this.controls.maxDistance = 500;
+    
+    // Grabbing the camera ends a fly-to animation
+    this.controls.addEventListener('start', () => { this.cameraFlight = null; });
   }
 
   /**
@@ -184,12 +245,23 @@ class Scene3D {
       this.checkNodeHover();
     });
 
-    // Click to select a node
+    // Click to select a node; Shift adds to the selection, Ctrl/Cmd toggles
     canvas.addEventListener('click', event => {
+      if (this.suppressClick) {
+        this.suppressClick = false;
+        return;
+      }
       this.updateMousePosition(event);
-      this.selectNodeAtMouse();
+      const mode = event.shiftKey ? 'add' : (event.ctrlKey || event.metaKey ? 'toggle' : 'replace');
+      this.selectNodeAtMouse(mode);
+      this.notifySelectionChange();
     });
 
+    // Box and lasso selection take over left-drags from the orbit controls
+    canvas.addEventListener('pointerdown', event => this.startSelectionDrag(event));
+    window.addEventListener('pointermove', event => this.updateSelectionDrag(event));
+    window.addEventListener('pointerup', event => this.finishSelectionDrag(event));
+
     // Double click to focus on a node
     canvas.addEventListener('dblclick', event => {
       this.updateMousePosition(event);
@@ -216,20 +288,20 @@ class Scene3D {
    * Check for node hover and update the tooltip
    */
   checkNodeHover() {
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    const intersects = this.raycaster.intersectObjects(this.nodesGroup.children);
+    const index = this.getNodeIndexAtMouse();
+    // Nodes take precedence over the envelope around them
+    const envelope = index === null ? this.getEnvelopeAtMouse() : null;
     
     // Update cursor style
-    this.renderer.domElement.style.cursor = intersects.length > 0 ? 'pointer' : 'default';
+    this.renderer.domElement.style.cursor = index !== null ? 'pointer' : 'default';
     
-    if (intersects.length > 0) {
-      const nodeObject = intersects[0].object;
-      const nodeData = this.dataPoints[nodeObject.userData.originalIndex];
+    if (index !== null || envelope) {
+      const nodeData = this.dataPoints[index];
       
       // Update tooltip content and position
       const tooltip = document.getElementById('tooltip');
-      if (tooltip && nodeData) {
-        tooltip.innerHTML = nodeData.label;
+      if (tooltip && (nodeData || envelope)) {
+        tooltip.innerHTML = envelope ? this.formatEnvelopeStats(envelope.userData) : nodeData.label;
         tooltip.style.display = 'block';
         
         // Position tooltip near the mouse
@@ -250,73 +322,279 @@ class Scene3D {
   }
 
   /**
-   * Select a node at the current mouse position
+   * Raycast from the mouse and return the data point index of the closest node
+   * @returns {number|null} Index into dataPoints, or null if nothing is under the mouse
    */
-  selectNodeAtMouse() {
+  getNodeIndexAtMouse() {
     this.raycaster.setFromCamera(this.mouse, this.camera);
     const intersects = this.raycaster.intersectObjects(this.nodesGroup.children);
+    for (const intersect of intersects) {
+      const index = this.getIntersectIndex(intersect);
+      if (index !== null && !this.hiddenIndices.has(index)) return index;
+    }
+    return null;
+  }
+
+  /**
+   * Raycast from the mouse against the visible group envelopes
+   * @returns {THREE.Mesh|null} Closest envelope under the mouse
+   */
+  getEnvelopeAtMouse() {
+    const envelopes = this.envelopeGroup.children.filter(mesh => mesh.visible);
+    if (envelopes.length === 0) return null;
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+    const intersects = this.raycaster.intersectObjects(envelopes);
+    return intersects.length > 0 ? intersects[0].object : null;
+  }
+
+  /**
+   * Resolve a raycaster intersection to a data point index.
+   * Instanced meshes report an instanceId, individual meshes carry the index in userData.
+   * @param {Object} intersect - Raycaster intersection
+   * @returns {number|null} Index into dataPoints
+   */
+  getIntersectIndex(intersect) {
+    const object = intersect.object;
+    if (intersect.instanceId !== undefined && object.userData.instanceIndices) {
+      const index = object.userData.instanceIndices[intersect.instanceId];
+      return index !== undefined ? index : null;
+    }
+    return typeof object.userData.originalIndex === 'number' ? object.userData.originalIndex : null;
+  }
+
+  /**
+   * Select the node at the current mouse position
+   * @param {string} [mode='replace'] - 'replace' the selection, 'add' to it or 'toggle' the node.
+   *   Clicking empty space clears the selection only in replace mode.
+   */
+  selectNodeAtMouse(mode = 'replace') {
+    const index = this.getNodeIndexAtMouse();
     
-    if (intersects.length > 0) {
-      const nodeObject = intersects[0].object;
-      this.selectNode(nodeObject);
+    if (index === null) {
+      if (mode === 'replace') this.clearSelection();
+    } else if (mode === 'toggle' && this.selectedIndices.has(index)) {
+      this.setSelection([...this.selectedIndices].filter(selected => selected !== index));
     } else {
-      this.clearSelection();
+      this.setSelection([index], mode === 'replace' ? 'replace' : 'add');
     }
   }
 
   /**
-   * Select a specific node
-   * @param {THREE.Object3D} nodeObject - The node object to select
+   * Select a single node
+   * @param {number} index - Index of the data point to select
    */
-  selectNode(nodeObject) {
-    // Clear previous selection
-    this.clearSelection();
-    
-    // Set new selection
-    this.selectedNode = nodeObject;
-    
-    // Highlight the selected node
-    const originalMaterial = nodeObject.userData.originalMaterial;
-    nodeObject.userData.highlightMaterial = originalMaterial.clone();
-    nodeObject.userData.highlightMaterial.emissive = new THREE.Color(this.config.highlightColor);
-    nodeObject.userData.highlightMaterial.emissiveIntensity = 0.5;
-    nodeObject.material = nodeObject.userData.highlightMaterial;
-    
-    // Scale up the selected node
-    nodeObject.scale.set(1.5, 1.5, 1.5);
+  selectNode(index) {
+    this.setSelection([index]);
+  }
+
+  /**
+   * Change the selection and restyle the nodes whose state changed
+   * @param {Iterable<number>} indices - Indices into dataPoints
+   * @param {string} [mode='replace'] - 'replace' the selection, 'add' to it or 'remove' from it
+   */
+  setSelection(indices, mode = 'replace') {
+    const previous = this.selectedIndices;
+    const next = mode === 'replace' ? new Set() : new Set(previous);
+    for (const index of indices) {
+      if (mode === 'remove') {
+        next.delete(index);
+      } else if (this.dataPoints[index] && !this.hiddenIndices.has(index)) {
+        next.add(index);
+      }
+    }
+    this.selectedIndices = next;
     
-    // Update data info display
-    this.updateInfoPanel(nodeObject.userData.originalIndex);
+    previous.forEach(index => { if (!next.has(index)) this.refreshNodeStyle(index); });
+    next.forEach(index => { if (!previous.has(index)) this.refreshNodeStyle(index); });
+    this.updateSelectionInfo();
+  }
+
+  /**
+   * Get the selected nodes
+   * @returns {Array<number>} Indices into dataPoints, ascending
+   */
+  getSelectedIndices() {
+    return [...this.selectedIndices].sort((a, b) => a - b);
+  }
+
+  /**
+   * Tell the onSelectionChange listener about a selection made in the scene
+   */
+  notifySelectionChange() {
+    if (this.onSelectionChange) this.onSelectionChange(this.getSelectedIndices());
   }
 
   /**
    * Clear the current node selection
    */
   clearSelection() {
-    if (this.selectedNode) {
-      // Restore original material
-      this.selectedNode.material = this.selectedNode.userData.originalMaterial;
-      
-      // Restore original scale
-      this.selectedNode.scale.set(1, 1, 1);
-      
-      this.selectedNode = null;
-      
-      // Clear info panel
-      this.updateInfoPanel(null);
+    if (this.selectedIndices.size > 0) this.setSelection([]);
+  }
+
+  /**
+   * Choose what a left-drag does
+   * @param {string} tool - One of SELECTION_TOOLS
+   */
+  setSelectionTool(tool) {
+    if (!SELECTION_TOOLS.includes(tool)) {
+      throw new Error(`Unknown selection tool "${tool}"`);
     }
+    this.selectionTool = tool;
+    this.renderer.domElement.style.cursor = tool === 'orbit' ? '' : 'crosshair';
+  }
+
+  /**
+   * Start a box or lasso on a left press with the box or lasso tool
+   * @param {PointerEvent} event - pointerdown on the canvas
+   */
+  startSelectionDrag(event) {
+    // A drag released outside the canvas never produced the click it was meant to swallow
+    this.suppressClick = false;
+    if (this.selectionTool === 'orbit' || event.button !== 0) return;
+    // The orbit controls would rotate the camera during the drag
+    this.controls.enabled = false;
+    const mode = event.shiftKey ? 'add' : (event.ctrlKey || event.metaKey ? 'remove' : 'replace');
+    this.selectionDrag = { mode, path: [this.getCanvasPoint(event)] };
+  }
+
+  /**
+   * Extend the box or lasso being dragged
+   * @param {PointerEvent} event - pointermove
+   */
+  updateSelectionDrag(event) {
+    if (!this.selectionDrag) return;
+    const point = this.getCanvasPoint(event);
+    const path = this.selectionDrag.path;
+    if (this.selectionTool === 'box') {
+      path[1] = point;
+    } else {
+      const last = path[path.length - 1];
+      if (Math.hypot(point.x - last.x, point.y - last.y) >= 3) path.push(point);
+    }
+    this.drawSelectionShape();
+  }
+
+  /**
+   * Select the points inside the finished box or lasso
+   * @param {PointerEvent} event - pointerup
+   */
+  finishSelectionDrag(event) {
+    if (!this.selectionDrag) return;
+    const { mode, path } = this.selectionDrag;
+    this.selectionDrag = null;
+    this.controls.enabled = true;
+    this.drawSelectionShape();
+    
+    const end = this.getCanvasPoint(event);
+    if (Math.hypot(end.x - path[0].x, end.y - path[0].y) < 3) return; // A click, handled by the click listener
+    this.suppressClick = true;
+    const indices = this.selectionTool === 'box'
+      ? this.getIndicesInBox(path[0], end)
+      : this.getIndicesInPolygon([...path, end]);
+    this.setSelection(indices, mode);
+    this.notifySelectionChange();
+  }
+
+  /**
+   * Mouse position relative to the canvas, in CSS pixels
+   * @param {MouseEvent} event - Mouse event
+   * @returns {{x: number, y: number}} Canvas position
+   */
+  getCanvasPoint(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  /**
+   * Draw the box or lasso being dragged on the overlay, or clear it when nothing is dragged
+   */
+  drawSelectionShape() {
+    const canvas = this.selectionCanvas;
+    const { clientWidth, clientHeight } = this.container;
+    if (canvas.width !== clientWidth || canvas.height !== clientHeight) {
+      canvas.width = clientWidth;
+      canvas.height = clientHeight;
+    }
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!this.selectionDrag || this.selectionDrag.path.length < 2) return;
+    
+    const path = this.selectionDrag.path;
+    context.beginPath();
+    if (this.selectionTool === 'box') {
+      context.rect(path[0].x, path[0].y, path[1].x - path[0].x, path[1].y - path[0].y);
+    } else {
+      context.moveTo(path[0].x, path[0].y);
+      path.slice(1).forEach(point => context.lineTo(point.x, point.y));
+      context.closePath();
+    }
+    context.fillStyle = this.config.selectionFillColor;
+    context.fill();
+    context.setLineDash([4, 3]);
+    context.strokeStyle = this.config.selectionStrokeColor;
+    context.stroke();
+  }
+
+  /**
+   * Project every visible node to the canvas
+   * @returns {Array<{index: number, x: number, y: number}>} Screen positions in CSS pixels of the nodes in front of the camera
+   */
+  projectNodes() {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const vector = new THREE.Vector3();
+    const projected = [];
+    this.camera.updateMatrixWorld();
+    this.dataPoints.forEach((point, index) => {
+      if (!this.isValidPoint(point) || this.hiddenIndices.has(index)) return;
+      vector.set(point.position.x, point.position.y, point.position.z).project(this.camera);
+      if (vector.z < -1 || vector.z > 1) return; // Behind the camera or beyond the far plane
+      projected.push({ index, x: (vector.x + 1) / 2 * rect.width, y: (1 - vector.y) / 2 * rect.height });
+    });
+    return projected;
+  }
+
+  /**
+   * Get the visible nodes drawn inside a screen rectangle
+   * @param {{x: number, y: number}} corner - One corner in canvas pixels
+   * @param {{x: number, y: number}} opposite - The opposite corner
+   * @returns {Array<number>} Indices into dataPoints
+   */
+  getIndicesInBox(corner, opposite) {
+    const [left, right] = [Math.min(corner.x, opposite.x), Math.max(corner.x, opposite.x)];
+    const [top, bottom] = [Math.min(corner.y, opposite.y), Math.max(corner.y, opposite.y)];
+    return this.projectNodes()
+      .filter(({ x, y }) => x >= left && x <= right && y >= top && y <= bottom)
+      .map(({ index }) => index);
+  }
+
+  /**
+   * Get the visible nodes drawn inside a screen polygon (even-odd rule)
+   * @param {Array<{x: number, y: number}>} polygon - Vertices in canvas pixels
+   * @returns {Array<number>} Indices into dataPoints
+   */
+  getIndicesInPolygon(polygon) {
+    if (polygon.length < 3) return [];
+    return this.projectNodes()
+      .filter(({ x, y }) => {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+          const a = polygon[i];
+          const b = polygon[j];
+          if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        }
+        return inside;
+      })
+      .map(({ index }) => index);
   }
 
   /**
    * Focus camera on a node at the current mouse position
    */
   focusOnNodeAtMouse() {
-    this.raycaster.setFromCamera(this.mouse, this.camera);
-    const intersects = this.raycaster.intersectObjects(this.nodesGroup.children);
+    const index = this.getNodeIndexAtMouse();
     
-    if (intersects.length > 0) {
-      const nodeObject = intersects[0].object;
-      const nodePosition = nodeObject.position.clone();
+    if (index !== null) {
+      const nodePosition = this.getNodePosition(index);
       
       // Animate camera to focus on this node
       const startPosition = this.camera.position.clone();
@@ -334,9 +612,16 @@ class Scene3D {
    * @param {KeyboardEvent} event - Keyboard event
    */
   handleKeyDown(event) {
-    // Escape to clear selection
+    // Escape cancels a box or lasso, or clears the selection
     if (event.key === 'Escape') {
-      this.clearSelection();
+      if (this.selectionDrag) {
+        this.selectionDrag = null;
+        this.controls.enabled = true;
+        this.drawSelectionShape();
+      } else {
+        this.clearSelection();
+        this.notifySelectionChange();
+      }
     }
     
     // WASD controls for camera movement
@@ -363,12 +648,25 @@ class Scene3D {
     }
   }
 
+  /**
+   * Show the selection in the info panel: a single node's data, or the size of a larger selection
+   */
+  updateSelectionInfo() {
+    if (this.selectedIndices.size <= 1) {
+      this.updateInfoPanel(this.selectedIndices.size === 1 ? [...this.selectedIndices][0] : null);
+      return;
+    }
+    const dataInfo = document.getElementById('data-info-summary');
+    if (!dataInfo) return;
+    dataInfo.innerHTML = `<h3>Selected Nodes</h3><p>${this.selectedIndices.size} nodes selected. Press Escape to clear the selection.</p>`;
+  }
+
   /**
    * Update the info panel with node data
    * @param {number|null} nodeIndex - Index of the selected node or null
    */
   updateInfoPanel(nodeIndex) {
-    const dataInfo = document.getElementById('data-info');
+    const dataInfo = document.getElementById('data-info-summary');
     if (!dataInfo) return;
     
     if (nodeIndex === null || nodeIndex >= this.dataPoints.length) {
@@ -382,7 +680,7 @@ class Scene3D {
     // Display original data in the info panel
     let html = `<h3>Selected Node</h3>`;
     if (nodeData.cluster !== undefined) {
-      html += `<p><strong>Cluster:</strong> ${nodeData.cluster}</p>`;
+      html += `<p><strong>Cluster:</strong> ${nodeData.cluster < 0 ? 'Noise' : nodeData.cluster}</p>`;
     }
     
     // Show all original data fields
@@ -400,6 +698,7 @@ class Scene3D {
    */
   animate() {
     requestAnimationFrame(() => this.animate());
+    this.updateCameraFlight();
     
     // Update controls
     this.controls.update();
@@ -408,6 +707,19 @@ class Scene3D {
     this.renderer.render(this.scene, this.camera);
   }
 
+  /**
+   * Populate the scene with prepared data points (entry point used by UIController).
+   * Switches to instanced rendering automatically above config.instancingThreshold.
+   * @param {Array} dataPoints - Array of data points with position and color
+   * @param {Object|null} [axisInfo] - Axis annotations from DataProcessor.buildAxisInfo
+   * @param {Array} [edges] - Graph edges { source, target, strength } to draw between the points
+   */
+  populateScene(dataPoints, axisInfo = null, edges = null) {
+    this.axisInfo = axisInfo;
+    this.edges = edges || [];
+    this.visualizeData(dataPoints);
+  }
+
   /**
    * Visualize data points in 3D space
    * @param {Array} dataPoints - Array of data points with position and color
@@ -420,6 +732,9 @@ class Scene3D {
     }
     console.log(`Attempting to visualize ${dataPoints.length} data points.`);
     
+    // Point indices change with the layout, so the selection is carried over by data row
+    const selectedRows = new Set([...this.selectedIndices].map(index => this.dataPoints[index].originalData).filter(Boolean));
+    
     // Clear previous visualization first
     this.clearVisualization();
     
@@ -429,19 +744,36 @@ class Scene3D {
       return; // Nothing more to do
     }
     
-    // Create nodes
+    // Create nodes (instanced above the point-count threshold)
     console.log('Creating nodes...');
-    this.createNodes();
-    console.log(`${this.nodes.length} nodes created.`);
+    this.useInstancing = this.dataPoints.length >= this.config.instancingThreshold;
+    if (this.useInstancing) {
+      this.createInstancedNodes();
+    } else {
+      this.createNodes();
+    }
+    console.log(`${this.nodeLookup.filter(Boolean).length} nodes created (instanced: ${this.useInstancing}).`);
     
     // Populate connections group (visibility controlled separately)
     console.log('Populating connections group (visibility controlled separately)...');
     this.createConnections();
+    this.createEdges();
+    
+    if (selectedRows.size > 0) {
+      const selected = [];
+      this.dataPoints.forEach((point, index) => {
+        if (selectedRows.has(point.originalData)) selected.push(index);
+      });
+      this.setSelection(selected);
+    }
     
     // Set initial visibility based on config
     this.connectionsGroup.visible = this.config.showConnections;
     console.log(`Initial connections visibility set to: ${this.config.showConnections}`);
     
+    // Resize the grid and axes to the new data bounds
+    this.updateAxes(this.axisInfo);
+    
     console.log('Resetting camera position after visualization.');
     this.resetCameraPosition();
     
@@ -458,9 +790,12 @@ class Scene3D {
     while (this.nodesGroup.children.length > 0) {
       const node = this.nodesGroup.children[0];
       this.nodesGroup.remove(node); // Remove from group
-      // Optional: Dispose geometry/material if memory is a concern
-      // if (node.geometry) node.geometry.dispose();
-      // if (node.material) node.material.dispose();
+      // Instanced meshes hold large buffers, free them right away
+      if (node.isInstancedMesh) {
+        node.geometry.dispose();
+        node.material.dispose();
+        if (typeof node.dispose === 'function') node.dispose();
+      }
       nodesRemoved++;
     }
     console.log(`Removed ${nodesRemoved} nodes.`);
@@ -476,15 +811,20 @@ class Scene3D {
       connectionsRemoved++;
     }
     console.log(`Removed ${connectionsRemoved} connections.`);
+    this.disposeGroup(this.edgesGroup);
+    this.edgeBands = [];
     
     // Also clear analysis visuals
     this.clearAnalysisVisuals();
     
     // Clear arrays
     this.nodes = [];
+    this.nodeLookup = [];
     this.connections = [];
     this.dataPoints = [];
-    this.selectedNode = null;
+    this.highlightStates.clear();
+    this.selectedIndices.clear();
+    this.hiddenIndices.clear();
     console.log('Internal data arrays cleared.');
     
     // Clear info panel (optional, but good practice)
@@ -492,34 +832,44 @@ class Scene3D {
   }
 
   /**
-   * Create 3D nodes for each data point
+   * Create the geometry for a node shape
+   * @param {string} shape - 'cube', 'sphere' or 'icosahedron'
+   * @returns {THREE.BufferGeometry} Node geometry
    */
-  createNodes() {
-    console.log(`Creating nodes with shape: ${this.config.nodeShape}, size: ${this.config.nodeSize}`);
-    
-    // Define geometries based on shape config
-    let nodeGeometry;
+  createNodeGeometry(shape) {
     const size = this.config.nodeSize;
-    switch (this.config.nodeShape) {
+    switch (shape) {
       case 'sphere':
-        nodeGeometry = new THREE.SphereGeometry(size / 2, 16, 12); // Radius is size/2
-        break;
+        return new THREE.SphereGeometry(size / 2, 16, 12); // Radius is size/2
       case 'icosahedron':
-        nodeGeometry = new THREE.IcosahedronGeometry(size / 2, 0); // Radius is size/2
-        break;
+        return new THREE.IcosahedronGeometry(size / 2, 0); // Radius is size/2
       case 'cube':
       default:
-        nodeGeometry = new THREE.BoxGeometry(size, size, size);
-        break;
+        return new THREE.BoxGeometry(size, size, size);
     }
+  }
+
+  /**
+   * Check that a data point has a usable position
+   * @param {Object} point - Data point
+   * @returns {boolean}
+   */
+  isValidPoint(point) {
+    return !!point && typeof point.position?.x === 'number' && typeof point.position?.y === 'number' && typeof point.position?.z === 'number';
+  }
+
+  /**
+   * Create 3D nodes for each data point
+   */
+  createNodes() {
+    console.log(`Creating nodes with shape: ${this.config.nodeShape}, size: ${this.config.nodeSize}`);
+    
+    // Define geometries based on shape config
+    const nodeGeometry = this.createNodeGeometry(this.config.nodeShape);
     
     // Create nodes for each data point
     this.dataPoints.forEach((point, index) => {
-      // === Log entry and received data ===
-      console.log(`Scene3D: addNodeMesh called for index ${index}, point data:`, JSON.stringify(point));
-      // === End Log ===
-
-      if (!point || typeof point.position?.x !== 'number' || typeof point.position?.y !== 'number' || typeof point.position?.z !== 'number') {
+      if (!this.isValidPoint(point)) {
         console.warn('Skipping invalid data point:', point);
         return;
       }
@@ -549,10 +899,230 @@ class Scene3D {
       // Add to group
       this.nodesGroup.add(nodeMesh);
       this.nodes.push(nodeMesh);
+      this.nodeLookup[index] = { mesh: nodeMesh };
     });
     console.log(`Finished creating ${this.nodes.length} nodes.`);
   }
 
+  /**
+   * Create nodes with one InstancedMesh per shape, for large point counts.
+   * Points may set their own `shape`, otherwise config.nodeShape is used.
+   * Per-instance colour comes from instanceColor and scale from the instance matrix.
+   */
+  createInstancedNodes() {
+    console.log(`Creating instanced nodes for ${this.dataPoints.length} points, default shape: ${this.config.nodeShape}`);
+    
+    // Group point indices by shape
+    const indicesByShape = new Map();
+    this.dataPoints.forEach((point, index) => {
+      if (!this.isValidPoint(point)) {
+        console.warn('Skipping invalid data point:', point);
+        return;
+      }
+      const shape = point.shape || this.config.nodeShape;
+      if (!indicesByShape.has(shape)) indicesByShape.set(shape, []);
+      indicesByShape.get(shape).push(index);
+    });
+    
+    const color = new THREE.Color();
+    indicesByShape.forEach((indices, shape) => {
+      const material = new THREE.MeshPhongMaterial({ color: 0xffffff, shininess: 50 });
+      const mesh = new THREE.InstancedMesh(this.createNodeGeometry(shape), material, indices.length);
+      mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+      mesh.userData = {
+        shape,
+        instanceIndices: indices // instanceId -> data point index
+      };
+      
+      indices.forEach((dataIndex, instanceId) => {
+        this.nodeLookup[dataIndex] = { mesh, instanceId };
+        this.setInstanceTransform(mesh, instanceId, this.dataPoints[dataIndex].position, 1);
+        mesh.setColorAt(instanceId, color.set(this.dataPoints[dataIndex].color));
+      });
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+      // Bounds are used for raycasting and frustum culling. Older three.js builds only know the
+      // geometry's bounds, which would cull instances away from the origin.
+      if (typeof mesh.computeBoundingSphere === 'function') {
+        mesh.computeBoundingSphere();
+      } else {
+        mesh.frustumCulled = false;
+      }
+      
+      this.nodesGroup.add(mesh);
+      this.nodes.push(mesh);
+      console.log(`Created InstancedMesh for shape "${shape}" with ${indices.length} instances.`);
+    });
+  }
+
+  /**
+   * Write an instance matrix from a position and uniform scale
+   * @param {THREE.InstancedMesh} mesh - Instanced mesh
+   * @param {number} instanceId - Instance to update
+   * @param {{x: number, y: number, z: number}} position - Instance position
+   * @param {number} scale - Uniform scale
+   */
+  setInstanceTransform(mesh, instanceId, position, scale) {
+    this._instancePosition.set(position.x, position.y, position.z);
+    this._instanceScale.setScalar(scale);
+    this._instanceMatrix.compose(this._instancePosition, this._instanceQuaternion, this._instanceScale);
+    mesh.setMatrixAt(instanceId, this._instanceMatrix);
+  }
+
+  /**
+   * Get the scene position of a data point
+   * @param {number} index - Index into dataPoints
+   * @returns {THREE.Vector3|null} Position, or null for an unknown index
+   */
+  getNodePosition(index) {
+    const point = this.dataPoints[index];
+    if (!this.isValidPoint(point)) return null;
+    return new THREE.Vector3(point.position.x, point.position.y, point.position.z);
+  }
+
+  /**
+   * Apply scale and emphasis colour to a node, for either rendering path
+   * @param {number} index - Index into dataPoints
+   * @param {number} scale - Uniform scale
+   * @param {THREE.Color|null} emissive - Emphasis colour, or null for none
+   * @param {number} intensity - Emphasis intensity
+   */
+  applyNodeStyle(index, scale, emissive, intensity) {
+    const ref = this.nodeLookup[index];
+    if (!ref) return;
+    
+    if (ref.instanceId === undefined) {
+      const material = ref.mesh.material;
+      material.emissive = emissive ? emissive.clone() : new THREE.Color(0x000000);
+      material.emissiveIntensity = emissive ? intensity : 0;
+      material.needsUpdate = true;
+      ref.mesh.scale.set(scale, scale, scale);
+      ref.mesh.visible = scale > 0;
+      return;
+    }
+    
+    // Instances share one material, so emulate emissive by adding it to the instance colour
+    const color = new THREE.Color(this.dataPoints[index].color);
+    if (emissive) {
+      color.r = Math.min(1, color.r + emissive.r * intensity);
+      color.g = Math.min(1, color.g + emissive.g * intensity);
+      color.b = Math.min(1, color.b + emissive.b * intensity);
+    }
+    ref.mesh.setColorAt(ref.instanceId, color);
+    ref.mesh.instanceColor.needsUpdate = true;
+    this.setInstanceTransform(ref.mesh, ref.instanceId, this.dataPoints[index].position, scale);
+    ref.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Recompute a node's appearance from the selection and highlight state
+   * @param {number} index - Index into dataPoints
+   */
+  refreshNodeStyle(index) {
+    let scale = 1;
+    let emissive = null;
+    let intensity = 0;
+    
+    const state = this.highlightStates.get(index);
+    if (state === 'highlight') {
+      scale = 1.2; // Slightly larger
+      emissive = new THREE.Color(0xffffff); // Bright white for highlight
+      intensity = 1.0;
+    } else if (state === 'dim') {
+      scale = 0.8; // Slightly smaller
+      emissive = new THREE.Color(0x444444); // Dark grey for dimmed
+      intensity = 0.2;
+    }
+    
+    if (this.selectedIndices.has(index)) {
+      scale = 1.5;
+      emissive = new THREE.Color(this.config.highlightColor);
+      intensity = 0.5;
+    }
+    
+    // Hidden nodes are collapsed to zero scale so instances need no rebuild
+    if (this.hiddenIndices.has(index)) {
+      scale = 0;
+    }
+    
+    this.applyNodeStyle(index, scale, emissive, intensity);
+  }
+
+  /**
+   * Move existing nodes without rebuilding them (used to animate iterative layouts)
+   * @param {Array<{x: number, y: number, z: number}>} positions - New position per data point index
+   * @param {boolean} [final=false] - Also rebuild connections and resize the axes to the new bounds
+   */
+  updatePositions(positions, final = false) {
+    positions.forEach((position, index) => {
+      const point = this.dataPoints[index];
+      const ref = this.nodeLookup[index];
+      if (!point || !ref) return;
+      point.position = position;
+      
+      if (ref.instanceId === undefined) {
+        ref.mesh.position.set(position.x, position.y, position.z);
+      } else {
+        // Rewrites the instance matrix from the new position, keeping its current scale
+        this.refreshNodeStyle(index);
+      }
+    });
+    this.updateEdgePositions();
+    
+    // Envelopes and correlation lines would lag behind moving nodes; they are redrawn once the layout settles
+    if (!final) {
+      this.clearEnvelopes();
+      if (this.correlationGroup.children.length > 0) this.clearCorrelationLines();
+    }
+    
+    if (final) {
+      this.createConnections();
+      this.updateAxes(this.axisInfo);
+    }
+  }
+
+  /**
+   * Recolour existing nodes without rebuilding them
+   * @param {Array<string>} colors - New colour per data point index
+   */
+  updateColors(colors) {
+    colors.forEach((color, index) => {
+      const point = this.dataPoints[index];
+      const ref = this.nodeLookup[index];
+      if (!point || !ref) return;
+      point.color = color;
+      if (ref.instanceId === undefined) {
+        ref.mesh.material.color.set(color);
+      }
+      // Instances take their colour from the data point, with any emphasis added on top
+      this.refreshNodeStyle(index);
+    });
+  }
+
+  /**
+   * Hide a set of nodes, showing any previously hidden ones that are not in it
+   * @param {Iterable<number>} indices - Indices into dataPoints to hide
+   */
+  setHiddenIndices(indices) {
+    const previous = this.hiddenIndices;
+    this.hiddenIndices = new Set(indices);
+    
+    // Hidden nodes leave the selection
+    const hiddenSelected = [...this.selectedIndices].filter(index => this.hiddenIndices.has(index));
+    if (hiddenSelected.length > 0) {
+      this.setSelection(hiddenSelected, 'remove');
+      this.notifySelectionChange();
+    }
+    
+    const changed = new Set();
+    previous.forEach(index => { if (!this.hiddenIndices.has(index)) changed.add(index); });
+    this.hiddenIndices.forEach(index => { if (!previous.has(index)) changed.add(index); });
+    changed.forEach(index => this.refreshNodeStyle(index));
+    // Edges of hidden nodes are dropped
+    if (this.edges.length > 0) this.createEdges();
+    console.log(`Scene3D: ${this.hiddenIndices.size} nodes hidden.`);
+  }
+
   /**
    * Create connections between nodes
    */
@@ -561,18 +1131,28 @@ class Scene3D {
     
     // Clear any existing lines *before* creating new ones
     while (this.connectionsGroup.children.length > 0) {
-      this.connectionsGroup.remove(this.connectionsGroup.children[0]);
+      const line = this.connectionsGroup.children[0];
+      this.connectionsGroup.remove(line);
+      if (line.geometry) line.geometry.dispose();
+      if (line.material) line.material.dispose();
     }
     this.connections = []; // Reset internal array
     console.log('Cleared previous connections.');
     
-    const nodes = this.nodesGroup.children;
-    if (nodes.length < 2) {
+    const indices = [];
+    this.dataPoints.forEach((point, index) => {
+      if (this.nodeLookup[index]) indices.push(index);
+    });
+    if (indices.length < 2) {
         console.log("Scene3D: Not enough nodes to create connections (need >= 2).");
         return;
     }
+    if (indices.length > this.config.maxConnectionNodes) {
+        console.warn(`Scene3D: Skipping nearest-neighbour connections for ${indices.length} nodes (limit ${this.config.maxConnectionNodes}).`);
+        return;
+    }
 
-    console.log(`Scene3D: Calculating nearest neighbors for ${nodes.length} nodes...`);
+    console.log(`Scene3D: Calculating nearest neighbors for ${indices.length} nodes...`);
     const connectionMaterial = new THREE.LineBasicMaterial({
         color: new THREE.Color(this.config.connectionColor),
         linewidth: 1.5, // Note: linewidth > 1 may not work on all platforms/drivers
@@ -580,18 +1160,17 @@ class Scene3D {
         opacity: this.config.connectionOpacity
     });
     
-    let connectionsAdded = 0;
+    const positions = indices.map(index => this.getNodePosition(index));
+    const segmentPoints = [];
 
     // O(n^2) approach - find nearest neighbor for each node
-    for (let i = 0; i < nodes.length; i++) {
+    for (let i = 0; i < positions.length; i++) {
         let nearestNodeIndex = -1;
         let minDistanceSq = Infinity;
-        const nodeA = nodes[i];
 
-        for (let j = 0; j < nodes.length; j++) {
+        for (let j = 0; j < positions.length; j++) {
             if (i === j) continue; // Skip self
-            const nodeB = nodes[j];
-            const distanceSq = nodeA.position.distanceToSquared(nodeB.position);
+            const distanceSq = positions[i].distanceToSquared(positions[j]);
 
             if (distanceSq < minDistanceSq) {
                 minDistanceSq = distanceSq;
@@ -600,24 +1179,230 @@ class Scene3D {
         }
 
         if (nearestNodeIndex !== -1) {
-            const nearestNode = nodes[nearestNodeIndex];
-            const points = [nodeA.position.clone(), nearestNode.position.clone()]; // Clone positions
-            const geometry = new THREE.BufferGeometry().setFromPoints(points);
-            const line = new THREE.Line(geometry, connectionMaterial.clone()); // Clone material
-            this.connectionsGroup.add(line);
-            this.connections.push(line); // Store for potential later use/disposal
-            connectionsAdded++;
-            // console.log(`Scene3D: Added connection between node ${i} and ${nearestNodeIndex}, distance: ${Math.sqrt(minDistanceSq).toFixed(2)}`);
+            segmentPoints.push(positions[i], positions[nearestNodeIndex]);
         } else {
-            console.log(`Scene3D: No nearest neighbor found for node ${i}`);
+            console.log(`Scene3D: No nearest neighbor found for node ${indices[i]}`);
         }
     }
-    console.log(`Scene3D: Finished creating connections. ${connectionsAdded} lines added to connectionsGroup.`);
+
+    // One LineSegments object for all connections keeps the draw call count at one
+    const geometry = new THREE.BufferGeometry().setFromPoints(segmentPoints);
+    const lines = new THREE.LineSegments(geometry, connectionMaterial);
+    this.connectionsGroup.add(lines);
+    this.connections.push(lines);
+    console.log(`Scene3D: Finished creating connections. ${segmentPoints.length / 2} lines added to connectionsGroup.`);
     // Ensure the group visibility is set correctly after adding
     this.connectionsGroup.visible = this.config.showConnections;
     console.log(`Scene3D: connectionsGroup visibility is now ${this.connectionsGroup.visible}`);
   }
 
+  /**
+   * Draw the graph edges, grouped into opacity bands by edge strength
+   */
+  createEdges() {
+    this.disposeGroup(this.edgesGroup);
+    this.edgeBands = [];
+    if (this.edges.length === 0) return;
+    
+    const levels = Math.max(1, this.config.edgeOpacityLevels);
+    const bandEdges = Array.from({ length: levels }, () => []);
+    this.edges.forEach(edge => {
+      if (!this.nodeLookup[edge.source] || !this.nodeLookup[edge.target]) return;
+      if (this.hiddenIndices.has(edge.source) || this.hiddenIndices.has(edge.target)) return;
+      const strength = Number.isFinite(edge.strength) ? Math.max(0, Math.min(1, edge.strength)) : 1;
+      bandEdges[Math.min(levels - 1, Math.floor(strength * levels))].push(edge);
+    });
+    
+    const { min, max } = this.config.edgeOpacity;
+    bandEdges.forEach((edges, band) => {
+      if (edges.length === 0) return;
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(edges.length * 6), 3));
+      const material = new THREE.LineBasicMaterial({
+        color: new THREE.Color(this.config.edgeColor),
+        transparent: true,
+        opacity: levels === 1 ? max : min + (max - min) * band / (levels - 1)
+      });
+      const lines = new THREE.LineSegments(geometry, material);
+      this.edgesGroup.add(lines);
+      this.edgeBands.push({ lines, edges });
+    });
+    this.updateEdgePositions();
+    console.log(`Scene3D: ${this.edges.length} edges drawn in ${this.edgeBands.length} opacity bands.`);
+  }
+
+  /**
+   * Move the edge endpoints to the current node positions
+   */
+  updateEdgePositions() {
+    this.edgeBands.forEach(({ lines, edges }) => {
+      const attribute = lines.geometry.getAttribute('position');
+      const array = attribute.array;
+      edges.forEach(({ source, target }, i) => {
+        const a = this.dataPoints[source].position;
+        const b = this.dataPoints[target].position;
+        array.set([a.x, a.y, a.z, b.x, b.y, b.z], i * 6);
+      });
+      attribute.needsUpdate = true;
+      lines.geometry.computeBoundingSphere();
+    });
+  }
+
+  /**
+   * Get the bounding box of all valid data points
+   * @returns {THREE.Box3|null} Bounds, or null if there are no points
+   */
+  getDataBounds() {
+    const bbox = new THREE.Box3();
+    const point = new THREE.Vector3();
+    this.dataPoints.forEach(dataPoint => {
+      if (this.isValidPoint(dataPoint)) {
+        bbox.expandByPoint(point.set(dataPoint.position.x, dataPoint.position.y, dataPoint.position.z));
+      }
+    });
+    return bbox.isEmpty() ? null : bbox;
+  }
+
+  /**
+   * Rebuild the reference grid, axis lines, tick marks and labels
+   * @param {Object|null} axisInfo - Per-axis { column, inverted, sceneMin, sceneMax, ticks: [{ position, label }] },
+   *   or null for unlabelled axes (e.g. grid layout or no data)
+   */
+  updateAxes(axisInfo) {
+    this.axisInfo = axisInfo || null;
+    this.disposeGroup(this.axesGroup);
+
+    const dataBounds = this.getDataBounds();
+    if (!dataBounds) {
+      // No data yet: default orientation helpers
+      this.axesGroup.add(new THREE.AxesHelper(20));
+      this.axesGroup.add(new THREE.GridHelper(100, 20, this.config.gridColor, this.config.gridSubColor));
+      return;
+    }
+
+    // Axes cover both the data and the full mapped range
+    const bounds = dataBounds.clone();
+    if (this.axisInfo) {
+      ['x', 'y', 'z'].forEach(axis => {
+        const info = this.axisInfo[axis];
+        if (!info) return;
+        bounds.min[axis] = Math.min(bounds.min[axis], info.sceneMin, info.sceneMax);
+        bounds.max[axis] = Math.max(bounds.max[axis], info.sceneMin, info.sceneMax);
+      });
+    }
+    const size = new THREE.Vector3();
+    bounds.getSize(size);
+    const maxDim = Math.max(size.x, size.y, size.z, 1);
+
+    // Grid on the floor of the data, sized to the X/Z extent
+    const gridSize = Math.max(size.x, size.z, 1) * 1.1;
+    const grid = new THREE.GridHelper(gridSize, 20, this.config.gridColor, this.config.gridSubColor);
+    grid.position.set((bounds.min.x + bounds.max.x) / 2, bounds.min.y, (bounds.min.z + bounds.max.z) / 2);
+    this.axesGroup.add(grid);
+
+    if (!this.axisInfo) {
+      this.axesGroup.add(new THREE.AxesHelper(maxDim * 0.2));
+      return;
+    }
+
+    const origin = bounds.min;
+    const tickLength = maxDim * 0.015;
+    const labelHeight = maxDim * 0.025;
+    // Ticks and labels point away from the data: -Z for X, -X for Y and Z
+    const outward = { x: new THREE.Vector3(0, 0, -1), y: new THREE.Vector3(-1, 0, 0), z: new THREE.Vector3(-1, 0, 0) };
+
+    ['x', 'y', 'z'].forEach(axis => {
+      const info = this.axisInfo[axis];
+      if (!info) return;
+      const color = this.config.axisColors[axis];
+      const pointOnAxis = value => {
+        const p = origin.clone();
+        p[axis] = value;
+        return p;
+      };
+
+      // Axis line
+      const lineGeometry = new THREE.BufferGeometry().setFromPoints([pointOnAxis(bounds.min[axis]), pointOnAxis(bounds.max[axis])]);
+      this.axesGroup.add(new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({ color })));
+
+      // Tick marks and labels in data units
+      const tickPoints = [];
+      info.ticks.forEach(tick => {
+        const start = pointOnAxis(tick.position);
+        const end = start.clone().addScaledVector(outward[axis], tickLength);
+        tickPoints.push(start, end);
+
+        const label = this.createTextSprite(tick.label, labelHeight, this.config.axisLabelColor);
+        label.position.copy(start).addScaledVector(outward[axis], tickLength + labelHeight * 1.5);
+        this.axesGroup.add(label);
+      });
+      if (tickPoints.length > 0) {
+        const tickGeometry = new THREE.BufferGeometry().setFromPoints(tickPoints);
+        this.axesGroup.add(new THREE.LineSegments(tickGeometry, new THREE.LineBasicMaterial({ color })));
+      }
+
+      // Axis title past the end the values increase towards
+      const increasing = info.sceneMax >= info.sceneMin;
+      const titleEnd = increasing ? bounds.max[axis] : bounds.min[axis];
+      const title = this.createTextSprite(`${axis.toUpperCase()}: ${info.column}${info.inverted ? ' (inverted)' : ''}`,
+        labelHeight * 1.4, `#${new THREE.Color(color).getHexString()}`);
+      title.position.copy(pointOnAxis(titleEnd + (increasing ? 1 : -1) * labelHeight * 3));
+      this.axesGroup.add(title);
+    });
+  }
+
+  /**
+   * Create a camera-facing text label
+   * @param {string} text - Label text
+   * @param {number} height - Label height in scene units
+   * @param {string} color - CSS colour
+   * @returns {THREE.Sprite} Sprite that always faces the camera
+   */
+  createTextSprite(text, height, color) {
+    const fontSize = 48;
+    const font = `${fontSize}px 'Segoe UI', Arial, sans-serif`;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = font;
+    canvas.width = Math.ceil(context.measureText(text).width) + 16;
+    canvas.height = fontSize + 16;
+
+    // Resizing the canvas resets the context state
+    context.font = font;
+    context.fillStyle = color;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    // depthTest off keeps labels readable when points are in front of them
+    const material = new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    sprite.renderOrder = 1;
+    return sprite;
+  }
+
+  /**
+   * Remove and dispose every child of a group
+   * @param {THREE.Group} group - Group to empty
+   */
+  disposeGroup(group) {
+    while (group.children.length > 0) {
+      const child = group.children[0];
+      group.remove(child);
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => {
+          if (material.map) material.map.dispose();
+          material.dispose();
+        });
+      }
+    }
+  }
+
   /**
    * Reset camera position to view all nodes
    */
@@ -625,35 +1410,84 @@ class Scene3D {
     if (this.dataPoints.length === 0) return;
     
     // Find the bounding box of all points
-    const bbox = new THREE.Box3();
-    this.nodes.forEach(node => {
-      bbox.expandByObject(node);
-    });
+    const bbox = this.getDataBounds();
+    if (!bbox) return;
+    this.cameraFlight = null;
+    const { center, position } = this.getFramingView(bbox, new THREE.Vector3(1, 1, 1));
+    
+    // Position camera
+    this.camera.position.copy(position);
+    this.camera.lookAt(center);
+    
+    // Update orbit controls target
+    this.controls.target.copy(center);
+    this.controls.update();
+  }
+
+  /**
+   * Camera target and position that fit a bounding box in view
+   * @param {THREE.Box3} bbox - Box to frame
+   * @param {THREE.Vector3} direction - Direction from the box centre to the camera
+   * @returns {{center: THREE.Vector3, position: THREE.Vector3}} Target and camera position
+   */
+  getFramingView(bbox, direction) {
+    const box = bbox.clone().expandByScalar(this.config.nodeSize / 2);
     
     // Calculate center of bounding box
     const center = new THREE.Vector3();
-    bbox.getCenter(center);
+    box.getCenter(center);
     
     // Calculate size of bounding box
     const size = new THREE.Vector3();
-    bbox.getSize(size);
+    box.getSize(size);
     
-    // Calculate distance needed to view the entire scene
+    // Calculate distance needed to view the entire box, with some padding
     const maxDim = Math.max(size.x, size.y, size.z);
     const fov = this.camera.fov * (Math.PI / 180);
-    let distance = (maxDim / 2) / Math.tan(fov / 2);
-    
-    // Apply some padding
-    distance *= 1.5;
+    const distance = (maxDim / 2) / Math.tan(fov / 2) * 1.5;
     
-    // Position camera
-    const direction = new THREE.Vector3(1, 1, 1).normalize();
-    this.camera.position.copy(center).add(direction.multiplyScalar(distance));
-    this.camera.lookAt(center);
+    const position = center.clone().add(direction.clone().normalize().multiplyScalar(distance));
+    return { center, position };
+  }
+
+  /**
+   * Smoothly move the camera to frame a group of points, keeping the current viewing angle
+   * @param {Array<number>} indices - Indices into dataPoints
+   */
+  flyToIndices(indices) {
+    const bbox = new THREE.Box3();
+    const point = new THREE.Vector3();
+    indices.forEach(index => {
+      const dataPoint = this.dataPoints[index];
+      if (this.isValidPoint(dataPoint)) {
+        bbox.expandByPoint(point.set(dataPoint.position.x, dataPoint.position.y, dataPoint.position.z));
+      }
+    });
+    if (bbox.isEmpty()) return;
     
-    // Update orbit controls target
-    this.controls.target.copy(center);
-    this.controls.update();
+    const direction = this.camera.position.clone().sub(this.controls.target);
+    if (direction.lengthSq() === 0) direction.set(1, 1, 1);
+    const { center, position } = this.getFramingView(bbox, direction);
+    this.cameraFlight = {
+      start: performance.now(),
+      fromPosition: this.camera.position.clone(),
+      fromTarget: this.controls.target.clone(),
+      toPosition: position,
+      toTarget: center
+    };
+  }
+
+  /**
+   * Advance a running camera flight (called every frame)
+   */
+  updateCameraFlight() {
+    const flight = this.cameraFlight;
+    if (!flight) return;
+    const t = Math.min(1, (performance.now() - flight.start) / this.config.flightDuration);
+    const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // Ease in-out
+    this.camera.position.lerpVectors(flight.fromPosition, flight.toPosition, eased);
+    this.controls.target.lerpVectors(flight.fromTarget, flight.toTarget, eased);
+    if (t === 1) this.cameraFlight = null;
   }
 
   /**
@@ -700,11 +1534,25 @@ class Scene3D {
 
   /**
    * Export the current scene as a screenshot
+   * @param {Function} [drawOverlay] - Optional (context, width, height) callback to paint
+   *   HTML overlays such as the legend on top of the rendered frame
    * @returns {string} Data URL of the screenshot
    */
-  exportScreenshot() {
+  exportScreenshot(drawOverlay) {
     this.renderer.render(this.scene, this.camera);
-    return this.renderer.domElement.toDataURL('image/png');
+    const source = this.renderer.domElement;
+    if (!drawOverlay) {
+      return source.toDataURL('image/png');
+    }
+    
+    // Copy the frame right after rendering, before the drawing buffer is cleared
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(source, 0, 0);
+    drawOverlay(context, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
   }
 
   /**
@@ -715,6 +1563,8 @@ class Scene3D {
     return {
       dataPoints: this.dataPoints,
       config: this.config,
+      axisInfo: this.axisInfo,
+      edges: this.edges,
       camera: {
         position: this.camera.position.toArray(),
         target: this.controls.target.toArray()
@@ -737,7 +1587,9 @@ class Scene3D {
       this.config = { ...this.config, ...sceneData.config };
     }
     
-    // Visualize data
+    // Visualize data (axes are rebuilt from the saved annotations)
+    this.axisInfo = sceneData.axisInfo || null;
+    this.edges = sceneData.edges || [];
     this.visualizeData(sceneData.dataPoints);
     
     // Restore camera position
@@ -772,11 +1624,13 @@ class Scene3D {
   // --- New/Modified Analysis Visual Methods --- 
   
   /**
-   * Clear analysis-related visuals (outlier highlights, correlation lines).
+   * Clear analysis-related visuals (outlier highlights, correlation lines, group envelopes, fitted surface).
    */
   clearAnalysisVisuals() {
     this.clearHighlights();
     this.clearCorrelationLines();
+    this.clearEnvelopes();
+    this.clearFitSurface();
   }
 
   /**
@@ -788,34 +1642,9 @@ class Scene3D {
     console.log(`Highlighting ${highlightIndices.length} nodes, dimming ${dimIndices.length}.`);
     this.clearHighlights(); // Clear previous highlights first
 
-    const highlightSet = new Set(highlightIndices);
-    const dimSet = new Set(dimIndices);
-    const highlightColor = new THREE.Color(0xffffff); // Bright white for highlight
-    const dimColor = new THREE.Color(0x444444); // Dark grey for dimmed
-    const highlightIntensity = 1.0;
-    const dimIntensity = 0.2;
-    
-    this.nodes.forEach(node => {
-      const originalIndex = node.userData.originalIndex; // Assuming userData.originalIndex holds original index
-      
-      if (highlightSet.has(originalIndex)) {
-        // Apply highlight material modification
-        node.material.emissive = highlightColor;
-        node.material.emissiveIntensity = highlightIntensity;
-        node.scale.set(1.2, 1.2, 1.2); // Slightly larger
-      } else if (dimSet.has(originalIndex)) {
-        // Apply dimmed material modification
-        node.material.emissive = dimColor;
-        node.material.emissiveIntensity = dimIntensity;
-         node.scale.set(0.8, 0.8, 0.8); // Slightly smaller
-      } else {
-         // Ensure non-highlighted/dimmed nodes are reset (should be handled by clearHighlights ideally)
-         node.material.emissive = new THREE.Color(0x000000); // No emission
-         node.material.emissiveIntensity = 0;
-         node.scale.set(1, 1, 1); // Reset scale
-      }
-      node.material.needsUpdate = true; // Important for material changes
-    });
+    dimIndices.forEach(index => this.highlightStates.set(index, 'dim'));
+    highlightIndices.forEach(index => this.highlightStates.set(index, 'highlight'));
+    this.highlightStates.forEach((state, index) => this.refreshNodeStyle(index));
   }
 
   /**
@@ -823,78 +1652,80 @@ class Scene3D {
    */
   clearHighlights() {
     console.log('Clearing node highlights.');
-    this.nodes.forEach(node => {
-      // Restore original appearance (or simply reset emissive/scale)
-      node.material.emissive = new THREE.Color(0x000000); // Black emissive
-      node.material.emissiveIntensity = 0;
-      node.material.needsUpdate = true;
-      node.scale.set(1, 1, 1); // Reset scale
-    });
-    // Also potentially clear the main selectedNode highlight if necessary
+    const previous = [...this.highlightStates.keys()];
+    this.highlightStates.clear();
+    previous.forEach(index => this.refreshNodeStyle(index));
+    // Also potentially clear the main selection highlight if necessary
     // this.clearSelection(); // Uncomment if selection should also be cleared
   }
 
   /**
-   * Draws lines representing correlations between nodes.
+   * Draw lines between nodes in locally correlated regions. Colour gives the sign (and fades
+   * with weaker coefficients), width grows with the absolute coefficient.
    * @param {Array<{point1Index: number, point2Index: number, correlationValue: number}>} correlationData
    */
   drawCorrelationLines(correlationData = []) {
     console.log(`Scene3D: Drawing ${correlationData.length} correlation lines...`);
     this.clearCorrelationLines(); // Clear existing lines first
 
-    if (correlationData.length === 0) {
+    const lines = correlationData.filter(corr => this.nodeLookup[corr.point1Index] && this.nodeLookup[corr.point2Index]);
+    if (lines.length < correlationData.length) {
+      console.warn(`Scene3D: ${correlationData.length - lines.length} correlation pairs refer to missing nodes.`);
+    }
+    if (lines.length === 0) {
       console.log('Scene3D: No correlation data to draw.');
       return;
     }
-    
-    const nodesMap = new Map();
-    this.nodesGroup.children.forEach(node => {
-        // Ensure we are using the correct property for the original index
-        const originalIndex = node.userData.originalIndex;
-        if (node.userData && typeof originalIndex === 'number') {
-            nodesMap.set(originalIndex, node);
-        } else {
-            // Log if a node is missing the expected index
-            console.warn('Scene3D: Node found without valid originalIndex in userData:', node.userData);
-        }
-    });
-    console.log(`Scene3D: Created nodesMap with ${nodesMap.size} entries.`);
 
-    const lineMaterialStrongPositive = new THREE.LineBasicMaterial({
-      color: 0x00ff00, // Green for strong positive correlation
-      linewidth: 1.5, 
-      transparent: true,
-      opacity: 0.7
-    });
-    const lineMaterialStrongNegative = new THREE.LineBasicMaterial({
-      color: 0xff00ff, // Magenta for strong negative correlation
-      linewidth: 1.5, 
-      transparent: true,
-      opacity: 0.7
-    });
-    
-    let linesAdded = 0;
+    // Widths span the coefficients present, so a high threshold still shows a range
+    const minAbs = lines.reduce((lowest, corr) => Math.min(lowest, Math.abs(corr.correlationValue)), 1);
+    const levels = Math.max(1, this.config.correlationWidthLevels);
+    const strengthOf = corr => (minAbs >= 1 ? 1 : (Math.abs(corr.correlationValue) - minAbs) / (1 - minAbs));
+    const bandLines = Array.from({ length: levels }, () => []);
+    lines.forEach(corr => bandLines[Math.min(levels - 1, Math.floor(strengthOf(corr) * levels))].push(corr));
+
+    const fatLines = typeof THREE.LineSegments2 === 'function';
+    if (!fatLines) console.warn('Scene3D: THREE.LineSegments2 not found, correlation lines are drawn 1px wide.');
+    const { min, max } = this.config.correlationLineWidth;
+    const positive = new THREE.Color(this.config.correlationColors.positive);
+    const negative = new THREE.Color(this.config.correlationColors.negative);
+    const color = new THREE.Color();
 
-    correlationData.forEach((corr, idx) => {
-      const node1 = nodesMap.get(corr.point1Index);
-      const node2 = nodesMap.get(corr.point2Index);
+    bandLines.forEach((band, level) => {
+      if (band.length === 0) return;
+      const positions = new Float32Array(band.length * 6);
+      const colors = new Float32Array(band.length * 6);
+      band.forEach((corr, i) => {
+        const a = this.dataPoints[corr.point1Index].position;
+        const b = this.dataPoints[corr.point2Index].position;
+        positions.set([a.x, a.y, a.z, b.x, b.y, b.z], i * 6);
+        color.copy(corr.correlationValue > 0 ? positive : negative).multiplyScalar(0.4 + 0.6 * strengthOf(corr));
+        colors.set([color.r, color.g, color.b, color.r, color.g, color.b], i * 6);
+      });
 
-      if (node1 && node2) {
-        const points = [node1.position.clone(), node2.position.clone()];
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-        const material = corr.correlationValue > 0 ? lineMaterialStrongPositive.clone() : lineMaterialStrongNegative.clone();
-        const line = new THREE.Line(geometry, material);
-        this.analysisGroup.add(line);
-        linesAdded++;
-        // console.log(`Scene3D: Added correlation line ${idx} between index ${corr.point1Index} and ${corr.point2Index}`);
+      let segments;
+      if (fatLines) {
+        const geometry = new THREE.LineSegmentsGeometry();
+        geometry.setPositions(positions);
+        geometry.setColors(colors);
+        const material = new THREE.LineMaterial({
+          linewidth: levels === 1 ? max : min + (max - min) * level / (levels - 1),
+          vertexColors: true,
+          transparent: true,
+          opacity: this.config.correlationOpacity
+        });
+        material.resolution.set(this.container.clientWidth, this.container.clientHeight);
+        segments = new THREE.LineSegments2(geometry, material);
       } else {
-        console.warn(`Scene3D: Could not find nodes for correlation pair indices: ${corr.point1Index} <-> ${corr.point2Index}`);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        const material = new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: this.config.correlationOpacity });
+        segments = new THREE.LineSegments(geometry, material);
       }
+      this.correlationGroup.add(segments);
     });
-    console.log(`Scene3D: Added ${linesAdded} correlation lines to analysisGroup.`);
-    if (linesAdded === 0 && correlationData.length > 0) {
-        console.warn("Scene3D: Correlation data was provided, but no lines were added (check nodesMap and indices).");
-    }
+    console.log(`Scene3D: Added ${lines.length} correlation lines to correlationGroup.`);
   }
 
   /**
@@ -903,9 +1734,9 @@ class Scene3D {
   clearCorrelationLines() {
     console.log('Clearing correlation lines...');
     let removedCount = 0;
-    while (this.analysisGroup.children.length > 0) {
-      const line = this.analysisGroup.children[0];
-      this.analysisGroup.remove(line);
+    const lines = [...this.correlationGroup.children];
+    lines.forEach(line => {
+      this.correlationGroup.remove(line);
       if (line.geometry) line.geometry.dispose();
       if (line.material) {
           if (Array.isArray(line.material)) {
@@ -915,9 +1746,211 @@ class Scene3D {
           }
       }
       removedCount++;
-    }
+    });
     console.log(`Removed ${removedCount} correlation lines.`);
   }
+
+  /**
+   * Draw a semi-transparent convex hull or covariance ellipsoid around each group of nodes
+   * @param {Array<{key: string|null, label: string, color: string, indices: Array<number>}>} groups - Groups
+   *   from ColorLegend.getGroups
+   * @param {string} mode - 'hull' or 'ellipsoid'
+   * @param {Iterable<string|null>} [hiddenKeys=[]] - Group keys toggled off in the legend
+   */
+  drawEnvelopes(groups, mode, hiddenKeys = []) {
+    this.clearEnvelopes();
+    let skipped = 0;
+
+    groups.forEach(group => {
+      const positions = group.indices
+        .map(index => this.dataPoints[index])
+        .filter(point => point && this.isValidPoint(point))
+        .map(point => point.position);
+      const envelope = mode === 'ellipsoid'
+        ? Envelopes.covarianceEllipsoid(positions, { minRadius: this.config.envelopeMinRadius })
+        : Envelopes.convexHull(positions);
+      if (!envelope) {
+        skipped++;
+        return;
+      }
+
+      const material = new THREE.MeshLambertMaterial({
+        color: group.color,
+        transparent: true,
+        opacity: this.config.envelopeOpacity,
+        side: THREE.DoubleSide,
+        depthWrite: false // Nodes inside stay visible through the surface
+      });
+      let mesh;
+      if (mode === 'ellipsoid') {
+        mesh = new THREE.Mesh(new THREE.SphereGeometry(1, 32, 16), material);
+        const [u, v, w] = envelope.axes.map(axis => new THREE.Vector3(axis.x, axis.y, axis.z));
+        mesh.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(u, v, w));
+        mesh.scale.set(...envelope.radii);
+        mesh.position.set(envelope.center.x, envelope.center.y, envelope.center.z);
+      } else {
+        // Only hull vertices go into the buffer
+        const vertexIndex = new Map(envelope.vertices.map((index, i) => [index, i]));
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(
+          envelope.vertices.flatMap(index => [positions[index].x, positions[index].y, positions[index].z]), 3));
+        geometry.setIndex(envelope.faces.flat().map(index => vertexIndex.get(index)));
+        geometry.computeVertexNormals();
+        mesh = new THREE.Mesh(geometry, material);
+      }
+      mesh.renderOrder = 1; // After the opaque nodes
+      mesh.userData = {
+        envelopeKey: group.key,
+        mode,
+        label: group.label,
+        count: positions.length,
+        centroid: Envelopes.centroid(positions),
+        volume: envelope.volume
+      };
+      this.envelopeGroup.add(mesh);
+    });
+
+    this.setHiddenEnvelopes(hiddenKeys);
+    console.log(`Scene3D: Drew ${this.envelopeGroup.children.length} group envelopes (${mode}), skipped ${skipped} groups too small or flat.`);
+  }
+
+  /**
+   * Show every envelope except those of hidden groups
+   * @param {Iterable<string|null>} hiddenKeys - Group keys toggled off in the legend
+   */
+  setHiddenEnvelopes(hiddenKeys) {
+    const hidden = new Set(hiddenKeys);
+    this.envelopeGroup.children.forEach(mesh => {
+      mesh.visible = !hidden.has(mesh.userData.envelopeKey);
+    });
+  }
+
+  /**
+   * Remove all group envelopes
+   */
+  clearEnvelopes() {
+    this.disposeGroup(this.envelopeGroup);
+  }
+
+  /**
+   * Convert a data value to a scene coordinate along an annotated axis
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @param {number} value - Value in data units
+   * @returns {number} Scene coordinate
+   */
+  dataToScene(axis, value) {
+    const annotation = this.axisInfo[axis];
+    if (annotation.max === annotation.min) return (annotation.sceneMin + annotation.sceneMax) / 2;
+    return annotation.sceneMin + (value - annotation.min) / (annotation.max - annotation.min) * (annotation.sceneMax - annotation.sceneMin);
+  }
+
+  /**
+   * Draw a fitted surface as a translucent mesh over the X/Y extent of the fitted rows,
+   * clipped to the Z axis range
+   * @param {Object} fit - Result of DataProcessor.fitSurface; weights apply to [1, x, y, x², xy, y²] in data units
+   * @returns {boolean} False if the axes don't show the fitted columns
+   */
+  drawFitSurface(fit) {
+    this.clearFitSurface();
+    const info = this.axisInfo;
+    if (!info || ['x', 'y', 'z'].some(axis => !info[axis] || info[axis].column !== fit.columns[axis])) {
+      console.warn('Scene3D: Axes do not show the fitted columns; surface not drawn.');
+      return false;
+    }
+
+    const segments = this.config.fitSurfaceSegments;
+    const [xMin, xMax] = fit.range.x;
+    const [yMin, yMax] = fit.range.y;
+    const positions = [];
+    for (let j = 0; j <= segments; j++) {
+      const y = yMin + (yMax - yMin) * j / segments;
+      for (let i = 0; i <= segments; i++) {
+        const x = xMin + (xMax - xMin) * i / segments;
+        const z = [1, x, y, x * x, x * y, y * y].reduce((sum, term, k) => sum + term * (fit.weights[k] || 0), 0);
+        positions.push(this.dataToScene('x', x), this.dataToScene('y', y), this.dataToScene('z', z));
+      }
+    }
+    const indices = [];
+    for (let j = 0; j < segments; j++) {
+      for (let i = 0; i < segments; i++) {
+        const a = j * (segments + 1) + i;
+        const b = a + segments + 1;
+        indices.push(a, a + 1, b, a + 1, b + 1, b);
+      }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+
+    const zLimits = [info.z.sceneMin, info.z.sceneMax];
+    const clippingPlanes = [
+      new THREE.Plane(new THREE.Vector3(0, 0, 1), -Math.min(...zLimits)),
+      new THREE.Plane(new THREE.Vector3(0, 0, -1), Math.max(...zLimits))
+    ];
+    const surface = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({
+      color: this.config.fitSurfaceColor,
+      transparent: true,
+      opacity: this.config.fitSurfaceOpacity,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      clippingPlanes
+    }));
+    surface.renderOrder = 1;
+    // Grid lines make the curvature readable
+    const wireframe = new THREE.LineSegments(new THREE.WireframeGeometry(geometry), new THREE.LineBasicMaterial({
+      color: this.config.fitSurfaceColor,
+      transparent: true,
+      opacity: this.config.fitSurfaceOpacity,
+      clippingPlanes
+    }));
+    this.fitGroup.add(surface);
+    this.fitGroup.add(wireframe);
+    console.log(`Scene3D: Drew ${fit.model} surface (${segments}x${segments} cells).`);
+    return true;
+  }
+
+  /**
+   * Remove the fitted surface
+   */
+  clearFitSurface() {
+    this.disposeGroup(this.fitGroup);
+  }
+
+  /**
+   * Describe a group envelope for the tooltip. With axis annotations the centroid
+   * and volume are given in data units, otherwise in scene units.
+   * @param {Object} stats - userData of an envelope mesh
+   * @returns {string} HTML
+   */
+  formatEnvelopeStats(stats) {
+    const axes = ['x', 'y', 'z'];
+    const info = this.axisInfo;
+    // Data units per scene unit along each axis
+    const scales = axes.map(axis => {
+      const annotation = info && info[axis];
+      if (!annotation || annotation.sceneMax === annotation.sceneMin) return null;
+      return (annotation.max - annotation.min) / (annotation.sceneMax - annotation.sceneMin);
+    });
+    const inDataUnits = scales.every(scale => scale !== null && scale !== 0);
+    const format = value => Number.isInteger(value) ? String(value) : value.toPrecision(4);
+
+    const centroid = axes.map((axis, i) => {
+      const value = inDataUnits
+        ? info[axis].min + (stats.centroid[axis] - info[axis].sceneMin) * scales[i]
+        : stats.centroid[axis];
+      return inDataUnits ? `${info[axis].column}: ${format(value)}` : `${axis}: ${format(value)}`;
+    });
+    const volume = inDataUnits
+      ? stats.volume * Math.abs(scales[0] * scales[1] * scales[2])
+      : stats.volume;
+
+    return `<strong>${stats.label}</strong><br>` +
+      `${stats.mode === 'ellipsoid' ? 'Covariance ellipsoid (95%)' : 'Convex hull'}<br>` +
+      `Points: ${stats.count}<br>` +
+      `Centroid: ${centroid.join(', ')}<br>` +
+      `Volume: ${format(volume)}${inDataUnits ? '' : ' (scene units)'}`;
+  }
 }
 
 // Export the Scene3D class
@@ -0,0 +1,299 @@
+/**
+ * Brush Panel - Collapsible strip of column histograms along the bottom of the scene
+ * Dragging across a histogram brushes a range of that column; brushes on several
+ * columns combine with AND. Grey bars count every row, blue bars the rows inside
+ * the other columns' brushes. Clicking a histogram without dragging clears its brush.
+ */
+class BrushPanel {
+  /**
+   * @param {HTMLElement} container - Element to overlay (the visualization container)
+   * @param {Object} [options]
+   * @param {Function} [options.onBrush] - Called with (column, [min, max] or null, done) while a brush is dragged,
+   *   with done true once the mouse is released
+   * @param {Function} [options.onClear] - Called when Clear Brushes is clicked
+   * @param {Function} [options.onColumnsChange] - Called with the new column list when a histogram is added or removed
+   * @param {Function} [options.onModeChange] - Called with 'filter' or 'highlight'
+   * @param {Function} [options.onApply] - Called when Re-run Layout is clicked
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onBrush = options.onBrush || (() => {});
+    this.onClear = options.onClear || (() => {});
+    this.onColumnsChange = options.onColumnsChange || (() => {});
+    this.onModeChange = options.onModeChange || (() => {});
+    this.onApply = options.onApply || (() => {});
+    this.histograms = [];
+    this.brushes = {};
+    this.columns = []; // Columns shown, in order
+    this.availableColumns = []; // Numeric columns that can be added
+    this.mode = 'filter';
+    this.selectedCount = 0;
+    this.totalCount = 0;
+    this.layoutStale = false;
+    this.collapsed = false;
+    this.drag = null; // { startX, start } while a brush is dragged
+
+    this.element = document.createElement('div');
+    this.element.id = 'brush-strip';
+    this.element.style.display = 'none';
+    this.container.appendChild(this.element);
+  }
+
+  /**
+   * Show new histograms and brush state
+   * @param {Object|null} state - null hides the strip
+   * @param {Array} state.histograms - Histograms from DataProcessor.computeBrushHistograms
+   * @param {Object} state.brushes - Column -> [min, max] brushed range
+   * @param {Array<string>} state.columns - Columns shown
+   * @param {Array<string>} state.availableColumns - Numeric columns that can be added
+   * @param {string} state.mode - 'filter' or 'highlight'
+   * @param {number} state.selectedCount - Rows inside every brush
+   * @param {number} state.totalCount - Rows counted
+   * @param {boolean} [state.layoutStale] - Whether the layout was prepared with other brushes than the current ones
+   */
+  update(state) {
+    if (!state) {
+      this.histograms = [];
+      this.element.style.display = 'none';
+      return;
+    }
+    this.histograms = state.histograms;
+    this.brushes = { ...state.brushes };
+    this.columns = state.columns;
+    this.availableColumns = state.availableColumns;
+    this.mode = state.mode;
+    this.selectedCount = state.selectedCount;
+    this.totalCount = state.totalCount;
+    this.layoutStale = !!state.layoutStale;
+    this.render();
+  }
+
+  /**
+   * Rebuild the strip DOM
+   */
+  render() {
+    this.element.innerHTML = '';
+    this.element.style.display = 'block';
+    this.element.appendChild(this.createHeader());
+    if (this.collapsed) return;
+
+    const body = document.createElement('div');
+    body.className = 'brush-body';
+    if (this.histograms.length === 0) {
+      const empty = document.createElement('span');
+      empty.className = 'brush-empty';
+      empty.textContent = 'Add a numeric column to brush it.';
+      body.appendChild(empty);
+    }
+    this.histograms.forEach(histogram => body.appendChild(this.createHistogram(histogram)));
+    this.element.appendChild(body);
+  }
+
+  /**
+   * Create the header: collapse toggle, selection count, mode, column picker, re-run and clear buttons
+   * @returns {HTMLElement} Header element
+   */
+  createHeader() {
+    const header = document.createElement('div');
+    header.className = 'brush-header';
+
+    const toggle = document.createElement('button');
+    toggle.className = 'brush-toggle';
+    toggle.textContent = `${this.collapsed ? '▸' : '▾'} Histograms`;
+    toggle.title = this.collapsed ? 'Show the histograms' : 'Hide the histograms';
+    toggle.addEventListener('click', () => {
+      this.collapsed = !this.collapsed;
+      this.render();
+    });
+    header.appendChild(toggle);
+
+    const count = document.createElement('span');
+    count.className = 'brush-count';
+    const brushCount = Object.keys(this.brushes).length;
+    count.textContent = brushCount === 0
+      ? `${this.totalCount} rows, drag across a histogram to brush`
+      : `${this.selectedCount} of ${this.totalCount} rows inside ${brushCount} brush${brushCount === 1 ? '' : 'es'}`;
+    header.appendChild(count);
+
+    const mode = document.createElement('select');
+    mode.className = 'brush-mode';
+    mode.title = 'Filter drops the rows outside the brushes, Highlight dims them';
+    [['filter', 'Filter'], ['highlight', 'Highlight']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      mode.appendChild(option);
+    });
+    mode.value = this.mode;
+    mode.addEventListener('change', () => this.onModeChange(mode.value));
+    header.appendChild(mode);
+
+    const add = document.createElement('select');
+    add.className = 'brush-add';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Add column...';
+    add.appendChild(placeholder);
+    this.availableColumns.filter(column => !this.columns.includes(column)).forEach(column => {
+      const option = document.createElement('option');
+      option.value = column;
+      option.textContent = column;
+      add.appendChild(option);
+    });
+    add.addEventListener('change', () => {
+      if (add.value) this.onColumnsChange([...this.columns, add.value]);
+    });
+    header.appendChild(add);
+
+    const apply = document.createElement('button');
+    apply.className = 'brush-apply';
+    apply.textContent = 'Re-run Layout';
+    apply.title = this.mode === 'filter'
+      ? 'Re-run the layout on the rows inside the brushes; until then the other points are only hidden'
+      : 'Re-run the layout on every row';
+    apply.disabled = !this.layoutStale;
+    apply.addEventListener('click', () => this.onApply());
+    header.appendChild(apply);
+
+    const clear = document.createElement('button');
+    clear.className = 'brush-clear';
+    clear.textContent = 'Clear Brushes';
+    clear.disabled = brushCount === 0;
+    clear.addEventListener('click', () => this.onClear());
+    header.appendChild(clear);
+    return header;
+  }
+
+  /**
+   * Create one column's histogram with its brush
+   * @param {Object} histogram - Histogram from computeBrushHistograms
+   * @returns {HTMLElement} Histogram card
+   */
+  createHistogram(histogram) {
+    const card = document.createElement('div');
+    card.className = 'brush-card';
+
+    const title = document.createElement('div');
+    title.className = 'brush-title';
+    const name = document.createElement('span');
+    name.className = 'brush-name';
+    name.textContent = histogram.column;
+    name.title = histogram.column;
+    const remove = document.createElement('button');
+    remove.className = 'brush-remove';
+    remove.textContent = '×';
+    remove.title = `Remove ${histogram.column}`;
+    remove.addEventListener('click', () => this.onColumnsChange(this.columns.filter(column => column !== histogram.column)));
+    title.appendChild(name);
+    title.appendChild(remove);
+    card.appendChild(title);
+
+    const plot = document.createElement('div');
+    plot.className = 'brush-plot';
+    const peak = Math.max(1, ...histogram.counts);
+    const width = (histogram.max - histogram.min) / histogram.counts.length;
+    histogram.counts.forEach((count, i) => {
+      const slot = document.createElement('div');
+      slot.className = 'brush-bar-slot';
+      slot.title = `${this.formatValue(histogram.min + i * width)} – ${this.formatValue(histogram.min + (i + 1) * width)}: ${histogram.selected[i]} of ${count}`;
+      const bar = document.createElement('div');
+      bar.className = 'brush-bar';
+      bar.style.height = `${count / peak * 100}%`;
+      const selected = document.createElement('div');
+      selected.className = 'brush-bar brush-bar-selected';
+      selected.style.height = `${histogram.selected[i] / peak * 100}%`;
+      slot.appendChild(bar);
+      slot.appendChild(selected);
+      plot.appendChild(slot);
+    });
+
+    const range = this.brushes[histogram.column];
+    if (range && histogram.max > histogram.min) {
+      const span = histogram.max - histogram.min;
+      const left = Math.max(0, Math.min(1, (range[0] - histogram.min) / span));
+      const right = Math.max(left, Math.min(1, (range[1] - histogram.min) / span));
+      const brush = document.createElement('div');
+      brush.className = 'brush-range';
+      brush.style.left = `${left * 100}%`;
+      brush.style.width = `${(right - left) * 100}%`;
+      plot.appendChild(brush);
+    }
+    plot.addEventListener('mousedown', event => this.startDrag(event, histogram, plot));
+    card.appendChild(plot);
+
+    const axis = document.createElement('div');
+    axis.className = 'brush-axis';
+    const low = document.createElement('span');
+    const high = document.createElement('span');
+    if (range) {
+      low.textContent = this.formatValue(range[0]);
+      high.textContent = this.formatValue(range[1]);
+      axis.classList.add('brush-axis-active');
+    } else {
+      low.textContent = this.formatValue(histogram.min);
+      high.textContent = this.formatValue(histogram.max);
+    }
+    axis.appendChild(low);
+    axis.appendChild(high);
+    card.appendChild(axis);
+    return card;
+  }
+
+  /**
+   * Start brushing a histogram. Moves and the release are tracked on the document,
+   * so the strip can be re-rendered while the brush is dragged.
+   * @param {MouseEvent} event - mousedown event
+   * @param {Object} histogram - Histogram being brushed
+   * @param {HTMLElement} plot - Plot element the mouse went down on
+   */
+  startDrag(event, histogram, plot) {
+    if (event.button !== 0 || histogram.max <= histogram.min) return;
+    event.preventDefault();
+    const rect = plot.getBoundingClientRect();
+    this.drag = { startX: event.clientX, start: this.valueAt(event.clientX, histogram, rect) };
+
+    const onMove = moveEvent => {
+      const value = this.valueAt(moveEvent.clientX, histogram, rect);
+      this.onBrush(histogram.column, [Math.min(this.drag.start, value), Math.max(this.drag.start, value)], false);
+    };
+    const onUp = upEvent => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      // A click without a drag clears the brush
+      if (Math.abs(upEvent.clientX - this.drag.startX) < 3) {
+        this.onBrush(histogram.column, null, true);
+      } else {
+        const value = this.valueAt(upEvent.clientX, histogram, rect);
+        this.onBrush(histogram.column, [Math.min(this.drag.start, value), Math.max(this.drag.start, value)], true);
+      }
+      this.drag = null;
+    };
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  }
+
+  /**
+   * Convert a mouse position to a column value
+   * @param {number} clientX - Mouse x in client coordinates
+   * @param {Object} histogram - Histogram under the mouse
+   * @param {DOMRect} rect - Bounds of its plot
+   * @returns {number} Value, clamped to the histogram range
+   */
+  valueAt(clientX, histogram, rect) {
+    const t = rect.width > 0 ? Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) : 0;
+    return histogram.min + t * (histogram.max - histogram.min);
+  }
+
+  /**
+   * Format an axis value
+   * @param {number} value - Value to format
+   * @returns {string} Display text
+   */
+  formatValue(value) {
+    if (typeof value !== 'number' || !isFinite(value)) return String(value);
+    return Number.isInteger(value) ? String(value) : value.toPrecision(4);
+  }
+}
+
+// Export the BrushPanel class
+window.BrushPanel = BrushPanel;
@@ -0,0 +1,124 @@
+/**
+ * Cluster Summary - Sidebar panel describing the clusters of a clustering layout
+ * Each cluster shows its size, the columns that set it apart from the other
+ * points and a button that flies the camera to it. Expanding a cluster lists
+ * the mean and standard deviation of every numeric column.
+ */
+class ClusterSummary {
+  /**
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} [options]
+   * @param {Function} [options.onFlyTo] - Called with the point indices of a cluster when its Fly To button is clicked
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onFlyTo = options.onFlyTo || (() => {});
+    this.summary = null;
+    this.total = 0;
+  }
+
+  /**
+   * Show a new summary
+   * @param {Array<Object>|null} summary - Clusters from DataProcessor.summarizeClusters, or null to clear
+   */
+  update(summary) {
+    this.summary = summary && summary.length > 0 ? summary : null;
+    this.total = this.summary ? this.summary.reduce((sum, cluster) => sum + cluster.size, 0) : 0;
+    this.render();
+  }
+
+  /**
+   * Rebuild the panel DOM
+   */
+  render() {
+    this.container.innerHTML = '';
+    if (!this.summary) return;
+
+    this.summary.forEach(cluster => {
+      const card = document.createElement('div');
+      card.className = 'cluster-card';
+
+      const header = document.createElement('div');
+      header.className = 'cluster-header';
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      swatch.style.backgroundColor = cluster.color;
+      const name = document.createElement('span');
+      name.className = 'cluster-name';
+      name.textContent = cluster.label;
+      const size = document.createElement('span');
+      size.className = 'cluster-size';
+      size.textContent = `${cluster.size} (${(cluster.size / this.total * 100).toFixed(1)}%)`;
+      const flyButton = document.createElement('button');
+      flyButton.className = 'cluster-fly-btn';
+      flyButton.textContent = 'Fly To';
+      flyButton.title = `Move the camera to ${cluster.label}`;
+      flyButton.addEventListener('click', () => this.onFlyTo(cluster.indices));
+      header.appendChild(swatch);
+      header.appendChild(name);
+      header.appendChild(size);
+      header.appendChild(flyButton);
+      card.appendChild(header);
+
+      // Columns whose cluster mean is furthest from the overall mean
+      const features = document.createElement('div');
+      features.className = 'cluster-features';
+      features.textContent = cluster.distinguishing.length > 0
+        ? cluster.distinguishing.map(feature => `${feature.column} ${feature.effect >= 0 ? '↑' : '↓'} ${Math.abs(feature.effect).toFixed(1)}σ`).join(', ')
+        : 'No distinguishing numeric columns';
+      features.title = 'Difference of the cluster mean from the overall mean, in standard deviations';
+      card.appendChild(features);
+
+      card.appendChild(this.createStatsTable(cluster));
+      this.container.appendChild(card);
+    });
+  }
+
+  /**
+   * Create the expandable mean/standard deviation table of a cluster
+   * @param {Object} cluster - Cluster summary
+   * @returns {HTMLElement} details element
+   */
+  createStatsTable(cluster) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'Column statistics';
+    details.appendChild(summary);
+
+    const table = document.createElement('table');
+    table.className = 'cluster-stats';
+    const head = document.createElement('tr');
+    ['Column', 'Mean', 'Std'].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      head.appendChild(cell);
+    });
+    table.appendChild(head);
+
+    Object.entries(cluster.stats).forEach(([column, stats]) => {
+      const row = document.createElement('tr');
+      [column, this.formatValue(stats.mean), this.formatValue(stats.std)].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    details.appendChild(table);
+    return details;
+  }
+
+  /**
+   * Format a statistic for display
+   * @param {number|null} value - Value to format
+   * @returns {string} Formatted value
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '-';
+    if (Number.isInteger(value)) return String(value);
+    return Math.abs(value) >= 1000 || Math.abs(value) < 0.01 ? value.toPrecision(3) : value.toFixed(2);
+  }
+}
+
+// Export the ClusterSummary class
+window.ClusterSummary = ClusterSummary;
@@ -0,0 +1,266 @@
+/**
+ * Color Legend - Overlay explaining the active colour map
+ * Numeric maps show a gradient bar with min/max values, categorical maps a
+ * swatch list with counts. Clicking an entry toggles that category's points,
+ * and swatches of column legends open a colour picker.
+ */
+class ColorLegend {
+  /**
+   * @param {HTMLElement} container - Element to overlay (the visualization container)
+   * @param {Object} [options]
+   * @param {Function} [options.onVisibilityChange] - Called with the hidden point indices after a toggle
+   * @param {Function} [options.onColorChange] - Called with (column, categoryKey, color) when a swatch colour is edited
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onVisibilityChange = options.onVisibilityChange || (() => {});
+    this.onColorChange = options.onColorChange || (() => {});
+    this.legend = null;
+    this.dataPoints = [];
+    this.hiddenKeys = new Set(); // Category keys toggled off by the user
+
+    this.element = document.createElement('div');
+    this.element.id = 'color-legend';
+    this.element.style.display = 'none';
+    this.container.appendChild(this.element);
+  }
+
+  /**
+   * Show a new legend for freshly rendered points
+   * @param {Object|null} legend - Legend from DataProcessor.buildColorLegend/buildClusterLegend
+   * @param {Array} dataPoints - Points currently in the scene
+   */
+  update(legend, dataPoints = []) {
+    // Keep toggled-off categories while the same column stays on the legend
+    if (!legend || !this.legend || legend.column !== this.legend.column || legend.type !== 'categorical') {
+      this.hiddenKeys.clear();
+    }
+    this.legend = legend;
+    this.dataPoints = dataPoints;
+    this.render();
+  }
+
+  /**
+   * Remove the legend and forget hidden categories
+   */
+  clear() {
+    this.update(null, []);
+  }
+
+  /**
+   * Rebuild the overlay DOM
+   */
+  render() {
+    this.element.innerHTML = '';
+    if (!this.legend) {
+      this.element.style.display = 'none';
+      return;
+    }
+    this.element.style.display = 'block';
+
+    const title = document.createElement('div');
+    title.className = 'legend-title';
+    title.textContent = this.legend.column;
+    this.element.appendChild(title);
+
+    if (this.legend.type === 'numeric') {
+      const bar = document.createElement('div');
+      bar.className = 'legend-gradient';
+      bar.style.background = `linear-gradient(to right, ${this.legend.stops.join(', ')})`;
+      this.element.appendChild(bar);
+
+      const range = document.createElement('div');
+      range.className = 'legend-range';
+      const min = document.createElement('span');
+      min.textContent = this.formatValue(this.legend.min);
+      const max = document.createElement('span');
+      max.textContent = this.formatValue(this.legend.max);
+      range.appendChild(min);
+      range.appendChild(max);
+      this.element.appendChild(range);
+      return;
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'legend-items';
+    this.legend.items.forEach(item => {
+      const entry = document.createElement('li');
+      entry.className = 'legend-item' + (this.hiddenKeys.has(item.key) ? ' legend-item-hidden' : '');
+      entry.title = 'Click to show/hide';
+
+      const swatch = this.createSwatch(item);
+      const label = document.createElement('span');
+      label.className = 'legend-label';
+      label.textContent = item.label;
+      const count = document.createElement('span');
+      count.className = 'legend-count';
+      count.textContent = item.count;
+
+      entry.appendChild(swatch);
+      entry.appendChild(label);
+      entry.appendChild(count);
+      entry.addEventListener('click', () => this.toggleCategory(item.key));
+      list.appendChild(entry);
+    });
+    this.element.appendChild(list);
+  }
+
+  /**
+   * Create a category swatch; editable legends get a colour picker instead of a plain block
+   * @param {Object} item - Legend item
+   * @returns {HTMLElement} Swatch element
+   */
+  createSwatch(item) {
+    if (!this.legend.editable || item.key === null) {
+      const swatch = document.createElement('span');
+      swatch.className = 'legend-swatch';
+      swatch.style.backgroundColor = item.color;
+      return swatch;
+    }
+
+    const picker = document.createElement('input');
+    picker.type = 'color';
+    picker.className = 'legend-swatch legend-color-input';
+    picker.value = item.color.toLowerCase();
+    picker.title = 'Change colour';
+    // Picking a colour must not toggle the category
+    picker.addEventListener('click', event => event.stopPropagation());
+    picker.addEventListener('change', () => this.onColorChange(this.legend.column, item.key, picker.value));
+    return picker;
+  }
+
+  /**
+   * Show or hide every point in a category
+   * @param {string|null} key - Legend item key
+   */
+  toggleCategory(key) {
+    if (this.hiddenKeys.has(key)) {
+      this.hiddenKeys.delete(key);
+    } else {
+      this.hiddenKeys.add(key);
+    }
+    this.render();
+    this.onVisibilityChange(this.getHiddenIndices());
+  }
+
+  /**
+   * Get the legend key a point belongs to
+   * @param {Object} point - Visualization data point
+   * @returns {string|null} Key matching a legend item
+   */
+  getPointKey(point) {
+    if (this.legend.field === 'cluster') {
+      return String(point.cluster);
+    }
+    const value = point.originalData ? point.originalData[this.legend.column] : undefined;
+    return value === null || value === undefined ? null : String(value);
+  }
+
+  /**
+   * Get the indices of points whose category is toggled off
+   * @returns {Array<number>} Indices into the rendered points
+   */
+  getHiddenIndices() {
+    if (!this.legend || this.legend.type !== 'categorical' || this.hiddenKeys.size === 0) {
+      return [];
+    }
+    const indices = [];
+    this.dataPoints.forEach((point, index) => {
+      if (this.hiddenKeys.has(this.getPointKey(point))) indices.push(index);
+    });
+    return indices;
+  }
+
+  /**
+   * Get the points of every legend category (used to draw group envelopes)
+   * @returns {Array<{key: string|null, label: string, color: string, indices: Array<number>}>} One group
+   *   per legend item, empty for numeric legends
+   */
+  getGroups() {
+    if (!this.legend || this.legend.type !== 'categorical') {
+      return [];
+    }
+    const groups = new Map(this.legend.items.map(item => [item.key, { key: item.key, label: item.label, color: item.color, indices: [] }]));
+    this.dataPoints.forEach((point, index) => {
+      const group = groups.get(this.getPointKey(point));
+      if (group) group.indices.push(index);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Paint the legend onto a canvas, matching its on-screen position (used for screenshots)
+   * @param {CanvasRenderingContext2D} context - Target context
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   */
+  drawToCanvas(context, width, height) {
+    if (!this.legend || this.element.style.display === 'none') return;
+
+    // The renderer canvas may be scaled by devicePixelRatio
+    const scale = this.container.clientWidth ? width / this.container.clientWidth : 1;
+    const padding = 10;
+    const lineHeight = 20;
+    const boxWidth = 180;
+    const rows = this.legend.type === 'numeric' ? 2 : this.legend.items.length;
+    const boxHeight = padding * 2 + lineHeight * (rows + 1);
+
+    context.save();
+    context.scale(scale, scale);
+    const left = width / scale - boxWidth - 10;
+    const top = 10;
+
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(left, top, boxWidth, boxHeight);
+    context.textBaseline = 'middle';
+    context.fillStyle = '#ffffff';
+    context.font = 'bold 13px Arial, sans-serif';
+    context.fillText(this.legend.column, left + padding, top + padding + lineHeight / 2, boxWidth - padding * 2);
+    context.font = '12px Arial, sans-serif';
+
+    let y = top + padding + lineHeight;
+    if (this.legend.type === 'numeric') {
+      const barWidth = boxWidth - padding * 2;
+      const gradient = context.createLinearGradient(left + padding, 0, left + padding + barWidth, 0);
+      this.legend.stops.forEach((color, i) => {
+        gradient.addColorStop(this.legend.stops.length === 1 ? 0 : i / (this.legend.stops.length - 1), color);
+      });
+      context.fillStyle = gradient;
+      context.fillRect(left + padding, y + 4, barWidth, lineHeight - 8);
+      y += lineHeight;
+
+      context.fillStyle = '#dddddd';
+      context.textAlign = 'left';
+      context.fillText(this.formatValue(this.legend.min), left + padding, y + lineHeight / 2);
+      context.textAlign = 'right';
+      context.fillText(this.formatValue(this.legend.max), left + boxWidth - padding, y + lineHeight / 2);
+    } else {
+      this.legend.items.forEach(item => {
+        const hidden = this.hiddenKeys.has(item.key);
+        context.globalAlpha = hidden ? 0.35 : 1;
+        context.fillStyle = item.color;
+        context.fillRect(left + padding, y + 4, 12, 12);
+        context.fillStyle = '#dddddd';
+        context.textAlign = 'left';
+        context.fillText(item.label, left + padding + 20, y + lineHeight / 2, boxWidth - padding * 2 - 60);
+        context.textAlign = 'right';
+        context.fillText(String(item.count), left + boxWidth - padding, y + lineHeight / 2);
+        y += lineHeight;
+      });
+    }
+    context.restore();
+  }
+
+  /**
+   * Format a numeric legend value
+   * @param {number} value - Value to format
+   * @returns {string} Display text
+   */
+  formatValue(value) {
+    if (typeof value !== 'number' || !isFinite(value)) return String(value);
+    return Number.isInteger(value) ? String(value) : value.toPrecision(4);
+  }
+}
+
+// Export for use in other modules
+window.ColorLegend = ColorLegend;
@@ -0,0 +1,160 @@
+/**
+ * Color Palettes - Named, deterministic palettes for numeric and categorical colour maps
+ * Sequential/diverging palettes are sampled by interpolating between their stops,
+ * categorical palettes are indexed in order so a category always gets the same colour.
+ */
+const COLOR_PALETTES = {
+  // Sequential (perceptually uniform, from matplotlib)
+  viridis: {
+    label: 'Viridis',
+    type: 'sequential',
+    colors: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']
+  },
+  plasma: {
+    label: 'Plasma',
+    type: 'sequential',
+    colors: ['#0d0887', '#46039f', '#7201a8', '#9c179e', '#bd3786', '#d8576b', '#ed7953', '#fb9f3a', '#fdca26', '#f0f921']
+  },
+  cividis: {
+    label: 'Cividis (colour-blind safe)',
+    type: 'sequential',
+    colors: ['#00224e', '#123570', '#3b496c', '#575d6d', '#707173', '#8a8779', '#a69d75', '#c4b56c', '#e4cf5b', '#fee838']
+  },
+  // The original blue-to-yellow gradient
+  classic: {
+    label: 'Classic (blue-yellow)',
+    type: 'sequential',
+    colors: ['#266ed9', '#26a9d9', '#26d9ce', '#26d993', '#26d958', '#2fd926', '#6ad926', '#a5d926', '#d9d226']
+  },
+  // Diverging (ColorBrewer RdBu, blue for low values)
+  'blue-red': {
+    label: 'Blue-White-Red (diverging)',
+    type: 'diverging',
+    colors: ['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b']
+  },
+  // Categorical
+  tableau10: {
+    label: 'Tableau 10',
+    type: 'categorical',
+    colors: ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac']
+  },
+  'okabe-ito': {
+    label: 'Okabe-Ito (colour-blind safe)',
+    type: 'categorical',
+    // Black swapped for grey so it stays visible on the dark background
+    colors: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#999999']
+  }
+};
+
+class ColorPalettes {
+  /**
+   * Default palette names per colour map type
+   */
+  static get DEFAULT_NUMERIC() { return 'viridis'; }
+  static get DEFAULT_CATEGORICAL() { return 'tableau10'; }
+
+  /**
+   * Get a palette definition
+   * @param {string} name - Palette name
+   * @returns {Object|null} { label, type, colors } or null if unknown
+   */
+  static get(name) {
+    return Object.prototype.hasOwnProperty.call(COLOR_PALETTES, name) ? COLOR_PALETTES[name] : null;
+  }
+
+  /**
+   * List palettes usable for a colour map type
+   * @param {string} kind - 'numeric' (sequential and diverging) or 'categorical'
+   * @returns {Array<{name: string, label: string, type: string}>} Palettes in display order
+   */
+  static list(kind) {
+    return Object.entries(COLOR_PALETTES)
+      .filter(([, palette]) => (kind === 'categorical') === (palette.type === 'categorical'))
+      .map(([name, palette]) => ({ name, label: palette.label, type: palette.type }));
+  }
+
+  /**
+   * Resolve a palette name for a colour map type, falling back to the default
+   * @param {string} name - Requested palette name
+   * @param {string} kind - 'numeric' or 'categorical'
+   * @returns {string} A valid palette name
+   */
+  static resolve(name, kind) {
+    const palette = ColorPalettes.get(name);
+    if (palette && (kind === 'categorical') === (palette.type === 'categorical')) {
+      return name;
+    }
+    return kind === 'categorical' ? ColorPalettes.DEFAULT_CATEGORICAL : ColorPalettes.DEFAULT_NUMERIC;
+  }
+
+  /**
+   * Sample a sequential or diverging palette
+   * @param {string} name - Palette name
+   * @param {number} t - Position in the palette (0-1, clamped)
+   * @returns {string} Hex colour
+   */
+  static sample(name, t) {
+    const colors = COLOR_PALETTES[ColorPalettes.resolve(name, 'numeric')].colors;
+    const clamped = isFinite(t) ? Math.max(0, Math.min(1, t)) : 0;
+    const scaled = clamped * (colors.length - 1);
+    const lower = Math.floor(scaled);
+    const upper = Math.min(colors.length - 1, lower + 1);
+    return ColorPalettes.mix(colors[lower], colors[upper], scaled - lower);
+  }
+
+  /**
+   * Get the colour for the n-th category of a categorical palette.
+   * Palettes repeat past their length, alternately lightened and darkened so repeats stay distinguishable.
+   * @param {string} name - Palette name
+   * @param {number} index - Category index
+   * @returns {string} Hex colour
+   */
+  static getCategoricalColor(name, index) {
+    const colors = COLOR_PALETTES[ColorPalettes.resolve(name, 'categorical')].colors;
+    const base = colors[index % colors.length];
+    const cycle = Math.floor(index / colors.length);
+    if (cycle === 0) return base;
+    const amount = Math.min(0.6, 0.3 * Math.ceil(cycle / 2));
+    return ColorPalettes.mix(base, cycle % 2 === 1 ? '#ffffff' : '#000000', amount);
+  }
+
+  /**
+   * Linearly interpolate between two hex colours in RGB
+   * @param {string} from - Start colour
+   * @param {string} to - End colour
+   * @param {number} t - Amount of the end colour (0-1)
+   * @returns {string} Hex colour
+   */
+  static mix(from, to, t) {
+    const a = ColorPalettes.hexToRgb(from);
+    const b = ColorPalettes.hexToRgb(to);
+    return ColorPalettes.rgbToHex(
+      a.r + (b.r - a.r) * t,
+      a.g + (b.g - a.g) * t,
+      a.b + (b.b - a.b) * t
+    );
+  }
+
+  /**
+   * @param {string} hex - '#rrggbb' colour
+   * @returns {{r: number, g: number, b: number}} Channels (0-255)
+   */
+  static hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+  }
+
+  /**
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @returns {string} '#rrggbb' colour
+   */
+  static rgbToHex(r, g, b) {
+    const toHex = x => Math.round(x).toString(16).padStart(2, '0');
+    return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+  }
+}
+
+// Export the ColorPalettes class
+window.ColorPalettes = ColorPalettes;
@@ -0,0 +1,194 @@
+/**
+ * Column Statistics - Data info panel section describing every column
+ * Each column shows a small histogram (numeric) or bar chart of its most
+ * frequent categories (categorical); expanding it lists count, missing and
+ * distinct values plus the quartiles, mean and standard deviation of numeric
+ * columns. With a filter active the filtered rows are shown next to all rows.
+ */
+class ColumnStats {
+  /**
+   * @param {HTMLElement} container - Element to render into
+   */
+  constructor(container) {
+    this.container = container;
+    this.summaries = null;
+    this.filteredCount = null;
+  }
+
+  /**
+   * Show new statistics
+   * @param {Array<Object>|null} summaries - Columns from DataProcessor.summarizeColumns, or null to clear
+   * @param {number|null} [filteredCount=null] - Rows passing the filter, or null when no filter is active
+   */
+  update(summaries, filteredCount = null) {
+    this.summaries = summaries && summaries.length > 0 ? summaries : null;
+    this.filteredCount = filteredCount;
+    this.render();
+  }
+
+  /**
+   * Rebuild the panel DOM
+   */
+  render() {
+    this.container.innerHTML = '';
+    if (!this.summaries) return;
+
+    const title = document.createElement('h4');
+    title.textContent = 'Column Statistics';
+    this.container.appendChild(title);
+
+    const note = document.createElement('p');
+    note.className = 'column-stats-note';
+    note.textContent = this.filteredCount === null
+      ? 'No filter active. Expand a column for its statistics.'
+      : `Filtered rows (${this.filteredCount}, blue) against all rows (grey). Bars show the share of each column's values.`;
+    this.container.appendChild(note);
+
+    this.summaries.forEach(summary => {
+      const card = document.createElement('details');
+      card.className = 'column-stats-card';
+
+      const header = document.createElement('summary');
+      header.className = 'column-stats-header';
+      const name = document.createElement('span');
+      name.className = 'column-stats-name';
+      name.textContent = summary.column;
+      name.title = summary.column;
+      const type = document.createElement('span');
+      type.className = 'column-stats-type';
+      type.textContent = summary.type === 'numeric' ? 'num' : 'cat';
+      header.appendChild(name);
+      header.appendChild(type);
+      header.appendChild(this.createChart(summary));
+      card.appendChild(header);
+
+      card.appendChild(this.createTable(summary));
+      this.container.appendChild(card);
+    });
+  }
+
+  /**
+   * Get the bars of a column's chart: histogram bins or top categories plus the rest
+   * @param {Object} summary - Column entry from summarizeColumns
+   * @returns {Array<{label: string, full: number, filtered: number|null}>} Counts per bar
+   */
+  getBars(summary) {
+    const { full, filtered } = summary;
+    if (summary.type === 'numeric') {
+      const { min, max, counts } = full.histogram;
+      const width = (max - min) / counts.length;
+      return counts.map((count, i) => ({
+        label: counts.length === 1
+          ? this.formatValue(min)
+          : `${this.formatValue(min + i * width)} – ${this.formatValue(min + (i + 1) * width)}`,
+        full: count,
+        filtered: filtered ? filtered.histogram.counts[i] : null
+      }));
+    }
+
+    const bars = full.categories.map((category, i) => ({
+      label: category.value,
+      full: category.count,
+      filtered: filtered ? filtered.categories[i].count : null
+    }));
+    if (full.otherCount > 0) {
+      bars.push({ label: `Other (${full.distinct - full.categories.length} values)`, full: full.otherCount, filtered: filtered ? filtered.otherCount : null });
+    }
+    return bars;
+  }
+
+  /**
+   * Create the inline chart of a column. Bars are shares of the column's values so the
+   * filtered rows can be compared with all rows whatever their number.
+   * @param {Object} summary - Column entry from summarizeColumns
+   * @returns {HTMLElement} Chart element
+   */
+  createChart(summary) {
+    const chart = document.createElement('div');
+    chart.className = 'column-stats-chart';
+    const bars = this.getBars(summary);
+    const share = (count, total) => (total > 0 ? count / total : 0);
+    const fullTotal = summary.full.count;
+    const filteredTotal = summary.filtered ? summary.filtered.count : 0;
+    const peak = Math.max(...bars.map(bar => Math.max(share(bar.full, fullTotal), share(bar.filtered || 0, filteredTotal))));
+
+    bars.forEach(bar => {
+      const slot = document.createElement('div');
+      slot.className = 'column-stats-bar-slot';
+      slot.title = bar.filtered === null
+        ? `${bar.label}: ${bar.full}`
+        : `${bar.label}: ${bar.full} (${bar.filtered} filtered)`;
+
+      const fullBar = document.createElement('div');
+      fullBar.className = 'column-stats-bar';
+      fullBar.style.height = `${peak > 0 ? share(bar.full, fullTotal) / peak * 100 : 0}%`;
+      slot.appendChild(fullBar);
+
+      if (bar.filtered !== null) {
+        const filteredBar = document.createElement('div');
+        filteredBar.className = 'column-stats-bar column-stats-bar-filtered';
+        filteredBar.style.height = `${peak > 0 ? share(bar.filtered, filteredTotal) / peak * 100 : 0}%`;
+        slot.appendChild(filteredBar);
+      }
+      chart.appendChild(slot);
+    });
+    return chart;
+  }
+
+  /**
+   * Create the statistics table of a column
+   * @param {Object} summary - Column entry from summarizeColumns
+   * @returns {HTMLElement} table element
+   */
+  createTable(summary) {
+    const table = document.createElement('table');
+    table.className = 'column-stats-table';
+    const addRow = (cells, header = false) => {
+      const row = document.createElement('tr');
+      cells.forEach(text => {
+        const cell = document.createElement(header ? 'th' : 'td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    };
+
+    const { full, filtered } = summary;
+    addRow(filtered ? ['', 'All', 'Filtered'] : ['', 'All'], true);
+    const addStat = (label, key) => {
+      addRow(filtered ? [label, this.formatValue(full[key]), this.formatValue(filtered[key])] : [label, this.formatValue(full[key])]);
+    };
+
+    addStat('Count', 'count');
+    addStat('Missing', 'nullCount');
+    addStat('Distinct', 'distinct');
+    if (summary.type === 'numeric') {
+      addStat('Mean', 'mean');
+      addStat('Std', 'std');
+      addStat('Min', 'min');
+      addStat('Q1', 'q1');
+      addStat('Median', 'median');
+      addStat('Q3', 'q3');
+      addStat('Max', 'max');
+    } else {
+      this.getBars(summary).forEach(bar => {
+        addRow(filtered ? [bar.label, String(bar.full), String(bar.filtered)] : [bar.label, String(bar.full)]);
+      });
+    }
+    return table;
+  }
+
+  /**
+   * Format a statistic for display
+   * @param {number|null} value - Value to format
+   * @returns {string} Formatted value
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '-';
+    if (Number.isInteger(value)) return String(value);
+    return Math.abs(value) >= 1000 || Math.abs(value) < 0.01 ? value.toPrecision(3) : value.toFixed(2);
+  }
+}
+
+// Export the ColumnStats class
+window.ColumnStats = ColumnStats;
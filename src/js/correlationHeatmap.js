@@ -0,0 +1,156 @@
+/**
+ * Correlation Heatmap - Sidebar panel showing the correlation matrix of the numeric columns
+ * Cells run from blue (negative) through grey to red (positive). Hovering a cell
+ * shows its coefficient and clicking it hands the column pair to the axes.
+ */
+class CorrelationHeatmap {
+  /**
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} [options]
+   * @param {Function} [options.onCellClick] - Called with (rowColumn, cellColumn) when an off-diagonal cell is clicked
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onCellClick = options.onCellClick || (() => {});
+    this.matrix = null;
+    this.sortByStrength = false;
+    this.order = []; // Matrix indices in display order
+  }
+
+  /**
+   * Show a new matrix
+   * @param {Object|null} matrix - Result of DataProcessor.computeCorrelationMatrix, or null to clear
+   */
+  update(matrix) {
+    this.matrix = matrix && matrix.columns.length > 0 ? matrix : null;
+    this.render();
+  }
+
+  /**
+   * Switch between the data's column order and strongest correlations first
+   * @param {boolean} sortByStrength - Whether to sort
+   */
+  setSortByStrength(sortByStrength) {
+    this.sortByStrength = sortByStrength;
+    this.render();
+  }
+
+  /**
+   * Get the columns in the order they are displayed
+   * @returns {Array<string>} Column names
+   */
+  getDisplayedColumns() {
+    return this.matrix ? this.order.map(i => this.matrix.columns[i]) : [];
+  }
+
+  /**
+   * Work out the display order. Sorted, the columns of the strongest pair come first, then
+   * those of the next strongest pair not yet placed, so strong pairs sit near the top left.
+   * @returns {Array<number>} Matrix indices
+   */
+  computeOrder() {
+    const size = this.matrix.columns.length;
+    const natural = Array.from({ length: size }, (_, i) => i);
+    if (!this.sortByStrength) return natural;
+
+    const pairs = [];
+    for (let i = 0; i < size; i++) {
+      for (let j = i + 1; j < size; j++) {
+        const r = this.matrix.values[i][j];
+        if (r !== null) pairs.push({ i, j, strength: Math.abs(r) });
+      }
+    }
+    pairs.sort((a, b) => b.strength - a.strength);
+    const placed = new Set();
+    pairs.forEach(({ i, j }) => {
+      placed.add(i);
+      placed.add(j);
+    });
+    // Columns without any coefficient go last
+    natural.forEach(i => placed.add(i));
+    return [...placed];
+  }
+
+  /**
+   * Rebuild the panel DOM
+   */
+  render() {
+    this.container.innerHTML = '';
+    if (!this.matrix) return;
+    this.order = this.computeOrder();
+
+    const readout = document.createElement('div');
+    readout.className = 'corr-heatmap-readout';
+    readout.textContent = this.getDefaultReadout();
+
+    const table = document.createElement('table');
+    table.className = 'corr-heatmap';
+    this.order.forEach(i => {
+      const row = document.createElement('tr');
+      const label = document.createElement('th');
+      label.className = 'corr-heatmap-label';
+      label.textContent = this.matrix.columns[i];
+      label.title = this.matrix.columns[i];
+      row.appendChild(label);
+
+      this.order.forEach(j => {
+        const r = this.matrix.values[i][j];
+        const cell = document.createElement('td');
+        cell.className = 'corr-heatmap-cell' + (i === j ? ' corr-heatmap-diagonal' : '');
+        cell.style.backgroundColor = this.getColor(r);
+        cell.title = this.describeCell(i, j);
+        cell.addEventListener('mouseenter', () => {
+          readout.textContent = cell.title;
+        });
+        if (i !== j) {
+          cell.addEventListener('click', () => this.onCellClick(this.matrix.columns[i], this.matrix.columns[j]));
+        }
+        row.appendChild(cell);
+      });
+      table.appendChild(row);
+    });
+    table.addEventListener('mouseleave', () => {
+      readout.textContent = this.getDefaultReadout();
+    });
+    this.container.appendChild(table);
+    this.container.appendChild(readout);
+  }
+
+  /**
+   * Text shown under the heatmap while no cell is hovered
+   * @returns {string} Readout text
+   */
+  getDefaultReadout() {
+    const name = this.matrix.method === 'spearman' ? 'Spearman' : 'Pearson';
+    return `${name} correlation of ${this.matrix.columns.length} columns. Hover a cell for details, click to plot the pair.`;
+  }
+
+  /**
+   * Describe one cell of the matrix
+   * @param {number} i - Row index into the matrix
+   * @param {number} j - Column index into the matrix
+   * @returns {string} Column pair, coefficient and number of rows used
+   */
+  describeCell(i, j) {
+    const r = this.matrix.values[i][j];
+    const value = r === null ? 'n/a' : r.toFixed(3);
+    return `${this.matrix.columns[i]} × ${this.matrix.columns[j]}: ${value} (${this.matrix.counts[i][j]} rows)`;
+  }
+
+  /**
+   * Colour of a coefficient on a blue-grey-red scale
+   * @param {number|null} r - Coefficient in [-1, 1], or null
+   * @returns {string} CSS colour
+   */
+  getColor(r) {
+    if (r === null) return '#1a1a1a';
+    const neutral = [60, 60, 60];
+    const end = r >= 0 ? [220, 50, 47] : [38, 139, 210];
+    const t = Math.min(1, Math.abs(r));
+    const [red, green, blue] = neutral.map((channel, k) => Math.round(channel + (end[k] - channel) * t));
+    return `rgb(${red}, ${green}, ${blue})`;
+  }
+}
+
+// Export the CorrelationHeatmap class
+window.CorrelationHeatmap = CorrelationHeatmap;
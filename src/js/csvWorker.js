@@ -0,0 +1,82 @@
+/**
+ * CSV Worker - Parses CSV files in chunks off the main thread
+ *
+ * Messages in:  { type: 'parse', file: File|Blob, chunkSize?: number }
+ * Messages out: { type: 'chunk', rows, fields, rowsParsed, bytesRead, totalBytes }
+ *               { type: 'complete', fields, rowsParsed, bytesRead, totalBytes, errors }
+ *               { type: 'error', message }
+ * Cancelling is done by terminating the worker from the main thread.
+ */
+importScripts('../../public/libs/papaparse.min.js');
+
+const DEFAULT_CHUNK_SIZE = 1024 * 1024 * 2; // 2 MB per chunk
+const MAX_REPORTED_ERRORS = 10;
+
+self.onmessage = (event) => {
+  const message = event.data || {};
+  if (message.type !== 'parse') {
+    return;
+  }
+
+  const file = message.file;
+  if (!file) {
+    self.postMessage({ type: 'error', message: 'No file provided to CSV worker' });
+    return;
+  }
+
+  const totalBytes = file.size || 0;
+  let rowsParsed = 0;
+  let bytesRead = 0;
+  let fields = [];
+  const errors = [];
+
+  try {
+    // Same options as DataProcessor.processCSV so both paths produce identical rows
+    Papa.parse(file, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      chunkSize: message.chunkSize || DEFAULT_CHUNK_SIZE,
+      transformHeader: header => header.trim(),
+      transform: value => typeof value === 'string' ? value.trim() : value,
+      chunk: (results) => {
+        if (results.meta && results.meta.fields) {
+          fields = results.meta.fields.filter(Boolean);
+        }
+        if (results.errors && results.errors.length > 0 && errors.length < MAX_REPORTED_ERRORS) {
+          results.errors.slice(0, MAX_REPORTED_ERRORS - errors.length).forEach(e => {
+            errors.push({ row: rowsParsed + (e.row || 0), message: e.message });
+          });
+        }
+
+        rowsParsed += results.data.length;
+        // meta.cursor is relative to the chunk, so track the file position ourselves
+        bytesRead = Math.min(totalBytes, bytesRead + (message.chunkSize || DEFAULT_CHUNK_SIZE));
+
+        self.postMessage({
+          type: 'chunk',
+          rows: results.data,
+          fields,
+          rowsParsed,
+          bytesRead,
+          totalBytes
+        });
+      },
+      complete: () => {
+        self.postMessage({
+          type: 'complete',
+          fields,
+          rowsParsed,
+          bytesRead: totalBytes,
+          totalBytes,
+          errors
+        });
+      },
+      error: (error) => {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+      }
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -1,6 +1,65 @@
 /**
  * DataProcessor - Handles data import, parsing, and processing for visualization
  */
+
+// Worker used for chunked CSV parsing, relative to index.html
+const CSV_WORKER_URL = 'src/js/csvWorker.js';
+// Worker that runs the t-SNE optimisation, relative to index.html
+const TSNE_WORKER_URL = 'src/js/tsneWorker.js';
+// Neighbour search in the t-SNE worker is quadratic, so larger tables must be filtered first
+const TSNE_MAX_ROWS = 10000;
+// Seed for randomised layouts when none is given, so the same data always gives the same picture
+const DEFAULT_SEED = 42;
+// Silhouette scores compare every pair of points, so they are computed on a sample of this size
+const SILHOUETTE_SAMPLE_SIZE = 1000;
+// Restarts per k while sweeping k; the chosen k is then rerun with the full restart count
+const KMEANS_SWEEP_RESTARTS = 3;
+// Column DBSCAN writes its labels to, so clusters can be coloured and filtered like any other column
+const DBSCAN_LABEL_COLUMN = 'dbscan_cluster';
+const DBSCAN_NOISE_LABEL = 'Noise';
+const DBSCAN_NOISE_COLOR = '#808080';
+// Hierarchical clustering keeps every pairwise distance, so larger tables must be filtered first
+const HIERARCHICAL_MAX_ROWS = 3000;
+const HIERARCHICAL_LABEL_COLUMN = 'hierarchical_cluster';
+const LINKAGE_METHODS = ['ward', 'average', 'complete', 'single'];
+// Categorical columns with up to this many categories can be one-hot encoded as clustering features
+const MAX_ONE_HOT_CATEGORIES = 20;
+// Column the cluster summary panel saves assignments to, for any clustering layout
+const CLUSTER_ASSIGNMENT_COLUMN = 'cluster';
+// Columns written by clustering layouts; clustering on them would feed old results back in.
+// Like selection set columns they get a _1, _2... suffix if the loaded data already has a column of that name.
+const CLUSTER_LABEL_COLUMNS = [DBSCAN_LABEL_COLUMN, HIERARCHICAL_LABEL_COLUMN, CLUSTER_ASSIGNMENT_COLUMN];
+// Features listed as most distinguishing for each cluster in the summary
+const CLUSTER_SUMMARY_TOP_FEATURES = 3;
+// Neighbours each point's local correlation is computed over
+const LOCAL_CORRELATION_NEIGHBORS = 15;
+// Coefficients offered by the correlation matrix
+const CORRELATION_METHODS = ['pearson', 'spearman'];
+// Surfaces fitted to the plotted columns: z = a + bx + cy, plus x², xy and y² terms for quadratic
+const SURFACE_MODELS = ['plane', 'quadratic'];
+const RESIDUAL_PALETTE = 'blue-red';
+const RESIDUAL_MISSING_COLOR = '#808080';
+// Outlier detection methods; a point is an outlier when its score exceeds the threshold
+const OUTLIER_METHODS = {
+  zscore: { label: 'Z-score (per column)', threshold: 3, description: 'Largest |z-score| over the columns' },
+  iqr: { label: 'IQR fences (per column)', threshold: 1.5, description: 'Distance outside the quartiles, in interquartile ranges' },
+  knn: { label: 'k-NN distance', threshold: 3, description: 'Mean distance to the nearest neighbours, relative to the median point' },
+  lof: { label: 'Local Outlier Factor', threshold: 1.5, description: 'How much sparser a point\'s neighbourhood is than its neighbours\'' },
+  mahalanobis: { label: 'Mahalanobis distance', threshold: 3, description: 'Distance from the centre in standard deviations, allowing for correlated columns' }
+};
+const OUTLIER_NEIGHBORS = 10;
+const OUTLIER_SCORE_COLUMN = 'outlier_score';
+// Column statistics: histogram bins of numeric columns and bars of categorical ones
+const COLUMN_HISTOGRAM_BINS = 20;
+const COLUMN_TOP_CATEGORIES = 10;
+// Bins of each histogram in the brushing strip
+const BRUSH_HISTOGRAM_BINS = 30;
+// Named selection sets are mirrored into a categorical column per set, so they can be coloured and filtered
+const SELECTION_SET_COLUMN_PREFIX = 'set:';
+const SELECTION_SET_IN = 'yes';
+const SELECTION_SET_OUT = 'no';
+const SELECTION_SET_OPERATIONS = ['union', 'intersection', 'difference'];
+
 class DataProcessor {
   constructor() {
     console.log('Initializing DataProcessor...');
@@ -19,6 +78,19 @@ class DataProcessor {
         categoricalColumns: [],
         dataStats: {}
       };
+      this.filterEngine = new FilterEngine();
+      this.axisInfo = null; // Axis titles and ticks for the last prepared layout
+      this.colorLegend = null; // Legend describing the colours of the last prepared layout
+      this.projectionInfo = null; // Components/parameters of the last projection layout (PCA, t-SNE)
+      this.pendingEmbedding = null; // Input prepared by the t-SNE layout for runTSNE
+      this.embeddingCache = null; // Rows, parameters and positions of the last finished t-SNE embedding
+      this.edgeList = null; // Edges loaded from a separate file, see loadEdgeList
+      this.graph = null; // Edges and force simulation of the last network layout
+      this.forceLayoutCache = null; // Rows, options and simulation of the last network layout, kept across refreshes
+      this.clusteringInfo = null; // k, inertia and the auto-k score curve of the last k-means layout
+      this.selectionSets = new Map(); // Set name -> Set of rows from processedData, in the order saved
+      this.generatedColumns = new Map(); // Generated column name -> { rows, column } it was written to, to overwrite only our own columns
+      this.dataVersion = 0; // Bumped whenever a generated column is (re)written, so caches keyed on columns notice new values
       
       console.log('DataProcessor initialized successfully');
     } catch (error) {
@@ -90,29 +162,9 @@ class DataProcessor {
         throw new Error('CSV parsing library (PapaParse) is not available');
       }
       
-      console.log('Parsing CSV data with PapaParse...');
-      const parseResult = Papa.parse(csvData, {
-        header: true,
-        dynamicTyping: true,
-        skipEmptyLines: true,
-        transformHeader: header => header.trim(),
-        transform: value => typeof value === 'string' ? value.trim() : value
-      });
-      
-      if (parseResult.errors && parseResult.errors.length > 0) {
-        const errorMessages = parseResult.errors.map(e => `Row ${e.row}: ${e.message}`).join('; ');
-        console.error('CSV parsing errors:', errorMessages);
-        throw new Error(`CSV parsing failed: ${errorMessages}`);
-      }
-      
-      if (!parseResult.data || !Array.isArray(parseResult.data) || parseResult.data.length === 0) {
-        console.warn('PapaParse returned no data or invalid data format.');
-        throw new Error('CSV parsing resulted in empty or invalid data.');
-      }
-      
-      console.log(`CSV parsed: ${parseResult.data.length} rows found.`);
-      this.processedData = parseResult.data;
-      this.dataColumns = parseResult.meta.fields ? parseResult.meta.fields.filter(Boolean) : [];
+      const { rows, fields } = this.parseCSVText(csvData);
+      this.processedData = rows;
+      this.dataColumns = fields;
       
       if (this.dataColumns.length === 0) {
         throw new Error('No valid column headers found in CSV');
@@ -129,6 +181,116 @@ class DataProcessor {
     }
   }
 
+  /**
+   * Parse CSV text with a header row
+   * @param {string} csvData - Raw CSV text
+   * @returns {{rows: Array<Object>, fields: Array<string>}} Parsed rows and column names
+   */
+  parseCSVText(csvData) {
+    console.log('Parsing CSV data with PapaParse...');
+    const parseResult = Papa.parse(csvData, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      transformHeader: header => header.trim(),
+      transform: value => typeof value === 'string' ? value.trim() : value
+    });
+    
+    if (parseResult.errors && parseResult.errors.length > 0) {
+      const errorMessages = parseResult.errors.map(e => `Row ${e.row}: ${e.message}`).join('; ');
+      console.error('CSV parsing errors:', errorMessages);
+      throw new Error(`CSV parsing failed: ${errorMessages}`);
+    }
+    
+    if (!parseResult.data || !Array.isArray(parseResult.data) || parseResult.data.length === 0) {
+      console.warn('PapaParse returned no data or invalid data format.');
+      throw new Error('CSV parsing resulted in empty or invalid data.');
+    }
+    
+    console.log(`CSV parsed: ${parseResult.data.length} rows found.`);
+    return {
+      rows: parseResult.data,
+      fields: parseResult.meta.fields ? parseResult.meta.fields.filter(Boolean) : []
+    };
+  }
+
+  /**
+   * Parse a CSV file in chunks on a Web Worker.
+   * Rows arrive in batches between frames, so the render loop keeps running.
+   * @param {File|Blob} file - CSV file to parse
+   * @param {Function} [onProgress] - Called with { rowsParsed, bytesRead, totalBytes } after each chunk
+   * @returns {{promise: Promise<{rows: Array<Object>, fields: Array<string>}>, cancel: Function}}
+   *   The promise rejects with an error whose `canceled` flag is set if cancel() is called
+   */
+  parseCSVFile(file, onProgress) {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+    if (typeof Worker === 'undefined') {
+      throw new Error('Web Workers are not available');
+    }
+
+    const worker = new Worker(CSV_WORKER_URL);
+    let cancel = () => {};
+
+    const promise = new Promise((resolve, reject) => {
+      // Row batches as the worker sends them, joined once parsing completes
+      const chunks = [];
+      let settled = false;
+
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        worker.terminate();
+        callback(value);
+      };
+
+      cancel = () => {
+        console.log('DataProcessor: CSV parsing canceled');
+        const error = new Error('CSV import canceled');
+        error.canceled = true;
+        finish(reject, error);
+      };
+
+      worker.onmessage = (event) => {
+        const message = event.data;
+        switch (message.type) {
+          case 'chunk':
+            chunks.push(message.rows);
+            if (onProgress) {
+              onProgress({ rowsParsed: message.rowsParsed, bytesRead: message.bytesRead, totalBytes: message.totalBytes });
+            }
+            break;
+          case 'complete':
+            if (message.errors && message.errors.length > 0) {
+              const errorMessages = message.errors.map(e => `Row ${e.row}: ${e.message}`).join('; ');
+              console.error('CSV parsing errors:', errorMessages);
+              finish(reject, new Error(`CSV parsing failed: ${errorMessages}`));
+              return;
+            }
+            const rows = chunks.flat();
+            console.log(`DataProcessor: CSV worker finished, ${rows.length} rows parsed.`);
+            finish(resolve, { rows, fields: message.fields });
+            break;
+          case 'error':
+            finish(reject, new Error(`CSV parsing failed: ${message.message}`));
+            break;
+          default:
+            console.warn('DataProcessor: Unknown message from CSV worker:', message);
+        }
+      };
+
+      worker.onerror = (event) => {
+        event.preventDefault();
+        finish(reject, new Error(`CSV worker error: ${event.message || 'unknown error'}`));
+      };
+
+      worker.postMessage({ type: 'parse', file });
+    });
+
+    return { promise, cancel };
+  }
+
   /**
    * Process JSON data
    * @param {string} jsonData - Raw JSON text
@@ -175,6 +337,25 @@ class DataProcessor {
     }
   }
 
+  /**
+   * Load already-parsed rows (e.g. restored from a saved scene)
+   * @param {Array<Object>} rows - Array of row objects
+   * @param {Array<string>} [columns] - Column names, defaults to the keys of the first row
+   * @returns {Array} Processed data points ready for visualization
+   */
+  loadRows(rows, columns) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('No rows provided');
+    }
+
+    this.processedData = rows;
+    this.dataColumns = (columns && columns.length > 0 ? columns : Object.keys(rows[0])).filter(Boolean);
+    console.log(`Loaded ${rows.length} rows with ${this.dataColumns.length} columns`);
+
+    this.analyzeDataTypes();
+    return this.prepareVisualizationData();
+  }
+
   /**
    * Analyze data types to determine numeric and categorical columns
    */
@@ -191,8 +372,12 @@ class DataProcessor {
 
     console.log('Analyzing data types for columns...');
     
+    // Columns derived by ensureNumericColumns are not in the file but still need their stats
+    const derivedColumns = ['_index', '_derived_y', '_derived_z']
+      .filter(column => !this.dataColumns.includes(column) && column in this.processedData[0]);
+    
     // Analyze each column
-    this.dataColumns.forEach(column => {
+    this.dataColumns.concat(derivedColumns).forEach(column => {
       // Skip undefined columns
       if (!column) {
         console.warn('Undefined column name detected and skipped');
@@ -232,9 +417,10 @@ class DataProcessor {
             .filter(val => !isNaN(val));
           
           if (values.length > 0) {
+            const { min, max } = this.getMinMax(values);
             this.metaData.dataStats[column] = {
-              min: Math.min(...values),
-              max: Math.max(...values),
+              min,
+              max,
               mean: values.reduce((sum, val) => sum + val, 0) / values.length,
               count: values.length
             };
@@ -277,7 +463,11 @@ class DataProcessor {
   /**
    * Prepare data for visualization in 3D space
    * @param {string} layout - Layout algorithm to use (scatter, grid, kmeans)
-   * @param {Object} options - Additional options: { kmeansClusters, colorColumn, filterColumn, filterValue, xColumn, yColumn, zColumn }
+   * @param {Object} options - Additional options: { kmeansClusters, colorColumn, filterColumn, filterValue, filterExpression, filter, xColumn, yColumn, zColumn, invertX, invertY, invertZ,
+   *   numericPalette, categoricalPalette, colorOverrides, featureColumns, tsnePerplexity, tsneIterations,
+   *   graphIdColumn, graphEdgeSource, graphSourceColumn, graphTargetColumn, graphWeightColumn,
+   *   kmeansAutoK, kmeansAutoMethod, kmeansMaxK, kmeansRestarts, seed, dbscanEps, dbscanMinPts,
+   *   hierarchicalLinkage, hierarchicalClusters, clusterFeatures, clusterScaling }
    * @returns {Array} Filtered and processed data points for 3D rendering
    */
   prepareVisualizationData(layout = 'scatter', options = {}) {
@@ -287,55 +477,21 @@ class DataProcessor {
       return [];
     }
 
-    let filteredData = this.processedData;
-    // Apply filtering if specified
-    if (options.filterColumn && options.filterValue !== undefined && options.filterValue !== null && options.filterValue !== '') {
-      const filterCol = options.filterColumn;
-      const filterVal = options.filterValue;
-      console.log(`Applying EXACT filter: Column='${filterCol}', Value='${filterVal}' (Type: ${typeof filterVal})`);
-
-      const isNumericFilter = this.metaData.numericColumns.includes(filterCol);
-      let filterValNum = NaN;
-      if (isNumericFilter) {
-          filterValNum = parseFloat(filterVal);
-          console.log(`Filter is numeric. Parsed value: ${filterValNum}`);
-      }
-
-      filteredData = this.processedData.filter(row => {
-        const rowValue = row[filterCol];
-        
-        // Handle null/undefined in data
-        if (rowValue === null || rowValue === undefined) return false;
-
-        if (isNumericFilter) {
-          // Exact numeric comparison
-          const rowValueNum = parseFloat(rowValue);
-          return !isNaN(rowValueNum) && rowValueNum === filterValNum;
-        } else {
-          // Exact string comparison (case-sensitive)
-          return String(rowValue) === String(filterVal);
-        }
-      });
-      
-      console.log(`${filteredData.length} rows remaining after EXACT filtering.`);
-      if (filteredData.length === 0) {
-        console.warn('Exact filtering resulted in zero data points.');
-        // Return empty array, UI should handle this message
-        // No need to return here if we want to show an empty scene
-        // return [];
-      }
-    } else {
-      console.log('No filter applied or filter value is empty.');
-    }
+    const filteredData = this.applyFilters(this.processedData, options);
 
     console.log(`Preparing visualization data using ${layout} layout for ${filteredData.length} items.`);
     
     // Ensure we have numeric columns (using original processedData for analysis if filter is active)
     this.ensureNumericColumns(this.processedData); 
     
-    const xColumn = options.xColumn || this.metaData.numericColumns[0];
-    const yColumn = options.yColumn || this.metaData.numericColumns[1];
-    const zColumn = options.zColumn || this.metaData.numericColumns[2];
+    // Only accept numeric columns for the axes, otherwise fall back to the first three numeric columns
+    const resolveAxisColumn = (column, fallbackIndex) => (
+      column && this.metaData.numericColumns.includes(column) ? column : this.metaData.numericColumns[fallbackIndex]
+    );
+    const xColumn = resolveAxisColumn(options.xColumn, 0);
+    const yColumn = resolveAxisColumn(options.yColumn, 1);
+    const zColumn = resolveAxisColumn(options.zColumn, 2);
+    const invert = { x: !!options.invertX, y: !!options.invertY, z: !!options.invertZ };
     
     // Determine color column: use option, fallback to default, ensure it exists
     let colorColumn = options.colorColumn || '';
@@ -343,28 +499,107 @@ class DataProcessor {
         colorColumn = this.dataColumns.length > 3 ? this.dataColumns[3] : this.dataColumns[0]; 
     }
                       
-    console.log(`Using columns - X: ${xColumn}, Y: ${yColumn}, Z: ${zColumn}, Color: ${colorColumn}`);
+    console.log(`Using columns - X: ${xColumn}, Y: ${yColumn}, Z: ${zColumn}, Color: ${colorColumn}, Inverted:`, invert);
 
     // Create color map based on the *original* data's stats for consistency if filtered
-    const colorMap = this.createColorMap(colorColumn, this.processedData);
+    const colorMap = this.createColorMap(colorColumn, this.processedData, {
+      numericPalette: options.numericPalette,
+      categoricalPalette: options.categoricalPalette,
+      overrides: options.colorOverrides && options.colorOverrides[colorColumn]
+    });
 
     let visualizationData = [];
+    this.projectionInfo = null;
+    this.pendingEmbedding = null;
+    this.graph = null;
+    this.clusteringInfo = null;
+    // Every randomised layout draws from a generator seeded with this
+    const seed = this.resolveSeed(options.seed);
+    // Clustering layouts group points by these features, which default to the display axes
+    const clusterFeatures = this.resolveClusteringColumns(options.clusterFeatures, [xColumn, yColumn, zColumn]);
+    const clusterScaling = options.clusterScaling === 'zscore' ? 'zscore' : 'minmax';
     try {
       switch (layout) {
         case 'scatter':
-          visualizationData = this.createScatterLayout(filteredData, xColumn, yColumn, zColumn, colorColumn, colorMap);
+          visualizationData = this.createScatterLayout(filteredData, xColumn, yColumn, zColumn, colorColumn, colorMap, invert);
           break;
         case 'grid':
           visualizationData = this.createGridLayout(filteredData, colorColumn, colorMap);
           break;
         case 'kmeans':
           const k = options.kmeansClusters || 3;
-          console.log(`Running K-Means clustering with K=${k}`);
-          visualizationData = this.createKMeansLayout(filteredData, k, xColumn, yColumn, zColumn, colorColumn, colorMap);
+          console.log(`Running K-Means clustering with K=${options.kmeansAutoK ? 'auto' : k}`);
+          visualizationData = this.createKMeansLayout(filteredData, k, xColumn, yColumn, zColumn, colorColumn, colorMap, invert, options.categoricalPalette, {
+            seed,
+            restarts: options.kmeansRestarts,
+            autoK: options.kmeansAutoK,
+            autoMethod: options.kmeansAutoMethod,
+            maxK: options.kmeansMaxK,
+            features: clusterFeatures,
+            scaling: clusterScaling
+          });
+          break;
+        case 'dbscan':
+          visualizationData = this.createDBSCANLayout(filteredData, xColumn, yColumn, zColumn, invert, {
+            eps: options.dbscanEps,
+            minPts: options.dbscanMinPts,
+            features: clusterFeatures,
+            scaling: clusterScaling,
+            colorOptions: {
+              categoricalPalette: options.categoricalPalette,
+              overrides: options.colorOverrides && options.colorOverrides[this.resolveGeneratedColumn(DBSCAN_LABEL_COLUMN)]
+            }
+          });
+          break;
+        case 'hierarchical':
+          visualizationData = this.createHierarchicalLayout(filteredData, clusterFeatures, xColumn, yColumn, zColumn, invert, {
+            linkage: options.hierarchicalLinkage,
+            clusters: options.hierarchicalClusters,
+            scaling: clusterScaling,
+            colorOptions: {
+              categoricalPalette: options.categoricalPalette,
+              overrides: options.colorOverrides && options.colorOverrides[this.resolveGeneratedColumn(HIERARCHICAL_LABEL_COLUMN)]
+            }
+          });
+          break;
+        case 'pca':
+          visualizationData = this.createPCALayout(filteredData, this.resolveFeatureColumns(options.featureColumns), colorColumn, colorMap, invert);
+          break;
+        case 'tsne':
+          visualizationData = this.createTSNELayout(filteredData, this.resolveFeatureColumns(options.featureColumns), colorColumn, colorMap, {
+            perplexity: options.tsnePerplexity,
+            iterations: options.tsneIterations,
+            seed
+          });
+          break;
+        case 'force':
+          visualizationData = this.createForceLayout(filteredData, colorColumn, colorMap, {
+            idColumn: options.graphIdColumn,
+            edgeSource: options.graphEdgeSource,
+            sourceColumn: options.graphSourceColumn,
+            targetColumn: options.graphTargetColumn,
+            weightColumn: options.graphWeightColumn
+          }, seed);
           break;
         default:
           console.warn(`Unknown layout "${layout}", falling back to scatter`);
-          visualizationData = this.createScatterLayout(filteredData, xColumn, yColumn, zColumn, colorColumn, colorMap);
+          visualizationData = this.createScatterLayout(filteredData, xColumn, yColumn, zColumn, colorColumn, colorMap, invert);
+      }
+      // Grid, t-SNE and network positions don't map to data values, so they get no axis annotations; PCA labels its components
+      if (layout === 'grid' || layout === 'tsne' || layout === 'force') {
+        this.axisInfo = null;
+      } else if (this.projectionInfo) {
+        this.axisInfo = this.projectionInfo.axisInfo;
+      } else {
+        this.axisInfo = this.buildAxisInfo({ x: xColumn, y: yColumn, z: zColumn }, invert);
+      }
+      // K-means and DBSCAN colour points by cluster rather than by the colour column
+      if (layout === 'kmeans') {
+        this.colorLegend = this.buildClusterLegend(visualizationData);
+      } else if (layout === 'dbscan' || layout === 'hierarchical') {
+        this.colorLegend = this.buildColorLegend(this.clusteringInfo.column, this.clusteringInfo.colorMap, visualizationData);
+      } else {
+        this.colorLegend = this.buildColorLegend(colorColumn, colorMap, visualizationData);
       }
       console.log(`Layout generation complete, created ${visualizationData.length} visualization points.`);
       return visualizationData;
@@ -374,6 +609,90 @@ class DataProcessor {
     }
   }
   
+  /**
+   * Turn a user-entered seed into an integer, falling back to DEFAULT_SEED
+   * @param {*} seed - Seed option
+   * @returns {number} Integer seed
+   */
+  resolveSeed(seed) {
+    const value = seed === '' || seed === null ? NaN : Number(seed);
+    return Number.isFinite(value) ? Math.round(value) : DEFAULT_SEED;
+  }
+  
+  /**
+   * Build the filter tree for a set of visualization options.
+   * Sources are combined with AND:
+   * - filterColumn/filterValue: exact match, or a predicate such as "between 50 and 90" applied to that column
+   * - filterExpression: a full expression, e.g. "value between 50 and 90 and category in (A, B)"
+   * - filter: an already-parsed filter node
+   * - brushes: column -> [min, max] ranges dragged on the brushing histograms
+   * @param {Object} options - Visualization options
+   * @returns {Object|null} Filter node, or null if no filter is active
+   * @throws {Error} If an expression cannot be parsed
+   */
+  buildFilter(options = {}) {
+    const engine = this.filterEngine;
+    const clauses = [];
+
+    const { filterColumn, filterValue } = options;
+    if (filterColumn && filterValue !== undefined && filterValue !== null && String(filterValue).trim() !== '') {
+      let predicate = null;
+      if (engine.isPredicate(String(filterValue))) {
+        // Values such as "In Stock" or "<none>" only look like predicates; they stay exact matches
+        try {
+          predicate = engine.parse(`${engine.quoteColumn(filterColumn)} ${filterValue}`);
+        } catch (error) {
+          predicate = null;
+        }
+      }
+      clauses.push(predicate || { type: 'equals', column: filterColumn, value: filterValue });
+    }
+
+    if (options.filterExpression) {
+      clauses.push(engine.parse(options.filterExpression));
+    }
+
+    if (options.filter) {
+      clauses.push(options.filter);
+    }
+
+    if (options.brushes) {
+      Object.entries(options.brushes).forEach(([column, [min, max]]) => {
+        clauses.push({ type: 'range', column, min: Math.min(min, max), max: Math.max(min, max) });
+      });
+    }
+
+    return engine.combine(clauses, 'and');
+  }
+
+  /**
+   * Apply the filters described by the visualization options to a dataset
+   * @param {Array} dataSet - Rows to filter
+   * @param {Object} options - Visualization options (see buildFilter)
+   * @returns {Array} Rows that pass every filter
+   */
+  applyFilters(dataSet, options = {}) {
+    let filter;
+    try {
+      filter = this.buildFilter(options);
+    } catch (error) {
+      throw new Error(`Invalid filter: ${error.message}`);
+    }
+
+    if (!filter) {
+      console.log('No filter applied or filter value is empty.');
+      return dataSet;
+    }
+
+    console.log(`Applying filter: ${this.filterEngine.toExpression(filter)}`);
+    const filteredData = this.filterEngine.filterRows(dataSet, filter);
+    console.log(`${filteredData.length} rows remaining after filtering.`);
+    if (filteredData.length === 0) {
+      console.warn('Filtering resulted in zero data points.');
+    }
+    return filteredData;
+  }
+
   /**
    * Ensures at least 3 numeric columns exist, deriving if necessary.
    * Operates on a provided dataset (e.g., original data before filtering)
@@ -385,6 +704,7 @@ class DataProcessor {
     if (this.metaData.numericColumns.length < 3) {
       console.warn(`Only found ${this.metaData.numericColumns.length} numeric columns, attempting to derive columns.`);
       let derived = false;
+      const random = MathUtils.createRandom(DEFAULT_SEED);
       if (!this.metaData.numericColumns.includes('_index') && this.metaData.numericColumns.length < 3) {
         console.log('Using row indices for potential X dimension');
         this.metaData.numericColumns.push('_index');
@@ -397,7 +717,7 @@ class DataProcessor {
         this.metaData.numericColumns.push('_derived_y');
         dataSet.forEach(row => {
           const xVal = parseFloat(row[xCol]) || 0;
-          row['_derived_y'] = xVal * 0.8 + (Math.random() - 0.5) * 20;
+          row['_derived_y'] = xVal * 0.8 + (random() - 0.5) * 20;
         });
         derived = true;
       }
@@ -409,7 +729,7 @@ class DataProcessor {
         dataSet.forEach(row => {
           const xVal = parseFloat(row[xCol]) || 0;
           const yVal = parseFloat(row[yCol]) || 0;
-          row['_derived_z'] = (xVal + yVal) * 0.5 + (Math.random() - 0.5) * 15;
+          row['_derived_z'] = (xVal + yVal) * 0.5 + (random() - 0.5) * 15;
         });
         derived = true;
       }
@@ -429,13 +749,15 @@ class DataProcessor {
    * @param {string} zColumn - Column for Z axis
    * @param {string} colorColumn - Column for coloring
    * @param {Object} colorMap - Pre-generated color map
+   * @param {{x: boolean, y: boolean, z: boolean}} [invert] - Axes to flip
    * @returns {Array} Data points with 3D coordinates
    */
-  createScatterLayout(data, xColumn, yColumn, zColumn, colorColumn, colorMap) {
+  createScatterLayout(data, xColumn, yColumn, zColumn, colorColumn, colorMap, invert = {}) {
     console.log('Creating scatter layout...');
     
-    // Validate columns (using this.dataColumns which holds all original columns)
-    if (!this.dataColumns.includes(xColumn) || !this.dataColumns.includes(yColumn) || !this.dataColumns.includes(zColumn)) {
+    // Validate columns (numeric columns include the ones derived by ensureNumericColumns)
+    const numericColumns = this.metaData.numericColumns;
+    if (!numericColumns.includes(xColumn) || !numericColumns.includes(yColumn) || !numericColumns.includes(zColumn)) {
       throw new Error(`One or more coordinate columns (${xColumn}, ${yColumn}, ${zColumn}) not found.`);
     }
     
@@ -443,6 +765,9 @@ class DataProcessor {
     const xStats = this.getColumnStats(xColumn, this.processedData);
     const yStats = this.getColumnStats(yColumn, this.processedData);
     const zStats = this.getColumnStats(zColumn, this.processedData);
+    const xRange = this.getAxisRange(invert.x);
+    const yRange = this.getAxisRange(invert.y);
+    const zRange = this.getAxisRange(invert.z);
 
     // Map data points to 3D coordinates
     const visualizationData = data.map((row, index) => {
@@ -455,9 +780,9 @@ class DataProcessor {
       const z = parseFloat(zValue) || 0;
       
       // Normalize values based on original data range
-      const normalizedX = this.normalizeValue(x, xStats.min, xStats.max, -50, 50);
-      const normalizedY = this.normalizeValue(y, yStats.min, yStats.max, -50, 50);
-      const normalizedZ = this.normalizeValue(z, zStats.min, zStats.max, -50, 50);
+      const normalizedX = this.normalizeValue(x, xStats.min, xStats.max, xRange.min, xRange.max);
+      const normalizedY = this.normalizeValue(y, yStats.min, yStats.max, yRange.min, yRange.max);
+      const normalizedZ = this.normalizeValue(z, zStats.min, zStats.max, zRange.min, zRange.max);
       
       const color = this.getColor(row[colorColumn], colorMap);
       const label = this.createLabel(row, index, [xColumn, yColumn, zColumn, colorColumn]);
@@ -517,10 +842,18 @@ class DataProcessor {
    * @param {string} zColumn - Column for Z coordinate (used for clustering)
    * @param {string} colorColumn - Column to use for *original* coloring within clusters
    * @param {Object} colorMap - Pre-generated color map for the original color column
+   * @param {{x: boolean, y: boolean, z: boolean}} [invert] - Axes to flip when placing cluster centers
+   * @param {string} [clusterPalette] - Categorical palette for cluster colours
+   * @param {Object} [params] - { seed, restarts = 10, autoK = false, autoMethod = 'silhouette' | 'elbow', maxK = 10 };
+   *   with autoK, k is chosen by sweeping 1..maxK
+   * Clusters are placed at the mean display position of their members, so they can be found
+   * over any feature set (params.features, scaled by params.scaling) and still be shown on X/Y/Z.
    * @returns {Array} Data points arranged by clusters
    */
-  createKMeansLayout(data, k, xColumn, yColumn, zColumn, colorColumn, colorMap) {
-    console.log(`Creating K-Means layout with K=${k}`);
+  createKMeansLayout(data, k, xColumn, yColumn, zColumn, colorColumn, colorMap, invert = {}, clusterPalette, params = {}) {
+    console.log(`Creating K-Means layout with K=${params.autoK ? 'auto' : k}`);
+    const seed = this.resolveSeed(params.seed);
+    const restarts = Math.max(1, Math.round(Number(params.restarts) || 10));
 
     // --- Data Preparation --- 
     if (!data || data.length === 0) {
@@ -528,26 +861,15 @@ class DataProcessor {
       return [];
     }
 
-    // Ensure we have stats for normalization
-    const xStats = this.getColumnStats(xColumn, this.processedData);
-    const yStats = this.getColumnStats(yColumn, this.processedData);
-    const zStats = this.getColumnStats(zColumn, this.processedData);
-    
-    // Prepare data for clustering: Use normalized X, Y, Z coordinates
-    const pointsToCluster = data.map((row, originalIndex) => {
-        const x = parseFloat(row[xColumn]) || 0;
-        const y = parseFloat(row[yColumn]) || 0;
-        const z = parseFloat(row[zColumn]) || 0;
-        // Normalize based on original stats for clustering stability
-        const normX = this.normalizeValue(x, xStats.min, xStats.max, 0, 1); // Normalize to 0-1 range
-        const normY = this.normalizeValue(y, yStats.min, yStats.max, 0, 1);
-        const normZ = this.normalizeValue(z, zStats.min, zStats.max, 0, 1);
-        return {
-          originalRow: row,
-          originalIndex: originalIndex, // Store original index from the *filtered* data array
-          features: [normX, normY, normZ] 
-        };
-    });
+    // Prepare data for clustering: the chosen features, or normalized X, Y, Z coordinates
+    const featureColumns = params.features && params.features.length > 0 ? params.features : [xColumn, yColumn, zColumn];
+    const scaling = params.scaling === 'zscore' ? 'zscore' : 'minmax';
+    const features = this.getClusteringFeatures(data, featureColumns, scaling);
+    const pointsToCluster = data.map((row, originalIndex) => ({
+      originalRow: row,
+      originalIndex: originalIndex, // Store original index from the *filtered* data array
+      features: features[originalIndex]
+    }));
     
     const featuresForClustering = pointsToCluster.map(p => p.features);
     if (featuresForClustering.length === 0) {
@@ -558,7 +880,22 @@ class DataProcessor {
     console.log(`KMeans layout using ${dimensions} dimensions for ${featuresForClustering.length} points.`);
 
     // --- Run K-Means --- 
-    const { clusters, centroids } = this.runKMeans(featuresForClustering, k);
+    const random = MathUtils.createRandom(seed);
+    let autoK = null;
+    let kmeansResult;
+    if (params.autoK) {
+      autoK = this.chooseKMeansK(featuresForClustering, {
+        maxK: params.maxK,
+        method: params.autoMethod,
+        restarts,
+        random
+      });
+      kmeansResult = autoK.result;
+      k = autoK.k;
+    } else {
+      kmeansResult = this.runKMeans(featuresForClustering, k, 50, { random, restarts });
+    }
+    const { clusters, centroids, inertia } = kmeansResult;
     if (!clusters || !centroids || centroids.length === 0 || clusters.length !== featuresForClustering.length) {
         console.error("K-Means algorithm failed to return valid clusters or centroids.");
         // Return error state for all points
@@ -570,20 +907,48 @@ class DataProcessor {
         }));
     }
     console.log(`K-Means finished. Found ${centroids.length} centroids.`);
+    this.clusteringInfo = {
+      method: 'kmeans',
+      k: centroids.length,
+      inertia,
+      restarts,
+      seed,
+      features: featureColumns,
+      scaling,
+      autoK: autoK ? { method: autoK.method, maxK: autoK.scores[autoK.scores.length - 1].k, scores: autoK.scores } : null
+    };
 
     // Assign cluster index back to data points
     pointsToCluster.forEach((point, index) => {
         point.clusterIndex = clusters[index]; 
     });
+    
+    // Cluster centres in display space: the mean normalized X, Y, Z of each cluster's members
+    const displayPositions = this.getClusteringFeatures(data, [xColumn, yColumn, zColumn]);
+    const displayCentroids = centroids.map(() => [0, 0, 0]);
+    const clusterSizes = centroids.map(() => 0);
+    pointsToCluster.forEach((point, index) => {
+        const clusterIndex = point.clusterIndex;
+        if (clusterIndex === undefined || clusterIndex < 0 || clusterIndex >= centroids.length) return;
+        clusterSizes[clusterIndex]++;
+        displayPositions[index].forEach((value, axis) => { displayCentroids[clusterIndex][axis] += value; });
+    });
+    displayCentroids.forEach((centroid, clusterIndex) => {
+        if (clusterSizes[clusterIndex] > 0) centroid.forEach((_, axis) => { centroid[axis] /= clusterSizes[clusterIndex]; });
+    });
 
     // --- Visualization Preparation --- 
     const clusterColorMap = {};
     for (let i = 0; i < centroids.length; i++) { // Use actual centroid count
-        clusterColorMap[i] = this.hslToHex(i / centroids.length, 0.8, 0.6);
+        clusterColorMap[i] = ColorPalettes.getCategoricalColor(clusterPalette, i);
     }
     
     const clusterSpreadFactor = 50; // How far apart cluster centers are spread
     const withinClusterSpread = 10; // How spread out points are within a cluster
+    const jitter = MathUtils.createRandom(seed);
+    const xRange = this.getAxisRange(invert.x, clusterSpreadFactor);
+    const yRange = this.getAxisRange(invert.y, clusterSpreadFactor);
+    const zRange = this.getAxisRange(invert.z, clusterSpreadFactor);
 
     const visualizationData = pointsToCluster.map((point, index) => {
         const clusterIndex = point.clusterIndex;
@@ -601,10 +966,10 @@ class DataProcessor {
             };
         }
 
-        const centroid = centroids[clusterIndex]; // Centroid is in normalized space [0, 1]
+        const centroid = displayCentroids[clusterIndex]; // Centroid is in normalized space [0, 1]
         
         // Defensive Check: Validate centroid structure
-        if (!Array.isArray(centroid) || centroid.length !== dimensions) {
+        if (!Array.isArray(centroid) || centroid.length !== 3) {
              console.error(`DataProcessor: Invalid centroid structure for cluster ${clusterIndex}:`, centroid);
               return { 
                  id: `point-${point.originalIndex}-error`,
@@ -618,14 +983,14 @@ class DataProcessor {
 
         // *** Corrected Positioning Logic ***
         // Map the normalized centroid position to the visualization space (e.g., -50 to 50)
-        const clusterCenterX = this.normalizeValue(centroid[0], 0, 1, -clusterSpreadFactor, clusterSpreadFactor);
-        const clusterCenterY = this.normalizeValue(centroid[1], 0, 1, -clusterSpreadFactor, clusterSpreadFactor);
-        const clusterCenterZ = this.normalizeValue(centroid[2], 0, 1, -clusterSpreadFactor, clusterSpreadFactor);
+        const clusterCenterX = this.normalizeValue(centroid[0], 0, 1, xRange.min, xRange.max);
+        const clusterCenterY = this.normalizeValue(centroid[1], 0, 1, yRange.min, yRange.max);
+        const clusterCenterZ = this.normalizeValue(centroid[2], 0, 1, zRange.min, zRange.max);
         
         // Add random offset within the cluster for visual separation
-        const offsetX = (Math.random() - 0.5) * withinClusterSpread;
-        const offsetY = (Math.random() - 0.5) * withinClusterSpread;
-        const offsetZ = (Math.random() - 0.5) * withinClusterSpread;
+        const offsetX = (jitter() - 0.5) * withinClusterSpread;
+        const offsetY = (jitter() - 0.5) * withinClusterSpread;
+        const offsetZ = (jitter() - 0.5) * withinClusterSpread;
         
         const finalX = clusterCenterX + offsetX;
         const finalY = clusterCenterY + offsetY;
@@ -651,142 +1016,1643 @@ class DataProcessor {
   }
   
   /**
-   * Simple K-Means Implementation
-   * @param {Array<Array<number>>} dataPoints - Array of points, each an array of features.
-   * @param {number} k - Number of clusters.
-   * @param {number} maxIterations - Max iterations to prevent infinite loops.
-   * @returns {{clusters: Array<number>, centroids: Array<Array<number>>}}
+   * Get the columns that can be used as clustering features
+   * @returns {{numeric: Array<string>, categorical: Array<string>}} Numeric columns, and categorical
+   *   columns with few enough categories to one-hot encode
    */
-  runKMeans(dataPoints, k, maxIterations = 50) {
-      if (dataPoints.length === 0) return { clusters: [], centroids: [] };
-      const dimensions = dataPoints[0].length;
-
-      // Initialize centroids randomly from data points
-      let centroids = [];
-      let usedIndices = new Set();
-      while (centroids.length < k && centroids.length < dataPoints.length) {
-          let randomIndex = Math.floor(Math.random() * dataPoints.length);
-          if (!usedIndices.has(randomIndex)) {
-              centroids.push([...dataPoints[randomIndex]]);
-              usedIndices.add(randomIndex);
-          }
-      }
-      // Handle cases where k > number of unique points if needed
-      k = centroids.length; 
-
-      let assignments = new Array(dataPoints.length);
-      let changed = true;
-      let iterations = 0;
-
-      while (changed && iterations < maxIterations) {
-          changed = false;
-          iterations++;
-
-          // Assign points to the nearest centroid
-          for (let i = 0; i < dataPoints.length; i++) {
-              let minDist = Infinity;
-              let bestCluster = -1;
-              for (let j = 0; j < k; j++) {
-                  let dist = this.euclideanDistance(dataPoints[i], centroids[j]);
-                  if (dist < minDist) {
-                      minDist = dist;
-                      bestCluster = j;
-                  }
-              }
-              if (assignments[i] !== bestCluster) {
-                  assignments[i] = bestCluster;
-                  changed = true;
-              }
-          }
-
-          // Recalculate centroids
-          if (changed) {
-              const newCentroids = new Array(k).fill(0).map(() => new Array(dimensions).fill(0));
-              let counts = new Array(k).fill(0);
-              for (let i = 0; i < dataPoints.length; i++) {
-                  let cluster = assignments[i];
-                  // === Defensive Check ===
-                  if (cluster === undefined || cluster < 0 || cluster >= k) {
-                      console.error(`KMeans: Invalid cluster assignment (${cluster}) for point ${i} during centroid recalc.`);
-                      continue; // Skip this point if assignment is bad
-                  }
-                  // === End Check ===
-                  counts[cluster]++;
-                  for (let d = 0; d < dimensions; d++) {
-                      // === Defensive Check ===
-                      if (isNaN(dataPoints[i][d])) {
-                          console.warn(`KMeans: NaN feature value encountered for point ${i}, dimension ${d}. Skipping contribution.`);
-                          continue;
-                      }
-                      // === End Check ===
-                      newCentroids[cluster][d] += dataPoints[i][d];
-                  }
-              }
-              for (let j = 0; j < k; j++) {
-                  if (counts[j] > 0) {
-                      for (let d = 0; d < dimensions; d++) {
-                          newCentroids[j][d] /= counts[j];
-                      }
-                      // === Log Check ===
-                      // console.log(`KMeans: Centroid ${j} updated to:`, newCentroids[j].map(v => v.toFixed(3)));
-                      // === End Log Check ===
-                  } else {
-                      console.warn(`KMeans: Cluster ${j} became empty. Re-initializing centroid.`);
-                      // Reinitialize centroid randomly but ensure it's a valid point
-                      let randomIndex = Math.floor(Math.random() * dataPoints.length);
-                      newCentroids[j] = [...dataPoints[randomIndex]]; 
-                      // Mark as changed to ensure another iteration if assignments shift due to reinitialization
-                      changed = true; 
-                  }
-              }
-              centroids = newCentroids;
-          }
-      }
-      console.log(`K-Means completed in ${iterations} iterations.`);
-      // === Log final results ===
-      console.log("KMeans Final Assignments (first 10):", assignments.slice(0, 10));
-      console.log("KMeans Final Centroids:", centroids);
-      // === End log ===
-      return { clusters: assignments, centroids };
+  getClusteringColumnChoices() {
+    const categorical = this.metaData.categoricalColumns.filter(column => {
+      const stats = this.metaData.dataStats[column];
+      return !this.getClusterLabelColumns().includes(column) && stats && stats.uniqueCount > 1 && stats.uniqueCount <= MAX_ONE_HOT_CATEGORIES;
+    });
+    return { numeric: this.metaData.numericColumns.filter(column => !column.startsWith('_')), categorical };
   }
-
-  /** Calculate Euclidean distance */
-  euclideanDistance(point1, point2) {
-      let sum = 0;
-      for (let i = 0; i < point1.length; i++) {
-          sum += Math.pow(point1[i] - point2[i], 2);
+  
+  /**
+   * Resolve the columns clustering layouts use as features
+   * @param {Array<string>} [columns] - Requested columns; empty or missing means the display axes
+   * @param {Array<string>} axisColumns - X, Y and Z columns
+   * @returns {Array<string>} Usable requested columns, or the axis columns
+   */
+  resolveClusteringColumns(columns, axisColumns) {
+    const { numeric, categorical } = this.getClusteringColumnChoices();
+    const requested = Array.isArray(columns)
+      ? columns.filter(column => numeric.includes(column) || categorical.includes(column))
+      : [];
+    return requested.length > 0 ? requested : axisColumns;
+  }
+  
+  /**
+   * Turn rows into clustering feature vectors. Numeric columns are scaled with the stats of the
+   * full dataset, so clusters don't shift when a filter changes the range. Categorical columns
+   * become one 0/1 indicator per category (one-hot), scaled the same way.
+   * @param {Array} data - Rows to cluster
+   * @param {Array<string>} columns - Numeric and categorical feature columns
+   * @param {string} [scaling='minmax'] - 'minmax' (0-1) or 'zscore' (mean 0, standard deviation 1)
+   * @returns {Array<Array<number>>} One feature vector per row; missing numeric values count as 0
+   *   (min-max) or the mean (z-score)
+   */
+  getClusteringFeatures(data, columns, scaling = 'minmax') {
+    const total = this.processedData.length;
+    const encoders = [];
+    columns.forEach(column => {
+      if (this.metaData.numericColumns.includes(column)) {
+        if (scaling === 'zscore') {
+          const { means, stdDevs } = this.getColumnMoments(this.processedData, [column]);
+          encoders.push(row => this.standardizeRow(row, [column], means, stdDevs)[0]);
+        } else {
+          const stats = this.getColumnStats(column, this.processedData);
+          encoders.push(row => this.normalizeValue(parseFloat(row[column]) || 0, stats.min, stats.max, 0, 1));
+        }
+        return;
       }
-      return Math.sqrt(sum);
+      
+      const categories = (this.metaData.dataStats[column] && this.metaData.dataStats[column].categories) || {};
+      Object.keys(categories).sort().forEach(category => {
+        // An indicator's mean is the share of rows in the category
+        const mean = total > 0 ? categories[category] / total : 0;
+        const variance = total > 1 ? categories[category] * (1 - mean) * (1 - mean) / (total - 1) + (total - categories[category]) * mean * mean / (total - 1) : 0;
+        const stdDev = Math.sqrt(variance);
+        encoders.push(row => {
+          const indicator = row[column] !== null && row[column] !== undefined && String(row[column]) === category ? 1 : 0;
+          if (scaling !== 'zscore') return indicator;
+          return stdDev === 0 ? 0 : (indicator - mean) / stdDev;
+        });
+      });
+    });
+    return data.map(row => encoders.map(encode => encode(row)));
   }
   
   /**
-   * Get statistics for a column (using a specific dataset if provided)
-   * @param {string} column - Column name
-   * @param {Array} [dataSet=this.processedData] - Optional dataset to calculate stats from
-   * @returns {Object} Min, max, and mean values
+   * Create a density-based (DBSCAN) cluster layout
+   * Points keep their scatter positions and are coloured by cluster; points in sparse
+   * regions are labelled as noise. Labels are written to the DBSCAN_LABEL_COLUMN column
+   * (or a suffixed name if the data came with one).
+   * @param {Array} data - Data points to layout (potentially filtered)
+   * @param {string} xColumn - Column for X axis
+   * @param {string} yColumn - Column for Y axis
+   * @param {string} zColumn - Column for Z axis
+   * @param {{x: boolean, y: boolean, z: boolean}} [invert] - Axes to flip
+   * @param {Object} [params] - { eps, minPts, features, scaling, colorOptions } where eps is a distance
+   *   in scaled feature units, features default to the axis columns and colorOptions are passed to createColorMap
+   * @returns {Array} Data points with 3D coordinates and cluster indices (-1 for noise)
    */
-  getColumnStats(column, dataSet = this.processedData) {
-    // Use memoized stats if calculating on the main processedData
-    if (dataSet === this.processedData && this.metaData.dataStats[column] && this.metaData.dataStats[column].min !== undefined) {
-      return this.metaData.dataStats[column];
+  createDBSCANLayout(data, xColumn, yColumn, zColumn, invert = {}, params = {}) {
+    const eps = Number(params.eps) > 0 ? Number(params.eps) : 0.05;
+    const minPts = Math.max(1, Math.round(Number(params.minPts) || 5));
+    console.log(`Creating DBSCAN layout with eps=${eps}, minPts=${minPts}`);
+    if (!data || data.length === 0) {
+      console.warn('DBSCAN layout called with empty data.');
+      return [];
     }
     
-    if (!dataSet || dataSet.length === 0) { 
-        return { min: 0, max: 0, mean: 0 }; // Default stats for empty data
-    }
+    const featureColumns = params.features && params.features.length > 0 ? params.features : [xColumn, yColumn, zColumn];
+    const scaling = params.scaling === 'zscore' ? 'zscore' : 'minmax';
+    const features = this.getClusteringFeatures(data, featureColumns, scaling);
+    const { labels, clusterCount, noiseCount } = this.runDBSCAN(features, eps, minPts);
+    console.log(`DBSCAN found ${clusterCount} clusters and ${noiseCount} noise points.`);
     
-    const values = dataSet
-      .map(row => parseFloat(row[column])) // Ensure numeric conversion
-      .filter(val => !isNaN(val)); // Filter out NaNs
-      
-    if (values.length === 0) {
-        console.warn(`No valid numeric values found for column "${column}" in the provided dataset.`);
-        return { min: 0, max: 0, mean: 0 }; // Default stats if no valid numbers
-    }
-      
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+    const column = this.resolveGeneratedColumn(DBSCAN_LABEL_COLUMN);
+    this.storeClusterLabels(column, data, labels.map(label => (
+      label < 0 ? DBSCAN_NOISE_LABEL : `Cluster ${label}`
+    )));
+    const colorMap = this.createColorMap(column, data, params.colorOptions);
+    this.clusteringInfo = {
+      method: 'dbscan',
+      eps,
+      minPts,
+      clusterCount,
+      noiseCount,
+      features: featureColumns,
+      scaling,
+      column,
+      colorMap
+    };
+    
+    return this.createScatterLayout(data, xColumn, yColumn, zColumn, column, colorMap, invert)
+      .map((point, index) => ({ ...point, cluster: labels[index] }));
+  }
+  
+  /**
+   * Create a hierarchical (agglomerative) cluster layout
+   * The merge tree is built over the scaled feature columns; points keep their scatter
+   * positions and are coloured by the clusters of a cut through the tree. Labels are written
+   * to the HIERARCHICAL_LABEL_COLUMN column (or a suffixed name if the data came with one).
+   * @param {Array} data - Data points to layout (potentially filtered)
+   * @param {Array<string>} columns - Numeric and categorical columns to cluster on
+   * @param {string} xColumn - Column for X axis
+   * @param {string} yColumn - Column for Y axis
+   * @param {string} zColumn - Column for Z axis
+   * @param {{x: boolean, y: boolean, z: boolean}} [invert] - Axes to flip
+   * @param {Object} [params] - { linkage: 'ward' | 'average' | 'complete' | 'single', clusters, scaling, colorOptions }
+   * @returns {Array} Data points with 3D coordinates and cluster indices
+   */
+  createHierarchicalLayout(data, columns, xColumn, yColumn, zColumn, invert = {}, params = {}) {
+    if (data.length > HIERARCHICAL_MAX_ROWS) {
+      throw new Error(`Hierarchical clustering supports up to ${HIERARCHICAL_MAX_ROWS.toLocaleString()} rows, filter the data first (${data.length.toLocaleString()} rows)`);
+    }
+    if (columns.length === 0) {
+      throw new Error('Hierarchical clustering needs at least one feature column');
+    }
+    if (data.length === 0) {
+      console.warn('Hierarchical layout called with empty data.');
+      return [];
+    }
+    const linkage = LINKAGE_METHODS.includes(params.linkage) ? params.linkage : 'ward';
+    const clusters = Math.max(1, Math.round(Number(params.clusters) || 3));
+    console.log(`Creating hierarchical layout over ${columns.length} columns with ${linkage} linkage...`);
+    
+    const scaling = params.scaling === 'zscore' ? 'zscore' : 'minmax';
+    const merges = this.buildHierarchy(this.getClusteringFeatures(data, columns, scaling), linkage);
+    
+    const column = this.resolveGeneratedColumn(HIERARCHICAL_LABEL_COLUMN);
+    const labelColumns = [xColumn, yColumn, zColumn, column];
+    this.clusteringInfo = {
+      method: 'hierarchical',
+      linkage,
+      features: columns,
+      scaling,
+      merges,
+      leafCount: data.length,
+      column,
+      labelColumns,
+      colorOptions: params.colorOptions || {}
+    };
+    
+    // Placeholder colours; cutHierarchicalLayout assigns the real ones
+    this.storeClusterLabels(column, data, data.map(() => 'Cluster 0'));
+    const visualizationData = this.createScatterLayout(data, xColumn, yColumn, zColumn, column, { type: 'categorical', map: {} }, invert);
+    this.cutHierarchicalLayout(visualizationData, { clusters });
+    return visualizationData;
+  }
+  
+  /**
+   * Recolour a hierarchical layout by cutting its tree at a new height or cluster count.
+   * Updates the label column, the points' colours, clusters and labels, and the legend.
+   * @param {Array} visualizationData - Points from createHierarchicalLayout
+   * @param {{height: number}|{clusters: number}} cut - Where to cut the tree
+   * @returns {Object} The updated clusteringInfo
+   */
+  cutHierarchicalLayout(visualizationData, cut) {
+    const info = this.clusteringInfo;
+    if (!info || info.method !== 'hierarchical') {
+      throw new Error('The current layout is not a hierarchical clustering');
+    }
+    const { labels, clusterCount, height } = this.cutHierarchy(info.merges, info.leafCount, cut);
+    const rows = visualizationData.map(point => point.originalData);
+    this.storeClusterLabels(info.column, rows, labels.map(label => `Cluster ${label}`));
+    info.colorMap = this.createColorMap(info.column, rows, info.colorOptions);
+    info.clusterCount = clusterCount;
+    info.cutHeight = height;
+    
+    visualizationData.forEach((point, index) => {
+      point.cluster = labels[index];
+      point.color = this.getColor(point.originalData[info.column], info.colorMap);
+      point.label = this.createLabel(point.originalData, index, info.labelColumns);
+    });
+    this.colorLegend = this.buildColorLegend(info.column, info.colorMap, visualizationData);
+    return info;
+  }
+  
+  /**
+   * Write cluster labels into the data as a categorical column, registering the column
+   * if it is new. Rows outside the clustered set get no label.
+   * @param {string} column - Column name
+   * @param {Array} rows - Clustered rows (objects from processedData)
+   * @param {Array<string>} labels - Label per row
+   */
+  storeClusterLabels(column, rows, labels) {
+    this.dataVersion++;
+    this.processedData.forEach(row => { row[column] = null; });
+    const categories = {};
+    rows.forEach((row, index) => {
+      row[column] = labels[index];
+      categories[labels[index]] = (categories[labels[index]] || 0) + 1;
+    });
+    
+    if (!this.dataColumns.includes(column)) {
+      this.dataColumns.push(column);
+    }
+    // An imported column of the same name may have been numeric
+    this.metaData.numericColumns = this.metaData.numericColumns.filter(col => col !== column);
+    if (!this.metaData.categoricalColumns.includes(column)) {
+      this.metaData.categoricalColumns.push(column);
+    }
+    this.metaData.dataStats[column] = { categories, uniqueCount: Object.keys(categories).length };
+  }
+  
+  /**
+   * Store a numeric column computed for some rows; the other rows get null
+   * @param {string} column - Column name
+   * @param {Array} rows - Rows the values belong to (objects from processedData)
+   * @param {Array<number|null>} values - Value per row
+   */
+  storeNumericColumn(column, rows, values) {
+    this.dataVersion++;
+    this.processedData.forEach(row => { row[column] = null; });
+    rows.forEach((row, index) => { row[column] = values[index]; });
+    
+    if (!this.dataColumns.includes(column)) {
+      this.dataColumns.push(column);
+    }
+    this.metaData.categoricalColumns = this.metaData.categoricalColumns.filter(col => col !== column);
+    if (!this.metaData.numericColumns.includes(column)) {
+      this.metaData.numericColumns.push(column);
+    }
+    const valid = values.filter(value => value !== null && Number.isFinite(value));
+    this.metaData.dataStats[column] = valid.length > 0
+      ? { ...this.getMinMax(valid), mean: valid.reduce((sum, value) => sum + value, 0) / valid.length, count: valid.length }
+      : { error: `No valid numeric values in column "${column}"` };
+  }
+  
+  /**
+   * Name a cluster of the current clustering layout
+   * @param {number} cluster - Cluster index from a point's `cluster` field
+   * @returns {string} 'Cluster N', or the noise/unclustered label for negative indices
+   */
+  getClusterLabel(cluster) {
+    if (cluster >= 0) return `Cluster ${cluster}`;
+    return this.clusteringInfo && this.clusteringInfo.method === 'dbscan' ? DBSCAN_NOISE_LABEL : 'Unclustered';
+  }
+  
+  /**
+   * Summarise each cluster of a clustering layout: its size, the mean and standard deviation
+   * of every numeric column, and the columns whose mean differs most from the other points
+   * @param {Array} visualizationData - Points from a k-means, DBSCAN or hierarchical layout
+   * @param {number} [topFeatures=CLUSTER_SUMMARY_TOP_FEATURES] - Distinguishing columns to list per cluster
+   * @returns {Array<Object>} One entry per cluster, noise last:
+   *   { cluster, label, color, size, indices, stats: { [column]: { mean, std, count } },
+   *     distinguishing: [{ column, mean, overallMean, effect }] } where effect is the difference of
+   *   the cluster mean from the overall mean in overall standard deviations
+   */
+  summarizeClusters(visualizationData, topFeatures = CLUSTER_SUMMARY_TOP_FEATURES) {
+    const columns = this.metaData.numericColumns.filter(column => !column.startsWith('_'));
+    const summarize = points => {
+      const stats = {};
+      columns.forEach(column => {
+        // Welford's update; E[x²] - E[x]² cancels catastrophically for large values with small spread
+        let count = 0;
+        let mean = 0;
+        let sumSqDiff = 0;
+        points.forEach(point => {
+          const value = point.originalData ? point.originalData[column] : undefined;
+          if (typeof value !== 'number' || !Number.isFinite(value)) return;
+          count++;
+          const delta = value - mean;
+          mean += delta / count;
+          sumSqDiff += delta * (value - mean);
+        });
+        const std = count > 1 ? Math.sqrt(sumSqDiff / (count - 1)) : 0;
+        stats[column] = { mean: count > 0 ? mean : null, std, count };
+      });
+      return stats;
+    };
+    
+    const overall = summarize(visualizationData);
+    const clusters = new Map();
+    visualizationData.forEach((point, index) => {
+      const cluster = typeof point.cluster === 'number' ? point.cluster : -1;
+      if (!clusters.has(cluster)) {
+        clusters.set(cluster, { cluster, label: this.getClusterLabel(cluster), color: point.color, points: [], indices: [] });
+      }
+      clusters.get(cluster).points.push(point);
+      clusters.get(cluster).indices.push(index);
+    });
+    
+    return [...clusters.values()]
+      .sort((a, b) => (a.cluster < 0) - (b.cluster < 0) || a.cluster - b.cluster)
+      .map(({ cluster, label, color, points, indices }) => {
+        const stats = summarize(points);
+        const distinguishing = columns
+          .filter(column => stats[column].mean !== null && overall[column].std > 0)
+          .map(column => ({
+            column,
+            mean: stats[column].mean,
+            overallMean: overall[column].mean,
+            effect: (stats[column].mean - overall[column].mean) / overall[column].std
+          }))
+          .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect))
+          .slice(0, topFeatures);
+        return { cluster, label, color, size: points.length, indices, stats, distinguishing };
+      });
+  }
+  
+  /**
+   * Get the column a generated column was written to for the loaded data
+   * @param {string} name - Generated column name, e.g. DBSCAN_LABEL_COLUMN
+   * @returns {string|null} Column name, or null if it has not been written
+   */
+  getGeneratedColumn(name) {
+    const entry = this.generatedColumns.get(name);
+    return entry && entry.rows === this.processedData && this.dataColumns.includes(entry.column)
+      ? entry.column
+      : null;
+  }
+  
+  /**
+   * Get the column to write a generated column to: the one written before, otherwise the name
+   * itself, or name_1 (name_2, ...) if a column of that name came with the data
+   * @param {string} name - Generated column name
+   * @returns {string} Column name
+   */
+  resolveGeneratedColumn(name) {
+    let column = this.getGeneratedColumn(name);
+    if (!column) {
+      column = name;
+      for (let suffix = 1; this.dataColumns.includes(column); suffix++) {
+        column = `${name}_${suffix}`;
+      }
+      this.generatedColumns.set(name, { rows: this.processedData, column });
+    }
+    return column;
+  }
+  
+  /**
+   * Get the column writeClusterColumn last wrote for the loaded data
+   * @returns {string|null} Column name, or null if none has been written
+   */
+  getClusterAssignmentColumn() {
+    return this.getGeneratedColumn(CLUSTER_ASSIGNMENT_COLUMN);
+  }
+  
+  /**
+   * Get the columns written by clustering layouts and the cluster summary panel
+   * @returns {Array<string>} Column names
+   */
+  getClusterLabelColumns() {
+    return CLUSTER_LABEL_COLUMNS.map(name => this.getGeneratedColumn(name)).filter(Boolean);
+  }
+  
+  /**
+   * Save the cluster assignments of a clustering layout as a real column of the data, so it can
+   * be coloured, filtered and exported. A column saved earlier is replaced; a column of the same
+   * name that came with the data is kept and the assignments go to cluster_1 (cluster_2, ...) instead.
+   * @param {Array} visualizationData - Points from a k-means, DBSCAN or hierarchical layout
+   * @returns {string} Name of the written column
+   */
+  writeClusterColumn(visualizationData) {
+    if (!this.clusteringInfo || visualizationData.length === 0) {
+      throw new Error('Run a clustering layout first');
+    }
+    const column = this.resolveGeneratedColumn(CLUSTER_ASSIGNMENT_COLUMN);
+    this.storeClusterLabels(
+      column,
+      visualizationData.map(point => point.originalData),
+      visualizationData.map(point => this.getClusterLabel(point.cluster))
+    );
+    console.log(`Cluster assignments of ${visualizationData.length} rows saved to the "${column}" column`);
+    return column;
+  }
+  
+  /**
+   * Serialise the loaded data, including columns added by clustering layouts, as CSV
+   * @param {Array<Object>} [rows=this.processedData] - Rows to write, e.g. the rows of a selection set
+   * @returns {string} CSV text with a header row
+   */
+  toCSV(rows = this.processedData) {
+    if (!rows) {
+      throw new Error('No data to export');
+    }
+    const lines = [this.dataColumns.map(value => this.escapeCSV(value)).join(',')];
+    rows.forEach(row => {
+      lines.push(this.dataColumns.map(column => this.escapeCSV(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serialise rows as a JSON array of objects with the data columns, the format JSON import reads
+   * @param {Array<Object>} [rows=this.processedData] - Rows to write
+   * @returns {string} JSON text
+   */
+  toJSON(rows = this.processedData) {
+    if (!rows) {
+      throw new Error('No data to export');
+    }
+    const objects = rows.map(row => {
+      const object = {};
+      this.dataColumns.forEach(column => { object[column] = row[column] === undefined ? null : row[column]; });
+      return object;
+    });
+    return JSON.stringify(objects, null, 2);
+  }
+
+  /**
+   * Get the column a selection set is mirrored into
+   * @param {string} name - Set name
+   * @returns {string} Column name; set:<name>, with a suffix if the data came with such a column
+   */
+  getSelectionSetColumn(name) {
+    return this.resolveGeneratedColumn(SELECTION_SET_COLUMN_PREFIX + name);
+  }
+
+  /**
+   * Get the operations combineSelectionSets accepts
+   * @returns {Array<string>} Operation names
+   */
+  getSelectionSetOperations() {
+    return SELECTION_SET_OPERATIONS.slice();
+  }
+
+  /**
+   * Save rows as a named selection set, replacing a set of the same name. The set is written
+   * to a categorical column marking each row 'yes' or 'no', so it can be coloured and filtered.
+   * @param {string} name - Set name
+   * @param {Iterable<Object>} rows - Rows from processedData
+   * @returns {string} Name of the set's column
+   */
+  saveSelectionSet(name, rows) {
+    const setName = String(name || '').trim();
+    if (!setName) {
+      throw new Error('Name the selection set');
+    }
+    if (!this.processedData) {
+      throw new Error('No data loaded');
+    }
+    const set = new Set(rows);
+    this.selectionSets.set(setName, set);
+    const column = this.getSelectionSetColumn(setName);
+    this.storeClusterLabels(column, this.processedData, this.processedData.map(row => (set.has(row) ? SELECTION_SET_IN : SELECTION_SET_OUT)));
+    console.log(`Selection set "${setName}" saved with ${set.size} rows`);
+    return column;
+  }
+
+  /**
+   * Combine two selection sets into a new (or replaced) set
+   * @param {string} name - Name of the result
+   * @param {string} operation - 'union', 'intersection' or 'difference' (rows of the first set not in the second)
+   * @param {string} first - Name of the first set
+   * @param {string} second - Name of the second set
+   * @returns {string} Name of the result's column
+   */
+  combineSelectionSets(name, operation, first, second) {
+    if (!SELECTION_SET_OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown set operation "${operation}"`);
+    }
+    const [a, b] = [first, second].map(setName => {
+      const set = this.selectionSets.get(setName);
+      if (!set) throw new Error(`No selection set named "${setName}"`);
+      return set;
+    });
+    let rows;
+    if (operation === 'union') {
+      rows = [...a, ...b];
+    } else if (operation === 'intersection') {
+      rows = [...a].filter(row => b.has(row));
+    } else {
+      rows = [...a].filter(row => !b.has(row));
+    }
+    return this.saveSelectionSet(name, rows);
+  }
+
+  /**
+   * Delete a selection set and its column
+   * @param {string} name - Set name
+   * @returns {string|null} Name of the removed column, or null if there was no such set
+   */
+  deleteSelectionSet(name) {
+    if (!this.selectionSets.delete(name)) return null;
+    const column = this.getGeneratedColumn(SELECTION_SET_COLUMN_PREFIX + name);
+    this.generatedColumns.delete(SELECTION_SET_COLUMN_PREFIX + name);
+    if (!column) return null;
+    if (this.processedData) this.processedData.forEach(row => { delete row[column]; });
+    this.dataColumns = this.dataColumns.filter(col => col !== column);
+    this.metaData.categoricalColumns = this.metaData.categoricalColumns.filter(col => col !== column);
+    delete this.metaData.dataStats[column];
+    return column;
+  }
+
+  /**
+   * Get the rows of a selection set in data order
+   * @param {string} name - Set name
+   * @returns {Array<Object>} Rows from processedData
+   */
+  getSelectionSetRows(name) {
+    const set = this.selectionSets.get(name);
+    if (!set) {
+      throw new Error(`No selection set named "${name}"`);
+    }
+    return this.processedData.filter(row => set.has(row));
+  }
+
+  /**
+   * Describe the selection sets for saving, as row positions in the given rows.
+   * Rows missing from them are left out of the sets.
+   * @param {Array<Object>} [rows=this.processedData] - Rows the positions refer to
+   * @returns {Array<{name: string, column: string, rows: Array<number>}>} Sets in the order they were saved
+   */
+  serializeSelectionSets(rows = this.processedData) {
+    return [...this.selectionSets].map(([name, set]) => ({
+      name,
+      column: this.getSelectionSetColumn(name),
+      rows: (rows || []).reduce((positions, row, position) => {
+        if (set.has(row)) positions.push(position);
+        return positions;
+      }, [])
+    }));
+  }
+
+  /**
+   * Forget every selection set, e.g. when other data is loaded. Their columns belong to the old rows.
+   */
+  clearSelectionSets() {
+    this.selectionSets.clear();
+  }
+
+  /**
+   * Replace the selection sets with saved ones
+   * @param {Array<{name: string, column: string, rows: Array<number>}>} [saved] - Output of serializeSelectionSets for processedData
+   */
+  loadSelectionSets(saved) {
+    this.clearSelectionSets();
+    if (!Array.isArray(saved) || !this.processedData) return;
+    saved.forEach(entry => {
+      if (!entry || !Array.isArray(entry.rows)) return;
+      // The saved rows carry the set's column; write to it again rather than to a suffixed copy
+      const column = entry.column || SELECTION_SET_COLUMN_PREFIX + entry.name;
+      if (this.dataColumns.includes(column)) {
+        this.generatedColumns.set(SELECTION_SET_COLUMN_PREFIX + entry.name, { rows: this.processedData, column });
+      }
+      this.saveSelectionSet(entry.name, entry.rows.map(position => this.processedData[position]).filter(Boolean));
+    });
+  }
+
+  /**
+   * Quote a CSV field when it contains a separator, quote or line break
+   * @param {*} value - Field value
+   * @returns {string} CSV field text
+   */
+  escapeCSV(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  
+  /**
+   * Resolve the numeric columns used by multi-column layouts (PCA, t-SNE)
+   * @param {Array<string>} [columns] - Requested columns; empty or missing means getDefaultFeatureColumns
+   * @returns {Array<string>} Numeric, non-internal columns
+   */
+  resolveFeatureColumns(columns) {
+    const available = this.metaData.numericColumns.filter(col => !col.startsWith('_'));
+    const requested = Array.isArray(columns) ? columns.filter(col => available.includes(col)) : [];
+    return requested.length > 0 ? requested : this.getDefaultFeatureColumns();
+  }
+
+  /**
+   * Get the numeric columns multi-column layouts use when none are chosen. Columns written by
+   * outlier detection and clustering are left out, so their results are not fed back in.
+   * @returns {Array<string>} Numeric, non-internal, non-generated columns
+   */
+  getDefaultFeatureColumns() {
+    const generated = this.getClusterLabelColumns().concat(OUTLIER_SCORE_COLUMN);
+    return this.metaData.numericColumns.filter(col => !col.startsWith('_') && !generated.includes(col));
+  }
+
+  /**
+   * Principal component analysis of standardised columns
+   * Missing values are imputed with the column mean (0 after standardising).
+   * @param {Array} dataSet - Rows to fit on
+   * @param {Array<string>} columns - Numeric columns to use
+   * @param {number} [componentCount=3] - Number of components to keep
+   * @returns {Object} { columns, means, stdDevs, components: [{ name, eigenvalue, explainedVariance, weights, loadings: [{ column, loading }] }] }
+   */
+  computePCA(dataSet, columns, componentCount = 3) {
+    if (!columns || columns.length === 0) {
+      throw new Error('PCA needs at least one numeric column');
+    }
+    if (!dataSet || dataSet.length < 2) {
+      throw new Error('PCA needs at least two rows');
+    }
+    
+    const { means, stdDevs } = this.getColumnMoments(dataSet, columns);
+    
+    // Correlation matrix (covariance of the standardised columns)
+    const p = columns.length;
+    const covariance = Array.from({ length: p }, () => new Array(p).fill(0));
+    dataSet.forEach(row => {
+      const z = this.standardizeRow(row, columns, means, stdDevs);
+      for (let i = 0; i < p; i++) {
+        if (z[i] === 0) continue;
+        for (let j = i; j < p; j++) covariance[i][j] += z[i] * z[j];
+      }
+    });
+    for (let i = 0; i < p; i++) {
+      for (let j = i; j < p; j++) {
+        covariance[i][j] /= dataSet.length - 1;
+        covariance[j][i] = covariance[i][j];
+      }
+    }
+    
+    const { values, vectors } = MathUtils.symmetricEigen(covariance);
+    const eigenvalues = values.map(value => Math.max(0, value)); // Clamp rounding noise
+    const totalVariance = eigenvalues.reduce((sum, value) => sum + value, 0) || 1;
+    
+    const components = [];
+    for (let i = 0; i < Math.min(componentCount, p); i++) {
+      // Eigenvector signs are arbitrary; make the largest weight positive so runs are repeatable
+      let weights = vectors[i];
+      const largest = weights.reduce((best, w) => (Math.abs(w) > Math.abs(best) ? w : best), 0);
+      if (largest < 0) weights = weights.map(w => -w);
+      
+      components.push({
+        name: `PC${i + 1}`,
+        eigenvalue: eigenvalues[i],
+        explainedVariance: eigenvalues[i] / totalVariance,
+        weights,
+        // Loadings: correlation between each column and the component
+        loadings: columns.map((column, j) => ({ column, loading: weights[j] * Math.sqrt(eigenvalues[i]) }))
+      });
+    }
+    
+    return { columns, means, stdDevs, components };
+  }
+
+  /**
+   * Column means and sample standard deviations over valid numeric values
+   * @param {Array} dataSet - Rows
+   * @param {Array<string>} columns - Columns to summarise
+   * @returns {{means: Array<number>, stdDevs: Array<number>}}
+   */
+  getColumnMoments(dataSet, columns) {
+    const means = [];
+    const stdDevs = [];
+    columns.forEach(col => {
+      // Mean first, then squared deviations from it; sum(x²) - n·mean² loses the spread of large values
+      let sum = 0, count = 0;
+      dataSet.forEach(row => {
+        const value = parseFloat(row[col]);
+        if (!isNaN(value)) { sum += value; count++; }
+      });
+      const mean = count > 0 ? sum / count : 0;
+      let sumSqDiff = 0;
+      dataSet.forEach(row => {
+        const value = parseFloat(row[col]);
+        if (!isNaN(value)) sumSqDiff += (value - mean) * (value - mean);
+      });
+      const variance = count > 1 ? sumSqDiff / (count - 1) : 0;
+      means.push(mean);
+      stdDevs.push(Math.sqrt(variance));
+    });
+    return { means, stdDevs };
+  }
+
+  /**
+   * Standardise a row's values for the given columns
+   * @param {Object} row - Data row
+   * @param {Array<string>} columns - Columns to read
+   * @param {Array<number>} means - Column means
+   * @param {Array<number>} stdDevs - Column standard deviations
+   * @returns {Array<number>} z-scores; missing values and constant columns give 0
+   */
+  standardizeRow(row, columns, means, stdDevs) {
+    return columns.map((col, j) => {
+      const value = parseFloat(row[col]);
+      return isNaN(value) || stdDevs[j] === 0 ? 0 : (value - means[j]) / stdDevs[j];
+    });
+  }
+
+  /**
+   * Project a row onto the PCA components
+   * @param {Object} row - Data row
+   * @param {Object} pca - Result of computePCA
+   * @returns {Array<number>} Component scores
+   */
+  projectPCA(row, pca) {
+    const z = this.standardizeRow(row, pca.columns, pca.means, pca.stdDevs);
+    return pca.components.map(component => component.weights.reduce((sum, w, j) => sum + w * z[j], 0));
+  }
+
+  /**
+   * Create a layout from the first three principal components
+   * The PCA is fitted on the full dataset so filtering doesn't move points.
+   * @param {Array} data - Data points to layout (potentially filtered)
+   * @param {Array<string>} columns - Numeric columns to project
+   * @param {string} colorColumn - Column for coloring
+   * @param {Object} colorMap - Pre-generated color map
+   * @param {{x: boolean, y: boolean, z: boolean}} [invert] - Axes to flip
+   * @returns {Array} Data points positioned by component scores
+   */
+  createPCALayout(data, columns, colorColumn, colorMap, invert = {}) {
+    console.log(`Creating PCA layout over ${columns.length} columns...`);
+    const pca = this.computePCA(this.processedData, columns);
+    const axes = ['x', 'y', 'z'];
+    
+    // One scale for all components keeps their relative spread visible
+    const ranges = pca.components.map(() => ({ min: Infinity, max: -Infinity }));
+    this.processedData.forEach(row => {
+      this.projectPCA(row, pca).forEach((score, i) => {
+        if (score < ranges[i].min) ranges[i].min = score;
+        if (score > ranges[i].max) ranges[i].max = score;
+      });
+    });
+    const maxAbs = ranges.reduce((max, range) => Math.max(max, Math.abs(range.min), Math.abs(range.max)), 0);
+    const scale = maxAbs > 0 ? 50 / maxAbs : 1;
+    const signs = axes.map(axis => (invert[axis] ? -1 : 1));
+    
+    const labelColumns = columns.slice(0, 5).concat(colorColumn);
+    const visualizationData = data.map((row, index) => {
+      const scores = this.projectPCA(row, pca);
+      const position = {};
+      axes.forEach((axis, i) => {
+        position[axis] = i < scores.length ? scores[i] * scale * signs[i] : 0;
+      });
+      const scoreText = scores.map((score, i) => `${pca.components[i].name}: ${score.toFixed(2)}`).join('<br>');
+      
+      return {
+        id: `point-${index}`,
+        position,
+        originalData: row,
+        color: this.getColor(row[colorColumn], colorMap),
+        label: this.createLabel(row, index, labelColumns) + scoreText
+      };
+    });
+    
+    // Axis annotations are in component score units
+    const axisInfo = {};
+    pca.components.forEach((component, i) => {
+      const axis = axes[i];
+      axisInfo[axis] = {
+        column: `${component.name} (${(component.explainedVariance * 100).toFixed(1)}%)`,
+        inverted: signs[i] < 0,
+        min: ranges[i].min,
+        max: ranges[i].max,
+        sceneMin: ranges[i].min * scale * signs[i],
+        sceneMax: ranges[i].max * scale * signs[i],
+        ticks: this.getNiceTicks(ranges[i].min, ranges[i].max).map(({ value, label }) => ({
+          value,
+          label,
+          position: value * scale * signs[i]
+        }))
+      };
+    });
+    
+    this.projectionInfo = {
+      method: 'pca',
+      columns: pca.columns,
+      components: pca.components.map(({ name, eigenvalue, explainedVariance, loadings }) => ({ name, eigenvalue, explainedVariance, loadings })),
+      axisInfo
+    };
+    
+    console.log(`PCA layout created with ${visualizationData.length} points`);
+    return visualizationData;
+  }
+
+  /**
+   * Create the starting point of a t-SNE layout: a seeded random cloud.
+   * The embedding itself is computed by runTSNE, which animates from these positions.
+   * @param {Array} data - Data points to layout (potentially filtered)
+   * @param {Array<string>} columns - Numeric columns to embed
+   * @param {string} colorColumn - Column for coloring
+   * @param {Object} colorMap - Pre-generated color map
+   * @param {Object} [params] - { perplexity = 30, iterations = 1000, seed }
+   * @returns {Array} Data points at their initial positions
+   */
+  createTSNELayout(data, columns, colorColumn, colorMap, params = {}) {
+    if (data.length > TSNE_MAX_ROWS) {
+      throw new Error(`t-SNE supports up to ${TSNE_MAX_ROWS.toLocaleString()} rows, filter the data first (${data.length.toLocaleString()} rows)`);
+    }
+    if (columns.length === 0) {
+      throw new Error('t-SNE needs at least one numeric column');
+    }
+    const perplexity = Math.max(2, Number(params.perplexity) || 30);
+    const iterations = Math.max(1, Math.round(Number(params.iterations) || 1000));
+    const seed = this.resolveSeed(params.seed);
+    const key = JSON.stringify({ columns, perplexity, iterations, seed });
+    this.projectionInfo = { method: 'tsne', columns, perplexity, iterations, seed };
+    
+    // The same rows and parameters give the same embedding, so a finished one is reused as is
+    const cache = this.embeddingCache;
+    let positions;
+    if (cache && cache.key === key && this.isSameRows(cache.rows, data)) {
+      console.log('Reusing the finished t-SNE embedding');
+      positions = cache.positions.map(position => ({ ...position }));
+    } else {
+      console.log(`Creating t-SNE layout over ${columns.length} columns (perplexity ${perplexity}, ${iterations} iterations, seed ${seed})...`);
+      
+      // Small Gaussian initialisation, as in the reference implementation
+      const random = MathUtils.createRandom(seed);
+      const init = new Float64Array(data.length * 3);
+      for (let i = 0; i < init.length; i++) {
+        init[i] = MathUtils.randomNormal(random) * 1e-4;
+      }
+      positions = this.scaleEmbedding(init);
+      this.pendingEmbedding = { rows: data, columns, init, perplexity, iterations, key };
+    }
+    
+    const labelColumns = columns.slice(0, 5).concat(colorColumn);
+    const visualizationData = data.map((row, index) => ({
+      id: `point-${index}`,
+      position: positions[index],
+      originalData: row,
+      color: this.getColor(row[colorColumn], colorMap),
+      label: this.createLabel(row, index, labelColumns)
+    }));
+    
+    return visualizationData;
+  }
+
+  /**
+   * Check whether two row arrays hold the same row objects in the same order
+   * @param {Array<Object>} a - Rows
+   * @param {Array<Object>} b - Rows
+   * @returns {boolean} True if every row is the same object
+   */
+  isSameRows(a, b) {
+    return a.length === b.length && a.every((row, index) => row === b[index]);
+  }
+
+  /**
+   * Run t-SNE on a Web Worker for the rows prepared by the last t-SNE layout
+   * @param {Function} [onProgress] - Called with { iteration, iterations, positions } as the embedding evolves
+   * @param {number} [reportEvery=10] - Iterations between progress updates
+   * @returns {{promise: Promise<{positions: Array<{x: number, y: number, z: number}>}>, cancel: Function}}
+   *   The promise rejects with an error whose `canceled` flag is set if cancel() is called
+   */
+  runTSNE(onProgress, reportEvery = 10) {
+    const job = this.pendingEmbedding;
+    if (!job) {
+      throw new Error('No t-SNE layout has been prepared');
+    }
+    if (typeof Worker === 'undefined') {
+      throw new Error('Web Workers are not available');
+    }
+    
+    // Standardise with full-dataset statistics, like PCA
+    const { means, stdDevs } = this.getColumnMoments(this.processedData, job.columns);
+    const dims = job.columns.length;
+    const data = new Float64Array(job.rows.length * dims);
+    job.rows.forEach((row, i) => {
+      data.set(this.standardizeRow(row, job.columns, means, stdDevs), i * dims);
+    });
+    
+    const worker = new Worker(TSNE_WORKER_URL);
+    let cancel = () => {};
+    
+    const promise = new Promise((resolve, reject) => {
+      let settled = false;
+      
+      const finish = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        worker.terminate();
+        callback(value);
+      };
+      
+      cancel = () => {
+        console.log('DataProcessor: t-SNE canceled');
+        const error = new Error('t-SNE canceled');
+        error.canceled = true;
+        finish(reject, error);
+      };
+      
+      worker.onmessage = (event) => {
+        const message = event.data;
+        switch (message.type) {
+          case 'progress':
+            if (onProgress) {
+              onProgress({ iteration: message.iteration, iterations: message.iterations, positions: this.scaleEmbedding(message.positions) });
+            }
+            break;
+          case 'complete':
+            console.log(`DataProcessor: t-SNE finished after ${message.iteration} iterations.`);
+            if (!settled) {
+              const positions = this.scaleEmbedding(message.positions);
+              this.embeddingCache = { rows: job.rows, key: job.key, positions };
+              finish(resolve, { positions: positions.map(position => ({ ...position })) });
+            }
+            break;
+          case 'error':
+            finish(reject, new Error(`t-SNE failed: ${message.message}`));
+            break;
+          default:
+            console.warn('DataProcessor: Unknown message from t-SNE worker:', message);
+        }
+      };
+      
+      worker.onerror = (event) => {
+        event.preventDefault();
+        finish(reject, new Error(`t-SNE worker error: ${event.message || 'unknown error'}`));
+      };
+      
+      worker.postMessage({
+        type: 'run',
+        data,
+        n: job.rows.length,
+        dims,
+        init: job.init,
+        perplexity: job.perplexity,
+        iterations: job.iterations,
+        reportEvery
+      }, [data.buffer]);
+    });
+    
+    return { promise, cancel };
+  }
+
+  /**
+   * Scale a flat embedding (x, y, z per row) to fill the -50..50 scene range
+   * @param {Float64Array|Array<number>} flat - Embedding coordinates
+   * @param {number} [extent=50] - Half-width of the scene range
+   * @returns {Array<{x: number, y: number, z: number}>} Scene positions
+   */
+  scaleEmbedding(flat, extent = 50) {
+    let maxAbs = 0;
+    for (let i = 0; i < flat.length; i++) {
+      if (Math.abs(flat[i]) > maxAbs) maxAbs = Math.abs(flat[i]);
+    }
+    const scale = maxAbs > 0 ? extent / maxAbs : 1;
+    const positions = [];
+    for (let i = 0; i < flat.length; i += 3) {
+      positions.push({ x: flat[i] * scale, y: flat[i + 1] * scale, z: flat[i + 2] * scale });
+    }
+    return positions;
+  }
+
+  /**
+   * Guess the node id, edge source, target and weight columns from their names
+   * @param {Array<string>} columns - Column names
+   * @returns {{id: string, source: string, target: string, weight: string}} Column names, '' where none matched
+   */
+  detectEdgeColumns(columns) {
+    const find = pattern => columns.find(column => pattern.test(column.trim())) || '';
+    return {
+      id: find(/^(id|node|node[ _]?id|name|key)$/i),
+      source: find(/^(source|src|from|start|node[ _]?1)$/i),
+      // A parent column links each row to its parent, with the id column as the source
+      target: find(/^(target|dst|dest|destination|to|end|node[ _]?2|parent|parent[ _]?id)$/i),
+      weight: find(/^(weight|strength|value|count)$/i)
+    };
+  }
+
+  /**
+   * Use rows of a separate table as the edges of the network layout
+   * @param {Array<Object>} rows - Edge rows
+   * @param {Array<string>} [fields] - Column names
+   * @param {string} [name] - File name shown in the UI
+   * @returns {Object} The edge list { name, columns, source, target, weight, rows }
+   */
+  loadEdgeList(rows, fields, name = '') {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('Edge list is empty');
+    }
+    const columns = (fields && fields.length > 0 ? fields : Object.keys(rows[0])).filter(Boolean);
+    if (columns.length < 2) {
+      throw new Error('Edge list needs a source and a target column');
+    }
+    
+    // Named columns win, otherwise the first two columns are source and target
+    const detected = this.detectEdgeColumns(columns);
+    const source = detected.source || columns[0];
+    const target = detected.target || columns.find(column => column !== source);
+    this.edgeList = { name, columns, source, target, weight: detected.weight, rows };
+    console.log(`Loaded edge list ${name} with ${rows.length} edges (${source} -> ${target}${detected.weight ? `, weight ${detected.weight}` : ''})`);
+    return this.edgeList;
+  }
+
+  /**
+   * Parse an edge list CSV and load it with loadEdgeList
+   * @param {string} csvData - Raw CSV text
+   * @param {string} [name] - File name shown in the UI
+   * @returns {Object} The edge list
+   */
+  processEdgeListCSV(csvData, name = '') {
+    if (!csvData || csvData.trim() === '') {
+      throw new Error('Edge list file is empty');
+    }
+    if (typeof Papa === 'undefined') {
+      throw new Error('CSV parsing library (PapaParse) is not available');
+    }
+    const { rows, fields } = this.parseCSVText(csvData);
+    return this.loadEdgeList(rows, fields, name);
+  }
+
+  /**
+   * Resolve edges to indices of the rows being laid out.
+   * Node ids come from the id column, or are row numbers of the full table when there is none.
+   * Edges come from source/target columns of the node table, or from the loaded edge list.
+   * @param {Array} data - Rows being laid out (potentially filtered)
+   * @param {Object} [options] - { idColumn, edgeSource: 'columns' | 'file', sourceColumn, targetColumn, weightColumn }
+   * @returns {Object} { nodeCount, edges: [{ source, target, weight, strength }], edgeSource, columns,
+   *   skipped, minWeight, maxWeight }, with strength the weight scaled to 0-1
+   */
+  buildGraph(data, options = {}) {
+    const idColumn = this.dataColumns.includes(options.idColumn) ? options.idColumn : '';
+    const rowNumbers = idColumn ? null : new Map(this.processedData.map((row, index) => [row, index]));
+    const indexById = new Map();
+    data.forEach((row, index) => {
+      const id = idColumn ? row[idColumn] : rowNumbers.get(row);
+      if (id === null || id === undefined || id === '') return;
+      // First row wins for duplicate ids
+      if (!indexById.has(String(id))) indexById.set(String(id), index);
+    });
+    
+    let edgeRows, sourceColumn, targetColumn, weightColumn;
+    if (options.edgeSource === 'file') {
+      if (!this.edgeList) {
+        throw new Error('No edge list loaded');
+      }
+      ({ rows: edgeRows, source: sourceColumn, target: targetColumn, weight: weightColumn } = this.edgeList);
+    } else {
+      // Edges of filtered-out rows are kept when both their ends are still shown
+      edgeRows = this.processedData;
+      sourceColumn = this.dataColumns.includes(options.sourceColumn) ? options.sourceColumn : idColumn;
+      targetColumn = this.dataColumns.includes(options.targetColumn) ? options.targetColumn : '';
+      weightColumn = this.dataColumns.includes(options.weightColumn) ? options.weightColumn : '';
+      if (!sourceColumn || !targetColumn) {
+        throw new Error('Choose the source and target columns that define the edges');
+      }
+    }
+    
+    const edges = [];
+    let skipped = 0;
+    edgeRows.forEach(row => {
+      const from = row[sourceColumn];
+      const to = row[targetColumn];
+      // A blank end means no edge, e.g. the root of a parent column
+      if (from === null || from === undefined || from === '' || to === null || to === undefined || to === '') return;
+      const source = indexById.get(String(from));
+      const target = indexById.get(String(to));
+      if (source === undefined || target === undefined || source === target) {
+        skipped++;
+        return;
+      }
+      const weight = weightColumn ? Number(row[weightColumn]) : 1;
+      edges.push({ source, target, weight: Number.isFinite(weight) ? weight : 1 });
+    });
+    
+    let minWeight = Infinity;
+    let maxWeight = -Infinity;
+    edges.forEach(({ weight }) => {
+      if (weight < minWeight) minWeight = weight;
+      if (weight > maxWeight) maxWeight = weight;
+    });
+    edges.forEach(edge => {
+      edge.strength = maxWeight > minWeight ? (edge.weight - minWeight) / (maxWeight - minWeight) : 1;
+    });
+    
+    console.log(`Graph built: ${edges.length} edges between ${data.length} nodes, ${skipped} skipped`);
+    return {
+      nodeCount: data.length,
+      edges,
+      edgeSource: options.edgeSource === 'file' ? 'file' : 'columns',
+      columns: { id: idColumn, source: sourceColumn, target: targetColumn, weight: weightColumn || '' },
+      skipped,
+      minWeight: edges.length > 0 ? minWeight : null,
+      maxWeight: edges.length > 0 ? maxWeight : null
+    };
+  }
+
+  /**
+   * Create a force-directed network layout. The returned positions are the
+   * simulation's starting point; the UI ticks this.graph.simulation to animate it.
+   * A refresh over the same rows and edges continues the previous simulation from where it got to.
+   * @param {Array} data - Data points to layout (potentially filtered)
+   * @param {string} colorColumn - Column for coloring
+   * @param {Object} colorMap - Pre-generated color map
+   * @param {Object} [graphOptions] - See buildGraph
+   * @param {number} [seed] - Seed for the starting positions
+   * @returns {Array} Data points at their initial positions
+   */
+  createForceLayout(data, colorColumn, colorMap, graphOptions = {}, seed = DEFAULT_SEED) {
+    const graph = this.buildGraph(data, graphOptions);
+    if (graph.edges.length === 0) {
+      const reason = graph.skipped > 0 ? `, ${graph.skipped} edges reference ids that are missing or filtered out` : '';
+      throw new Error(`No edges found between the ${data.length} rows${reason}`);
+    }
+    
+    const degrees = new Array(data.length).fill(0);
+    graph.edges.forEach(({ source, target }) => {
+      degrees[source]++;
+      degrees[target]++;
+    });
+    
+    const key = JSON.stringify({ ...graphOptions, seed });
+    const cache = this.forceLayoutCache;
+    let simulation;
+    if (cache && cache.key === key && cache.edgeList === this.edgeList && this.isSameRows(cache.rows, data)) {
+      console.log('Reusing the network layout simulation');
+      simulation = cache.simulation;
+    } else {
+      simulation = new ForceSimulation(data.length, graph.edges, { seed });
+      this.forceLayoutCache = { rows: data, key, edgeList: this.edgeList, simulation };
+    }
+    const positions = this.scaleEmbedding(simulation.positions);
+    const labelColumns = [graph.columns.id, colorColumn].filter(Boolean);
+    const visualizationData = data.map((row, index) => ({
+      id: `point-${index}`,
+      position: positions[index],
+      originalData: row,
+      color: this.getColor(row[colorColumn], colorMap),
+      label: this.createLabel(row, index, labelColumns) + `Links: ${degrees[index]}<br>`
+    }));
+    
+    this.graph = { ...graph, simulation };
+    console.log(`Force layout created with ${visualizationData.length} nodes and ${graph.edges.length} edges`);
+    return visualizationData;
+  }
+
+  /**
+   * K-Means with k-means++ seeding, keeping the run with the lowest inertia
+   * @param {Array<Array<number>>} dataPoints - Array of points, each an array of features.
+   * @param {number} k - Number of clusters.
+   * @param {number} maxIterations - Max iterations to prevent infinite loops.
+   * @param {Object} [options] - { random: generator from MathUtils.createRandom (default seed 42), restarts = 1 }
+   * @returns {{clusters: Array<number>, centroids: Array<Array<number>>, inertia: number}}
+   *   inertia is the sum of squared distances from points to their centroid
+   */
+  runKMeans(dataPoints, k, maxIterations = 50, options = {}) {
+      if (dataPoints.length === 0) return { clusters: [], centroids: [], inertia: 0 };
+      const random = options.random || MathUtils.createRandom(DEFAULT_SEED);
+      const restarts = Math.max(1, options.restarts || 1);
+
+      let best = null;
+      for (let run = 0; run < restarts; run++) {
+          const result = this.runKMeansOnce(dataPoints, k, maxIterations, random);
+          if (!best || result.inertia < best.inertia) best = result;
+      }
+      console.log(`K-Means kept the best of ${restarts} runs, inertia ${best.inertia.toFixed(4)}.`);
+      // === Log final results ===
+      console.log("KMeans Final Assignments (first 10):", best.clusters.slice(0, 10));
+      console.log("KMeans Final Centroids:", best.centroids);
+      // === End log ===
+      return best;
+  }
+
+  /**
+   * One K-Means run from a k-means++ initialisation
+   * @param {Array<Array<number>>} dataPoints - Array of points, each an array of features.
+   * @param {number} k - Number of clusters.
+   * @param {number} maxIterations - Max iterations to prevent infinite loops.
+   * @param {Function} random - Seeded generator
+   * @returns {{clusters: Array<number>, centroids: Array<Array<number>>, inertia: number}}
+   */
+  runKMeansOnce(dataPoints, k, maxIterations, random) {
+      const dimensions = dataPoints[0].length;
+
+      let centroids = this.initKMeansPlusPlus(dataPoints, k, random);
+      // Handle cases where k > number of unique points if needed
+      k = centroids.length; 
+
+      let assignments = new Array(dataPoints.length);
+      let changed = true;
+      let iterations = 0;
+
+      while (changed && iterations < maxIterations) {
+          changed = false;
+          iterations++;
+
+          // Assign points to the nearest centroid
+          for (let i = 0; i < dataPoints.length; i++) {
+              let minDist = Infinity;
+              let bestCluster = -1;
+              for (let j = 0; j < k; j++) {
+                  let dist = this.euclideanDistance(dataPoints[i], centroids[j]);
+                  if (dist < minDist) {
+                      minDist = dist;
+                      bestCluster = j;
+                  }
+              }
+              if (assignments[i] !== bestCluster) {
+                  assignments[i] = bestCluster;
+                  changed = true;
+              }
+          }
+
+          // Recalculate centroids
+          if (changed) {
+              const newCentroids = new Array(k).fill(0).map(() => new Array(dimensions).fill(0));
+              let counts = new Array(k).fill(0);
+              for (let i = 0; i < dataPoints.length; i++) {
+                  let cluster = assignments[i];
+                  // === Defensive Check ===
+                  if (cluster === undefined || cluster < 0 || cluster >= k) {
+                      console.error(`KMeans: Invalid cluster assignment (${cluster}) for point ${i} during centroid recalc.`);
+                      continue; // Skip this point if assignment is bad
+                  }
+                  // === End Check ===
+                  counts[cluster]++;
+                  for (let d = 0; d < dimensions; d++) {
+                      // === Defensive Check ===
+                      if (isNaN(dataPoints[i][d])) {
+                          console.warn(`KMeans: NaN feature value encountered for point ${i}, dimension ${d}. Skipping contribution.`);
+                          continue;
+                      }
+                      // === End Check ===
+                      newCentroids[cluster][d] += dataPoints[i][d];
+                  }
+              }
+              for (let j = 0; j < k; j++) {
+                  if (counts[j] > 0) {
+                      for (let d = 0; d < dimensions; d++) {
+                          newCentroids[j][d] /= counts[j];
+                      }
+                      // === Log Check ===
+                      // console.log(`KMeans: Centroid ${j} updated to:`, newCentroids[j].map(v => v.toFixed(3)));
+                      // === End Log Check ===
+                  } else {
+                      console.warn(`KMeans: Cluster ${j} became empty. Re-initializing centroid.`);
+                      // Reinitialize centroid randomly but ensure it's a valid point
+                      let randomIndex = Math.floor(random() * dataPoints.length);
+                      newCentroids[j] = [...dataPoints[randomIndex]]; 
+                      // Mark as changed to ensure another iteration if assignments shift due to reinitialization
+                      changed = true; 
+                  }
+              }
+              centroids = newCentroids;
+          }
+      }
+      console.log(`K-Means completed in ${iterations} iterations.`);
+
+      let inertia = 0;
+      for (let i = 0; i < dataPoints.length; i++) {
+          inertia += this.squaredDistance(dataPoints[i], centroids[assignments[i]]);
+      }
+      return { clusters: assignments, centroids, inertia };
+  }
+
+  /**
+   * Pick initial centroids with k-means++: each new centroid is drawn with probability
+   * proportional to its squared distance from the nearest centroid chosen so far
+   * @param {Array<Array<number>>} dataPoints - Points to cluster
+   * @param {number} k - Number of centroids wanted
+   * @param {Function} random - Seeded generator
+   * @returns {Array<Array<number>>} Up to k centroids (fewer if there are fewer distinct points)
+   */
+  initKMeansPlusPlus(dataPoints, k, random) {
+      const centroids = [[...dataPoints[Math.floor(random() * dataPoints.length)]]];
+      const distances = dataPoints.map(point => this.squaredDistance(point, centroids[0]));
+
+      while (centroids.length < k) {
+          const total = distances.reduce((sum, distance) => sum + distance, 0);
+          if (total === 0) break; // Every point already coincides with a centroid
+
+          let target = random() * total;
+          let index = 0;
+          while (index < distances.length - 1 && (target >= distances[index] || distances[index] === 0)) {
+              target -= distances[index];
+              index++;
+          }
+          const centroid = [...dataPoints[index]];
+          centroids.push(centroid);
+          for (let i = 0; i < dataPoints.length; i++) {
+              distances[i] = Math.min(distances[i], this.squaredDistance(dataPoints[i], centroid));
+          }
+      }
+      return centroids;
+  }
+
+  /**
+   * Run K-Means for k = 1..maxK and choose k by the elbow of the inertia curve or the best silhouette
+   * @param {Array<Array<number>>} dataPoints - Points to cluster
+   * @param {Object} options - { maxK = 10, method = 'silhouette' | 'elbow', restarts, random }
+   * @returns {{k: number, method: string, result: Object, scores: Array<{k: number, inertia: number, silhouette: number|null}>}}
+   *   result is the runKMeans result for the chosen k
+   */
+  chooseKMeansK(dataPoints, options = {}) {
+      const method = options.method === 'elbow' ? 'elbow' : 'silhouette';
+      const maxK = Math.max(2, Math.min(Math.round(Number(options.maxK) || 10), dataPoints.length - 1));
+      const random = options.random || MathUtils.createRandom(DEFAULT_SEED);
+      const sweepRestarts = Math.min(options.restarts || 1, KMEANS_SWEEP_RESTARTS);
+      console.log(`Choosing K by ${method} for K = 1..${maxK}`);
+
+      const scores = [];
+      for (let k = 1; k <= maxK; k++) {
+          const result = this.runKMeans(dataPoints, k, 50, { random, restarts: sweepRestarts });
+          // Silhouettes are undefined for a single cluster
+          const silhouette = k > 1 ? this.computeSilhouette(dataPoints, result.clusters, random) : null;
+          scores.push({ k, inertia: result.inertia, silhouette });
+      }
+
+      const chosenK = method === 'elbow'
+          ? this.findElbow(scores.map(score => score.inertia))
+          : scores.reduce((best, score) => (score.silhouette !== null && score.silhouette > best.silhouette ? score : best), scores[1]).k;
+      console.log(`Chose K=${chosenK} by ${method}.`);
+      const result = this.runKMeans(dataPoints, chosenK, 50, { random, restarts: options.restarts || 1 });
+      return { k: chosenK, method, result, scores };
+  }
+
+  /**
+   * Find the elbow of a decreasing curve: the point farthest from the line joining its ends
+   * @param {Array<number>} values - Curve values for k = 1, 2, ...
+   * @returns {number} The k at the elbow
+   */
+  findElbow(values) {
+      if (values.length < 3) return values.length;
+      const first = values[0];
+      const last = values[values.length - 1];
+      const range = first - last || 1;
+      let bestK = 1;
+      let bestDistance = -Infinity;
+      values.forEach((value, i) => {
+          // Both axes scaled to 0-1 so the line runs from (0, 1) to (1, 0)
+          const x = i / (values.length - 1);
+          const y = (value - last) / range;
+          const distance = 1 - x - y;
+          if (distance > bestDistance) {
+              bestDistance = distance;
+              bestK = i + 1;
+          }
+      });
+      return bestK;
+  }
+
+  /**
+   * Mean silhouette coefficient, computed on a random sample for large datasets
+   * @param {Array<Array<number>>} dataPoints - Clustered points
+   * @param {Array<number>} clusters - Cluster index per point
+   * @param {Function} random - Seeded generator used for sampling
+   * @returns {number} Score from -1 (wrong clusters) to 1 (dense, well separated clusters)
+   */
+  computeSilhouette(dataPoints, clusters, random) {
+      let sample = dataPoints.map((_, index) => index);
+      if (sample.length > SILHOUETTE_SAMPLE_SIZE) {
+          // Partial Fisher-Yates shuffle
+          for (let i = 0; i < SILHOUETTE_SAMPLE_SIZE; i++) {
+              const j = i + Math.floor(random() * (sample.length - i));
+              [sample[i], sample[j]] = [sample[j], sample[i]];
+          }
+          sample = sample.slice(0, SILHOUETTE_SAMPLE_SIZE);
+      }
+
+      let total = 0;
+      sample.forEach(i => {
+          const sums = new Map();
+          const counts = new Map();
+          sample.forEach(j => {
+              if (i === j) return;
+              const cluster = clusters[j];
+              sums.set(cluster, (sums.get(cluster) || 0) + this.euclideanDistance(dataPoints[i], dataPoints[j]));
+              counts.set(cluster, (counts.get(cluster) || 0) + 1);
+          });
+          // Points alone in their cluster score 0
+          const own = clusters[i];
+          if (!counts.get(own)) return;
+          const a = sums.get(own) / counts.get(own);
+          let b = Infinity;
+          sums.forEach((sum, cluster) => {
+              if (cluster !== own) b = Math.min(b, sum / counts.get(cluster));
+          });
+          if (b === Infinity || Math.max(a, b) === 0) return;
+          total += (b - a) / Math.max(a, b);
+      });
+      return total / sample.length;
+  }
+
+  /**
+   * Density-based clustering (DBSCAN). A point with at least minPts points (itself included)
+   * within eps is a core point; clusters are core points reachable from each other plus the
+   * points within eps of them. Everything else is noise. Neighbours come from a k-d tree.
+   * @param {Array<Array<number>>} dataPoints - Feature vectors
+   * @param {number} eps - Neighbourhood radius
+   * @param {number} minPts - Neighbours needed for a core point
+   * @returns {{labels: Array<number>, clusterCount: number, noiseCount: number}} Cluster per point,
+   *   -1 for noise; clusters are numbered largest first
+   */
+  runDBSCAN(dataPoints, eps, minPts) {
+    const UNVISITED = -2;
+    const NOISE = -1;
+    const tree = new KDTree(dataPoints);
+    const labels = new Array(dataPoints.length).fill(UNVISITED);
+    let clusterCount = 0;
+    
+    for (let i = 0; i < dataPoints.length; i++) {
+      if (labels[i] !== UNVISITED) continue;
+      const neighbors = tree.radiusSearch(dataPoints[i], eps);
+      if (neighbors.length < minPts) {
+        labels[i] = NOISE; // May still become a border point of a later cluster
+        continue;
+      }
+      
+      const cluster = clusterCount++;
+      labels[i] = cluster;
+      // Points are labelled as they are queued, so each one is queued at most once.
+      // Noise points were already found not to be core points and join as border points.
+      const queue = [];
+      const expand = indices => indices.forEach(index => {
+        if (labels[index] === NOISE) {
+          labels[index] = cluster;
+        } else if (labels[index] === UNVISITED) {
+          labels[index] = cluster;
+          queue.push(index);
+        }
+      });
+      expand(neighbors);
+      for (let q = 0; q < queue.length; q++) {
+        const reachable = tree.radiusSearch(dataPoints[queue[q]], eps);
+        if (reachable.length >= minPts) expand(reachable);
+      }
+    }
+    
+    // Number clusters by size so the largest gets the first palette colour
+    const sizes = new Array(clusterCount).fill(0);
+    labels.forEach(label => { if (label >= 0) sizes[label]++; });
+    const order = sizes.map((_, cluster) => cluster).sort((a, b) => sizes[b] - sizes[a] || a - b);
+    const rank = new Array(clusterCount);
+    order.forEach((cluster, position) => { rank[cluster] = position; });
+    
+    return {
+      labels: labels.map(label => (label >= 0 ? rank[label] : NOISE)),
+      clusterCount,
+      noiseCount: labels.filter(label => label === NOISE).length
+    };
+  }
+
+  /**
+   * Agglomerative clustering with the nearest-neighbour chain algorithm: O(n²) time and memory.
+   * Merge distances follow the Lance-Williams update for the linkage; Ward works on squared
+   * distances and reports the square root, as SciPy does.
+   * @param {Array<Array<number>>} dataPoints - Feature vectors
+   * @param {string} [linkage='ward'] - 'ward', 'average', 'complete' or 'single'
+   * @returns {Array<{left: number, right: number, height: number, size: number}>} n - 1 merges in
+   *   order of height. Ids below n are points; id n + m is the cluster made by merge m.
+   */
+  buildHierarchy(dataPoints, linkage = 'ward') {
+    const n = dataPoints.length;
+    if (n < 2) return [];
+    const ward = linkage === 'ward';
+    // Condensed upper triangle of the distance matrix
+    const pairIndex = (i, j) => (i < j ? i * n - (i * (i + 1)) / 2 + j - i - 1 : j * n - (j * (j + 1)) / 2 + i - j - 1);
+    const distances = new Float64Array((n * (n - 1)) / 2);
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const squared = this.squaredDistance(dataPoints[i], dataPoints[j]);
+        distances[pairIndex(i, j)] = ward ? squared : Math.sqrt(squared);
+      }
+    }
+    
+    // Slot i holds one active cluster; merged clusters live in the slot of their second member
+    const active = new Uint8Array(n).fill(1);
+    const sizes = new Float64Array(n).fill(1);
+    const memberLeaf = Array.from({ length: n }, (_, i) => i);
+    const unsorted = [];
+    const chain = [];
+    
+    for (let remaining = n; remaining > 1; remaining--) {
+      if (chain.length === 0) chain.push(active.indexOf(1));
+      
+      // Follow nearest neighbours until two clusters are each other's nearest
+      let a;
+      let b;
+      let distance;
+      for (;;) {
+        a = chain[chain.length - 1];
+        const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+        // Preferring the previous link on ties stops the chain from cycling
+        b = previous;
+        distance = previous >= 0 ? distances[pairIndex(a, previous)] : Infinity;
+        for (let k = 0; k < n; k++) {
+          if (!active[k] || k === a) continue;
+          const d = distances[pairIndex(a, k)];
+          if (d < distance) {
+            distance = d;
+            b = k;
+          }
+        }
+        if (b === previous) break;
+        chain.push(b);
+      }
+      chain.length -= 2;
+      
+      const sizeA = sizes[a];
+      const sizeB = sizes[b];
+      for (let k = 0; k < n; k++) {
+        if (!active[k] || k === a || k === b) continue;
+        const dA = distances[pairIndex(a, k)];
+        const dB = distances[pairIndex(b, k)];
+        let merged;
+        switch (linkage) {
+          case 'single': merged = Math.min(dA, dB); break;
+          case 'complete': merged = Math.max(dA, dB); break;
+          case 'average': merged = (sizeA * dA + sizeB * dB) / (sizeA + sizeB); break;
+          default: {
+            const sizeK = sizes[k];
+            merged = ((sizeA + sizeK) * dA + (sizeB + sizeK) * dB - sizeK * distance) / (sizeA + sizeB + sizeK);
+          }
+        }
+        distances[pairIndex(b, k)] = merged;
+      }
+      active[a] = 0;
+      sizes[b] = sizeA + sizeB;
+      unsorted.push({ leftLeaf: memberLeaf[a], rightLeaf: memberLeaf[b], height: ward ? Math.sqrt(Math.max(0, distance)) : distance, size: sizeA + sizeB });
+    }
+    
+    // The chain finds merges out of order; sort them and renumber clusters to match
+    unsorted.sort((m1, m2) => m1.height - m2.height);
+    const parent = Array.from({ length: n }, (_, i) => i);
+    const find = i => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const clusterId = Array.from({ length: n }, (_, i) => i);
+    return unsorted.map(({ leftLeaf, rightLeaf, height, size }, m) => {
+      const rootA = find(leftLeaf);
+      const rootB = find(rightLeaf);
+      const merge = { left: clusterId[rootA], right: clusterId[rootB], height, size };
+      parent[rootA] = rootB;
+      clusterId[rootB] = n + m;
+      return merge;
+    });
+  }
+  
+  /**
+   * Cut a merge tree into flat clusters
+   * @param {Array} merges - Merges from buildHierarchy
+   * @param {number} leafCount - Number of points
+   * @param {{height: number}|{clusters: number}} cut - Keep merges up to this height, or stop at this many clusters
+   * @returns {{labels: Array<number>, clusterCount: number, height: number}} Cluster per point, numbered
+   *   largest first, and a cut height that gives these clusters
+   */
+  cutHierarchy(merges, leafCount, cut = {}) {
+    let applied;
+    if (cut.height !== undefined) {
+      applied = 0;
+      while (applied < merges.length && merges[applied].height <= cut.height) applied++;
+    } else {
+      const clusters = Math.min(leafCount, Math.max(1, Math.round(Number(cut.clusters) || 1)));
+      applied = leafCount - clusters;
+    }
+    
+    const parent = Array.from({ length: leafCount }, (_, i) => i);
+    const find = i => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    // Each merge joins the groups holding one leaf of either side
+    const leafOf = Array.from({ length: leafCount }, (_, i) => i);
+    merges.forEach((merge, m) => {
+      leafOf.push(leafOf[merge.left]);
+      if (m < applied) parent[find(leafOf[merge.left])] = find(leafOf[merge.right]);
+    });
+    
+    const sizes = new Map();
+    const roots = parent.map((_, i) => find(i));
+    roots.forEach(root => sizes.set(root, (sizes.get(root) || 0) + 1));
+    const rank = new Map();
+    [...sizes.keys()]
+      .sort((r1, r2) => sizes.get(r2) - sizes.get(r1) || r1 - r2)
+      .forEach((root, position) => rank.set(root, position));
+    
+    // Draw the cut halfway between the last kept merge and the next one
+    const below = applied > 0 ? merges[applied - 1].height : 0;
+    const above = applied < merges.length ? merges[applied].height : below;
+    const height = cut.height !== undefined ? cut.height : (below + above) / 2;
+    return { labels: roots.map(root => rank.get(root)), clusterCount: sizes.size, height };
+  }
+
+  /** Calculate Euclidean distance */
+  euclideanDistance(point1, point2) {
+      return Math.sqrt(this.squaredDistance(point1, point2));
+  }
+
+  /**
+   * Squared Euclidean distance, cheaper when only comparisons or sums of squares are needed
+   * @param {Array<number>} point1 - First point
+   * @param {Array<number>} point2 - Second point
+   * @returns {number} Squared distance
+   */
+  squaredDistance(point1, point2) {
+      let sum = 0;
+      for (let i = 0; i < point1.length; i++) {
+          const diff = point1[i] - point2[i];
+          sum += diff * diff;
+      }
+      return sum;
+  }
+  
+  /**
+   * Get statistics for a column (using a specific dataset if provided)
+   * @param {string} column - Column name
+   * @param {Array} [dataSet=this.processedData] - Optional dataset to calculate stats from
+   * @returns {Object} Min, max, and mean values
+   */
+  getColumnStats(column, dataSet = this.processedData) {
+    // Use memoized stats if calculating on the main processedData
+    if (dataSet === this.processedData && this.metaData.dataStats[column] && this.metaData.dataStats[column].min !== undefined) {
+      return this.metaData.dataStats[column];
+    }
+    
+    if (!dataSet || dataSet.length === 0) { 
+        return { min: 0, max: 0, mean: 0 }; // Default stats for empty data
+    }
+    
+    const values = dataSet
+      .map(row => parseFloat(row[column])) // Ensure numeric conversion
+      .filter(val => !isNaN(val)); // Filter out NaNs
+      
+    if (values.length === 0) {
+        console.warn(`No valid numeric values found for column "${column}" in the provided dataset.`);
+        return { min: 0, max: 0, mean: 0 }; // Default stats if no valid numbers
+    }
+      
+    const { min, max } = this.getMinMax(values);
+    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
     
     // Memoize if calculating on the main dataset
     if (dataSet === this.processedData) {
@@ -799,13 +2665,191 @@ class DataProcessor {
     return { min, max, mean };
   }
   
+  /**
+   * Describe every column of the full data and, optionally, of a filtered subset. The subset is
+   * binned like the full data (same histogram range and categories) so the two can be compared.
+   * @param {Array|null} [filteredData=null] - Rows passing the active filter, or null when no filter is active
+   * @returns {Array<{column: string, type: string, full: Object, filtered: Object|null}>} One entry per
+   *   data column, with summaries from summarizeColumn
+   */
+  summarizeColumns(filteredData = null) {
+    if (!this.processedData) return [];
+    return this.dataColumns.map(column => {
+      const type = this.metaData.numericColumns.includes(column) ? 'numeric' : 'categorical';
+      const full = this.summarizeColumn(column, this.processedData, type);
+      const filtered = filteredData
+        ? this.summarizeColumn(column, filteredData, type, {
+          range: full.histogram ? [full.histogram.min, full.histogram.max] : null,
+          categories: full.categories ? full.categories.map(category => category.value) : null
+        })
+        : null;
+      return { column, type, full, filtered };
+    });
+  }
+
+  /**
+   * Descriptive statistics of one column
+   * @param {string} column - Column name
+   * @param {Array} dataSet - Rows to describe
+   * @param {string} type - 'numeric' or 'categorical'
+   * @param {Object} [options]
+   * @param {Array<number>} [options.range] - [min, max] of the histogram; defaults to the data range
+   * @param {Array<string>} [options.categories] - Categories to count; defaults to the most frequent ones
+   * @returns {Object} { count, nullCount, distinct } plus, for numeric columns,
+   *   { mean, std, min, q1, median, q3, max, histogram: { min, max, counts } } and, for categorical
+   *   columns, { categories: [{ value, count }], otherCount }. Statistics of columns without values are null.
+   */
+  summarizeColumn(column, dataSet, type, options = {}) {
+    const present = dataSet.map(row => row[column]).filter(value => value !== null && value !== undefined && value !== '');
+
+    if (type === 'categorical') {
+      const counts = new Map();
+      present.forEach(value => {
+        const key = String(value);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+      const values = options.categories || [...counts.keys()]
+        .sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b))
+        .slice(0, COLUMN_TOP_CATEGORIES);
+      const categories = values.map(value => ({ value, count: counts.get(value) || 0 }));
+      const shown = categories.reduce((sum, category) => sum + category.count, 0);
+      return {
+        count: present.length,
+        nullCount: dataSet.length - present.length,
+        distinct: counts.size,
+        categories,
+        otherCount: present.length - shown
+      };
+    }
+
+    const values = present.map(value => (typeof value === 'number' ? value : parseFloat(value))).filter(value => Number.isFinite(value));
+    const sorted = Float64Array.from(values).sort();
+    const count = sorted.length;
+    let distinct = 0;
+    for (let i = 0; i < count; i++) {
+      if (i === 0 || sorted[i] !== sorted[i - 1]) distinct++;
+    }
+    const mean = count > 0 ? values.reduce((sum, value) => sum + value, 0) / count : null;
+    const variance = count > 1 ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1) : null;
+
+    const [low, high] = options.range || (count > 0 ? [sorted[0], sorted[count - 1]] : [0, 0]);
+    const binCount = high > low ? COLUMN_HISTOGRAM_BINS : 1;
+    const counts = new Array(binCount).fill(0);
+    values.forEach(value => {
+      if (value < low || value > high) return;
+      const bin = high > low ? Math.min(binCount - 1, Math.floor((value - low) / (high - low) * binCount)) : 0;
+      counts[bin]++;
+    });
+
+    return {
+      count,
+      nullCount: dataSet.length - count,
+      distinct,
+      mean,
+      std: variance === null ? null : Math.sqrt(variance),
+      min: count > 0 ? sorted[0] : null,
+      q1: MathUtils.quantile(sorted, 0.25),
+      median: MathUtils.quantile(sorted, 0.5),
+      q3: MathUtils.quantile(sorted, 0.75),
+      max: count > 0 ? sorted[count - 1] : null,
+      histogram: { min: low, max: high, counts }
+    };
+  }
+
+  /**
+   * Histograms for the brushing strip. Each column is binned over its full range. As in crossfilter,
+   * the selected counts of a column include every brush except its own, so a brushed column still
+   * shows where the other brushes put its values outside the brush.
+   * @param {Array} dataSet - Rows to count (already through the column and expression filters)
+   * @param {Array<string>} columns - Numeric columns to bin
+   * @param {Object} [brushes={}] - Column -> [min, max] brushed range
+   * @returns {{histograms: Array<{column: string, min: number, max: number, counts: Array<number>, selected: Array<number>}>,
+   *   selectedCount: number}} Histograms of the columns with values, and the number of rows inside every brush
+   */
+  computeBrushHistograms(dataSet, columns, brushes = {}) {
+    const toNumber = value => {
+      if (value === null || value === undefined || value === '') return NaN;
+      return typeof value === 'number' ? value : parseFloat(value);
+    };
+    const brushList = Object.entries(brushes).map(([column, [min, max]]) => ({ column, min: Math.min(min, max), max: Math.max(min, max) }));
+    const histograms = columns
+      .filter(column => this.metaData.dataStats[column] && this.metaData.dataStats[column].min !== undefined)
+      .map(column => {
+        const { min, max } = this.metaData.dataStats[column];
+        const bins = max > min ? BRUSH_HISTOGRAM_BINS : 1;
+        return { column, min, max, counts: new Array(bins).fill(0), selected: new Array(bins).fill(0) };
+      });
+
+    let selectedCount = 0;
+    dataSet.forEach(row => {
+      // Column of the only brush the row falls outside, null when inside all of them
+      let failed = null;
+      let failures = 0;
+      brushList.forEach(brush => {
+        const value = toNumber(row[brush.column]);
+        if (!(value >= brush.min && value <= brush.max)) {
+          failed = brush.column;
+          failures++;
+        }
+      });
+      if (failures === 0) selectedCount++;
+
+      histograms.forEach(histogram => {
+        const value = toNumber(row[histogram.column]);
+        if (!Number.isFinite(value) || value < histogram.min || value > histogram.max) return;
+        const bins = histogram.counts.length;
+        const bin = bins === 1 ? 0 : Math.min(bins - 1, Math.floor((value - histogram.min) / (histogram.max - histogram.min) * bins));
+        histogram.counts[bin]++;
+        if (failures === 0 || (failures === 1 && failed === histogram.column)) histogram.selected[bin]++;
+      });
+    });
+    return { histograms, selectedCount };
+  }
+
+  /**
+   * Split visualization points into those inside every brush and the rest
+   * @param {Array} visualizationData - Points (originalData holds the row)
+   * @param {Object} brushes - Column -> [min, max] brushed range
+   * @returns {{matchedIndices: Array<number>, unmatchedIndices: Array<number>}} Indices into the points
+   */
+  matchBrushes(visualizationData, brushes) {
+    const filter = this.buildFilter({ brushes });
+    const matchedIndices = [];
+    const unmatchedIndices = [];
+    visualizationData.forEach((point, index) => {
+      if (!filter || this.filterEngine.evaluate(filter, point.originalData || {})) {
+        matchedIndices.push(index);
+      } else {
+        unmatchedIndices.push(index);
+      }
+    });
+    return { matchedIndices, unmatchedIndices };
+  }
+
+  /**
+   * Find the minimum and maximum of an array without spreading it
+   * (Math.min(...values) overflows the call stack for large files)
+   * @param {Array<number>} values - Numeric values
+   * @returns {{min: number, max: number}}
+   */
+  getMinMax(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] < min) min = values[i];
+      if (values[i] > max) max = values[i];
+    }
+    return { min, max };
+  }
+
   /**
    * Create a color mapping for a column
    * @param {string} column - Column to map colors for
    * @param {Array} [dataSet=this.processedData] - Optional dataset to base map on
+   * @param {Object} [colorOptions] - { numericPalette, categoricalPalette, overrides: { category: '#rrggbb' } }
    * @returns {Object} Mapping of values to colors
    */
-  createColorMap(column, dataSet = this.processedData) {
+  createColorMap(column, dataSet = this.processedData, colorOptions = {}) {
     console.log(`Creating color map for column: ${column}`);
     if (!column || !this.dataColumns.includes(column)) {
         console.warn(`Color column "${column}" not found or invalid. Using default.`);
@@ -825,6 +2869,7 @@ class DataProcessor {
               type: 'numeric',
               min: stats.min,
               max: stats.max,
+              palette: ColorPalettes.resolve(colorOptions.numericPalette, 'numeric'),
               isUniform: true
           }
       }
@@ -832,6 +2877,7 @@ class DataProcessor {
         type: 'numeric',
         min: stats.min,
         max: stats.max,
+        palette: ColorPalettes.resolve(colorOptions.numericPalette, 'numeric'),
         isUniform: false
       };
     } else {
@@ -844,25 +2890,81 @@ class DataProcessor {
       
       console.log(`Categorical color map for ${uniqueValues.length} unique values.`);
       
-      // Generate a base hue, then create analogous colors around it
-      const baseHue = Math.random(); // Base hue (0-1)
-      const hueSpread = 0.3; // How much the hue varies (adjust as needed)
-      const saturation = 0.65; // Keep saturation relatively consistent
-      const lightness = 0.6;  // Keep lightness consistent
-
+      // Sorted order makes the assignment stable between sessions; user overrides win
+      const palette = ColorPalettes.resolve(colorOptions.categoricalPalette, 'categorical');
+      // Noise keeps its grey wherever the DBSCAN labels are used for colouring
+      const overrides = {
+        ...(column === this.getGeneratedColumn(DBSCAN_LABEL_COLUMN) ? { [DBSCAN_NOISE_LABEL]: DBSCAN_NOISE_COLOR } : {}),
+        ...(colorOptions.overrides || {})
+      };
       uniqueValues.forEach((value, index) => {
-        const hueOffset = (index / Math.max(1, uniqueValues.length -1) - 0.5) * hueSpread; // Center spread around base
-        const hue = (baseHue + hueOffset + 1) % 1; // Calculate hue and wrap around
-        colorMap[value] = this.hslToHex(hue, saturation, lightness);
+        colorMap[value] = overrides[value] || ColorPalettes.getCategoricalColor(palette, index);
       });
       
       return {
         type: 'categorical',
+        palette,
         map: colorMap
       };
     }
   }
 
+  /**
+   * Describe a colour map for display as a legend
+   * @param {string} column - Column the colours were mapped from
+   * @param {Object} colorMap - Map from createColorMap
+   * @param {Array} visualizationData - Points to count categories over
+   * @returns {Object|null} { type: 'numeric', column, palette, min, max, stops } or
+   *   { type: 'categorical', column, palette, field: 'column', editable: true, items: [{ key, label, color, count }] }
+   */
+  buildColorLegend(column, colorMap, visualizationData) {
+    if (!colorMap || colorMap.type === 'error') return null;
+    
+    if (colorMap.type === 'numeric') {
+      const stopCount = colorMap.isUniform ? 1 : 9;
+      const stops = [];
+      for (let i = 0; i < stopCount; i++) {
+        const t = stopCount === 1 ? 0 : i / (stopCount - 1);
+        stops.push(this.getColor(colorMap.min + t * (colorMap.max - colorMap.min), colorMap));
+      }
+      return { type: 'numeric', column, palette: colorMap.palette, min: colorMap.min, max: colorMap.max, stops };
+    }
+    
+    // Count visible points per category; missing values share one null key
+    const counts = new Map();
+    visualizationData.forEach(point => {
+      const value = point.originalData ? point.originalData[column] : undefined;
+      const key = value === null || value === undefined ? null : String(value);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    
+    const items = Object.keys(colorMap.map)
+      .filter(key => counts.has(key))
+      .map(key => ({ key, label: key, color: colorMap.map[key], count: counts.get(key) }));
+    if (counts.has(null)) {
+      items.push({ key: null, label: '(missing)', color: this.getColor(null, colorMap), count: counts.get(null) });
+    }
+    return { type: 'categorical', column, palette: colorMap.palette, field: 'column', editable: true, items };
+  }
+
+  /**
+   * Describe k-means cluster colours for display as a legend
+   * @param {Array} visualizationData - Points from createKMeansLayout
+   * @returns {Object} { type: 'categorical', column: 'Cluster', field: 'cluster', editable: false, items: [{ key, label, color, count }] }
+   */
+  buildClusterLegend(visualizationData) {
+    const clusters = new Map();
+    visualizationData.forEach(point => {
+      const key = String(point.cluster);
+      if (!clusters.has(key)) {
+        clusters.set(key, { key, label: point.cluster < 0 ? 'Unclustered' : `Cluster ${point.cluster}`, color: point.color, count: 0 });
+      }
+      clusters.get(key).count++;
+    });
+    const items = [...clusters.values()].sort((a, b) => Number(a.key) - Number(b.key));
+    return { type: 'categorical', column: 'Cluster', field: 'cluster', editable: false, items };
+  }
+
   /**
    * Helper function to create a label string for a data point
    * @param {Object} row - The original data row
@@ -920,6 +3022,86 @@ class DataProcessor {
     return ((numValue - min) / (max - min)) * (newMax - newMin) + newMin;
   }
 
+  /**
+   * Get the visualization-space range for an axis
+   * @param {boolean} inverted - Whether the axis runs from high to low
+   * @param {number} [extent=50] - Half-width of the axis in scene units
+   * @returns {{min: number, max: number}} Target range for normalizeValue
+   */
+  getAxisRange(inverted, extent = 50) {
+    return inverted ? { min: extent, max: -extent } : { min: -extent, max: extent };
+  }
+
+  /**
+   * Build axis titles and tick marks (in original data units) for the mapped columns
+   * @param {{x: string, y: string, z: string}} columns - Column mapped to each axis
+   * @param {{x: boolean, y: boolean, z: boolean}} [invert] - Inverted axes
+   * @param {number} [extent=50] - Half-width of the axes in scene units
+   * @returns {Object} Per-axis { column, inverted, min, max, sceneMin, sceneMax, ticks: [{ value, position, label }] }
+   */
+  buildAxisInfo(columns, invert = {}, extent = 50) {
+    const axisInfo = {};
+    ['x', 'y', 'z'].forEach(axis => {
+      const column = columns[axis];
+      const stats = this.getColumnStats(column, this.processedData);
+      const range = this.getAxisRange(invert[axis], extent);
+      const ticks = this.getNiceTicks(stats.min, stats.max).map(({ value, label }) => ({
+        value,
+        label,
+        position: this.normalizeValue(value, stats.min, stats.max, range.min, range.max)
+      }));
+
+      axisInfo[axis] = {
+        column,
+        inverted: !!invert[axis],
+        min: stats.min,
+        max: stats.max,
+        sceneMin: range.min,
+        sceneMax: range.max,
+        ticks
+      };
+    });
+    return axisInfo;
+  }
+
+  /**
+   * Pick evenly spaced, rounded tick values covering a data range
+   * @param {number} min - Range minimum
+   * @param {number} max - Range maximum
+   * @param {number} [targetCount=5] - Approximate number of ticks
+   * @returns {Array<{value: number, label: string}>} Ticks within [min, max]
+   */
+  getNiceTicks(min, max, targetCount = 5) {
+    if (!isFinite(min) || !isFinite(max)) return [];
+    if (min === max) return [{ value: min, label: this.formatTickValue(min, 0) }];
+
+    const roughStep = (max - min) / targetCount;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(roughStep)));
+    const residual = roughStep / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+    const ticks = [];
+    // Small tolerance so floating point error doesn't drop the last tick
+    for (let value = Math.ceil(min / step) * step; value <= max + step * 1e-9; value += step) {
+      const rounded = Math.abs(value) < step * 1e-9 ? 0 : value;
+      ticks.push({ value: rounded, label: this.formatTickValue(rounded, step) });
+    }
+    return ticks;
+  }
+
+  /**
+   * Format a tick value with just enough decimals for its step size
+   * @param {number} value - Tick value
+   * @param {number} step - Distance between ticks
+   * @returns {string} Label text
+   */
+  formatTickValue(value, step) {
+    const abs = Math.abs(value);
+    if (abs !== 0 && (abs >= 1e6 || abs < 1e-3)) return value.toExponential(1);
+    const decimals = step > 0 ? Math.max(0, -Math.floor(Math.log10(step))) : 2;
+    return value.toFixed(Math.min(decimals, 6));
+  }
+
   /**
    * Get a color for a value based on a color map
    * @param {any} value - Value to get color for
@@ -932,13 +3114,11 @@ class DataProcessor {
     if (colorMap.type === 'numeric') {
       // Handle case where all numeric values are the same
       if (colorMap.isUniform) {
-          return this.hslToHex(0.6, 0.7, 0.5); // Use a default color (e.g., blue)
+          return ColorPalettes.sample(colorMap.palette, 0.5); // Middle of the palette
       }
-      // For numeric values, interpolate on a gradient (e.g., blue to yellow)
+      // For numeric values, sample the palette gradient
       const normalizedValue = this.normalizeValue(value, colorMap.min, colorMap.max, 0, 1);
-      // Interpolate hue from blue (0.6) to yellow (0.16)
-      const hue = 0.6 - normalizedValue * 0.44; 
-      return this.hslToHex(hue, 0.7, 0.5); 
+      return ColorPalettes.sample(colorMap.palette, normalizedValue);
     } else {
       // For categorical values, use the map
       return colorMap.map[value] || '#CCCCCC'; // Default grey for unknown categories
@@ -1000,73 +3180,183 @@ class DataProcessor {
   }
 
   /**
-   * Simple outlier detection based on average distance in normalized 3D space.
-   * Points further than 'threshold' standard deviations from the mean average distance are considered outliers.
-   * @param {number} threshold - Standard deviation threshold (e.g., 1.5 or 2)
-   * @returns {{outlierIndices: Array<number>, nonOutlierIndices: Array<number>}}
+   * Describe the available outlier detection methods
+   * @returns {Array<{name: string, label: string, threshold: number, description: string}>} Methods in
+   *   display order with their default thresholds
+   */
+  getOutlierMethods() {
+    return Object.entries(OUTLIER_METHODS).map(([name, method]) => ({ name, ...method }));
+  }
+
+  /**
+   * Score the shown points by how unusual they are and flag those above a threshold. Every method
+   * gives a score where larger is more unusual:
+   * - zscore: largest |z-score| over the columns
+   * - iqr: largest distance outside the quartiles, in interquartile ranges (0 inside the box)
+   * - knn: mean distance to the k nearest neighbours, relative to the median over all points
+   * - lof: Local Outlier Factor, the neighbours' local density over the point's (about 1 inside clusters)
+   * - mahalanobis: distance from the centre in standard deviations along the principal axes
+   * Statistics come from the shown points, so the active filter applies. The neighbour-based methods
+   * work on z-scored columns (missing values at the mean) and query a k-d tree.
+   * @param {Array} visualizationData - Points currently shown (indices refer to this array)
+   * @param {Object} [options]
+   * @param {string} [options.method='knn'] - Key of OUTLIER_METHODS
+   * @param {number} [options.threshold] - Score above which a point is an outlier; defaults per method
+   * @param {Array<string>} [options.columns] - Numeric columns to use; empty or missing means all
+   * @param {number} [options.neighbors=OUTLIER_NEIGHBORS] - k for the neighbour-based methods
+   * @returns {{method: string, threshold: number, columns: Array<string>, scores: Array<number|null>,
+   *   outlierIndices: Array<number>, nonOutlierIndices: Array<number>}} Score per point (null when the
+   *   point has no values in the columns) and the points on each side of the threshold
    */
-  detectOutliers(threshold = 1.5) {
-    console.log(`Detecting outliers with threshold: ${threshold} std dev`);
-    if (!this.processedData || this.processedData.length < 3) {
-      console.warn('Not enough data for outlier detection.');
-      return { outlierIndices: [], nonOutlierIndices: [] };
+  detectOutliers(visualizationData, options = {}) {
+    const method = options.method || 'knn';
+    if (!OUTLIER_METHODS[method]) {
+      throw new Error(`Unknown outlier method: ${method}`);
     }
-    
-    // Use the current visualization coordinates (assuming they exist on originalData or were prepared)
-    // We need the *visualized* positions for spatial outlier detection.
-    // Let's assume prepareVisualizationData was called first and we have points with a .position property
-    // For robustness, let's re-prepare with current settings if needed (or get cached points)
-    // NOTE: This assumes the *current* layout is relevant for spatial outliers.
-    const currentVizData = this.prepareVisualizationData(window.uiController?.currentSettings?.layout || 'scatter', 
-                                                    window.uiController?.currentSettings || {});
-    
-    if (!currentVizData || currentVizData.length === 0) {
-         console.warn('No current visualization data available for outlier detection.');
-         return { outlierIndices: [], nonOutlierIndices: [] };
+    const threshold = Number.isFinite(Number(options.threshold)) && options.threshold !== '' && options.threshold !== null
+      ? Number(options.threshold)
+      : OUTLIER_METHODS[method].threshold;
+    const columns = this.resolveFeatureColumns(options.columns).filter(column => column !== OUTLIER_SCORE_COLUMN);
+    const rows = visualizationData.map(point => point.originalData || {});
+    console.log(`DataProcessor: Detecting outliers in ${rows.length} points with ${method} (threshold ${threshold}) over ${columns.length} columns`);
+    if (columns.length === 0) {
+      throw new Error('Outlier detection needs at least one numeric column');
     }
-
-    const positions = currentVizData.map(p => p.position); // Get {x, y, z} positions
-    const numPoints = positions.length;
-    const avgDistances = new Array(numPoints).fill(0);
-
-    // Calculate average distance for each point to all other points
-    for (let i = 0; i < numPoints; i++) {
-      let totalDist = 0;
-      for (let j = 0; j < numPoints; j++) {
-        if (i === j) continue;
-        const dx = positions[i].x - positions[j].x;
-        const dy = positions[i].y - positions[j].y;
-        const dz = positions[i].z - positions[j].z;
-        totalDist += Math.sqrt(dx*dx + dy*dy + dz*dz);
-      }
-      avgDistances[i] = totalDist / (numPoints - 1);
+    if (rows.length < 3) {
+      throw new Error('Outlier detection needs at least 3 points');
     }
 
-    // Calculate mean and standard deviation of average distances
-    const meanAvgDist = avgDistances.reduce((sum, d) => sum + d, 0) / numPoints;
-    const variance = avgDistances.reduce((sum, d) => sum + Math.pow(d - meanAvgDist, 2), 0) / numPoints;
-    const stdDevAvgDist = Math.sqrt(variance);
-
-    console.log(`Outlier Detection Stats: Mean Avg Dist=${meanAvgDist.toFixed(2)}, Std Dev=${stdDevAvgDist.toFixed(2)}`);
+    let scores;
+    if (method === 'zscore' || method === 'iqr') {
+      scores = this.scoreColumnOutliers(rows, columns, method);
+    } else {
+      const { means, stdDevs } = this.getColumnMoments(rows, columns);
+      const vectors = rows.map(row => this.standardizeRow(row, columns, means, stdDevs));
+      scores = method === 'mahalanobis'
+        ? this.scoreMahalanobis(vectors)
+        : this.scoreNeighborOutliers(vectors, method, options.neighbors);
+    }
 
     const outlierIndices = [];
     const nonOutlierIndices = [];
-    const outlierThresholdValue = meanAvgDist + threshold * stdDevAvgDist;
-    
-    // Find original indices of outliers
-    avgDistances.forEach((avgDist, index) => {
-      const originalIndex = currentVizData[index].originalData._index; // Assumes _index exists
-      if (avgDist > outlierThresholdValue) {
-        outlierIndices.push(originalIndex !== undefined ? originalIndex : index); // Use original index if possible
+    scores.forEach((score, index) => {
+      if (score !== null && score > threshold) {
+        outlierIndices.push(index);
       } else {
-        nonOutlierIndices.push(originalIndex !== undefined ? originalIndex : index);
+        nonOutlierIndices.push(index);
       }
     });
-
     console.log(`Found ${outlierIndices.length} potential outliers.`);
-    return { outlierIndices, nonOutlierIndices };
+    return { method, threshold, columns, scores, outlierIndices, nonOutlierIndices };
   }
-  
+
+  /**
+   * Per-column outlier scores: the largest over the columns of |z| or of the distance outside the quartiles
+   * @param {Array<Object>} rows - Rows to score
+   * @param {Array<string>} columns - Numeric columns
+   * @param {string} method - 'zscore' or 'iqr'
+   * @returns {Array<number|null>} Score per row, null if every column is missing
+   */
+  scoreColumnOutliers(rows, columns, method) {
+    const scorers = columns.map(column => {
+      if (method === 'zscore') {
+        const { means, stdDevs } = this.getColumnMoments(rows, [column]);
+        return value => (stdDevs[0] === 0 ? 0 : Math.abs(value - means[0]) / stdDevs[0]);
+      }
+      const sorted = rows.map(row => parseFloat(row[column])).filter(value => !isNaN(value)).sort((a, b) => a - b);
+      const q1 = MathUtils.quantile(sorted, 0.25);
+      const q3 = MathUtils.quantile(sorted, 0.75);
+      const iqr = q3 - q1;
+      // A column whose middle half is one value cannot be measured in IQRs
+      return value => (iqr > 0 ? Math.max(q1 - value, value - q3, 0) / iqr : 0);
+    });
+
+    return rows.map(row => {
+      let score = null;
+      columns.forEach((column, j) => {
+        const value = parseFloat(row[column]);
+        if (isNaN(value)) return;
+        score = Math.max(score === null ? 0 : score, scorers[j](value));
+      });
+      return score;
+    });
+  }
+
+  /**
+   * Mahalanobis distance of each vector from the mean. Directions without variance are skipped,
+   * so perfectly correlated columns don't make the covariance singular.
+   * @param {Array<Array<number>>} vectors - Standardised rows
+   * @returns {Array<number>} Distance per vector
+   */
+  scoreMahalanobis(vectors) {
+    const dimensions = vectors[0].length;
+    const mean = new Array(dimensions).fill(0);
+    vectors.forEach(vector => vector.forEach((value, d) => { mean[d] += value / vectors.length; }));
+    const covariance = Array.from({ length: dimensions }, () => new Array(dimensions).fill(0));
+    vectors.forEach(vector => {
+      for (let i = 0; i < dimensions; i++) {
+        for (let j = 0; j < dimensions; j++) covariance[i][j] += (vector[i] - mean[i]) * (vector[j] - mean[j]) / (vectors.length - 1);
+      }
+    });
+    const { values, vectors: axes } = MathUtils.symmetricEigen(covariance);
+    const largest = Math.max(values[0], 0);
+    const kept = values.map((value, i) => ({ value, axis: axes[i] })).filter(({ value }) => value > largest * 1e-9);
+
+    return vectors.map(vector => {
+      const distanceSq = kept.reduce((sum, { value, axis }) => {
+        const projection = axis.reduce((dot, weight, d) => dot + weight * (vector[d] - mean[d]), 0);
+        return sum + projection * projection / value;
+      }, 0);
+      return Math.sqrt(distanceSq);
+    });
+  }
+
+  /**
+   * Neighbour-based outlier scores using a k-d tree over the vectors
+   * @param {Array<Array<number>>} vectors - Standardised rows
+   * @param {string} method - 'knn' or 'lof'
+   * @param {number} [neighbors=OUTLIER_NEIGHBORS] - Neighbours per point, the point excluded
+   * @returns {Array<number>} Score per vector
+   */
+  scoreNeighborOutliers(vectors, method, neighbors = OUTLIER_NEIGHBORS) {
+    const k = Math.max(1, Math.min(vectors.length - 1, Math.round(Number(neighbors) || OUTLIER_NEIGHBORS)));
+    const tree = new KDTree(vectors);
+    // Nearest k other points; with duplicates the point itself may not come first
+    const neighborhoods = vectors.map((vector, i) => tree.nearest(vector, k + 1).filter(found => found.index !== i).slice(0, k));
+
+    if (method === 'knn') {
+      const meanDistances = neighborhoods.map(found => found.reduce((sum, { distance }) => sum + distance, 0) / found.length);
+      const sorted = [...meanDistances].sort((a, b) => a - b);
+      const typical = MathUtils.quantile(sorted, 0.5) || meanDistances.reduce((sum, d) => sum + d, 0) / meanDistances.length || 1;
+      return meanDistances.map(distance => distance / typical);
+    }
+
+    // Local Outlier Factor
+    const kDistance = neighborhoods.map(found => found[found.length - 1].distance);
+    const density = neighborhoods.map(found => {
+      const reach = found.reduce((sum, { index, distance }) => sum + Math.max(kDistance[index], distance), 0) / found.length;
+      return 1 / Math.max(reach, 1e-12); // Duplicates would otherwise have infinite density
+    });
+    return neighborhoods.map((found, i) => found.reduce((sum, { index }) => sum + density[index], 0) / found.length / density[i]);
+  }
+
+  /**
+   * Write outlier scores into the OUTLIER_SCORE_COLUMN column, so they can be used for colouring,
+   * filtering and export. Rows not shown get no score.
+   * @param {Array} visualizationData - Points the scores belong to
+   * @param {Object} result - Result of detectOutliers
+   * @returns {string} Name of the written column
+   */
+  writeOutlierScoreColumn(visualizationData, result) {
+    this.storeNumericColumn(
+      OUTLIER_SCORE_COLUMN,
+      visualizationData.map(point => point.originalData),
+      result.scores
+    );
+    console.log(`${result.method} outlier scores of ${visualizationData.length} rows saved to the "${OUTLIER_SCORE_COLUMN}" column`);
+    return OUTLIER_SCORE_COLUMN;
+  }
+
   /**
    * Calculate Pearson correlation between two numeric columns.
    * @param {string} col1Name - Name of the first numeric column.
@@ -1123,87 +3413,254 @@ class DataProcessor {
   }
   
   /**
-   * Finds pairs of points (using original data indices) that have a high correlation 
-   * between two specified columns.
-   * @param {string} col1Name
-   * @param {string} col2Name
-   * @param {number} threshold - Minimum absolute correlation coefficient.
-   * @returns {Array<Array<number>>} Array of pairs [originalIndex1, originalIndex2]
-   */
-  calculateCorrelations(col1Name, col2Name, threshold) {
-    console.log(`DataProcessor: Calculating correlations between "${col1Name}" and "${col2Name}" with threshold ${threshold}`);
-    if (!this.processedData || this.processedData.length < 2) {
-      console.warn('DataProcessor: Not enough data for correlation calculation.');
+   * Find regions where two columns are strongly correlated. For every point, the Pearson
+   * coefficient of the two columns is computed over the point and its nearest neighbours in the
+   * 3D layout; neighbouring points whose local coefficients both reach the threshold with the
+   * same sign are linked.
+   * @param {Array} visualizationData - Points currently shown (indices refer to this array)
+   * @param {string} col1Name - First numeric column
+   * @param {string} col2Name - Second numeric column
+   * @param {number} threshold - Minimum absolute local coefficient
+   * @param {number} [neighbors=LOCAL_CORRELATION_NEIGHBORS] - Neighbours per point, the point excluded
+   * @returns {Array<{point1Index: number, point2Index: number, correlationValue: number}>} Links between
+   *   neighbours, with the mean local coefficient of their two ends
+   */
+  calculateCorrelations(visualizationData, col1Name, col2Name, threshold, neighbors = LOCAL_CORRELATION_NEIGHBORS) {
+    console.log(`DataProcessor: Calculating local correlations between "${col1Name}" and "${col2Name}" with threshold ${threshold}`);
+    const k = Math.max(2, Math.round(Number(neighbors) || LOCAL_CORRELATION_NEIGHBORS));
+    
+    // Points with both values and a position
+    const valid = [];
+    visualizationData.forEach((point, index) => {
+      const x = point.originalData ? point.originalData[col1Name] : undefined;
+      const y = point.originalData ? point.originalData[col2Name] : undefined;
+      const position = point.position;
+      if (typeof x !== 'number' || !Number.isFinite(x) || typeof y !== 'number' || !Number.isFinite(y)) return;
+      if (!position || ![position.x, position.y, position.z].every(Number.isFinite)) return;
+      valid.push({ index, x, y, position: [position.x, position.y, position.z] });
+    });
+    if (valid.length < 3) {
+      console.warn('DataProcessor: Not enough points with both columns for local correlation.');
       return [];
     }
     
-    // Use current visualization data for indices if available, or fall back to processedData
-    // Note: This assumes the visualization data corresponds 1:1 with processedData indices
-    const dataToUse = this.currentVisualizationData || this.processedData;
-    if (!dataToUse || dataToUse.length === 0) {
-        console.warn('DataProcessor: No data available (processed or visualized) for correlation.');
-        return [];
-    }
+    const tree = new KDTree(valid.map(point => point.position));
+    const neighborhoods = valid.map(point => tree.nearest(point.position, k + 1).map(found => found.index));
+    const coefficients = neighborhoods.map(neighborhood => MathUtils.pearson(
+      neighborhood.map(i => valid[i].x),
+      neighborhood.map(i => valid[i].y)
+    ));
+    const strong = coefficients.map(r => r !== null && Math.abs(r) >= threshold);
+    
+    const correlationPairs = [];
+    const linked = new Set();
+    neighborhoods.forEach((neighborhood, i) => {
+      if (!strong[i]) return;
+      neighborhood.forEach(j => {
+        if (j === i || !strong[j] || Math.sign(coefficients[i]) !== Math.sign(coefficients[j])) return;
+        const key = i < j ? `${i},${j}` : `${j},${i}`;
+        if (linked.has(key)) return;
+        linked.add(key);
+        correlationPairs.push({
+          point1Index: valid[i].index,
+          point2Index: valid[j].index,
+          correlationValue: (coefficients[i] + coefficients[j]) / 2
+        });
+      });
+    });
     
-    const column1 = dataToUse.map(row => parseFloat(row.originalData?.[col1Name] ?? row[col1Name])).filter(v => !isNaN(v));
-    const column2 = dataToUse.map(row => parseFloat(row.originalData?.[col2Name] ?? row[col2Name])).filter(v => !isNaN(v));
+    const strongCount = strong.filter(Boolean).length;
+    console.log(`DataProcessor: ${strongCount} of ${valid.length} points have |local r| >= ${threshold} over ${k} neighbours; ${correlationPairs.length} links.`);
+    return correlationPairs;
+  }
 
-    if (column1.length !== column2.length || column1.length === 0) {
-      console.warn('DataProcessor: Mismatched or empty numeric data for correlation columns.');
-      return [];
+  /**
+   * Correlation coefficient of every pair of numeric columns. Each pair uses the rows where
+   * both columns have a value; Spearman coefficients are Pearson coefficients of the ranks.
+   * @param {Array} [dataSet=this.processedData] - Rows to correlate (e.g. the filtered rows)
+   * @param {string} [method='pearson'] - 'pearson' or 'spearman'
+   * @returns {{method: string, columns: Array<string>, values: Array<Array<number|null>>, counts: Array<Array<number>>}}
+   *   Symmetric matrices of coefficients (null when a column is constant or fewer than two rows
+   *   overlap) and of the rows used for each pair
+   */
+  computeCorrelationMatrix(dataSet = this.processedData, method = 'pearson') {
+    if (!CORRELATION_METHODS.includes(method)) {
+      throw new Error(`Unknown correlation method: ${method}`);
+    }
+    const columns = this.resolveFeatureColumns();
+    const rows = dataSet || [];
+    console.log(`DataProcessor: Computing ${method} correlation matrix of ${columns.length} columns over ${rows.length} rows`);
+
+    // Missing values become NaN so every column has one entry per row; numeric strings are parsed
+    const samples = columns.map(column => rows.map(row => {
+      const value = typeof row[column] === 'number' ? row[column] : parseFloat(row[column]);
+      return Number.isFinite(value) ? value : NaN;
+    }));
+    const complete = samples.map(sample => sample.every(value => !Number.isNaN(value)));
+    // Complete columns are ranked once; pairs with gaps are ranked over their shared rows
+    const ranked = method === 'spearman' ? samples.map((sample, i) => (complete[i] ? MathUtils.rank(sample) : null)) : null;
+
+    const size = columns.length;
+    const values = Array.from({ length: size }, () => new Array(size).fill(null));
+    const counts = Array.from({ length: size }, () => new Array(size).fill(0));
+    for (let i = 0; i < size; i++) {
+      for (let j = i; j < size; j++) {
+        let x;
+        let y;
+        if (complete[i] && complete[j]) {
+          x = ranked ? ranked[i] : samples[i];
+          y = ranked ? ranked[j] : samples[j];
+        } else {
+          x = [];
+          y = [];
+          for (let r = 0; r < rows.length; r++) {
+            if (Number.isNaN(samples[i][r]) || Number.isNaN(samples[j][r])) continue;
+            x.push(samples[i][r]);
+            y.push(samples[j][r]);
+          }
+          if (ranked) {
+            x = MathUtils.rank(x);
+            y = MathUtils.rank(y);
+          }
+        }
+        // A column correlates perfectly with itself unless it is constant
+        const r = i === j ? (MathUtils.pearson(x, x) === null ? null : 1) : MathUtils.pearson(x, y);
+        values[i][j] = values[j][i] = r;
+        counts[i][j] = counts[j][i] = x.length;
+      }
     }
+    return { method, columns, values, counts };
+  }
 
-    // Basic Pearson correlation calculation (replace with a library if complex stats needed)
-    let sumXY = 0, sumX = 0, sumY = 0, sumX2 = 0, sumY2 = 0;
-    const n = column1.length;
-    for (let i = 0; i < n; i++) {
-      sumX += column1[i];
-      sumY += column2[i];
-      sumXY += column1[i] * column2[i];
-      sumX2 += column1[i] * column1[i];
-      sumY2 += column2[i] * column2[i];
+  /**
+   * Serialise a correlation matrix as CSV
+   * @param {Object} matrix - Result of computeCorrelationMatrix
+   * @param {Array<string>} [columns=matrix.columns] - Columns to write, in order (e.g. as displayed)
+   * @returns {string} CSV text with a header row and one row per column
+   */
+  correlationMatrixToCSV(matrix, columns = matrix.columns) {
+    const positions = columns.map(column => matrix.columns.indexOf(column));
+    const lines = [['', ...columns].map(value => this.escapeCSV(value)).join(',')];
+    positions.forEach((i, row) => {
+      const cells = positions.map(j => (matrix.values[i][j] === null ? '' : matrix.values[i][j].toFixed(6)));
+      lines.push([this.escapeCSV(columns[row]), ...cells].join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Least-squares fit of the Z column as a function of the X and Y columns over the shown points,
+   * so the active filter applies. X and Y are standardised while solving to keep the quadratic
+   * terms well conditioned; the reported coefficients are in data units.
+   * @param {Array} visualizationData - Points currently shown (residuals follow their order)
+   * @param {{x: string, y: string, z: string}} columns - Column on each axis
+   * @param {string} [model='plane'] - 'plane' or 'quadratic'
+   * @returns {Object} { model, columns, coefficients: [{ term, value }], weights, r2, rmse, count, residuals, range }
+   *   with weights for the terms [1, x, y, x², xy, y²] (the first three for a plane), residuals
+   *   per point (null where a value is missing) and the X/Y extent of the fitted rows
+   * @throws {Error} For unknown models, too few rows, constant or collinear X and Y
+   */
+  fitSurface(visualizationData, columns, model = 'plane') {
+    if (!SURFACE_MODELS.includes(model)) {
+      throw new Error(`Unknown surface model: ${model}`);
     }
-    
-    const numerator = n * sumXY - sumX * sumY;
-    const denominator = Math.sqrt((n * sumX2 - sumX * sumX) * (n * sumY2 - sumY * sumY));
-    
-    if (denominator === 0) {
-        console.log('DataProcessor: Correlation denominator is zero, cannot calculate.');
-        return []; // Avoid division by zero
+    const termCount = model === 'quadratic' ? 6 : 3;
+    console.log(`DataProcessor: Fitting a ${model} ${columns.z} ~ ${columns.x}, ${columns.y}`);
+
+    const samples = [];
+    visualizationData.forEach((point, index) => {
+      const row = point.originalData || {};
+      const values = [row[columns.x], row[columns.y], row[columns.z]].map(value => (typeof value === 'number' ? value : parseFloat(value)));
+      if (values.every(value => Number.isFinite(value))) {
+        samples.push({ index, x: values[0], y: values[1], z: values[2] });
+      }
+    });
+    if (samples.length <= termCount) {
+      throw new Error(`A ${model} fit needs more than ${termCount} rows with X, Y and Z values`);
     }
-    
-    const correlation = numerator / denominator;
-    console.log(`DataProcessor: Overall Pearson correlation between ${col1Name} and ${col2Name}: ${correlation.toFixed(4)}`);
 
-    // For visualization, we need pairs of points with high correlation.
-    // A simple approach: Return pairs if the overall correlation is high.
-    // A more complex approach: Calculate pairwise correlations (computationally expensive).
-    // Let's stick to the overall correlation threshold for now.
-    const correlationPairs = [];
-    if (Math.abs(correlation) >= threshold) {
-        console.log(`DataProcessor: Overall correlation ${correlation.toFixed(4)} meets threshold ${threshold}. Creating lines between all points (simplification).`);
-        // This is a simplification: Draw lines between *all* points if overall correlation is high
-        // A better approach might involve local correlation or other metrics.
-        // For now, let's just link the first N points as an example of returning pairs.
-        const maxLines = Math.min(dataToUse.length, 50); // Limit lines for performance
-        for (let i = 0; i < maxLines; i++) {
-            for (let j = i + 1; j < maxLines; j++) {
-                // Need original indices. Assuming dataToUse items have an 'originalIndex' or similar
-                const index1 = dataToUse[i].originalIndex ?? i; // Fallback to loop index
-                const index2 = dataToUse[j].originalIndex ?? j; // Fallback to loop index
-                 correlationPairs.push({ 
-                    point1Index: index1, 
-                    point2Index: index2, 
-                    correlationValue: correlation // Use overall correlation
-                 });
-            }
-        }
-        console.log(`DataProcessor: Generated ${correlationPairs.length} example correlation pairs based on overall high correlation.`);
-    } else {
-        console.log(`DataProcessor: Overall correlation ${correlation.toFixed(4)} does not meet threshold ${threshold}. No lines generated.`);
+    const moments = ['x', 'y'].map(axis => {
+      const mean = samples.reduce((sum, sample) => sum + sample[axis], 0) / samples.length;
+      const std = Math.sqrt(samples.reduce((sum, sample) => sum + (sample[axis] - mean) ** 2, 0) / samples.length);
+      if (std === 0) throw new Error(`${columns[axis]} is constant, so no surface can be fitted`);
+      return { mean, std };
+    });
+    const [mx, my] = [moments[0].mean, moments[1].mean];
+    const [sx, sy] = [moments[0].std, moments[1].std];
+    const basis = sample => {
+      const u = (sample.x - mx) / sx;
+      const v = (sample.y - my) / sy;
+      return termCount === 6 ? [1, u, v, u * u, u * v, v * v] : [1, u, v];
+    };
+
+    // Normal equations
+    const normal = Array.from({ length: termCount }, () => new Array(termCount).fill(0));
+    const rhs = new Array(termCount).fill(0);
+    samples.forEach(sample => {
+      const terms = basis(sample);
+      for (let i = 0; i < termCount; i++) {
+        rhs[i] += terms[i] * sample.z;
+        for (let j = 0; j < termCount; j++) normal[i][j] += terms[i] * terms[j];
+      }
+    });
+    const beta = MathUtils.solveLinearSystem(normal, rhs);
+    if (!beta) {
+      throw new Error(`${columns.x} and ${columns.y} are collinear, so no ${model} can be fitted`);
     }
 
-    return correlationPairs;
+    const residuals = new Array(visualizationData.length).fill(null);
+    const meanZ = samples.reduce((sum, sample) => sum + sample.z, 0) / samples.length;
+    let residualSum = 0;
+    let totalSum = 0;
+    samples.forEach(sample => {
+      const predicted = basis(sample).reduce((sum, term, i) => sum + term * beta[i], 0);
+      const residual = sample.z - predicted;
+      residuals[sample.index] = residual;
+      residualSum += residual * residual;
+      totalSum += (sample.z - meanZ) ** 2;
+    });
+
+    // Expand the standardised terms back into data units
+    const [b0, b1, b2, b3 = 0, b4 = 0, b5 = 0] = beta;
+    const weights = [
+      b0 - b1 * mx / sx - b2 * my / sy + b3 * mx * mx / (sx * sx) + b4 * mx * my / (sx * sy) + b5 * my * my / (sy * sy),
+      b1 / sx - 2 * b3 * mx / (sx * sx) - b4 * my / (sx * sy),
+      b2 / sy - 2 * b5 * my / (sy * sy) - b4 * mx / (sx * sy),
+      b3 / (sx * sx),
+      b4 / (sx * sy),
+      b5 / (sy * sy)
+    ].slice(0, termCount);
+    const termNames = ['Intercept', columns.x, columns.y, `${columns.x}²`, `${columns.x}·${columns.y}`, `${columns.y}²`];
+
+    const extent = axis => [
+      samples.reduce((min, sample) => Math.min(min, sample[axis]), Infinity),
+      samples.reduce((max, sample) => Math.max(max, sample[axis]), -Infinity)
+    ];
+    const fit = {
+      model,
+      columns: { ...columns },
+      coefficients: weights.map((value, i) => ({ term: termNames[i], value })),
+      weights,
+      r2: totalSum > 0 ? 1 - residualSum / totalSum : null, // Undefined when Z is constant
+      rmse: Math.sqrt(residualSum / samples.length),
+      count: samples.length,
+      residuals,
+      range: { x: extent('x'), y: extent('y') }
+    };
+    console.log(`DataProcessor: ${model} fit over ${fit.count} rows, R² = ${fit.r2 === null ? 'n/a' : fit.r2.toFixed(4)}`);
+    return fit;
+  }
+
+  /**
+   * Colour points by their residual from a fitted surface, on a diverging palette centred on zero
+   * @param {Object} fit - Result of fitSurface
+   * @returns {{colors: Array<string>, legend: Object}} Colour per point and a numeric legend
+   */
+  buildResidualColors(fit) {
+    const largest = fit.residuals.reduce((max, residual) => (residual === null ? max : Math.max(max, Math.abs(residual))), 0);
+    const colorMap = { type: 'numeric', palette: RESIDUAL_PALETTE, min: -largest, max: largest, isUniform: largest === 0 };
+    const colors = fit.residuals.map(residual => (residual === null ? RESIDUAL_MISSING_COLOR : this.getColor(residual, colorMap)));
+    return { colors, legend: this.buildColorLegend(`Residual of ${fit.columns.z}`, colorMap, []) };
   }
 }
 
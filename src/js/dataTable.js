@@ -0,0 +1,418 @@
+/**
+ * Data Table - Spreadsheet-style panel over the scene listing the rows of the data
+ * Only the rows in view are rendered, so it stays quick with hundreds of thousands
+ * of rows. Columns sort by clicking their header and can be hidden; the search box
+ * keeps rows with a matching value. Selecting rows reports their points so the
+ * scene can highlight them, and points selected in the scene scroll into view.
+ */
+
+// Height of one row in pixels; must match .data-table-row in style.css
+const DATA_TABLE_ROW_HEIGHT = 22;
+// Rows rendered above and below the visible ones, so fast scrolling shows no gaps
+const DATA_TABLE_OVERSCAN = 10;
+// Pause after typing before the search runs
+const DATA_TABLE_SEARCH_DELAY = 200;
+
+class DataTable {
+  /**
+   * @param {HTMLElement} container - Element to overlay (the visualization container)
+   * @param {Object} [options]
+   * @param {Function} [options.onSelectionChange] - Called with (pointIndices, rowIndices) when rows are selected;
+   *   rows that are not plotted have no point index
+   * @param {Function} [options.onClose] - Called when the panel is closed with its close button
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onSelectionChange = options.onSelectionChange || (() => {});
+    this.onClose = options.onClose || (() => {});
+    this.rows = [];
+    this.columns = [];
+    this.numericColumns = new Set();
+    this.rowIndexByObject = new Map(); // Row object -> index into rows
+    this.pointByRow = new Int32Array(0); // Point index of each row, -1 when it is not plotted
+    this.hiddenColumns = new Set();
+    this.sort = null; // { column, direction: 1 ascending | -1 descending }
+    this.search = '';
+    this.plottedOnly = false;
+    this.view = []; // Row indices in display order
+    this.selected = new Set(); // Selected row indices
+    this.anchor = null; // View position shift-click ranges start from
+    this.searchTimer = null;
+    this.scrollFrame = null;
+
+    this.element = document.createElement('div');
+    this.element.id = 'data-table-panel';
+    this.element.style.display = 'none';
+    this.element.appendChild(this.createToolbar());
+
+    this.scroller = document.createElement('div');
+    this.scroller.className = 'data-table-scroll';
+    this.header = document.createElement('div');
+    this.header.className = 'data-table-header';
+    this.body = document.createElement('div');
+    this.body.className = 'data-table-body';
+    this.scroller.appendChild(this.header);
+    this.scroller.appendChild(this.body);
+    this.scroller.addEventListener('scroll', () => {
+      if (this.scrollFrame) return;
+      this.scrollFrame = requestAnimationFrame(() => {
+        this.scrollFrame = null;
+        this.renderBody();
+      });
+    });
+    this.element.appendChild(this.scroller);
+    this.container.appendChild(this.element);
+  }
+
+  /**
+   * Create the toolbar: row count, search, plotted-only toggle, column list and close button
+   * @returns {HTMLElement} Toolbar element
+   */
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'data-table-toolbar';
+
+    this.countLabel = document.createElement('span');
+    this.countLabel.className = 'data-table-count';
+    toolbar.appendChild(this.countLabel);
+
+    const search = document.createElement('input');
+    search.type = 'text';
+    search.className = 'data-table-search';
+    search.placeholder = 'Search...';
+    search.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.search = search.value.trim().toLowerCase();
+        this.applyView();
+      }, DATA_TABLE_SEARCH_DELAY);
+    });
+    this.searchInput = search;
+    toolbar.appendChild(search);
+
+    const plottedLabel = document.createElement('label');
+    plottedLabel.className = 'data-table-plotted';
+    const plotted = document.createElement('input');
+    plotted.type = 'checkbox';
+    plotted.addEventListener('change', () => {
+      this.plottedOnly = plotted.checked;
+      this.applyView();
+    });
+    plottedLabel.appendChild(plotted);
+    plottedLabel.appendChild(document.createTextNode('Plotted only'));
+    plottedLabel.title = 'Leave out rows removed by the filter';
+    toolbar.appendChild(plottedLabel);
+
+    this.columnsMenu = document.createElement('details');
+    this.columnsMenu.className = 'data-table-columns';
+    toolbar.appendChild(this.columnsMenu);
+
+    const close = document.createElement('button');
+    close.className = 'data-table-close';
+    close.textContent = '×';
+    close.title = 'Close the table';
+    close.addEventListener('click', () => {
+      this.hide();
+      this.onClose();
+    });
+    toolbar.appendChild(close);
+    return toolbar;
+  }
+
+  /**
+   * Whether the panel is open
+   * @returns {boolean} Visibility
+   */
+  isVisible() {
+    return this.element.style.display !== 'none';
+  }
+
+  /**
+   * Open the panel
+   */
+  show() {
+    this.element.style.display = 'flex';
+    this.renderBody();
+  }
+
+  /**
+   * Close the panel
+   */
+  hide() {
+    this.element.style.display = 'none';
+  }
+
+  /**
+   * Show a new dataset. Sorting and hidden columns are kept for columns that are still present;
+   * the selection is kept only for the same rows.
+   * @param {Array<Object>} rows - Rows to list (the processed data)
+   * @param {Array<string>} columns - Columns in display order
+   * @param {Array<string>} [numericColumns=[]] - Columns to sort numerically
+   */
+  setData(rows, columns, numericColumns = []) {
+    if (rows !== this.rows) {
+      this.rows = rows;
+      this.rowIndexByObject = new Map(rows.map((row, index) => [row, index]));
+      this.pointByRow = new Int32Array(rows.length).fill(-1);
+      this.selected.clear();
+      this.anchor = null;
+      this.scroller.scrollTop = 0;
+    }
+    this.columns = columns;
+    this.numericColumns = new Set(numericColumns);
+    this.hiddenColumns.forEach(column => { if (!columns.includes(column)) this.hiddenColumns.delete(column); });
+    if (this.sort && !columns.includes(this.sort.column)) this.sort = null;
+    this.renderColumnsMenu();
+    this.applyView();
+  }
+
+  /**
+   * Record which rows are plotted in the scene
+   * @param {Array} points - Scene points; their originalData is a row of the table
+   */
+  setPoints(points) {
+    this.pointByRow.fill(-1);
+    points.forEach((point, pointIndex) => {
+      const rowIndex = this.rowIndexByObject.get(point.originalData);
+      if (rowIndex !== undefined) this.pointByRow[rowIndex] = pointIndex;
+    });
+    this.applyView();
+  }
+
+  /**
+   * Columns currently shown
+   * @returns {Array<string>} Column names
+   */
+  getVisibleColumns() {
+    return this.columns.filter(column => !this.hiddenColumns.has(column));
+  }
+
+  /**
+   * Recompute the displayed rows from the search, plotted-only toggle and sort, then redraw
+   */
+  applyView() {
+    const columns = this.getVisibleColumns();
+    let view = [];
+    for (let index = 0; index < this.rows.length; index++) {
+      if (this.plottedOnly && this.pointByRow[index] < 0) continue;
+      if (this.search) {
+        const row = this.rows[index];
+        const match = columns.some(column => {
+          const value = row[column];
+          return value !== null && value !== undefined && String(value).toLowerCase().includes(this.search);
+        });
+        if (!match) continue;
+      }
+      view.push(index);
+    }
+
+    if (this.sort) {
+      const { column, direction } = this.sort;
+      const numeric = this.numericColumns.has(column);
+      // Sort keys are read once; missing values go last in both directions
+      const keys = new Array(this.rows.length);
+      view.forEach(index => {
+        const value = this.rows[index][column];
+        keys[index] = value === null || value === undefined || value === '' ? null : (numeric ? Number(value) : String(value));
+      });
+      view = view.sort((a, b) => {
+        const keyA = keys[a];
+        const keyB = keys[b];
+        if (keyA === null || keyB === null) return (keyA === null) - (keyB === null) || a - b;
+        const order = numeric ? keyA - keyB : keyA.localeCompare(keyB, undefined, { numeric: true });
+        return order * direction || a - b;
+      });
+    }
+
+    this.view = view;
+    this.anchor = null;
+    this.renderHeader();
+    this.renderBody();
+    this.updateCount();
+  }
+
+  /**
+   * Rebuild the column show/hide list
+   */
+  renderColumnsMenu() {
+    this.columnsMenu.innerHTML = '';
+    const summary = document.createElement('summary');
+    summary.textContent = 'Columns';
+    this.columnsMenu.appendChild(summary);
+    const list = document.createElement('div');
+    list.className = 'data-table-columns-list';
+    this.columns.forEach(column => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !this.hiddenColumns.has(column);
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          this.hiddenColumns.delete(column);
+        } else {
+          this.hiddenColumns.add(column);
+        }
+        this.applyView();
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(column));
+      list.appendChild(label);
+    });
+    this.columnsMenu.appendChild(list);
+  }
+
+  /**
+   * Rebuild the header row; clicking a column cycles ascending, descending and unsorted
+   */
+  renderHeader() {
+    this.header.innerHTML = '';
+    const indexCell = document.createElement('div');
+    indexCell.className = 'data-table-cell data-table-index';
+    indexCell.textContent = '#';
+    this.header.appendChild(indexCell);
+
+    this.getVisibleColumns().forEach(column => {
+      const cell = document.createElement('div');
+      cell.className = 'data-table-cell';
+      const sorted = this.sort && this.sort.column === column;
+      cell.textContent = sorted ? `${column} ${this.sort.direction === 1 ? '▲' : '▼'}` : column;
+      cell.title = `Sort by ${column}`;
+      cell.addEventListener('click', () => {
+        if (!sorted) {
+          this.sort = { column, direction: 1 };
+        } else if (this.sort.direction === 1) {
+          this.sort = { column, direction: -1 };
+        } else {
+          this.sort = null;
+        }
+        this.applyView();
+      });
+      this.header.appendChild(cell);
+    });
+  }
+
+  /**
+   * Render the rows in view, positioned absolutely inside a body as tall as all rows
+   */
+  renderBody() {
+    this.body.innerHTML = '';
+    this.body.style.height = `${this.view.length * DATA_TABLE_ROW_HEIGHT}px`;
+    if (!this.isVisible()) return;
+
+    const top = Math.max(0, this.scroller.scrollTop - this.header.offsetHeight);
+    const visibleRows = Math.ceil(this.scroller.clientHeight / DATA_TABLE_ROW_HEIGHT);
+    const first = Math.max(0, Math.floor(top / DATA_TABLE_ROW_HEIGHT) - DATA_TABLE_OVERSCAN);
+    const last = Math.min(this.view.length, first + visibleRows + DATA_TABLE_OVERSCAN * 2);
+    const columns = this.getVisibleColumns();
+
+    for (let position = first; position < last; position++) {
+      const rowIndex = this.view[position];
+      const row = document.createElement('div');
+      row.className = 'data-table-row' +
+        (this.selected.has(rowIndex) ? ' data-table-row-selected' : '') +
+        (this.pointByRow[rowIndex] < 0 ? ' data-table-row-unplotted' : '');
+      row.style.top = `${position * DATA_TABLE_ROW_HEIGHT}px`;
+
+      const indexCell = document.createElement('div');
+      indexCell.className = 'data-table-cell data-table-index';
+      indexCell.textContent = String(rowIndex + 1);
+      row.appendChild(indexCell);
+      columns.forEach(column => {
+        const cell = document.createElement('div');
+        cell.className = 'data-table-cell';
+        cell.textContent = this.formatValue(this.rows[rowIndex][column]);
+        row.appendChild(cell);
+      });
+      row.addEventListener('click', event => this.handleRowClick(position, event));
+      this.body.appendChild(row);
+    }
+  }
+
+  /**
+   * Update the row count in the toolbar
+   */
+  updateCount() {
+    const shown = this.view.length === this.rows.length ? `${this.rows.length} rows` : `${this.view.length} of ${this.rows.length} rows`;
+    this.countLabel.textContent = this.selected.size > 0 ? `${shown}, ${this.selected.size} selected` : shown;
+  }
+
+  /**
+   * Select rows by click: a plain click selects one row, Ctrl/Cmd toggles a row and
+   * Shift selects the range from the last clicked row
+   * @param {number} position - Position of the clicked row in the view
+   * @param {MouseEvent} event - Click event
+   */
+  handleRowClick(position, event) {
+    const rowIndex = this.view[position];
+    if (event.shiftKey && this.anchor !== null) {
+      if (!event.ctrlKey && !event.metaKey) this.selected.clear();
+      const [from, to] = [Math.min(this.anchor, position), Math.max(this.anchor, position)];
+      for (let i = from; i <= to; i++) this.selected.add(this.view[i]);
+    } else if (event.ctrlKey || event.metaKey) {
+      if (this.selected.has(rowIndex)) {
+        this.selected.delete(rowIndex);
+      } else {
+        this.selected.add(rowIndex);
+      }
+      this.anchor = position;
+    } else {
+      this.selected = new Set([rowIndex]);
+      this.anchor = position;
+    }
+    this.renderBody();
+    this.updateCount();
+
+    const rowIndices = [...this.selected];
+    const pointIndices = rowIndices.map(index => this.pointByRow[index]).filter(index => index >= 0);
+    this.onSelectionChange(pointIndices, rowIndices);
+  }
+
+  /**
+   * Select the rows of points picked in the scene and scroll the first into view.
+   * Does not call onSelectionChange, since the scene already shows the selection.
+   * @param {Array<number>} pointIndices - Scene point indices
+   * @param {Array} points - Scene points
+   */
+  revealPoints(pointIndices, points) {
+    const rowIndices = pointIndices
+      .map(index => (points[index] ? this.rowIndexByObject.get(points[index].originalData) : undefined))
+      .filter(index => index !== undefined);
+    this.selected = new Set(rowIndices);
+    this.anchor = null;
+
+    if (rowIndices.length > 0) {
+      let position = this.view.indexOf(rowIndices[0]);
+      if (position < 0 && this.search) {
+        // The search hides the row; clear it rather than select something invisible
+        this.search = '';
+        this.searchInput.value = '';
+        this.applyView();
+        position = this.view.indexOf(rowIndices[0]);
+      }
+      if (position >= 0) {
+        const rowTop = position * DATA_TABLE_ROW_HEIGHT;
+        const viewTop = this.scroller.scrollTop;
+        const viewHeight = this.scroller.clientHeight - this.header.offsetHeight;
+        if (rowTop < viewTop || rowTop + DATA_TABLE_ROW_HEIGHT > viewTop + viewHeight) {
+          this.scroller.scrollTop = Math.max(0, rowTop - viewHeight / 2);
+        }
+      }
+    }
+    this.renderBody();
+    this.updateCount();
+  }
+
+  /**
+   * Format a cell value
+   * @param {*} value - Cell value
+   * @returns {string} Display text
+   */
+  formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !Number.isInteger(value)) return String(Number(value.toPrecision(6)));
+    return String(value);
+  }
+}
+
+// Export the DataTable class
+window.DataTable = DataTable;
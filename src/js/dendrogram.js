@@ -0,0 +1,237 @@
+/**
+ * Dendrogram - Sidebar panel drawing a hierarchical clustering merge tree
+ * Branches below the cut line take the colour of their cluster. Dragging the
+ * cut line re-cuts the tree, and clicking a branch selects the points under it.
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class Dendrogram {
+  /**
+   * @param {HTMLElement} container - Element to draw into
+   * @param {Object} [options]
+   * @param {Function} [options.onCutChange] - Called with the new cut height while the cut line is dragged
+   * @param {Function} [options.onBranchSelect] - Called with the point indices under a clicked branch,
+   *   or null when the selection is cleared
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onCutChange = options.onCutChange || (() => {});
+    this.onBranchSelect = options.onBranchSelect || (() => {});
+    this.width = 250;
+    this.height = 180;
+    this.padding = { left: 8, right: 8, top: 10, bottom: 8 };
+    this.merges = [];
+    this.leafCount = 0;
+    this.cutHeight = 0;
+    this.leafColors = [];
+    this.selectedNode = null;
+    this.pendingCut = null; // Cut height waiting for the next animation frame while dragging
+
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+    this.svg.classList.add('dendrogram');
+    this.svg.addEventListener('mousedown', event => this.handleMouseDown(event));
+    this.container.appendChild(this.svg);
+    this.container.style.display = 'none';
+  }
+
+  /**
+   * Show a new tree
+   * @param {Object|null} hierarchy - { merges, leafCount, cutHeight } from DataProcessor.clusteringInfo, or null to hide
+   * @param {Array<string>} [leafColors] - Colour per point
+   */
+  update(hierarchy, leafColors = []) {
+    this.selectedNode = null;
+    if (!hierarchy || hierarchy.merges.length === 0) {
+      this.merges = [];
+      this.container.style.display = 'none';
+      this.svg.innerHTML = '';
+      return;
+    }
+    this.merges = hierarchy.merges;
+    this.leafCount = hierarchy.leafCount;
+    this.cutHeight = hierarchy.cutHeight;
+    this.leafColors = leafColors;
+    this.layoutTree();
+    this.container.style.display = 'block';
+    this.render();
+  }
+
+  /**
+   * Move the cut line and recolour the branches without relaying the tree out
+   * @param {number} cutHeight - New cut height
+   * @param {Array<string>} leafColors - Colour per point
+   */
+  setCut(cutHeight, leafColors) {
+    this.cutHeight = cutHeight;
+    this.leafColors = leafColors;
+    if (this.merges.length > 0) this.render();
+  }
+
+  /**
+   * Order leaves so that branches don't cross and position every node
+   */
+  layoutTree() {
+    const n = this.leafCount;
+    const root = n + this.merges.length - 1;
+    this.nodeX = new Float64Array(root + 1);
+    this.nodeHeight = new Float64Array(root + 1);
+    this.firstLeaf = new Int32Array(root + 1); // A point under each node, for its cluster colour
+    this.maxHeight = this.merges[this.merges.length - 1].height || 1;
+
+    // Depth-first from the root, left branch first
+    const order = [];
+    const stack = [root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node < n) {
+        order.push(node);
+      } else {
+        const merge = this.merges[node - n];
+        stack.push(merge.right, merge.left);
+      }
+    }
+    const plotWidth = this.width - this.padding.left - this.padding.right;
+    order.forEach((leaf, position) => {
+      this.nodeX[leaf] = this.padding.left + (n === 1 ? plotWidth / 2 : position / (n - 1) * plotWidth);
+      this.firstLeaf[leaf] = leaf;
+    });
+    this.merges.forEach((merge, m) => {
+      this.firstLeaf[n + m] = this.firstLeaf[merge.left];
+      this.nodeX[n + m] = (this.nodeX[merge.left] + this.nodeX[merge.right]) / 2;
+      this.nodeHeight[n + m] = merge.height;
+    });
+  }
+
+  /**
+   * Convert a merge height to an SVG y coordinate
+   */
+  toY(height) {
+    const plotHeight = this.height - this.padding.top - this.padding.bottom;
+    return this.padding.top + (1 - height / this.maxHeight) * plotHeight;
+  }
+
+  /**
+   * Convert an SVG y coordinate back to a merge height
+   */
+  toHeight(y) {
+    const plotHeight = this.height - this.padding.top - this.padding.bottom;
+    return Math.max(0, Math.min(this.maxHeight, (1 - (y - this.padding.top) / plotHeight) * this.maxHeight));
+  }
+
+  /**
+   * Redraw branches and the cut line
+   */
+  render() {
+    this.svg.innerHTML = '';
+    const n = this.leafCount;
+    const selected = this.selectedNode !== null ? this.getSubtree(this.selectedNode) : new Set();
+
+    this.merges.forEach((merge, m) => {
+      const y = this.toY(merge.height);
+      // Branches entirely below the cut belong to one cluster
+      const color = merge.height <= this.cutHeight ? (this.leafColors[this.firstLeaf[n + m]] || '#aaaaaa') : '#aaaaaa';
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', `M ${this.nodeX[merge.left]} ${this.toY(this.nodeHeight[merge.left])} V ${y} H ${this.nodeX[merge.right]} V ${this.toY(this.nodeHeight[merge.right])}`);
+      path.setAttribute('stroke', color);
+      path.setAttribute('class', 'dendrogram-branch' + (selected.has(n + m) ? ' dendrogram-branch-selected' : ''));
+      path.dataset.node = String(n + m);
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = `${merge.size} points, height ${merge.height.toPrecision(4)}`;
+      path.appendChild(title);
+      this.svg.appendChild(path);
+    });
+
+    const cutY = this.toY(this.cutHeight);
+    const cutLine = document.createElementNS(SVG_NS, 'line');
+    cutLine.setAttribute('x1', 0);
+    cutLine.setAttribute('x2', this.width);
+    cutLine.setAttribute('y1', cutY);
+    cutLine.setAttribute('y2', cutY);
+    cutLine.setAttribute('class', 'dendrogram-cut');
+    this.svg.appendChild(cutLine);
+    // Wider invisible line so the cut is easy to grab
+    const handle = cutLine.cloneNode();
+    handle.setAttribute('class', 'dendrogram-cut-handle');
+    handle.dataset.cut = 'true';
+    this.svg.appendChild(handle);
+  }
+
+  /**
+   * Get a node and everything below it
+   * @param {number} node - Node id
+   * @returns {Set<number>} Node ids, points included
+   */
+  getSubtree(node) {
+    const nodes = new Set();
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      nodes.add(current);
+      if (current >= this.leafCount) {
+        const merge = this.merges[current - this.leafCount];
+        stack.push(merge.left, merge.right);
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Get every point under a node
+   * @param {number} node - Node id
+   * @returns {Array<number>} Point indices
+   */
+  getLeaves(node) {
+    return [...this.getSubtree(node)].filter(id => id < this.leafCount);
+  }
+
+  /**
+   * Start dragging the cut line, or select the clicked branch
+   * @param {MouseEvent} event - Mouse down event on the SVG
+   */
+  handleMouseDown(event) {
+    event.preventDefault();
+    const target = event.target;
+
+    if (target.dataset && target.dataset.cut) {
+      const move = moveEvent => this.dragCut(moveEvent);
+      const up = () => {
+        document.removeEventListener('mousemove', move);
+        document.removeEventListener('mouseup', up);
+      };
+      document.addEventListener('mousemove', move);
+      document.addEventListener('mouseup', up);
+      return;
+    }
+
+    if (target.dataset && target.dataset.node) {
+      const node = Number(target.dataset.node);
+      this.selectedNode = this.selectedNode === node ? null : node;
+    } else {
+      this.selectedNode = null;
+    }
+    this.render();
+    this.onBranchSelect(this.selectedNode === null ? null : this.getLeaves(this.selectedNode));
+  }
+
+  /**
+   * Move the cut line to the mouse, re-cutting at most once per frame
+   * @param {MouseEvent} event - Mouse move event
+   */
+  dragCut(event) {
+    const bounds = this.svg.getBoundingClientRect();
+    if (bounds.height === 0) return;
+    const y = (event.clientY - bounds.top) / bounds.height * this.height;
+    const scheduled = this.pendingCut !== null;
+    this.pendingCut = this.toHeight(y);
+    if (scheduled) return;
+    requestAnimationFrame(() => {
+      const height = this.pendingCut;
+      this.pendingCut = null;
+      this.onCutChange(height);
+    });
+  }
+}
+
+// Export the Dendrogram class
+window.Dendrogram = Dendrogram;
@@ -0,0 +1,181 @@
+/**
+ * Envelopes - Shapes enclosing a group of 3D points
+ * Convex hulls are built incrementally: starting from a tetrahedron, each point
+ * outside the hull replaces the faces it can see with a fan of faces to the
+ * horizon. Covariance ellipsoids follow the principal axes of the group.
+ */
+const ELLIPSOID_SCALE = Math.sqrt(7.815); // 95% quantile of chi-square with 3 degrees of freedom: holds ~95% of a normal group
+
+class Envelopes {
+  /**
+   * Mean position of a group
+   * @param {Array<{x: number, y: number, z: number}>} points - Group points
+   * @returns {{x: number, y: number, z: number}} Centroid
+   */
+  static centroid(points) {
+    const center = { x: 0, y: 0, z: 0 };
+    points.forEach(point => {
+      center.x += point.x;
+      center.y += point.y;
+      center.z += point.z;
+    });
+    const count = points.length || 1;
+    return { x: center.x / count, y: center.y / count, z: center.z / count };
+  }
+
+  /**
+   * Convex hull of a group
+   * @param {Array<{x: number, y: number, z: number}>} points - Group points
+   * @returns {{faces: Array<Array<number>>, vertices: Array<number>, volume: number}|null} Outward-facing
+   *   triangles as indices into points, the indices used by them and the enclosed volume;
+   *   null when the points are fewer than four or lie in a plane
+   */
+  static convexHull(points) {
+    if (points.length < 4) return null;
+    const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+    const cross = (a, b) => ({ x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x });
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const length = a => Math.sqrt(dot(a, a));
+
+    // Tolerance relative to the size of the group
+    const axes = ['x', 'y', 'z'];
+    const extents = axes.map(axis => {
+      let min = Infinity;
+      let max = -Infinity;
+      points.forEach(point => {
+        if (point[axis] < min) min = point[axis];
+        if (point[axis] > max) max = point[axis];
+      });
+      return max - min;
+    });
+    const epsilon = Math.max(...extents) * 1e-9;
+    if (!(epsilon > 0)) return null;
+
+    // Initial tetrahedron: the two extremes of the widest axis, the point farthest
+    // from their line and the point farthest from the plane through all three
+    const axis = axes[extents.indexOf(Math.max(...extents))];
+    let a = 0;
+    let b = 0;
+    points.forEach((point, i) => {
+      if (point[axis] < points[a][axis]) a = i;
+      if (point[axis] > points[b][axis]) b = i;
+    });
+    const line = sub(points[b], points[a]);
+    let c = -1;
+    let best = epsilon;
+    points.forEach((point, i) => {
+      const distance = length(cross(line, sub(point, points[a]))) / length(line);
+      if (distance > best) {
+        best = distance;
+        c = i;
+      }
+    });
+    if (c < 0) return null;
+    const planeNormal = cross(line, sub(points[c], points[a]));
+    const planeLength = length(planeNormal);
+    let d = -1;
+    best = epsilon;
+    points.forEach((point, i) => {
+      const distance = Math.abs(dot(planeNormal, sub(point, points[a]))) / planeLength;
+      if (distance > best) {
+        best = distance;
+        d = i;
+      }
+    });
+    if (d < 0) return null;
+
+    const inside = Envelopes.centroid([points[a], points[b], points[c], points[d]]);
+    // Faces keep their plane so visibility is one dot product
+    const createFace = (i, j, k) => {
+      let normal = cross(sub(points[j], points[i]), sub(points[k], points[i]));
+      if (dot(normal, sub(inside, points[i])) > 0) {
+        [j, k] = [k, j];
+        normal = { x: -normal.x, y: -normal.y, z: -normal.z };
+      }
+      const size = length(normal) || 1;
+      normal = { x: normal.x / size, y: normal.y / size, z: normal.z / size };
+      return { vertices: [i, j, k], normal, offset: dot(normal, points[i]) };
+    };
+    let faces = [createFace(a, b, c), createFace(a, b, d), createFace(a, c, d), createFace(b, c, d)];
+
+    // Far points first, so the hull grows quickly and most inner points are rejected by the first check
+    const order = points.map((point, i) => i)
+      .filter(i => i !== a && i !== b && i !== c && i !== d)
+      .map(i => ({ i, distance: dot(sub(points[i], inside), sub(points[i], inside)) }))
+      .sort((p, q) => q.distance - p.distance);
+
+    order.forEach(({ i }) => {
+      const point = points[i];
+      const visible = faces.filter(face => dot(face.normal, point) - face.offset > epsilon);
+      if (visible.length === 0) return;
+
+      // Horizon: edges of visible faces whose other side is not visible
+      const owners = new Map();
+      faces.forEach(face => {
+        const [u, v, w] = face.vertices;
+        owners.set(`${u},${v}`, face);
+        owners.set(`${v},${w}`, face);
+        owners.set(`${w},${u}`, face);
+      });
+      const visibleSet = new Set(visible);
+      const horizon = [];
+      visible.forEach(face => {
+        const [u, v, w] = face.vertices;
+        [[u, v], [v, w], [w, u]].forEach(([from, to]) => {
+          if (!visibleSet.has(owners.get(`${to},${from}`))) horizon.push([from, to]);
+        });
+      });
+
+      faces = faces.filter(face => !visibleSet.has(face));
+      horizon.forEach(([from, to]) => faces.push(createFace(from, to, i)));
+    });
+
+    // Sum of tetrahedra from an inside point to each face
+    let volume = 0;
+    faces.forEach(face => {
+      const [p, q, r] = face.vertices.map(index => sub(points[index], inside));
+      volume += dot(p, cross(q, r)) / 6;
+    });
+
+    const vertices = [...new Set(faces.flatMap(face => face.vertices))];
+    return { faces: faces.map(face => face.vertices), vertices, volume: Math.abs(volume) };
+  }
+
+  /**
+   * Ellipsoid along the principal axes of a group's covariance
+   * @param {Array<{x: number, y: number, z: number}>} points - Group points
+   * @param {Object} [options]
+   * @param {number} [options.scale=ELLIPSOID_SCALE] - Radii in standard deviations
+   * @param {number} [options.minRadius=0] - Smallest radius, so flat or tiny groups stay visible
+   * @returns {{center: Object, axes: Array<{x: number, y: number, z: number}>, radii: Array<number>, volume: number}|null}
+   *   Unit axes forming a right-handed basis, largest radius first; null for fewer than two points
+   */
+  static covarianceEllipsoid(points, options = {}) {
+    if (points.length < 2) return null;
+    const scale = options.scale || ELLIPSOID_SCALE;
+    const minRadius = options.minRadius || 0;
+    const center = Envelopes.centroid(points);
+
+    const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    points.forEach(point => {
+      const offset = [point.x - center.x, point.y - center.y, point.z - center.z];
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) covariance[i][j] += offset[i] * offset[j];
+      }
+    });
+    covariance.forEach(row => row.forEach((value, j) => { row[j] = value / (points.length - 1); }));
+
+    const { values, vectors } = MathUtils.symmetricEigen(covariance);
+    const radii = values.map(value => Math.max(Math.sqrt(Math.max(value, 0)) * scale, minRadius));
+    const axes = vectors.map(([x, y, z]) => ({ x, y, z }));
+    // A reflection cannot be expressed as a rotation
+    const [u, v, w] = axes;
+    const determinant = u.x * (v.y * w.z - v.z * w.y) - u.y * (v.x * w.z - v.z * w.x) + u.z * (v.x * w.y - v.y * w.x);
+    if (determinant < 0) axes[2] = { x: -w.x, y: -w.y, z: -w.z };
+
+    return { center, axes, radii, volume: 4 / 3 * Math.PI * radii[0] * radii[1] * radii[2] };
+  }
+}
+
+// Export the Envelopes class
+window.Envelopes = Envelopes;
@@ -0,0 +1,494 @@
+/**
+ * FilterEngine - Parses and evaluates compound filter expressions
+ *
+ * Expression syntax (keywords are case-insensitive):
+ *   value between 50 and 90          numeric range (inclusive)
+ *   value >= 50 and value < 90       comparisons: =, !=, <, <=, >, >=
+ *   category in (A, B, "C D")        multi-select categorical values
+ *   name contains "smith"            case-insensitive substring
+ *   name matches /^sm.th$/i          regular expression (also: name ~ "^sm")
+ *   score is null / score is not null
+ *   not (...), and, or, parentheses  (&&, || and ! are accepted too)
+ * Column names containing spaces or symbols can be written as [Column Name].
+ */
+
+const FILTER_KEYWORDS = ['and', 'or', 'not', 'in', 'between', 'contains', 'matches', 'is', 'null'];
+const FILTER_COMPARISON_OPERATORS = ['=', '==', '!=', '<', '<=', '>', '>='];
+
+class FilterEngine {
+  constructor() {
+    this.tokens = [];
+    this.position = 0;
+    this.regexCache = new Map(); // Compiled patterns, keyed by "flags/pattern"
+  }
+
+  /**
+   * Parse an expression string into a filter tree
+   * @param {string} expression - Filter expression
+   * @returns {Object|null} Filter node, or null for an empty expression
+   */
+  parse(expression) {
+    if (!expression || expression.trim() === '') return null;
+
+    this.tokens = this.tokenize(expression);
+    this.position = 0;
+
+    const node = this.parseOr();
+    if (this.position < this.tokens.length) {
+      const token = this.tokens[this.position];
+      throw new Error(`Unexpected "${token.text}" at position ${token.start + 1}`);
+    }
+    return node;
+  }
+
+  /**
+   * Check whether text starts with a predicate, e.g. "between 1 and 5" or ">= 10",
+   * so it can be applied to a column chosen elsewhere
+   * @param {string} text - Text typed by the user
+   * @returns {boolean} True if the first token is an operator or predicate keyword
+   */
+  isPredicate(text) {
+    if (!text) return false;
+    try {
+      const first = this.tokenize(text)[0];
+      if (!first) return false;
+      if (first.type === 'operator') return true;
+      return first.type === 'keyword' && ['in', 'between', 'contains', 'matches', 'is'].includes(first.value);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Quote a column name so it can be used in an expression
+   * @param {string} column - Column name
+   * @returns {string} Column reference
+   */
+  quoteColumn(column) {
+    return /^[A-Za-z_][\w.]*$/.test(column) && !FILTER_KEYWORDS.includes(column.toLowerCase())
+      ? column
+      : `[${column}]`;
+  }
+
+  /**
+   * Combine several filter nodes into one
+   * @param {Array<Object|null>} nodes - Filter nodes (nulls are ignored)
+   * @param {string} [type='and'] - 'and' or 'or'
+   * @returns {Object|null} Combined node, or null if nothing to combine
+   */
+  combine(nodes, type = 'and') {
+    const clauses = nodes.filter(Boolean);
+    if (clauses.length === 0) return null;
+    if (clauses.length === 1) return clauses[0];
+    return { type, clauses };
+  }
+
+  /**
+   * Filter rows with a filter node
+   * @param {Array<Object>} rows - Data rows
+   * @param {Object|null} node - Filter node
+   * @returns {Array<Object>} Matching rows
+   */
+  filterRows(rows, node) {
+    if (!node) return rows;
+    return rows.filter(row => this.evaluate(node, row));
+  }
+
+  /**
+   * Evaluate a filter node against a single row
+   * @param {Object} node - Filter node
+   * @param {Object} row - Data row
+   * @returns {boolean} Whether the row matches
+   */
+  evaluate(node, row) {
+    switch (node.type) {
+      case 'and':
+        return node.clauses.every(clause => this.evaluate(clause, row));
+      case 'or':
+        return node.clauses.some(clause => this.evaluate(clause, row));
+      case 'not':
+        return !this.evaluate(node.clause, row);
+      case 'null':
+        return this.isNullValue(row[node.column]) !== !!node.negate;
+      default:
+        break;
+    }
+
+    const rowValue = row[node.column];
+    if (this.isNullValue(rowValue)) return false;
+
+    switch (node.type) {
+      case 'range': {
+        const num = typeof rowValue === 'number' ? rowValue : parseFloat(rowValue);
+        if (isNaN(num)) return false;
+        if (node.min !== undefined && (node.minExclusive ? num <= node.min : num < node.min)) return false;
+        if (node.max !== undefined && (node.maxExclusive ? num >= node.max : num > node.max)) return false;
+        return true;
+      }
+      case 'equals':
+        return this.valuesEqual(rowValue, node.value);
+      case 'notEquals':
+        return !this.valuesEqual(rowValue, node.value);
+      case 'in':
+        return node.values.some(value => this.valuesEqual(rowValue, value));
+      case 'contains':
+        return String(rowValue).toLowerCase().includes(String(node.value).toLowerCase());
+      case 'regex': {
+        const key = `${node.flags || ''}/${node.pattern}`;
+        if (!this.regexCache.has(key)) this.regexCache.set(key, new RegExp(node.pattern, node.flags || ''));
+        return this.regexCache.get(key).test(String(rowValue));
+      }
+      default:
+        throw new Error(`Unknown filter node type "${node.type}"`);
+    }
+  }
+
+  /**
+   * Convert a filter node back into expression text
+   * @param {Object|null} node - Filter node
+   * @returns {string} Expression text
+   */
+  toExpression(node) {
+    if (!node) return '';
+    const value = v => typeof v === 'number' ? String(v) : JSON.stringify(String(v));
+    const column = this.quoteColumn(node.column || '');
+
+    switch (node.type) {
+      case 'and':
+      case 'or':
+        return node.clauses
+          .map(clause => ['and', 'or'].includes(clause.type) ? `(${this.toExpression(clause)})` : this.toExpression(clause))
+          .join(` ${node.type} `);
+      case 'not':
+        return `not (${this.toExpression(node.clause)})`;
+      case 'null':
+        return `${column} is ${node.negate ? 'not ' : ''}null`;
+      case 'range': {
+        if (node.min !== undefined && node.max !== undefined && !node.minExclusive && !node.maxExclusive) {
+          return `${column} between ${node.min} and ${node.max}`;
+        }
+        const parts = [];
+        if (node.min !== undefined) parts.push(`${column} ${node.minExclusive ? '>' : '>='} ${node.min}`);
+        if (node.max !== undefined) parts.push(`${column} ${node.maxExclusive ? '<' : '<='} ${node.max}`);
+        return parts.join(' and ');
+      }
+      case 'equals':
+        return `${column} = ${value(node.value)}`;
+      case 'notEquals':
+        return `${column} != ${value(node.value)}`;
+      case 'in':
+        return `${column} in (${node.values.map(value).join(', ')})`;
+      case 'contains':
+        return `${column} contains ${value(node.value)}`;
+      case 'regex':
+        return `${column} matches /${node.pattern}/${node.flags || ''}`;
+      default:
+        return '';
+    }
+  }
+
+  /** Null check shared by the evaluators */
+  isNullValue(value) {
+    return value === null || value === undefined || value === '' ||
+      (typeof value === 'number' && isNaN(value));
+  }
+
+  /** Numeric comparison when both sides are numbers, exact string comparison otherwise */
+  valuesEqual(rowValue, filterValue) {
+    const rowNum = typeof rowValue === 'number' ? rowValue : parseFloat(rowValue);
+    const filterNum = typeof filterValue === 'number' ? filterValue : parseFloat(filterValue);
+    if (!isNaN(rowNum) && !isNaN(filterNum) && String(filterValue).trim() !== '' && isFinite(filterValue)) {
+      return rowNum === filterNum;
+    }
+    return String(rowValue) === String(filterValue);
+  }
+
+  // --- Tokenizer ---
+
+  /**
+   * Split an expression into tokens
+   * @param {string} text - Expression text
+   * @returns {Array<{type: string, value: any, text: string, start: number}>} Tokens
+   */
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+      const start = i;
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (char === '(' || char === ')' || char === ',') {
+        tokens.push({ type: char, value: char, text: char, start });
+        i++;
+        continue;
+      }
+
+      // Regex literal, only allowed after ~ or matches
+      const previous = tokens[tokens.length - 1];
+      if (char === '/' && previous && (previous.text === '~' || previous.value === 'matches')) {
+        let end = i + 1;
+        let pattern = '';
+        while (end < text.length && text[end] !== '/') {
+          if (text[end] === '\\' && end + 1 < text.length) {
+            pattern += text[end] + text[end + 1];
+            end += 2;
+          } else {
+            pattern += text[end++];
+          }
+        }
+        if (end >= text.length) throw new Error(`Unterminated regular expression at position ${start + 1}`);
+        end++;
+        let flags = '';
+        while (end < text.length && /[gimsuy]/.test(text[end])) flags += text[end++];
+        tokens.push({ type: 'regex', value: { pattern, flags: flags.replace('g', '') }, text: text.slice(start, end), start });
+        i = end;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        let end = i + 1;
+        let value = '';
+        while (end < text.length && text[end] !== char) {
+          if (text[end] === '\\' && end + 1 < text.length) end++;
+          value += text[end++];
+        }
+        if (end >= text.length) throw new Error(`Unterminated string at position ${start + 1}`);
+        tokens.push({ type: 'string', value, text: text.slice(start, end + 1), start });
+        i = end + 1;
+        continue;
+      }
+
+      if (char === '[') {
+        const end = text.indexOf(']', i);
+        if (end === -1) throw new Error(`Unterminated column name at position ${start + 1}`);
+        tokens.push({ type: 'column', value: text.slice(i + 1, end), text: text.slice(start, end + 1), start });
+        i = end + 1;
+        continue;
+      }
+
+      const twoChars = text.substr(i, 2);
+      if (twoChars === '&&' || twoChars === '||') {
+        tokens.push({ type: 'keyword', value: twoChars === '&&' ? 'and' : 'or', text: twoChars, start });
+        i += 2;
+        continue;
+      }
+      if (['>=', '<=', '!=', '=='].includes(twoChars)) {
+        tokens.push({ type: 'operator', value: twoChars === '==' ? '=' : twoChars, text: twoChars, start });
+        i += 2;
+        continue;
+      }
+      if ('=<>~'.includes(char)) {
+        tokens.push({ type: 'operator', value: char, text: char, start });
+        i++;
+        continue;
+      }
+      if (char === '!') {
+        tokens.push({ type: 'keyword', value: 'not', text: char, start });
+        i++;
+        continue;
+      }
+
+      const numberMatch = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(?![\w.])/i.exec(text.slice(i));
+      if (numberMatch) {
+        tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), text: numberMatch[0], start });
+        i += numberMatch[0].length;
+        continue;
+      }
+
+      const wordMatch = /^[^\s(),=<>!~"'[\]]+/.exec(text.slice(i));
+      if (wordMatch) {
+        const word = wordMatch[0];
+        const lower = word.toLowerCase();
+        tokens.push(FILTER_KEYWORDS.includes(lower)
+          ? { type: 'keyword', value: lower, text: word, start }
+          : { type: 'word', value: word, text: word, start });
+        i += word.length;
+        continue;
+      }
+
+      throw new Error(`Unexpected character "${char}" at position ${start + 1}`);
+    }
+
+    return tokens;
+  }
+
+  // --- Recursive descent parser ---
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    const token = this.tokens[this.position++];
+    if (!token) throw new Error('Unexpected end of filter expression');
+    return token;
+  }
+
+  isKeyword(token, keyword) {
+    return token && token.type === 'keyword' && token.value === keyword;
+  }
+
+  expect(type, description) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw new Error(`Expected ${description} but found "${token.text}" at position ${token.start + 1}`);
+    }
+    return token;
+  }
+
+  parseOr() {
+    const clauses = [this.parseAnd()];
+    while (this.isKeyword(this.peek(), 'or')) {
+      this.next();
+      clauses.push(this.parseAnd());
+    }
+    return this.combine(clauses, 'or');
+  }
+
+  parseAnd() {
+    const clauses = [this.parseUnary()];
+    while (this.isKeyword(this.peek(), 'and')) {
+      this.next();
+      clauses.push(this.parseUnary());
+    }
+    return this.combine(clauses, 'and');
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (this.isKeyword(token, 'not')) {
+      this.next();
+      return { type: 'not', clause: this.parseUnary() };
+    }
+    if (token && token.type === '(') {
+      this.next();
+      const node = this.parseOr();
+      this.expect(')', '")"');
+      return node;
+    }
+    return this.parseClause();
+  }
+
+  parseClause() {
+    const columnToken = this.next();
+    if (!['word', 'column', 'string'].includes(columnToken.type)) {
+      throw new Error(`Expected a column name but found "${columnToken.text}" at position ${columnToken.start + 1}`);
+    }
+    const column = String(columnToken.value);
+
+    let negate = false;
+    if (this.isKeyword(this.peek(), 'not')) {
+      this.next();
+      negate = true;
+    }
+
+    const token = this.next();
+    let node;
+
+    if (this.isKeyword(token, 'between')) {
+      const min = this.parseNumber();
+      const andToken = this.next();
+      if (!this.isKeyword(andToken, 'and')) {
+        throw new Error(`Expected "and" in between clause at position ${andToken.start + 1}`);
+      }
+      const max = this.parseNumber();
+      node = { type: 'range', column, min: Math.min(min, max), max: Math.max(min, max) };
+    } else if (this.isKeyword(token, 'in')) {
+      this.expect('(', '"(" after in');
+      const values = [this.parseValue()];
+      while (this.peek() && this.peek().type === ',') {
+        this.next();
+        values.push(this.parseValue());
+      }
+      this.expect(')', '")"');
+      node = { type: 'in', column, values };
+    } else if (this.isKeyword(token, 'contains')) {
+      node = { type: 'contains', column, value: this.parseValue() };
+    } else if (this.isKeyword(token, 'matches') || (token.type === 'operator' && token.value === '~')) {
+      node = this.parseRegex(column);
+    } else if (this.isKeyword(token, 'is')) {
+      let isNegated = false;
+      if (this.isKeyword(this.peek(), 'not')) {
+        this.next();
+        isNegated = true;
+      }
+      const nullToken = this.next();
+      if (!this.isKeyword(nullToken, 'null')) {
+        throw new Error(`Expected "null" at position ${nullToken.start + 1}`);
+      }
+      node = { type: 'null', column, negate: isNegated };
+    } else if (token.type === 'operator' && FILTER_COMPARISON_OPERATORS.includes(token.value) && !negate) {
+      node = this.parseComparison(column, token.value);
+    } else {
+      throw new Error(`Expected an operator after "${column}" but found "${token.text}" at position ${token.start + 1}`);
+    }
+
+    return negate ? { type: 'not', clause: node } : node;
+  }
+
+  parseComparison(column, operator) {
+    switch (operator) {
+      case '=':
+        return { type: 'equals', column, value: this.parseValue() };
+      case '!=':
+        return { type: 'notEquals', column, value: this.parseValue() };
+      case '>':
+        return { type: 'range', column, min: this.parseNumber(), minExclusive: true };
+      case '>=':
+        return { type: 'range', column, min: this.parseNumber() };
+      case '<':
+        return { type: 'range', column, max: this.parseNumber(), maxExclusive: true };
+      case '<=':
+        return { type: 'range', column, max: this.parseNumber() };
+      default:
+        throw new Error(`Unsupported operator "${operator}"`);
+    }
+  }
+
+  parseRegex(column) {
+    const token = this.next();
+    let pattern;
+    let flags = 'i';
+    if (token.type === 'regex') {
+      pattern = token.value.pattern;
+      flags = token.value.flags;
+    } else if (['string', 'word', 'number'].includes(token.type)) {
+      pattern = String(token.value);
+    } else {
+      throw new Error(`Expected a pattern at position ${token.start + 1}`);
+    }
+
+    try {
+      new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`Invalid regular expression /${pattern}/: ${error.message}`);
+    }
+    return { type: 'regex', column, pattern, flags };
+  }
+
+  parseValue() {
+    const token = this.next();
+    if (!['string', 'number', 'word'].includes(token.type)) {
+      throw new Error(`Expected a value but found "${token.text}" at position ${token.start + 1}`);
+    }
+    return token.value;
+  }
+
+  parseNumber() {
+    const token = this.next();
+    const value = token.type === 'number' ? token.value : parseFloat(token.value);
+    if (token.type === 'keyword' || isNaN(value)) {
+      throw new Error(`Expected a number but found "${token.text}" at position ${token.start + 1}`);
+    }
+    return value;
+  }
+}
+
+// Export the FilterEngine class
+window.FilterEngine = FilterEngine;
@@ -0,0 +1,241 @@
+/**
+ * Force Simulation - 3D force-directed graph layout
+ * Links pull connected nodes towards a rest length, every pair of nodes repels
+ * (approximated with a Barnes-Hut octree) and the layout is kept centred.
+ * The simulation cools as alpha decays; tick() is called from an animation
+ * loop so it can be paused, resumed and re-heated.
+ */
+const FORCE_DEFAULTS = {
+  linkDistance: 30,
+  chargeStrength: -30,
+  theta: 0.9, // Barnes-Hut accuracy: larger is faster but coarser
+  velocityDecay: 0.4, // Fraction of velocity lost per tick
+  alphaMin: 0.001, // The simulation is settled below this
+  alphaDecay: 1 - Math.pow(0.001, 1 / 300), // Cools from 1 to alphaMin in ~300 ticks
+  seed: 42
+};
+
+class ForceSimulation {
+  /**
+   * @param {number} nodeCount - Number of nodes
+   * @param {Array<{source: number, target: number}>} edges - Edges between node indices
+   * @param {Object} [options] - Overrides for FORCE_DEFAULTS, plus `positions`
+   *   (Float64Array of x, y, z per node) to start from
+   */
+  constructor(nodeCount, edges, options = {}) {
+    this.options = { ...FORCE_DEFAULTS, ...options };
+    this.nodeCount = nodeCount;
+    this.edges = edges;
+    this.alpha = 1;
+    this.velocities = new Float64Array(nodeCount * 3);
+    this.positions = options.positions && options.positions.length === nodeCount * 3
+      ? Float64Array.from(options.positions)
+      : ForceSimulation.initialPositions(nodeCount, this.options.linkDistance, this.options.seed);
+
+    // Links between well-connected nodes are weaker so hubs don't collapse,
+    // and the lighter end of a link moves more
+    const degrees = new Float64Array(nodeCount);
+    edges.forEach(({ source, target }) => {
+      degrees[source]++;
+      degrees[target]++;
+    });
+    this.linkStrengths = edges.map(({ source, target }) => 1 / Math.min(degrees[source], degrees[target]));
+    this.linkBiases = edges.map(({ source, target }) => degrees[source] / (degrees[source] + degrees[target]));
+  }
+
+  /**
+   * Spread nodes over a ball whose size grows with the node count
+   * @param {number} nodeCount - Number of nodes
+   * @param {number} spacing - Typical distance between neighbours
+   * @param {number} seed - Random seed
+   * @returns {Float64Array} x, y, z per node
+   */
+  static initialPositions(nodeCount, spacing, seed) {
+    const random = MathUtils.createRandom(seed);
+    const radius = spacing * Math.cbrt(nodeCount) / 6;
+    const positions = new Float64Array(nodeCount * 3);
+    for (let i = 0; i < positions.length; i++) {
+      positions[i] = MathUtils.randomNormal(random) * radius;
+    }
+    return positions;
+  }
+
+  /**
+   * Whether the simulation has cooled down
+   * @returns {boolean} True once alpha is below alphaMin
+   */
+  isSettled() {
+    return this.alpha < this.options.alphaMin;
+  }
+
+  /**
+   * Heat the simulation up again so nodes move freely
+   * @param {number} [alpha=1] - New temperature (0-1)
+   */
+  reheat(alpha = 1) {
+    this.alpha = Math.max(this.alpha, alpha);
+  }
+
+  /**
+   * Advance the simulation by one step
+   * @returns {number} Alpha after the step
+   */
+  tick() {
+    this.alpha += -this.alpha * this.options.alphaDecay;
+    this.applyLinks();
+    this.applyCharge();
+
+    const keep = 1 - this.options.velocityDecay;
+    for (let i = 0; i < this.positions.length; i++) {
+      this.velocities[i] *= keep;
+      this.positions[i] += this.velocities[i];
+    }
+    this.center();
+    return this.alpha;
+  }
+
+  /**
+   * Spring force along every edge towards the link distance
+   */
+  applyLinks() {
+    const p = this.positions;
+    const v = this.velocities;
+    const { linkDistance } = this.options;
+    this.edges.forEach(({ source, target }, e) => {
+      const s = source * 3;
+      const t = target * 3;
+      // Use the positions the nodes are about to reach, as d3-force does
+      let dx = p[t] + v[t] - p[s] - v[s];
+      let dy = p[t + 1] + v[t + 1] - p[s + 1] - v[s + 1];
+      let dz = p[t + 2] + v[t + 2] - p[s + 2] - v[s + 2];
+      const length = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-6;
+      const amount = (length - linkDistance) / length * this.alpha * this.linkStrengths[e];
+      dx *= amount;
+      dy *= amount;
+      dz *= amount;
+      const bias = this.linkBiases[e];
+      v[t] -= dx * bias;
+      v[t + 1] -= dy * bias;
+      v[t + 2] -= dz * bias;
+      v[s] += dx * (1 - bias);
+      v[s + 1] += dy * (1 - bias);
+      v[s + 2] += dz * (1 - bias);
+    });
+  }
+
+  /**
+   * Repulsion between all nodes, summarising distant octree cells by their centre of mass
+   */
+  applyCharge() {
+    const p = this.positions;
+    const v = this.velocities;
+    const strength = this.options.chargeStrength * this.alpha;
+    const thetaSq = this.options.theta * this.options.theta;
+    const root = this.buildOctree();
+
+    for (let i = 0; i < this.nodeCount; i++) {
+      const x = p[i * 3], y = p[i * 3 + 1], z = p[i * 3 + 2];
+      const stack = [root];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        const dx = node.sx / node.count - x;
+        const dy = node.sy / node.count - y;
+        const dz = node.sz / node.count - z;
+        let distanceSq = dx * dx + dy * dy + dz * dz;
+        const width = node.half * 2;
+
+        if (node.children === null || width * width < thetaSq * distanceSq) {
+          const count = node.children === null && node.points.includes(i) ? node.count - 1 : node.count;
+          if (count === 0) continue;
+          // Keep very close nodes from blowing up
+          if (distanceSq < 1) distanceSq = Math.sqrt(distanceSq) || 1;
+          const amount = count * strength / distanceSq;
+          v[i * 3] += dx * amount;
+          v[i * 3 + 1] += dy * amount;
+          v[i * 3 + 2] += dz * amount;
+        } else {
+          node.children.forEach(child => {
+            if (child !== null) stack.push(child);
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Build an octree over the current positions
+   * @returns {Object} Root node { cx, cy, cz, half, count, sx, sy, sz, points, children }
+   */
+  buildOctree() {
+    const p = this.positions;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < p.length; i++) {
+      if (p[i] < min) min = p[i];
+      if (p[i] > max) max = p[i];
+    }
+    const middle = (min + max) / 2;
+    const root = ForceSimulation.createCell(middle, middle, middle, Math.max((max - min) / 2, 1e-3) * 1.001);
+    for (let i = 0; i < this.nodeCount; i++) {
+      this.insert(root, i, 0);
+    }
+    return root;
+  }
+
+  static createCell(cx, cy, cz, half) {
+    // sx/sy/sz accumulate positions; divided by count they give the centre of mass
+    return { cx, cy, cz, half, count: 0, sx: 0, sy: 0, sz: 0, points: [], children: null };
+  }
+
+  insert(cell, i, depth) {
+    const p = this.positions;
+    cell.count++;
+    cell.sx += p[i * 3];
+    cell.sy += p[i * 3 + 1];
+    cell.sz += p[i * 3 + 2];
+
+    if (cell.children === null) {
+      // Leaves hold one node, or several coincident ones once the tree is deep enough
+      if (cell.points.length === 0 || depth >= 32) {
+        cell.points.push(i);
+        return;
+      }
+      cell.children = new Array(8).fill(null);
+      const existing = cell.points;
+      cell.points = [];
+      existing.forEach(j => this.insertIntoChild(cell, j, depth));
+    }
+    this.insertIntoChild(cell, i, depth);
+  }
+
+  insertIntoChild(cell, i, depth) {
+    const p = this.positions;
+    const octant = (p[i * 3] > cell.cx ? 1 : 0) | (p[i * 3 + 1] > cell.cy ? 2 : 0) | (p[i * 3 + 2] > cell.cz ? 4 : 0);
+    if (cell.children[octant] === null) {
+      const quarter = cell.half / 2;
+      cell.children[octant] = ForceSimulation.createCell(
+        cell.cx + (octant & 1 ? quarter : -quarter),
+        cell.cy + (octant & 2 ? quarter : -quarter),
+        cell.cz + (octant & 4 ? quarter : -quarter),
+        quarter
+      );
+    }
+    this.insert(cell.children[octant], i, depth + 1);
+  }
+
+  /**
+   * Keep the layout centred on the origin
+   */
+  center() {
+    const p = this.positions;
+    for (let c = 0; c < 3; c++) {
+      let mean = 0;
+      for (let i = 0; i < this.nodeCount; i++) mean += p[i * 3 + c];
+      mean /= this.nodeCount || 1;
+      for (let i = 0; i < this.nodeCount; i++) p[i * 3 + c] -= mean;
+    }
+  }
+}
+
+// Export the ForceSimulation class
+window.ForceSimulation = ForceSimulation;
@@ -0,0 +1,173 @@
+/**
+ * KD Tree - Spatial index over points of any dimension
+ * Each node splits its points at the median of the axis with the widest spread
+ * and keeps their bounding box, so range queries skip whole subtrees that are
+ * too far away. Neighbour queries cost about O(log n) instead of O(n).
+ */
+const KD_LEAF_SIZE = 8; // Leaves hold at most this many points
+
+class KDTree {
+  /**
+   * @param {Array<Array<number>>} points - Points to index (not copied, must not change afterwards)
+   * @param {number} [leafSize=KD_LEAF_SIZE] - Maximum number of points in a leaf
+   */
+  constructor(points, leafSize = KD_LEAF_SIZE) {
+    this.points = points;
+    this.dimensions = points.length > 0 ? points[0].length : 0;
+    this.leafSize = Math.max(1, leafSize);
+    this.indices = new Int32Array(points.length);
+    for (let i = 0; i < points.length; i++) this.indices[i] = i;
+    this.root = points.length > 0 ? this.build(0, points.length) : null;
+  }
+
+  /**
+   * Build the subtree over indices[start, end)
+   * @returns {Object} Node { start, end, min, max, axis, left, right }; leaves have no children
+   */
+  build(start, end) {
+    const min = new Array(this.dimensions).fill(Infinity);
+    const max = new Array(this.dimensions).fill(-Infinity);
+    for (let i = start; i < end; i++) {
+      const point = this.points[this.indices[i]];
+      for (let d = 0; d < this.dimensions; d++) {
+        if (point[d] < min[d]) min[d] = point[d];
+        if (point[d] > max[d]) max[d] = point[d];
+      }
+    }
+    const node = { start, end, min, max, axis: -1, left: null, right: null };
+    if (end - start <= this.leafSize) return node;
+
+    let axis = 0;
+    for (let d = 1; d < this.dimensions; d++) {
+      if (max[d] - min[d] > max[axis] - min[axis]) axis = d;
+    }
+    // Coincident points cannot be split
+    if (max[axis] === min[axis]) return node;
+
+    const middle = (start + end) >> 1;
+    this.select(start, end - 1, middle, axis);
+    node.axis = axis;
+    node.left = this.build(start, middle);
+    node.right = this.build(middle, end);
+    return node;
+  }
+
+  /**
+   * Partially sort indices[left, right] so indices[k] holds the k-th point along an axis (quickselect)
+   */
+  select(left, right, k, axis) {
+    const indices = this.indices;
+    const value = i => this.points[indices[i]][axis];
+    const swap = (a, b) => {
+      const t = indices[a];
+      indices[a] = indices[b];
+      indices[b] = t;
+    };
+    while (right > left) {
+      // Middle element as pivot keeps sorted input from going quadratic, and the
+      // three-way partition (<, =, > pivot) does the same for repeated values
+      const pivot = value((left + right) >> 1);
+      let lower = left;
+      let upper = right;
+      let i = left;
+      while (i <= upper) {
+        const current = value(i);
+        if (current < pivot) swap(i++, lower++);
+        else if (current > pivot) swap(i, upper--);
+        else i++;
+      }
+      // indices[lower, upper] now all equal the pivot
+      if (k < lower) right = lower - 1;
+      else if (k > upper) left = upper + 1;
+      else return;
+    }
+  }
+
+  /**
+   * Squared distance from a query to the nearest point of a node's bounding box
+   */
+  boxDistanceSq(node, query) {
+    let sum = 0;
+    for (let d = 0; d < this.dimensions; d++) {
+      const diff = query[d] < node.min[d] ? node.min[d] - query[d] : query[d] > node.max[d] ? query[d] - node.max[d] : 0;
+      sum += diff * diff;
+    }
+    return sum;
+  }
+
+  /**
+   * Squared Euclidean distance between a query and an indexed point
+   */
+  distanceSq(query, index) {
+    const point = this.points[index];
+    let sum = 0;
+    for (let d = 0; d < this.dimensions; d++) {
+      const diff = query[d] - point[d];
+      sum += diff * diff;
+    }
+    return sum;
+  }
+
+  /**
+   * Find every point within a distance of a query (the query point itself included if indexed)
+   * @param {Array<number>} query - Query coordinates
+   * @param {number} radius - Search radius (inclusive)
+   * @returns {Array<number>} Indices into the points array, in no particular order
+   */
+  radiusSearch(query, radius) {
+    const found = [];
+    if (!this.root) return found;
+    const radiusSq = radius * radius;
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (this.boxDistanceSq(node, query) > radiusSq) continue;
+      if (node.left === null) {
+        for (let i = node.start; i < node.end; i++) {
+          if (this.distanceSq(query, this.indices[i]) <= radiusSq) found.push(this.indices[i]);
+        }
+      } else {
+        stack.push(node.left, node.right);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Find the k points closest to a query (the query point itself included if indexed)
+   * @param {Array<number>} query - Query coordinates
+   * @param {number} k - Number of neighbours
+   * @returns {Array<{index: number, distance: number}>} Indices into the points array with their
+   *   Euclidean distances, nearest first
+   */
+  nearest(query, k) {
+    const found = []; // Sorted by distanceSq, at most k entries
+    if (!this.root || k <= 0) return [];
+    const visit = node => {
+      if (found.length === k && this.boxDistanceSq(node, query) > found[k - 1].distanceSq) return;
+      if (node.left === null) {
+        for (let i = node.start; i < node.end; i++) {
+          const index = this.indices[i];
+          const distanceSq = this.distanceSq(query, index);
+          if (found.length === k && distanceSq >= found[k - 1].distanceSq) continue;
+          let position = found.length < k ? found.length : k - 1;
+          while (position > 0 && found[position - 1].distanceSq > distanceSq) {
+            found[position] = found[position - 1];
+            position--;
+          }
+          found[position] = { index, distanceSq };
+        }
+        return;
+      }
+      // Nearer child first, so the farther one is more likely to be pruned
+      const leftFirst = this.boxDistanceSq(node.left, query) <= this.boxDistanceSq(node.right, query);
+      visit(leftFirst ? node.left : node.right);
+      visit(leftFirst ? node.right : node.left);
+    };
+    visit(this.root);
+    return found.map(({ index, distanceSq }) => ({ index, distance: Math.sqrt(distanceSq) }));
+  }
+}
+
+// Export the KDTree class
+window.KDTree = KDTree;
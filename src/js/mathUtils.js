@@ -0,0 +1,194 @@
+/**
+ * Math Utilities - Small linear algebra and seeded random helpers shared by the projection and analysis code
+ */
+class MathUtils {
+  /**
+   * Eigen decomposition of a real symmetric matrix using cyclic Jacobi rotations
+   * @param {Array<Array<number>>} matrix - Symmetric n x n matrix (not modified)
+   * @param {Object} [options]
+   * @param {number} [options.maxSweeps=100] - Maximum number of full sweeps
+   * @param {number} [options.tolerance=1e-12] - Stop when the off-diagonal sum of squares falls below this
+   * @returns {{values: Array<number>, vectors: Array<Array<number>>}} Eigenvalues in descending order,
+   *   with vectors[i] the unit eigenvector for values[i]
+   */
+  static symmetricEigen(matrix, options = {}) {
+    const n = matrix.length;
+    const maxSweeps = options.maxSweeps || 100;
+    const tolerance = options.tolerance || 1e-12;
+    const a = matrix.map(row => row.slice());
+    // v starts as the identity; its columns become the eigenvectors
+    const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < maxSweeps; sweep++) {
+      let offDiagonal = 0;
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+      }
+      if (offDiagonal < tolerance) break;
+
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (Math.abs(a[p][q]) < 1e-300) continue;
+          // Rotation angle that zeroes a[p][q]
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1);
+          const s = t * c;
+
+          for (let k = 0; k < n; k++) {
+            const akp = a[k][p];
+            const akq = a[k][q];
+            a[k][p] = c * akp - s * akq;
+            a[k][q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < n; k++) {
+            const apk = a[p][k];
+            const aqk = a[q][k];
+            a[p][k] = c * apk - s * aqk;
+            a[q][k] = s * apk + c * aqk;
+          }
+          for (let k = 0; k < n; k++) {
+            const vkp = v[k][p];
+            const vkq = v[k][q];
+            v[k][p] = c * vkp - s * vkq;
+            v[k][q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+
+    const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+    return {
+      values: order.map(i => a[i][i]),
+      vectors: order.map(i => v.map(row => row[i]))
+    };
+  }
+
+  /**
+   * Solve a square linear system by Gaussian elimination with partial pivoting
+   * @param {Array<Array<number>>} matrix - n x n coefficient matrix (not modified)
+   * @param {Array<number>} rhs - Right-hand side of length n
+   * @returns {Array<number>|null} Solution, or null if the matrix is singular
+   */
+  static solveLinearSystem(matrix, rhs) {
+    const n = matrix.length;
+    const a = matrix.map((row, i) => [...row, rhs[i]]);
+    const scale = Math.max(...a.flatMap(row => row.slice(0, n).map(Math.abs))) || 1;
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      if (Math.abs(a[pivot][col]) <= scale * 1e-12) return null;
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+      for (let row = col + 1; row < n; row++) {
+        const factor = a[row][col] / a[col][col];
+        for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+      }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = a[row][n];
+      for (let k = row + 1; k < n; k++) sum -= a[row][k] * solution[k];
+      solution[row] = sum / a[row][row];
+    }
+    return solution;
+  }
+
+  /**
+   * Pearson correlation coefficient of two equally long samples
+   * @param {Array<number>} x - First sample
+   * @param {Array<number>} y - Second sample
+   * @returns {number|null} Coefficient in [-1, 1], or null if either sample is constant or too short
+   */
+  static pearson(x, y) {
+    const n = x.length;
+    if (n < 2) return null;
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < n; i++) {
+      meanX += x[i];
+      meanY += y[i];
+    }
+    meanX /= n;
+    meanY /= n;
+    // Centred sums avoid the cancellation of the textbook one-pass formula
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      const dx = x[i] - meanX;
+      const dy = y[i] - meanY;
+      sxy += dx * dy;
+      sxx += dx * dx;
+      syy += dy * dy;
+    }
+    if (sxx === 0 || syy === 0) return null;
+    return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+  }
+
+  /**
+   * Quantile of a sorted sample, interpolating linearly between neighbouring values
+   * @param {Array<number>} sorted - Sample in ascending order
+   * @param {number} p - Probability (0-1)
+   * @returns {number|null} Quantile, or null for an empty sample
+   */
+  static quantile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * Math.max(0, Math.min(1, p));
+    const lower = Math.floor(position);
+    const upper = Math.min(sorted.length - 1, lower + 1);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Rank a sample, giving tied values the average of their ranks (as Spearman correlation needs)
+   * @param {Array<number>} values - Sample
+   * @returns {Array<number>} 1-based rank of each value, in the original order
+   */
+  static rank(values) {
+    const order = values.map((value, i) => i).sort((i, j) => values[i] - values[j]);
+    const ranks = new Array(values.length);
+    let start = 0;
+    while (start < order.length) {
+      let end = start;
+      while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+      const rank = (start + end) / 2 + 1;
+      for (let i = start; i <= end; i++) ranks[order[i]] = rank;
+      start = end + 1;
+    }
+    return ranks;
+  }
+
+  /**
+   * Create a seeded pseudo-random number generator (mulberry32)
+   * @param {number} seed - Integer seed; the same seed always gives the same sequence
+   * @returns {Function} Function returning floats in [0, 1)
+   */
+  static createRandom(seed) {
+    let state = (Number(seed) || 0) >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Draw a standard normal sample (Box-Muller)
+   * @param {Function} random - Uniform generator from createRandom
+   * @returns {number} Normally distributed value
+   */
+  static randomNormal(random) {
+    const u = 1 - random(); // (0, 1] so the log is finite
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
+
+// Export the MathUtils class
+window.MathUtils = MathUtils;
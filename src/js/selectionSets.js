@@ -0,0 +1,172 @@
+/**
+ * Selection Sets - Sidebar panel of named selection sets
+ * The current selection can be saved under a name. Each set can be selected
+ * again, exported as CSV or JSON, deleted, or combined with another set by
+ * union, intersection or difference. Sets are also columns of the data, so
+ * they can be coloured and filtered like any other column.
+ */
+
+// Operations offered for combining two sets, keyed by DataProcessor.combineSelectionSets operation
+const SELECTION_SET_OPERATION_LABELS = {
+  union: '∪ Union',
+  intersection: '∩ Intersection',
+  difference: '− Difference'
+};
+
+class SelectionSetPanel {
+  /**
+   * @param {HTMLElement} container - Element to render into
+   * @param {Object} [options]
+   * @param {Function} [options.onSave] - Called with the typed name when Save Selection is clicked
+   * @param {Function} [options.onSelect] - Called with a set name when its Select button is clicked
+   * @param {Function} [options.onExport] - Called with (name, 'csv' or 'json')
+   * @param {Function} [options.onDelete] - Called with a set name when its delete button is clicked
+   * @param {Function} [options.onCombine] - Called with (name, operation, first, second) when Combine is clicked
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onSave = options.onSave || (() => {});
+    this.onSelect = options.onSelect || (() => {});
+    this.onExport = options.onExport || (() => {});
+    this.onDelete = options.onDelete || (() => {});
+    this.onCombine = options.onCombine || (() => {});
+    this.sets = [];
+    this.selectedCount = 0;
+    this.saveButton = null;
+  }
+
+  /**
+   * Show new sets
+   * @param {Array<{name: string, size: number, column: string}>} sets - Saved sets, in the order they were saved
+   */
+  update(sets) {
+    this.sets = sets;
+    this.render();
+  }
+
+  /**
+   * Enable saving when points are selected, without rebuilding the panel (and losing a typed name)
+   * @param {number} count - Selected points
+   */
+  setSelectedCount(count) {
+    this.selectedCount = count;
+    if (this.saveButton) this.saveButton.disabled = count === 0;
+  }
+
+  /**
+   * Rebuild the panel DOM
+   */
+  render() {
+    this.container.innerHTML = '';
+    this.container.appendChild(this.createSaveRow());
+
+    if (this.sets.length === 0) {
+      const empty = document.createElement('span');
+      empty.className = 'info-text';
+      empty.textContent = 'No saved sets. Select points, name the selection and save it.';
+      this.container.appendChild(empty);
+      return;
+    }
+
+    this.sets.forEach(set => this.container.appendChild(this.createSetRow(set)));
+    if (this.sets.length >= 2) {
+      this.container.appendChild(this.createCombineRow());
+    }
+  }
+
+  /**
+   * Create the name input and Save Selection button
+   * @returns {HTMLElement} Row element
+   */
+  createSaveRow() {
+    const row = document.createElement('div');
+    row.className = 'selection-set-save';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Set name, e.g. suspicious';
+    const save = document.createElement('button');
+    save.textContent = 'Save Selection';
+    save.title = 'Save the selected points as a named set; an existing set of the same name is replaced';
+    save.disabled = this.selectedCount === 0;
+    save.addEventListener('click', () => this.onSave(input.value));
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Enter' && !save.disabled) this.onSave(input.value);
+    });
+    row.appendChild(input);
+    row.appendChild(save);
+    this.saveButton = save;
+    return row;
+  }
+
+  /**
+   * Create the row of one set: name, size and its buttons
+   * @param {Object} set - Set entry
+   * @returns {HTMLElement} Row element
+   */
+  createSetRow(set) {
+    const row = document.createElement('div');
+    row.className = 'selection-set-row';
+
+    const name = document.createElement('span');
+    name.className = 'selection-set-name';
+    name.textContent = set.name;
+    name.title = `Colour or filter by the "${set.column}" column`;
+    const size = document.createElement('span');
+    size.className = 'selection-set-size';
+    size.textContent = String(set.size);
+    row.appendChild(name);
+    row.appendChild(size);
+
+    const addButton = (text, title, onClick) => {
+      const button = document.createElement('button');
+      button.className = 'selection-set-btn';
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', onClick);
+      row.appendChild(button);
+    };
+    addButton('Select', `Select the plotted points of ${set.name}`, () => this.onSelect(set.name));
+    addButton('CSV', `Export the rows of ${set.name} as CSV`, () => this.onExport(set.name, 'csv'));
+    addButton('JSON', `Export the rows of ${set.name} as JSON`, () => this.onExport(set.name, 'json'));
+    addButton('×', `Delete ${set.name}`, () => this.onDelete(set.name));
+    return row;
+  }
+
+  /**
+   * Create the controls that combine two sets into a new one
+   * @returns {HTMLElement} Row element
+   */
+  createCombineRow() {
+    const row = document.createElement('div');
+    row.className = 'selection-set-combine';
+
+    const createSelect = (entries, value) => {
+      const select = document.createElement('select');
+      entries.forEach(([optionValue, text]) => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      select.value = value;
+      return select;
+    };
+    const names = this.sets.map(set => [set.name, set.name]);
+    const first = createSelect(names, this.sets[0].name);
+    const operation = createSelect(Object.entries(SELECTION_SET_OPERATION_LABELS), 'union');
+    const second = createSelect(names, this.sets[1].name);
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.placeholder = 'Name of the result';
+    const combine = document.createElement('button');
+    combine.textContent = 'Combine';
+    combine.title = 'Difference keeps the points of the first set that are not in the second';
+    combine.addEventListener('click', () => this.onCombine(name.value, operation.value, first.value, second.value));
+
+    [first, operation, second, name, combine].forEach(element => row.appendChild(element));
+    return row;
+  }
+}
+
+// Export the SelectionSetPanel class
+window.SelectionSetPanel = SelectionSetPanel;
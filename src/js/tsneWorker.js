@@ -0,0 +1,321 @@
+/**
+ * t-SNE Worker - Computes a 3D t-SNE embedding off the main thread
+ *
+ * Messages in:  { type: 'run', data: Float64Array (n * dims, standardised), n, dims,
+ *                 init: Float64Array (n * 3), perplexity, iterations, reportEvery }
+ * Messages out: { type: 'progress', iteration, iterations, positions: Float64Array (n * 3) }
+ *               { type: 'complete', iteration, iterations, positions }
+ *               { type: 'error', message }
+ * Cancelling is done by terminating the worker from the main thread.
+ *
+ * Input affinities use the 3 * perplexity nearest neighbours of each row and the
+ * repulsive forces use a Barnes-Hut octree, so an iteration is O(n log n).
+ */
+const THETA = 0.5; // Barnes-Hut accuracy: larger is faster but coarser
+const EARLY_EXAGGERATION = 12;
+const EXAGGERATION_ITERATIONS = 250;
+const MAX_TREE_DEPTH = 50; // Coincident points stop splitting here
+
+self.onmessage = (event) => {
+  const message = event.data || {};
+  if (message.type !== 'run') {
+    return;
+  }
+
+  try {
+    runTSNE(message);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+/**
+ * Run the optimisation and post intermediate positions
+ * @param {Object} options - The 'run' message
+ */
+function runTSNE({ data, n, dims, init, perplexity, iterations, reportEvery }) {
+  if (n < 2) {
+    throw new Error('t-SNE needs at least two rows');
+  }
+  const k = Math.min(n - 1, Math.max(1, Math.floor(3 * perplexity)));
+  const neighbors = findNeighbors(data, n, dims, k);
+  const P = computeJointProbabilities(neighbors, n, k, Math.min(perplexity, (n - 1) / 3));
+
+  const Y = Float64Array.from(init);
+  const update = new Float64Array(n * 3);
+  const gains = new Float64Array(n * 3).fill(1);
+  const gradient = new Float64Array(n * 3);
+  const learningRate = Math.max(n / EARLY_EXAGGERATION, 50);
+
+  for (let iteration = 1; iteration <= iterations; iteration++) {
+    const early = iteration <= EXAGGERATION_ITERATIONS;
+    computeGradient(Y, P, n, early ? EARLY_EXAGGERATION : 1, gradient);
+
+    const momentum = early ? 0.5 : 0.8;
+    for (let i = 0; i < n * 3; i++) {
+      // Grow the step where the gradient keeps its direction, shrink it where it flips
+      gains[i] = Math.sign(gradient[i]) !== Math.sign(update[i]) ? gains[i] + 0.2 : Math.max(0.01, gains[i] * 0.8);
+      update[i] = momentum * update[i] - learningRate * gains[i] * gradient[i];
+      Y[i] += update[i];
+    }
+    center(Y, n);
+
+    if (iteration % reportEvery === 0 && iteration < iterations) {
+      const positions = Float64Array.from(Y);
+      self.postMessage({ type: 'progress', iteration, iterations, positions }, [positions.buffer]);
+    }
+  }
+
+  const positions = Float64Array.from(Y);
+  self.postMessage({ type: 'complete', iteration: iterations, iterations, positions }, [positions.buffer]);
+}
+
+/**
+ * Brute-force k nearest neighbours by squared Euclidean distance
+ * @returns {{indices: Int32Array, distances: Float64Array}} k entries per row, nearest first
+ */
+function findNeighbors(data, n, dims, k) {
+  const indices = new Int32Array(n * k);
+  const distances = new Float64Array(n * k);
+  const bestIndex = new Int32Array(k);
+  const bestDistance = new Float64Array(k);
+
+  for (let i = 0; i < n; i++) {
+    let found = 0;
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      let d = 0;
+      for (let c = 0; c < dims; c++) {
+        const diff = data[i * dims + c] - data[j * dims + c];
+        d += diff * diff;
+      }
+      if (found === k && d >= bestDistance[k - 1]) continue;
+
+      // Insertion into the sorted candidate list
+      let position = found < k ? found++ : k - 1;
+      while (position > 0 && bestDistance[position - 1] > d) {
+        bestDistance[position] = bestDistance[position - 1];
+        bestIndex[position] = bestIndex[position - 1];
+        position--;
+      }
+      bestDistance[position] = d;
+      bestIndex[position] = j;
+    }
+    indices.set(bestIndex, i * k);
+    distances.set(bestDistance, i * k);
+  }
+  return { indices, distances };
+}
+
+/**
+ * Gaussian conditional probabilities calibrated to the perplexity, symmetrised into
+ * joint probabilities and stored in compressed sparse row form
+ * @returns {{rowStart: Int32Array, columns: Int32Array, values: Float64Array}}
+ */
+function computeJointProbabilities({ indices, distances }, n, k, perplexity) {
+  const targetEntropy = Math.log(perplexity);
+  const rows = Array.from({ length: n }, () => new Map());
+  const p = new Float64Array(k);
+
+  for (let i = 0; i < n; i++) {
+    const offset = i * k;
+    const minDistance = distances[offset];
+    let beta = 1;
+    let betaMin = -Infinity;
+    let betaMax = Infinity;
+
+    // Binary search for the precision that gives the target entropy
+    for (let attempt = 0; attempt < 100; attempt++) {
+      let sum = 0;
+      let weighted = 0;
+      for (let j = 0; j < k; j++) {
+        // Shifting by the nearest distance avoids underflow and cancels out after normalising
+        const shifted = distances[offset + j] - minDistance;
+        p[j] = Math.exp(-shifted * beta);
+        sum += p[j];
+        weighted += shifted * p[j];
+      }
+      const entropy = Math.log(sum) + beta * weighted / sum;
+      for (let j = 0; j < k; j++) p[j] /= sum;
+
+      if (Math.abs(entropy - targetEntropy) < 1e-5) break;
+      if (entropy > targetEntropy) {
+        betaMin = beta;
+        beta = betaMax === Infinity ? beta * 2 : (beta + betaMax) / 2;
+      } else {
+        betaMax = beta;
+        beta = betaMin === -Infinity ? beta / 2 : (beta + betaMin) / 2;
+      }
+    }
+
+    for (let j = 0; j < k; j++) {
+      const neighbor = indices[offset + j];
+      rows[i].set(neighbor, (rows[i].get(neighbor) || 0) + p[j]);
+      rows[neighbor].set(i, (rows[neighbor].get(i) || 0) + p[j]);
+    }
+  }
+
+  // P_ij = (p_j|i + p_i|j) / 2n
+  let entries = 0;
+  rows.forEach(row => { entries += row.size; });
+  const rowStart = new Int32Array(n + 1);
+  const columns = new Int32Array(entries);
+  const values = new Float64Array(entries);
+  let cursor = 0;
+  rows.forEach((row, i) => {
+    rowStart[i] = cursor;
+    row.forEach((value, j) => {
+      columns[cursor] = j;
+      values[cursor] = value / (2 * n);
+      cursor++;
+    });
+  });
+  rowStart[n] = cursor;
+  return { rowStart, columns, values };
+}
+
+/**
+ * Gradient of the KL divergence: exact sparse attraction, Barnes-Hut repulsion
+ */
+function computeGradient(Y, P, n, exaggeration, gradient) {
+  const tree = buildOctree(Y, n);
+  const repulsion = new Float64Array(n * 3);
+  let sumQ = 0;
+
+  for (let i = 0; i < n; i++) {
+    const yi = i * 3;
+
+    // Attraction along the sparse neighbour graph
+    let ax = 0, ay = 0, az = 0;
+    for (let e = P.rowStart[i]; e < P.rowStart[i + 1]; e++) {
+      const yj = P.columns[e] * 3;
+      const dx = Y[yi] - Y[yj];
+      const dy = Y[yi + 1] - Y[yj + 1];
+      const dz = Y[yi + 2] - Y[yj + 2];
+      const force = P.values[e] / (1 + dx * dx + dy * dy + dz * dz);
+      ax += force * dx;
+      ay += force * dy;
+      az += force * dz;
+    }
+    gradient[yi] = exaggeration * ax;
+    gradient[yi + 1] = exaggeration * ay;
+    gradient[yi + 2] = exaggeration * az;
+
+    sumQ += accumulateRepulsion(tree, Y, yi, repulsion);
+  }
+
+  // Repulsion is normalised by the sum of q over all pairs, known only after the loop
+  for (let i = 0; i < n * 3; i++) {
+    gradient[i] = 4 * (gradient[i] - repulsion[i] / sumQ);
+  }
+}
+
+/**
+ * Build an octree over the current embedding
+ * @returns {Object} Root node { cx, cy, cz, half, count, sx, sy, sz, point, children }
+ */
+function buildOctree(Y, n) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < n * 3; i++) {
+    if (Y[i] < min) min = Y[i];
+    if (Y[i] > max) max = Y[i];
+  }
+  const half = Math.max((max - min) / 2, 1e-5) * 1.001;
+  const middle = (min + max) / 2;
+  const root = createNode(middle, middle, middle, half);
+  for (let i = 0; i < n; i++) {
+    insertPoint(root, Y, i, 0);
+  }
+  return root;
+}
+
+function createNode(cx, cy, cz, half) {
+  // sx/sy/sz accumulate positions; divided by count they give the centre of mass
+  return { cx, cy, cz, half, count: 0, sx: 0, sy: 0, sz: 0, point: -1, children: null };
+}
+
+function insertPoint(node, Y, i, depth) {
+  node.count++;
+  node.sx += Y[i * 3];
+  node.sy += Y[i * 3 + 1];
+  node.sz += Y[i * 3 + 2];
+
+  if (node.children === null) {
+    if (node.count === 1) {
+      node.point = i;
+      return;
+    }
+    // Coincident points stay together in one leaf
+    if (depth >= MAX_TREE_DEPTH) return;
+    node.children = new Array(8).fill(null);
+    const existing = node.point;
+    node.point = -1;
+    insertIntoChild(node, Y, existing, depth);
+  }
+  insertIntoChild(node, Y, i, depth);
+}
+
+function insertIntoChild(node, Y, i, depth) {
+  const x = Y[i * 3], y = Y[i * 3 + 1], z = Y[i * 3 + 2];
+  const octant = (x > node.cx ? 1 : 0) | (y > node.cy ? 2 : 0) | (z > node.cz ? 4 : 0);
+  if (node.children[octant] === null) {
+    const quarter = node.half / 2;
+    node.children[octant] = createNode(
+      node.cx + (octant & 1 ? quarter : -quarter),
+      node.cy + (octant & 2 ? quarter : -quarter),
+      node.cz + (octant & 4 ? quarter : -quarter),
+      quarter
+    );
+  }
+  insertPoint(node.children[octant], Y, i, depth + 1);
+}
+
+/**
+ * Add the repulsive force on one point, summarising distant cells by their centre of mass
+ * @returns {number} This point's contribution to the sum of q over all pairs
+ */
+function accumulateRepulsion(root, Y, yi, repulsion) {
+  const x = Y[yi], y = Y[yi + 1], z = Y[yi + 2];
+  let sumQ = 0;
+  const stack = [root];
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.count === 0) continue;
+    const dx = x - node.sx / node.count;
+    const dy = y - node.sy / node.count;
+    const dz = z - node.sz / node.count;
+    const distanceSq = dx * dx + dy * dy + dz * dz;
+    const isLeaf = node.children === null;
+
+    if (isLeaf || (2 * node.half) * (2 * node.half) < THETA * THETA * distanceSq) {
+      // A leaf at zero distance contains the point itself
+      const count = isLeaf && distanceSq < 1e-12 ? node.count - 1 : node.count;
+      if (count <= 0) continue;
+      const q = 1 / (1 + distanceSq);
+      sumQ += count * q;
+      const force = count * q * q;
+      repulsion[yi] += force * dx;
+      repulsion[yi + 1] += force * dy;
+      repulsion[yi + 2] += force * dz;
+    } else {
+      node.children.forEach(child => {
+        if (child !== null) stack.push(child);
+      });
+    }
+  }
+  return sumQ;
+}
+
+/**
+ * Keep the embedding centred on the origin
+ */
+function center(Y, n) {
+  for (let c = 0; c < 3; c++) {
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += Y[i * 3 + c];
+    mean /= n;
+    for (let i = 0; i < n; i++) Y[i * 3 + c] -= mean;
+  }
+}
@@ -1,6 +1,14 @@
 /**
  * UI Controller - Manages UI interactions and connects components
  */
+// Time per animation frame spent ticking the network layout
+const SIMULATION_FRAME_BUDGET_MS = 12;
+// Layouts that place points by the X/Y/Z axis columns
+const AXIS_LAYOUTS = ['scatter', 'kmeans', 'dbscan', 'hierarchical'];
+// Layouts that plot every point at its own axis values, so a surface fitted to the values lines up with
+// the points; k-means moves points to a jittered spot around their cluster centre
+const SURFACE_FIT_LAYOUTS = ['scatter', 'dbscan', 'hierarchical'];
+
 class UIController {
   constructor() {
     // Track initialization status
@@ -13,37 +21,154 @@ class UIController {
     this.showConnectionsCheckbox = null;
     this.statusElement = null;
     this.loadingIndicator = null;
+    this.loadingMessage = null;
+    this.loadingProgress = null;
+    this.loadingProgressBar = null;
+    this.cancelLoadingBtn = null;
+    this.activeImport = null; // Running CSV parse job ({ promise, cancel }) on a worker or the main process
     this.nodeShapeSelect = null;
+    this.envelopeSelect = null;
     // New UI element references
     this.kmeansOptionsDiv = null;
+    this.featureOptionsDiv = null;
+    this.featureColumnsList = null;
+    this.tsneOptionsDiv = null;
+    this.tsneInputs = { perplexity: null, iterations: null };
+    this.tsneStopBtn = null;
+    this.activeEmbedding = null; // Running t-SNE worker job ({ promise, cancel })
+    this.graphOptionsDiv = null;
+    this.graphSelects = { id: null, edgeSource: null, source: null, target: null, weight: null };
+    this.edgeFileInput = null;
+    this.edgeListInfo = null;
+    this.graphPauseBtn = null;
+    this.graphReheatBtn = null;
+    this.simulation = null; // ForceSimulation of the network layout being shown
+    this.simulationFrame = null; // Pending animation frame id while the simulation runs
+    this.simulationPaused = false;
+    this.populatedColumns = ''; // Columns the selects were last filled with
     this.kmeansClustersInput = null;
+    this.kmeansAutoCheckbox = null;
+    this.kmeansAutoOptionsDiv = null;
+    this.kmeansAutoMethodSelect = null;
+    this.kmeansMaxKInput = null;
+    this.kmeansRestartsInput = null;
+    this.kmeansScoreChart = null;
+    this.clusterFeatureOptionsDiv = null;
+    this.clusterFeaturesList = null;
+    this.clusterScalingSelect = null;
+    this.dbscanOptionsDiv = null;
+    this.hierarchicalOptionsDiv = null;
+    this.hierarchicalLinkageSelect = null;
+    this.hierarchicalClustersInput = null;
+    this.dendrogram = null;
+    this.dbscanInputs = { eps: null, minPts: null };
+    this.seedOptionsDiv = null;
+    this.seedInput = null;
     this.colorColumnSelect = null;
+    this.numericPaletteSelect = null;
+    this.categoricalPaletteSelect = null;
     this.filterColumnSelect = null;
     this.filterValueInput = null;
     this.applyFilterBtn = null;
     // Analysis UI elements
     this.detectOutliersBtn = null;
+    this.outlierMethodSelect = null;
+    this.outlierThresholdInput = null;
+    this.outlierMethodInfo = null;
     this.corrCol1Select = null;
     this.corrCol2Select = null;
     this.corrThresholdInput = null;
+    this.corrNeighborsInput = null;
     this.showCorrelationBtn = null;
+    this.corrMatrixMethodSelect = null;
+    this.corrMatrixSortCheckbox = null;
+    this.corrMatrixAxesSelect = null;
+    this.correlationMatrix = null; // Matrix shown in the correlation heatmap
+    this.correlationMatrixKey = null; // Method, filter, columns and data version it was computed with, to skip recomputing it
+    this.correlationMatrixData = null; // Dataset it was computed from
+    this.columnStats = null; // ColumnStats panel in the data info panel
+    this.columnStatsKey = null; // Filter, columns and data version the column statistics were computed with
+    this.columnStatsData = null; // Dataset they were computed from
+    this.brushPanel = null; // Histogram strip under the scene
+    this.brushBaseKey = null; // Filter and columns the brushing rows were selected with
+    this.brushBaseRows = null; // Rows through the column/expression filter, counted by the histograms
+    this.brushBaseData = null; // Dataset those rows came from
+    this.brushFrame = null; // Pending animation frame of a brush drag
+    this.brushHighlightActive = false; // Whether the scene highlights come from the brushes
+    this.layoutBrushes = {}; // Brushes the plotted layout filtered its rows with (none in highlight mode)
+    this.dataTable = null; // Row table over the scene
+    this.dataTableBtn = null;
+    this.dataTableColumns = null; // Columns the table was last given, to skip resetting it
+    this.selectionToolSelect = null;
+    this.selectionCountLabel = null;
+    this.selectionSetPanel = null; // Named selection sets in the sidebar
+    this.fitModelSelect = null;
+    this.fitResidualCheckbox = null;
+    this.fitResultsDiv = null;
+    this.surfaceFit = null; // Result of DataProcessor.fitSurface for the shown points
+    this.residualColorBackup = null; // { points, colors, legend } replaced by residual colours
     this.correlationLinesGroup = null; // Group for correlation lines in Scene3D
+    // Axis mapping elements, keyed by axis name
+    this.axisSelects = { x: null, y: null, z: null };
+    this.axisInvertCheckboxes = { x: null, y: null, z: null };
+    this.sceneFileInput = null;
     
     // Store current settings
     this.currentSettings = {
       layout: 'scatter',
       kmeansClusters: 3, // Default K for K-Means
+      kmeansAutoK: false, // Sweep K and pick it by kmeansAutoMethod
+      kmeansAutoMethod: 'silhouette', // 'silhouette' or 'elbow'
+      kmeansMaxK: 10,
+      kmeansRestarts: 10, // K-Means runs from different seeds, the lowest inertia wins
+      seed: 42, // Seed shared by every randomised layout
+      clusterFeatures: [], // Clustering feature columns; empty means the X/Y/Z axis columns
+      clusterScaling: 'minmax', // 'minmax' or 'zscore'
+      dbscanEps: 0.05, // DBSCAN radius in scaled feature units
+      dbscanMinPts: 5,
+      hierarchicalLinkage: 'ward',
+      hierarchicalClusters: 3, // Kept when the cut line is dragged, so re-running keeps the same number of clusters
       colorColumn: '', // Default/auto color
+      numericPalette: ColorPalettes.DEFAULT_NUMERIC,
+      categoricalPalette: ColorPalettes.DEFAULT_CATEGORICAL,
+      colorOverrides: {}, // Column -> { category: '#rrggbb' } set from the legend
+      featureColumns: [], // Numeric columns for projection layouts, empty means the default ones
+      tsnePerplexity: 30,
+      tsneIterations: 1000,
+      graphIdColumn: '', // Empty means row numbers are the node ids
+      graphEdgeSource: 'columns', // 'columns' of the node table or an edge list 'file'
+      graphSourceColumn: '',
+      graphTargetColumn: '',
+      graphWeightColumn: '',
+      xColumn: '', // Empty means first numeric column
+      yColumn: '',
+      zColumn: '',
+      invertX: false,
+      invertY: false,
+      invertZ: false,
       filterColumn: '',
       filterValue: '',
+      filterExpression: '', // Compound expression used when no filter column is selected
       nodeShape: 'cube',
       nodeSize: 1,
       showConnections: false,
+      envelopeMode: 'none', // Group envelopes: 'none', 'hull' or 'ellipsoid'
       highlightOutliers: false, // Track outlier state
+      outlierMethod: 'knn', // One of DataProcessor.getOutlierMethods
+      outlierThresholds: {}, // Method -> threshold set by the user; missing methods use their default
       showCorrelationLines: false, // Track correlation state
       correlationColumn1: '',
       correlationColumn2: '',
-      correlationThreshold: 0.7
+      correlationThreshold: 0.7,
+      correlationNeighbors: 15, // Neighbours each local correlation is measured over
+      correlationMatrixMethod: 'pearson', // 'pearson' or 'spearman'
+      correlationMatrixSort: false, // Strongest pairs first instead of data order
+      correlationMatrixAxes: 'xy', // Axes a clicked column pair is assigned to
+      fitModel: 'none', // Surface fitted to the plotted columns: 'none', 'plane' or 'quadratic'
+      fitResidualColors: false, // Colour points by their residual from the fitted surface
+      brushColumns: [], // Columns with a histogram in the brushing strip
+      brushes: {}, // Column -> [min, max] range brushed on its histogram
+      brushMode: 'filter' // 'filter' drops rows outside the brushes, 'highlight' dims them
     };
     
     // Check if we're running in Electron or browser
@@ -72,9 +197,66 @@ class UIController {
       this.scene3D = new Scene3D('visualization-container');
       console.log('Scene3D initialized');
       
+      // Legend overlay; toggling a category hides its points in the scene
+      this.colorLegend = new ColorLegend(container, {
+        onVisibilityChange: () => {
+          // Points outside filtering brushes stay hidden along with the legend's categories
+          this.applyBrushes();
+          this.scene3D.setHiddenEnvelopes(this.colorLegend.hiddenKeys);
+        },
+        onColorChange: (column, category, color) => this.setCategoryColor(column, category, color)
+      });
+      
       this.setupUIElements();
       this.setupEventListeners();
       
+      // Dendrogram of hierarchical layouts; dragging its cut recolours the points
+      this.dendrogram = new Dendrogram(document.getElementById('dendrogram-panel'), {
+        onCutChange: height => this.cutHierarchy({ height }),
+        onBranchSelect: leaves => this.selectBranch(leaves)
+      });
+      
+      // Per-cluster sizes and statistics of clustering layouts
+      this.clusterSummaryGroup = document.getElementById('cluster-summary-group');
+      this.clusterSummary = new ClusterSummary(document.getElementById('cluster-summary-panel'), {
+        onFlyTo: indices => this.scene3D.flyToIndices(indices)
+      });
+      
+      // Correlation matrix of every numeric column; clicking a pair plots it
+      this.corrMatrixGroup = document.getElementById('corr-matrix-group');
+      this.correlationHeatmap = new CorrelationHeatmap(document.getElementById('corr-matrix-panel'), {
+        onCellClick: (columnA, columnB) => this.plotColumnPair(columnA, columnB)
+      });
+      
+      // Per-column statistics and histograms, full data against the filtered rows
+      this.columnStats = new ColumnStats(document.getElementById('column-stats-panel'));
+      
+      // Brushable histograms along the bottom of the scene
+      this.brushPanel = new BrushPanel(container, {
+        onBrush: (column, range, done) => this.setBrush(column, range, done),
+        onClear: () => this.clearBrushes(),
+        onColumnsChange: columns => this.setBrushColumns(columns),
+        onModeChange: mode => this.setBrushMode(mode),
+        onApply: () => this.refreshVisualization()
+      });
+      
+      // Row table; selections in it and in the scene follow each other
+      this.dataTable = new DataTable(container, {
+        onSelectionChange: pointIndices => this.selectTableRows(pointIndices),
+        onClose: () => this.syncDataTableButton()
+      });
+      this.scene3D.onSelectionChange = indices => this.handleSceneSelection(indices);
+      
+      // Named selection sets
+      this.selectionSetPanel = new SelectionSetPanel(document.getElementById('selection-sets-panel'), {
+        onSave: name => this.saveSelectionSet(name),
+        onSelect: name => this.selectSelectionSet(name),
+        onExport: (name, format) => this.exportSelectionSet(name, format),
+        onDelete: name => this.deleteSelectionSet(name),
+        onCombine: (name, operation, first, second) => this.combineSelectionSets(name, operation, first, second)
+      });
+      this.updateSelectionSets();
+      
       this.isInitialized = true;
       this.showStatus('Ready to import data');
       console.log('UI initialization complete');
@@ -105,8 +287,12 @@ class UIController {
       console.log('Running in Electron, using native file dialogs');
       this.electronAPI = {
         openFile: window.electronAPI.openFile,
+        readCSV: window.electronAPI.readCSV,
+        cancelReadCSV: window.electronAPI.cancelReadCSV,
         saveScene: window.electronAPI.saveScene,
-        exportScreenshot: window.electronAPI.saveScreenshot // Map to the correct method name
+        loadScene: window.electronAPI.loadScene,
+        exportScreenshot: window.electronAPI.exportScreenshot,
+        exportData: window.electronAPI.exportData
       };
     } else {
       console.log('Running in browser, using fallback file handling');
@@ -126,6 +312,16 @@ class UIController {
           this.saveDataAsJson(data, 'scene-data.json');
           return Promise.resolve({ success: true });
         },
+        loadScene: () => {
+          console.log('Browser fallback: loadScene called');
+          if (this.sceneFileInput) {
+            this.sceneFileInput.value = '';
+            this.sceneFileInput.click();
+          } else {
+            console.error('Scene file input element not available for fallback');
+          }
+          return Promise.resolve(null);
+        },
         exportScreenshot: (dataUrl) => {
           console.log('Browser fallback: exportScreenshot called');
           const link = document.createElement('a');
@@ -133,6 +329,17 @@ class UIController {
           link.download = 'visualization.png';
           link.click();
           return Promise.resolve({ success: true });
+        },
+        exportData: (csv, defaultName = 'data.csv') => {
+          console.log('Browser fallback: exportData called');
+          const type = defaultName.endsWith('.json') ? 'application/json' : 'text/csv';
+          const url = URL.createObjectURL(new Blob([csv], { type }));
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = defaultName;
+          link.click();
+          URL.revokeObjectURL(url);
+          return Promise.resolve({ success: true });
         }
       };
     }
@@ -168,24 +375,75 @@ class UIController {
       
       this.statusElement = document.getElementById('status-message');
       this.loadingIndicator = document.getElementById('loading-indicator');
+      this.loadingMessage = document.getElementById('loading-message');
+      this.loadingProgress = document.getElementById('loading-progress');
+      this.loadingProgressBar = document.getElementById('loading-progress-bar');
+      this.cancelLoadingBtn = document.getElementById('cancel-loading-btn');
       
       this.nodeShapeSelect = document.getElementById('node-shape-select');
       if (!this.nodeShapeSelect) {
         console.warn('Node shape select element not found');
       }
       
+      this.envelopeSelect = document.getElementById('envelope-select');
+      
       // K-Means options
       this.kmeansOptionsDiv = document.getElementById('kmeans-options');
       this.kmeansClustersInput = document.getElementById('kmeans-clusters');
+      this.kmeansAutoCheckbox = document.getElementById('kmeans-auto');
+      this.kmeansAutoOptionsDiv = document.getElementById('kmeans-auto-options');
+      this.kmeansAutoMethodSelect = document.getElementById('kmeans-auto-method');
+      this.kmeansMaxKInput = document.getElementById('kmeans-max-k');
+      this.kmeansRestartsInput = document.getElementById('kmeans-restarts');
+      this.kmeansScoreChart = document.getElementById('kmeans-score-chart');
+      this.clusterFeatureOptionsDiv = document.getElementById('cluster-feature-options');
+      this.clusterFeaturesList = document.getElementById('cluster-features-list');
+      this.clusterScalingSelect = document.getElementById('cluster-scaling');
+      this.dbscanOptionsDiv = document.getElementById('dbscan-options');
+      this.dbscanInputs.eps = document.getElementById('dbscan-eps');
+      this.dbscanInputs.minPts = document.getElementById('dbscan-min-pts');
+      this.hierarchicalOptionsDiv = document.getElementById('hierarchical-options');
+      this.hierarchicalLinkageSelect = document.getElementById('hierarchical-linkage');
+      this.hierarchicalClustersInput = document.getElementById('hierarchical-clusters');
+      this.seedOptionsDiv = document.getElementById('seed-options');
+      this.seedInput = document.getElementById('layout-seed');
       if (!this.kmeansOptionsDiv || !this.kmeansClustersInput) {
         console.warn('K-Means options elements not found');
       }
+      
+      // Feature column checkboxes for projection layouts
+      this.featureOptionsDiv = document.getElementById('feature-options');
+      this.featureColumnsList = document.getElementById('feature-columns-list');
+      
+      // t-SNE parameters
+      this.tsneOptionsDiv = document.getElementById('tsne-options');
+      this.tsneInputs.perplexity = document.getElementById('tsne-perplexity');
+      this.tsneInputs.iterations = document.getElementById('tsne-iterations');
+      this.tsneStopBtn = document.getElementById('tsne-stop-btn');
+      
+      // Network layout
+      this.graphOptionsDiv = document.getElementById('graph-options');
+      this.graphSelects.id = document.getElementById('graph-id-column');
+      this.graphSelects.edgeSource = document.getElementById('graph-edge-source');
+      this.graphSelects.source = document.getElementById('graph-source-column');
+      this.graphSelects.target = document.getElementById('graph-target-column');
+      this.graphSelects.weight = document.getElementById('graph-weight-column');
+      this.edgeFileInput = document.getElementById('edge-file-input');
+      this.edgeListInfo = document.getElementById('edge-list-info');
+      this.graphPauseBtn = document.getElementById('graph-pause-btn');
+      this.graphReheatBtn = document.getElementById('graph-reheat-btn');
 
       // Color column select
       this.colorColumnSelect = document.getElementById('color-column-select');
       if (!this.colorColumnSelect) {
         console.warn('Color column select element not found');
       }
+      
+      // Palette selects are filled from the palette registry
+      this.numericPaletteSelect = document.getElementById('numeric-palette-select');
+      this.categoricalPaletteSelect = document.getElementById('categorical-palette-select');
+      this.populatePaletteSelect(this.numericPaletteSelect, 'numeric', this.currentSettings.numericPalette);
+      this.populatePaletteSelect(this.categoricalPaletteSelect, 'categorical', this.currentSettings.categoricalPalette);
 
       // Filtering elements
       this.filterColumnSelect = document.getElementById('filter-column-select');
@@ -195,12 +453,34 @@ class UIController {
         console.warn('Filtering elements not found');
       }
       
+      // Axis mapping elements
+      ['x', 'y', 'z'].forEach(axis => {
+        this.axisSelects[axis] = document.getElementById(`${axis}-axis-select`);
+        this.axisInvertCheckboxes[axis] = document.getElementById(`${axis}-axis-invert`);
+        if (!this.axisSelects[axis] || !this.axisInvertCheckboxes[axis]) {
+          console.warn(`Axis mapping elements for ${axis.toUpperCase()} not found`);
+        }
+      });
+      
+      this.sceneFileInput = document.getElementById('scene-file-input');
+      
       // Analysis Elements
       this.detectOutliersBtn = document.getElementById('detect-outliers-btn');
+      this.outlierMethodSelect = document.getElementById('outlier-method-select');
+      this.outlierThresholdInput = document.getElementById('outlier-threshold-input');
+      this.outlierMethodInfo = document.getElementById('outlier-method-info');
+      this.populateOutlierMethods();
       this.corrCol1Select = document.getElementById('corr-col1-select');
       this.corrCol2Select = document.getElementById('corr-col2-select');
       this.corrThresholdInput = document.getElementById('corr-threshold-input');
+      this.corrNeighborsInput = document.getElementById('corr-neighbors-input');
       this.showCorrelationBtn = document.getElementById('show-correlation-btn');
+      this.corrMatrixMethodSelect = document.getElementById('corr-matrix-method');
+      this.corrMatrixSortCheckbox = document.getElementById('corr-matrix-sort');
+      this.corrMatrixAxesSelect = document.getElementById('corr-matrix-axes');
+      this.fitModelSelect = document.getElementById('fit-model-select');
+      this.fitResidualCheckbox = document.getElementById('fit-residual-colors');
+      this.fitResultsDiv = document.getElementById('fit-results');
       if (!this.detectOutliersBtn || !this.corrCol1Select || !this.corrCol2Select || !this.corrThresholdInput || !this.showCorrelationBtn) {
         console.warn('One or more analysis UI elements not found');
       }
@@ -225,6 +505,13 @@ class UIController {
         });
       }
       
+      // Cancel button inside the loading indicator
+      if (this.cancelLoadingBtn) {
+        this.cancelLoadingBtn.addEventListener('click', () => {
+          this.cancelImport();
+        });
+      }
+      
       // Open file button
       const openFileBtn = document.getElementById('open-file-btn');
       if (openFileBtn) {
@@ -238,10 +525,7 @@ class UIController {
       // Layout selection (add K-Means options toggle)
       if (this.layoutSelect) {
         this.layoutSelect.addEventListener('change', () => {
-          const selectedLayout = this.layoutSelect.value;
-          if (this.kmeansOptionsDiv) { 
-            this.kmeansOptionsDiv.style.display = selectedLayout === 'kmeans' ? 'block' : 'none';
-          }
+          this.updateLayoutOptions(this.layoutSelect.value);
           this.updateLayout();
         });
       }
@@ -267,6 +551,14 @@ class UIController {
         });
       }
       
+      // Group envelopes
+      if (this.envelopeSelect) {
+        this.envelopeSelect.addEventListener('change', () => {
+          this.currentSettings.envelopeMode = this.envelopeSelect.value;
+          this.updateEnvelopes();
+        });
+      }
+      
       // Save scene button
       const saveSceneBtn = document.getElementById('save-scene-btn');
       if (saveSceneBtn) {
@@ -287,6 +579,61 @@ class UIController {
         console.warn('Export screenshot button not found');
       }
       
+      // Export data button
+      const exportDataBtn = document.getElementById('export-data-btn');
+      if (exportDataBtn) {
+        exportDataBtn.addEventListener('click', () => {
+          this.exportData();
+        });
+      }
+      
+      // Save cluster assignments button
+      const saveClustersBtn = document.getElementById('save-clusters-btn');
+      if (saveClustersBtn) {
+        saveClustersBtn.addEventListener('click', () => {
+          this.saveClusterColumn();
+        });
+      }
+      
+      // Load scene button
+      const loadSceneBtn = document.getElementById('load-scene-btn');
+      if (loadSceneBtn) {
+        loadSceneBtn.addEventListener('click', () => {
+          this.loadScene();
+        });
+      } else {
+        console.warn('Load scene button not found');
+      }
+      
+      // Scene file input (browser fallback for loading scenes)
+      if (this.sceneFileInput) {
+        this.sceneFileInput.addEventListener('change', (event) => {
+          this.handleSceneFileInput(event);
+        });
+      }
+      
+      // Selection tool and clear button
+      this.selectionToolSelect = document.getElementById('selection-tool-select');
+      if (this.selectionToolSelect) {
+        this.selectionToolSelect.addEventListener('change', () => {
+          this.scene3D.setSelectionTool(this.selectionToolSelect.value);
+        });
+      }
+      this.selectionCountLabel = document.getElementById('selection-count');
+      const clearSelectionBtn = document.getElementById('clear-selection-btn');
+      if (clearSelectionBtn) {
+        clearSelectionBtn.addEventListener('click', () => {
+          this.scene3D.clearSelection();
+          this.handleSceneSelection([]);
+        });
+      }
+      
+      // Data table button
+      this.dataTableBtn = document.getElementById('toggle-data-table-btn');
+      if (this.dataTableBtn) {
+        this.dataTableBtn.addEventListener('click', () => this.toggleDataTable());
+      }
+      
       // Reset view button
       const resetViewBtn = document.getElementById('reset-view-btn');
       if (resetViewBtn) {
@@ -297,14 +644,63 @@ class UIController {
         console.warn('Reset view button not found');
       }
       
-      // K-Means cluster input
-      if (this.kmeansClustersInput) {
-        this.kmeansClustersInput.addEventListener('change', () => {
-          if (this.currentSettings.layout === 'kmeans') {
-            this.updateLayout(); // Re-run layout if K changes
-          }
+      // Clustering inputs re-run the layout
+      [this.kmeansClustersInput, this.kmeansAutoCheckbox, this.kmeansAutoMethodSelect, this.kmeansMaxKInput, this.kmeansRestartsInput,
+        this.dbscanInputs.eps, this.dbscanInputs.minPts]
+        .forEach(input => {
+          if (input) input.addEventListener('change', () => this.updateClusteringSettings());
+        });
+      
+      if (this.clusterScalingSelect) {
+        this.clusterScalingSelect.addEventListener('change', () => {
+          this.currentSettings.clusterScaling = this.clusterScalingSelect.value;
+          if (this.isClusteringLayout(this.currentSettings.layout)) this.refreshVisualization();
+        });
+      }
+      
+      // Linkage changes the tree; the cluster count only re-cuts it
+      if (this.hierarchicalLinkageSelect) {
+        this.hierarchicalLinkageSelect.addEventListener('change', () => {
+          this.currentSettings.hierarchicalLinkage = this.hierarchicalLinkageSelect.value;
+          if (this.currentSettings.layout === 'hierarchical') this.updateLayout();
         });
       }
+      if (this.hierarchicalClustersInput) {
+        this.hierarchicalClustersInput.addEventListener('change', () => {
+          const clusters = parseInt(this.hierarchicalClustersInput.value, 10);
+          this.currentSettings.hierarchicalClusters = Number.isFinite(clusters) ? Math.min(50, Math.max(1, clusters)) : 3;
+          this.cutHierarchy({ clusters: this.currentSettings.hierarchicalClusters });
+        });
+      }
+      
+      // Seed shared by the randomised layouts
+      if (this.seedInput) {
+        this.seedInput.addEventListener('change', () => this.updateSeed());
+      }
+      
+      // Axis mapping selects and invert toggles
+      ['x', 'y', 'z'].forEach(axis => {
+        if (this.axisSelects[axis]) {
+          this.axisSelects[axis].addEventListener('change', () => {
+            this.updateAxisMapping();
+          });
+        }
+        if (this.axisInvertCheckboxes[axis]) {
+          this.axisInvertCheckboxes[axis].addEventListener('change', () => {
+            this.updateAxisMapping();
+          });
+        }
+      });
+      
+      // Axis swap buttons
+      [['x', 'y'], ['y', 'z'], ['x', 'z']].forEach(([axisA, axisB]) => {
+        const swapBtn = document.getElementById(`swap-${axisA}${axisB}-btn`);
+        if (swapBtn) {
+          swapBtn.addEventListener('click', () => {
+            this.swapAxes(axisA, axisB);
+          });
+        }
+      });
       
       // Color column selection
       if (this.colorColumnSelect) {
@@ -312,6 +708,53 @@ class UIController {
           this.updateColorColumn();
         });
       }
+      
+      // t-SNE parameters rerun the embedding
+      Object.values(this.tsneInputs).forEach(input => {
+        if (input) input.addEventListener('change', () => this.updateTSNESettings());
+      });
+      if (this.tsneStopBtn) {
+        this.tsneStopBtn.addEventListener('click', () => {
+          this.cancelEmbedding();
+        });
+      }
+      
+      // Network layout edges and simulation controls
+      Object.values(this.graphSelects).forEach(select => {
+        if (select) select.addEventListener('change', () => this.updateGraphSettings());
+      });
+      const loadEdgesBtn = document.getElementById('load-edges-btn');
+      if (loadEdgesBtn && this.edgeFileInput) {
+        loadEdgesBtn.addEventListener('click', () => {
+          this.edgeFileInput.value = '';
+          this.edgeFileInput.click();
+        });
+        this.edgeFileInput.addEventListener('change', (event) => this.handleEdgeFileInput(event));
+      }
+      if (this.graphPauseBtn) {
+        this.graphPauseBtn.addEventListener('click', () => this.toggleSimulationPaused());
+      }
+      if (this.graphReheatBtn) {
+        this.graphReheatBtn.addEventListener('click', () => this.reheatSimulation());
+      }
+      
+      // Palette selection
+      if (this.numericPaletteSelect) {
+        this.numericPaletteSelect.addEventListener('change', () => {
+          this.updatePalette('numericPalette', this.numericPaletteSelect.value);
+        });
+      }
+      if (this.categoricalPaletteSelect) {
+        this.categoricalPaletteSelect.addEventListener('change', () => {
+          this.updatePalette('categoricalPalette', this.categoricalPaletteSelect.value);
+        });
+      }
+      const resetColorsBtn = document.getElementById('reset-colors-btn');
+      if (resetColorsBtn) {
+        resetColorsBtn.addEventListener('click', () => {
+          this.resetCategoryColors();
+        });
+      }
 
       // Filtering listeners
       if (this.applyFilterBtn) {
@@ -334,6 +777,27 @@ class UIController {
           this.toggleOutlierDetection();
         });
       }
+      // Each outlier method keeps its own threshold
+      if (this.outlierMethodSelect) {
+        this.outlierMethodSelect.addEventListener('change', () => {
+          this.currentSettings.outlierMethod = this.outlierMethodSelect.value;
+          this.syncOutlierControls();
+          if (this.currentSettings.highlightOutliers) this.runOutlierDetection();
+        });
+      }
+      if (this.outlierThresholdInput) {
+        this.outlierThresholdInput.addEventListener('change', () => {
+          const threshold = parseFloat(this.outlierThresholdInput.value);
+          const method = this.currentSettings.outlierMethod;
+          if (isNaN(threshold)) {
+            delete this.currentSettings.outlierThresholds[method];
+            this.syncOutlierControls();
+          } else {
+            this.currentSettings.outlierThresholds = { ...this.currentSettings.outlierThresholds, [method]: threshold };
+          }
+          if (this.currentSettings.highlightOutliers) this.runOutlierDetection();
+        });
+      }
       if (this.showCorrelationBtn) {
         this.showCorrelationBtn.addEventListener('click', () => {
           this.toggleCorrelationLines();
@@ -349,6 +813,53 @@ class UIController {
           }
         });
       }
+      if (this.corrNeighborsInput) {
+        this.corrNeighborsInput.addEventListener('change', () => {
+          this.currentSettings.correlationNeighbors = parseInt(this.corrNeighborsInput.value, 10) || 15;
+          if (this.currentSettings.showCorrelationLines) {
+            this.updateCorrelationLines();
+          }
+        });
+      }
+      
+      // Correlation matrix controls
+      if (this.corrMatrixMethodSelect) {
+        this.corrMatrixMethodSelect.addEventListener('change', () => {
+          this.currentSettings.correlationMatrixMethod = this.corrMatrixMethodSelect.value;
+          this.updateCorrelationMatrix();
+        });
+      }
+      if (this.corrMatrixSortCheckbox) {
+        this.corrMatrixSortCheckbox.addEventListener('change', () => {
+          this.currentSettings.correlationMatrixSort = this.corrMatrixSortCheckbox.checked;
+          this.correlationHeatmap.setSortByStrength(this.corrMatrixSortCheckbox.checked);
+        });
+      }
+      if (this.corrMatrixAxesSelect) {
+        this.corrMatrixAxesSelect.addEventListener('change', () => {
+          this.currentSettings.correlationMatrixAxes = this.corrMatrixAxesSelect.value;
+        });
+      }
+      
+      // Surface fitting
+      if (this.fitModelSelect) {
+        this.fitModelSelect.addEventListener('change', () => {
+          this.currentSettings.fitModel = this.fitModelSelect.value;
+          this.updateSurfaceFit();
+        });
+      }
+      if (this.fitResidualCheckbox) {
+        this.fitResidualCheckbox.addEventListener('change', () => {
+          this.currentSettings.fitResidualColors = this.fitResidualCheckbox.checked;
+          this.applyResidualColors();
+        });
+      }
+      const exportCorrMatrixBtn = document.getElementById('export-corr-matrix-btn');
+      if (exportCorrMatrixBtn) {
+        exportCorrMatrixBtn.addEventListener('click', () => {
+          this.exportCorrelationMatrix();
+        });
+      }
       
       console.log('Event listeners set up successfully');
     } catch (error) {
@@ -392,6 +903,11 @@ class UIController {
         return;
       }
       
+      // Large CSV files are parsed in chunks on a worker
+      if (extension === '.csv' && this.importCSVFile(file, filename)) {
+        return;
+      }
+      
       const reader = new FileReader();
       
       reader.onload = (e) => {
@@ -429,9 +945,124 @@ class UIController {
     }
   }
   
+  /**
+   * Parse a CSV file on a worker, reporting progress and allowing cancel
+   * @param {File|Blob} file - CSV file
+   * @param {string} filename - Name shown in status messages
+   * @returns {boolean} False if workers are unavailable and the caller should fall back
+   */
+  importCSVFile(file, filename) {
+    let parseJob;
+    try {
+      parseJob = this.dataProcessor.parseCSVFile(file, progress => this.showImportProgress(progress));
+    } catch (error) {
+      console.warn('Worker CSV parsing unavailable, falling back to main thread:', error);
+      return false;
+    }
+    this.runCSVImport(parseJob, filename);
+    return true;
+  }
+  
+  /**
+   * Import a CSV file the Electron main process streams from disk, then parse it on the worker
+   * @param {string} filePath - Path of the file chosen in the open dialog
+   */
+  importStreamedCSV(filePath) {
+    const filename = filePath.split(/[\\/]/).pop();
+    const parts = [];
+    const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+    
+    this.activeImport = { cancel: () => this.electronAPI.cancelReadCSV() };
+    this.showLoading(true, { message: `Reading ${filename}...`, progress: 0, cancelable: true });
+    this.showStatus('Reading CSV...');
+    
+    this.electronAPI.readCSV(filePath, ({ data, bytesRead, totalBytes }) => {
+      parts.push(data);
+      this.showLoading(true, {
+        message: `Reading ${filename} (${toMB(bytesRead)} / ${toMB(totalBytes)} MB)`,
+        progress: totalBytes > 0 ? bytesRead / totalBytes : 0,
+        cancelable: true
+      });
+    }).then(result => {
+      this.activeImport = null;
+      if (result.canceled) {
+        this.showStatus('Import canceled.');
+        this.showLoading(false);
+        return;
+      }
+      const file = new Blob(parts, { type: 'text/csv' });
+      parts.length = 0;
+      if (!this.importCSVFile(file, filename)) {
+        file.text().then(content => {
+          this.importData({ content, filename, extension: '.csv' });
+        });
+      }
+    }).catch(error => {
+      this.activeImport = null;
+      console.error('Error reading CSV file:', error);
+      this.showError('Failed to import data: ' + error.message);
+      this.showLoading(false);
+    });
+  }
+  
+  /**
+   * Show the progress of a CSV parse job and import its rows when it finishes
+   * @param {{promise: Promise, cancel: Function}} parseJob - Running parse
+   * @param {string} filename - Name shown in status messages
+   */
+  runCSVImport(parseJob, filename) {
+    this.activeImport = parseJob;
+    this.showLoading(true, { message: `Parsing ${filename}...`, progress: 0, cancelable: true });
+    this.showStatus('Parsing CSV...');
+    
+    parseJob.promise
+      .then(({ rows, fields }) => {
+        this.activeImport = null;
+        this.showLoading(true, { message: `Processing ${rows.length.toLocaleString()} rows...` });
+        // Let the indicator repaint before the synchronous analysis runs
+        setTimeout(() => {
+          this.importData({ rows, fields, filename, extension: '.csv' });
+        }, 0);
+      })
+      .catch(error => {
+        this.activeImport = null;
+        if (error.canceled) {
+          this.showStatus('Import canceled.');
+        } else {
+          console.error('Error parsing CSV on worker:', error);
+          this.showError('Failed to import data: ' + error.message);
+        }
+        this.showLoading(false);
+      });
+  }
+  
+  /**
+   * Show CSV parsing progress in the loading indicator
+   * @param {{rowsParsed: number, bytesRead: number, totalBytes: number}} progress
+   */
+  showImportProgress({ rowsParsed, bytesRead, totalBytes }) {
+    const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+    const fraction = totalBytes > 0 ? bytesRead / totalBytes : 0;
+    this.showLoading(true, {
+      message: `Parsed ${rowsParsed.toLocaleString()} rows (${toMB(bytesRead)} / ${toMB(totalBytes)} MB)`,
+      progress: fraction,
+      cancelable: true
+    });
+  }
+  
+  /**
+   * Cancel the running CSV import, if any
+   */
+  cancelImport() {
+    if (this.activeImport) {
+      this.activeImport.cancel();
+      this.activeImport = null;
+    }
+  }
+  
   /**
    * Import data from file
-   * @param {Object} fileData - File data object
+   * @param {Object} fileData - File data object ({ content, extension } or already-parsed { rows, fields })
    */
   importData(fileData) {
     try {
@@ -439,8 +1070,10 @@ class UIController {
       this.showStatus('Processing data...');
       console.log('Processing data with DataProcessor...');
       
-      // Process the file data
-      const processedData = this.dataProcessor.processFile(fileData);
+      // Process the file data (rows parsed on a worker skip the text parsing step)
+      const processedData = fileData.rows
+        ? this.dataProcessor.loadRows(fileData.rows, fileData.fields)
+        : this.dataProcessor.processFile(fileData);
       console.log('DataProcessor returned processedData:', processedData);
       
       if (!processedData) {
@@ -448,6 +1081,7 @@ class UIController {
       }
       
       // Populate column selectors now that we have columns
+      this.currentSettings.featureColumns = [];
       this.populateColumnSelectors(); 
       
       // Reset filter selections
@@ -455,6 +1089,22 @@ class UIController {
       if (this.filterValueInput) this.filterValueInput.value = '';
       this.currentSettings.filterColumn = '';
       this.currentSettings.filterValue = '';
+      this.currentSettings.filterExpression = '';
+      
+      // Reset axis mapping to the first three numeric columns
+      this.resetAxisMapping();
+      
+      // Brushes belong to the previous dataset; start with a histogram per plotted column
+      this.currentSettings.brushes = {};
+      this.layoutBrushes = {};
+      this.currentSettings.brushColumns = [this.currentSettings.xColumn, this.currentSettings.yColumn, this.currentSettings.zColumn]
+        .filter(column => column && !column.startsWith('_'));
+      
+      // Category colour edits and selection sets belong to the previous dataset
+      this.currentSettings.colorOverrides = {};
+      this.dataProcessor.clearSelectionSets();
+      this.updateSelectionSets();
+      this.resetGraphMapping();
       
       // Reset analysis states
       this.currentSettings.highlightOutliers = false;
@@ -466,7 +1116,11 @@ class UIController {
       // Prepare initial visualization data (will use default color/filter)
       const initialLayout = this.getSelectedLayout();
       const initialVizData = this.dataProcessor.prepareVisualizationData(initialLayout, {
-          kmeansClusters: parseInt(this.kmeansClustersInput?.value || '3')
+          ...this.getLayoutOptions(),
+          ...this.getAxisOptions(),
+          ...this.getColorOptions(),
+          ...this.getProjectionOptions(),
+          ...this.getGraphOptions()
       });
       
       this.updateVisualization(initialVizData);
@@ -496,6 +1150,9 @@ class UIController {
    */
   updateVisualization(visualizationData) {
     console.log('updateVisualization called.');
+    // A running embedding or simulation would keep moving the points of the previous layout
+    this.cancelEmbedding();
+    this.stopSimulation();
     if (!visualizationData) {
       console.warn('No data provided for visualization.');
       this.showError('Cannot update visualization: No processed data available.');
@@ -520,7 +1177,48 @@ class UIController {
       
       // Call the correct scene method
       console.log('Calling scene3D.populateScene...');
-      this.scene3D.populateScene(visualizationData);
+      this.scene3D.populateScene(visualizationData, this.dataProcessor.axisInfo, this.dataProcessor.graph?.edges);
+      
+      // Legend follows the colour map; categories hidden before the refresh stay hidden
+      this.colorLegend.update(this.dataProcessor.colorLegend, visualizationData);
+      this.scene3D.setHiddenIndices(this.colorLegend.getHiddenIndices());
+      this.applyBrushes();
+      this.updateBrushPanel();
+      this.updateDataTable();
+      this.updateSelectionCount();
+      this.updateLayoutOverlays();
+      this.updateSurfaceFit();
+      this.updateClusterSummary();
+      this.updateCorrelationMatrix();
+      
+      // Clustering layouts may have added a label column
+      if (this.dataProcessor.dataColumns.join('\n') !== this.populatedColumns) {
+        this.populateColumnSelectors();
+      }
+      
+      // Projection layouts add their components to the info panel
+      this.updateDataInfo();
+      
+      // Auto K reports the K it chose and its score curve
+      const clustering = this.dataProcessor.clusteringInfo;
+      if (clustering && clustering.autoK && this.kmeansClustersInput) {
+        this.kmeansClustersInput.value = clustering.k;
+      }
+      this.renderKMeansScores();
+      this.dendrogram.update(
+        clustering && clustering.method === 'hierarchical' ? clustering : null,
+        visualizationData.map(point => point.color)
+      );
+      
+      // t-SNE layouts start from a random cloud and animate as the worker optimises,
+      // unless a finished embedding of the same rows and parameters was reused
+      if (this.dataProcessor.pendingEmbedding) {
+        this.startEmbedding();
+      }
+      // Network layouts settle from a random start the same way, or carry on from their last positions
+      if (this.dataProcessor.graph) {
+        this.startSimulation();
+      }
       
       // Reset camera only if explicitly needed (populateScene might handle it)
       // console.log('Resetting camera position...');
@@ -554,10 +1252,8 @@ class UIController {
       
       this.currentSettings.layout = layout;
       
-      // Toggle K-Means input visibility
-      if (this.kmeansOptionsDiv) {
-        this.kmeansOptionsDiv.style.display = layout === 'kmeans' ? 'block' : 'none';
-      }
+      // Toggle layout-specific option visibility
+      this.updateLayoutOptions(layout);
       
       this.refreshVisualization(); // Use helper to refresh
 
@@ -603,315 +1299,1860 @@ class UIController {
   }
   
   /**
-   * Reset the 3D view
+   * Show the cluster summary panel for clustering layouts, hide it otherwise
    */
-  resetView() {
-    try {
-      console.log('Resetting view');
-      this.scene3D.resetCameraPosition();
-      this.showStatus('View reset');
-    } catch (error) {
-      console.error('Reset view error:', error);
-      this.showError('Failed to reset view: ' + error.message);
+  updateClusterSummary() {
+    const points = this.scene3D.dataPoints;
+    const summary = this.dataProcessor.clusteringInfo && points.length > 0
+      ? this.dataProcessor.summarizeClusters(points)
+      : null;
+    this.clusterSummary.update(summary);
+    if (this.clusterSummaryGroup) {
+      this.clusterSummaryGroup.style.display = summary ? 'block' : 'none';
     }
   }
   
   /**
-   * Enable UI controls after data import
+   * Fit the chosen surface to the plotted columns and draw it, or remove it when fitting is off
    */
-  enableControls() {
-    if (this.layoutSelect) this.layoutSelect.disabled = false;
-    if (this.nodeSizeSlider) this.nodeSizeSlider.disabled = false;
-    if (this.showConnectionsCheckbox) this.showConnectionsCheckbox.disabled = false;
-    if (this.nodeShapeSelect) this.nodeShapeSelect.disabled = false;
-    if (this.kmeansClustersInput) this.kmeansClustersInput.disabled = false;
-    if (this.colorColumnSelect) this.colorColumnSelect.disabled = false;
-    if (this.filterColumnSelect) this.filterColumnSelect.disabled = false;
-    if (this.filterValueInput) this.filterValueInput.disabled = false;
-    if (this.applyFilterBtn) this.applyFilterBtn.disabled = false;
-    if (this.detectOutliersBtn) this.detectOutliersBtn.disabled = false;
-    if (this.corrCol1Select) this.corrCol1Select.disabled = false;
-    if (this.corrCol2Select) this.corrCol2Select.disabled = false;
-    if (this.corrThresholdInput) this.corrThresholdInput.disabled = false;
-    if (this.showCorrelationBtn) this.showCorrelationBtn.disabled = false;
+  updateSurfaceFit() {
+    if (!this.scene3D) return;
+    const model = this.currentSettings.fitModel;
+    const points = this.scene3D.dataPoints;
+    const axisInfo = this.scene3D.axisInfo;
+    this.scene3D.clearFitSurface();
+    this.surfaceFit = null;
     
-    // Enable buttons
-    const buttons = document.querySelectorAll('.data-dependent');
-    buttons.forEach(button => {
-      button.disabled = false;
-    });
+    if (model !== 'none' && points.length > 0) {
+      try {
+        if (!SURFACE_FIT_LAYOUTS.includes(this.currentSettings.layout) || !axisInfo) {
+          throw new Error('choose a layout that plots points at their X/Y/Z axis values (scatter, DBSCAN or hierarchical)');
+        }
+        const columns = { x: axisInfo.x.column, y: axisInfo.y.column, z: axisInfo.z.column };
+        this.surfaceFit = this.dataProcessor.fitSurface(points, columns, model);
+        this.scene3D.drawFitSurface(this.surfaceFit);
+        this.showStatus(`Fitted ${model === 'plane' ? 'plane' : 'quadratic surface'}, R² = ${this.formatFitValue(this.surfaceFit.r2)}`);
+      } catch (error) {
+        console.error('Surface fit error:', error);
+        this.showError('Failed to fit surface: ' + error.message);
+      }
+    }
+    this.renderFitResults();
+    this.applyResidualColors();
   }
   
   /**
-   * Update the data information panel
+   * List the coefficients and goodness of fit of the current surface
    */
-  updateDataInfo() {
-    const dataInfo = this.dataProcessor.getDataInfo();
-    const infoPanel = document.getElementById('data-info');
-    
-    if (!infoPanel || !dataInfo) return;
+  renderFitResults() {
+    if (!this.fitResultsDiv) return;
+    this.fitResultsDiv.innerHTML = '';
+    const fit = this.surfaceFit;
+    if (!fit) return;
     
-    let html = `<h3>Data Summary</h3>`;
-    html += `<p>Rows: ${dataInfo.rowCount}</p>`;
-    html += `<p>Columns: ${dataInfo.columns.length}</p>`;
-    
-    html += `<h4>Numeric Columns</h4>`;
-    html += `<ul>`;
-    dataInfo.numericColumns.forEach(col => {
-      html += `<li>${col}</li>`;
+    const lines = [
+      `${fit.columns.z} = ` + fit.coefficients
+        .map(({ term, value }, i) => (i === 0 ? this.formatFitValue(value) : `${value < 0 ? '−' : '+'} ${this.formatFitValue(Math.abs(value))}·${term}`))
+        .join(' '),
+      `R² = ${this.formatFitValue(fit.r2)}, RMSE = ${this.formatFitValue(fit.rmse)}, ${fit.count} rows`
+    ];
+    lines.forEach(text => {
+      const line = document.createElement('div');
+      line.textContent = text;
+      this.fitResultsDiv.appendChild(line);
     });
-    html += `</ul>`;
+  }
+  
+  /**
+   * Format a fit coefficient or statistic
+   * @param {number|null} value - Value to format
+   * @returns {string} Display text
+   */
+  formatFitValue(value) {
+    if (value === null || value === undefined) return 'n/a';
+    return Number.isInteger(value) ? String(value) : value.toPrecision(4);
+  }
+  
+  /**
+   * Colour points by their residual while the option is on and a surface is fitted, otherwise
+   * put back the colours and legend they had before
+   */
+  applyResidualColors() {
+    const points = this.scene3D.dataPoints;
+    // Backups of points that have since been replaced are stale
+    if (this.residualColorBackup && this.residualColorBackup.points !== points) {
+      this.residualColorBackup = null;
+    }
     
-    html += `<h4>Categorical Columns</h4>`;
-    html += `<ul>`;
-    dataInfo.categoricalColumns.forEach(col => {
-      html += `<li>${col}</li>`;
-    });
-    html += `</ul>`;
+    if (this.surfaceFit && this.currentSettings.fitResidualColors) {
+      if (!this.residualColorBackup) {
+        this.residualColorBackup = { points, colors: points.map(point => point.color), legend: this.colorLegend.legend };
+      }
+      const { colors, legend } = this.dataProcessor.buildResidualColors(this.surfaceFit);
+      this.scene3D.updateColors(colors);
+      this.colorLegend.update(legend, points);
+    } else if (this.residualColorBackup) {
+      this.scene3D.updateColors(this.residualColorBackup.colors);
+      this.colorLegend.update(this.residualColorBackup.legend, points);
+      this.residualColorBackup = null;
+    } else {
+      return;
+    }
+    this.applyBrushes();
+    this.updateEnvelopes();
+  }
+  
+  /**
+   * Recompute the correlation matrix when the data, filter or method changed since it was last shown
+   */
+  updateCorrelationMatrix() {
+    const processor = this.dataProcessor;
+    if (!processor.processedData) return;
+    const settings = this.currentSettings;
+    const filterOptions = this.getFilterOptions();
+    // The data version changes when clustering or outlier detection rewrites a column's values
+    const key = [settings.correlationMatrixMethod, JSON.stringify(filterOptions), processor.dataColumns.join('\n'), processor.dataVersion].join('|');
+    if (key === this.correlationMatrixKey && this.correlationMatrixData === processor.processedData) return;
     
-    infoPanel.innerHTML = html;
+    try {
+      const rows = processor.applyFilters(processor.processedData, filterOptions);
+      const matrix = processor.computeCorrelationMatrix(rows, settings.correlationMatrixMethod);
+      this.correlationMatrix = matrix;
+      this.correlationMatrixKey = key;
+      this.correlationMatrixData = processor.processedData;
+      this.correlationHeatmap.update(matrix.columns.length >= 2 ? matrix : null);
+      if (this.corrMatrixGroup) {
+        this.corrMatrixGroup.style.display = matrix.columns.length >= 2 ? 'block' : 'none';
+      }
+    } catch (error) {
+      console.error('Correlation matrix error:', error);
+      this.showError('Failed to compute correlation matrix: ' + error.message);
+    }
   }
   
   /**
-   * Open a file dialog using Electron API or fallback
+   * Recompute the column statistics when the data or filter changed since they were last shown
    */
-  openFileDialog() {
+  updateColumnStats() {
+    const processor = this.dataProcessor;
+    if (!processor.processedData || !this.columnStats) return;
+    const filterOptions = this.getFilterOptions();
+    const key = [JSON.stringify(filterOptions), processor.dataColumns.join('\n'), processor.dataVersion].join('|');
+    if (key === this.columnStatsKey && this.columnStatsData === processor.processedData) return;
+    
     try {
-      console.log('Opening file dialog via electronAPI.openFile...');
-      
-      // Reset file input for browser fallback consistency
-      if (this.fileInput) {
-        this.fileInput.value = ''; 
+      const rows = processor.applyFilters(processor.processedData, filterOptions);
+      // applyFilters hands back the dataset itself when no filter is active
+      const filtered = rows === processor.processedData ? null : rows;
+      this.columnStats.update(processor.summarizeColumns(filtered), filtered ? filtered.length : null);
+      this.columnStatsKey = key;
+      this.columnStatsData = processor.processedData;
+    } catch (error) {
+      console.error('Column statistics error:', error);
+      this.showError('Failed to compute column statistics: ' + error.message);
+    }
+  }
+  
+  /**
+   * Recount the brushing histograms for the current data, filter and brushes
+   */
+  updateBrushPanel() {
+    const processor = this.dataProcessor;
+    if (!this.brushPanel) return;
+    if (!processor.processedData) {
+      this.brushPanel.update(null);
+      return;
+    }
+    const settings = this.currentSettings;
+    const availableColumns = processor.metaData.numericColumns.filter(column => !column.startsWith('_'));
+    settings.brushColumns = settings.brushColumns.filter(column => availableColumns.includes(column));
+    
+    try {
+      // The histograms count the rows through the column/expression filter; the brushes are applied on top
+      const filterOptions = { filterColumn: settings.filterColumn, filterValue: settings.filterValue, filterExpression: settings.filterExpression };
+      const key = JSON.stringify(filterOptions);
+      if (key !== this.brushBaseKey || this.brushBaseData !== processor.processedData) {
+        this.brushBaseRows = processor.applyFilters(processor.processedData, filterOptions);
+        this.brushBaseKey = key;
+        this.brushBaseData = processor.processedData;
       }
-      
-      // Use Electron API if available
-      this.electronAPI.openFile()
-        .then(fileData => { // Renamed variable for clarity
-          if (fileData && fileData.content) { // Check if we received valid data
-            console.log('File data received from Electron API:', {
-              filename: fileData.path, // Assuming path is the filename
-              extension: fileData.extension,
-              contentLength: fileData.content.length
-            });
-            
-            // Crucial Step: Import the received data
-            this.showLoading(true);
-            this.showStatus('Processing imported file...');
-            this.importData({
-              content: fileData.content,
-              filename: fileData.path, // Pass the path as filename
-              extension: fileData.extension
-            });
-          } else if (fileData === null) {
-            console.log('File selection canceled or no file selected.');
-            this.showStatus('File import canceled.');
+      const { histograms, selectedCount } = processor.computeBrushHistograms(this.brushBaseRows, settings.brushColumns, settings.brushes);
+      this.brushPanel.update({
+        histograms,
+        brushes: settings.brushes,
+        columns: settings.brushColumns,
+        availableColumns,
+        mode: settings.brushMode,
+        selectedCount,
+        totalCount: this.brushBaseRows.length,
+        layoutStale: !this.isLayoutBrushed()
+      });
+    } catch (error) {
+      console.error('Brush histogram error:', error);
+      this.showError('Failed to update histograms: ' + error.message);
+    }
+  }
+  
+  /**
+   * Check whether the plotted layout was prepared with the brushes a refresh would filter with now
+   * @returns {boolean} False once the brushes or brush mode changed since the last layout
+   */
+  isLayoutBrushed() {
+    const current = this.getFilterOptions().brushes || {};
+    const columns = Object.keys(current);
+    return columns.length === Object.keys(this.layoutBrushes).length && columns.every(column => {
+      const range = this.layoutBrushes[column];
+      return range && range[0] === current[column][0] && range[1] === current[column][1];
+    });
+  }
+  
+  /**
+   * Show the brushes on the current points: filter mode hides the points outside them, highlight
+   * mode dims them. The layout is only re-run on request (Re-run Layout), as clustering and
+   * projection layouts can take a while.
+   */
+  applyBrushes() {
+    const brushes = this.currentSettings.brushes;
+    const hiddenIndices = this.colorLegend.getHiddenIndices();
+    const active = Object.keys(brushes).length > 0;
+    
+    if (this.brushHighlightActive && (!active || this.currentSettings.brushMode !== 'highlight')) {
+      this.scene3D.clearHighlights();
+      this.brushHighlightActive = false;
+    }
+    if (!active) {
+      this.scene3D.setHiddenIndices(hiddenIndices);
+      return;
+    }
+    
+    const { matchedIndices, unmatchedIndices } = this.dataProcessor.matchBrushes(this.scene3D.dataPoints, brushes);
+    if (this.currentSettings.brushMode === 'highlight') {
+      this.scene3D.setHiddenIndices(hiddenIndices);
+      this.scene3D.highlightNodes(matchedIndices, unmatchedIndices);
+      this.brushHighlightActive = true;
+    } else {
+      this.scene3D.setHiddenIndices([...hiddenIndices, ...unmatchedIndices]);
+    }
+  }
+  
+  /**
+   * Set or clear the brush of one column
+   * @param {string} column - Brushed column
+   * @param {Array<number>|null} range - [min, max], or null to clear the brush
+   * @param {boolean} done - Whether the drag has finished
+   */
+  setBrush(column, range, done) {
+    const brushes = { ...this.currentSettings.brushes };
+    if (range) {
+      brushes[column] = range;
+    } else {
+      delete brushes[column];
+    }
+    this.currentSettings.brushes = brushes;
+    this.scheduleBrushUpdate();
+    if (done) this.updateBrushedViews();
+  }
+  
+  /**
+   * Update the column statistics and correlation matrix, which follow filtering brushes, once a brush change is complete
+   */
+  updateBrushedViews() {
+    this.updateColumnStats();
+    this.updateCorrelationMatrix();
+  }
+  
+  /**
+   * Update the scene and histograms on the next animation frame, so a drag redraws at most once per frame
+   */
+  scheduleBrushUpdate() {
+    if (this.brushFrame) return;
+    this.brushFrame = requestAnimationFrame(() => {
+      this.brushFrame = null;
+      this.applyBrushes();
+      this.updateBrushPanel();
+    });
+  }
+  
+  /**
+   * Remove every brush
+   */
+  clearBrushes() {
+    this.currentSettings.brushes = {};
+    this.showStatus('Brushes cleared.');
+    this.applyBrushes();
+    this.updateBrushPanel();
+    this.updateBrushedViews();
+  }
+  
+  /**
+   * Change the columns with a histogram; brushes of removed columns are dropped
+   * @param {Array<string>} columns - Columns in display order
+   */
+  setBrushColumns(columns) {
+    const settings = this.currentSettings;
+    settings.brushColumns = columns;
+    const removed = Object.keys(settings.brushes).filter(column => !columns.includes(column));
+    if (removed.length === 0) {
+      this.updateBrushPanel();
+      return;
+    }
+    const brushes = { ...settings.brushes };
+    removed.forEach(column => delete brushes[column]);
+    settings.brushes = brushes;
+    this.applyBrushes();
+    this.updateBrushPanel();
+    this.updateBrushedViews();
+  }
+  
+  /**
+   * Switch the brushes between filtering the rows and highlighting the points inside them
+   * @param {string} mode - 'filter' or 'highlight'
+   */
+  setBrushMode(mode) {
+    this.currentSettings.brushMode = mode;
+    // Rows a filtering layout dropped only come back when the layout is re-run
+    this.applyBrushes();
+    this.updateBrushPanel();
+    this.updateBrushedViews();
+  }
+  
+  /**
+   * Open or close the data table
+   */
+  toggleDataTable() {
+    if (this.dataTable.isVisible()) {
+      this.dataTable.hide();
+    } else {
+      this.dataTable.show();
+      this.updateDataTable();
+    }
+    this.syncDataTableButton();
+  }
+  
+  /**
+   * Match the data table button text to the panel
+   */
+  syncDataTableButton() {
+    if (this.dataTableBtn) {
+      this.dataTableBtn.textContent = this.dataTable.isVisible() ? 'Hide Data Table' : 'Show Data Table';
+    }
+  }
+  
+  /**
+   * Give the open data table the current rows and plotted points; a closed table is updated when opened
+   */
+  updateDataTable() {
+    const processor = this.dataProcessor;
+    if (!this.dataTable || !this.dataTable.isVisible() || !processor.processedData) return;
+    const columns = processor.dataColumns.join('\n');
+    if (this.dataTable.rows !== processor.processedData || this.dataTableColumns !== columns) {
+      this.dataTable.setData(processor.processedData, processor.dataColumns, processor.metaData.numericColumns);
+      this.dataTableColumns = columns;
+    }
+    this.dataTable.setPoints(this.scene3D.dataPoints);
+  }
+  
+  /**
+   * Select the points of rows selected in the data table in the scene and fly the camera to them
+   * @param {Array<number>} pointIndices - Points of the selected rows that are plotted
+   */
+  selectTableRows(pointIndices) {
+    this.scene3D.setSelection(pointIndices);
+    if (pointIndices.length > 0) {
+      this.scene3D.flyToIndices(pointIndices);
+    }
+    this.updateSelectionCount();
+  }
+  
+  /**
+   * Follow a selection made in the scene in the data table
+   * @param {Array<number>} indices - Selected points; empty when the selection was cleared
+   */
+  handleSceneSelection(indices) {
+    if (this.dataTable.isVisible()) {
+      this.dataTable.revealPoints(indices, this.scene3D.dataPoints);
+    }
+    this.updateSelectionCount();
+  }
+  
+  /**
+   * Show how many points are selected next to the selection tools
+   */
+  updateSelectionCount() {
+    const count = this.scene3D.selectedIndices.size;
+    if (this.selectionSetPanel) this.selectionSetPanel.setSelectedCount(count);
+    if (!this.selectionCountLabel) return;
+    this.selectionCountLabel.textContent = count === 0
+      ? 'No points selected'
+      : `${count} point${count === 1 ? '' : 's'} selected`;
+  }
+  
+  /**
+   * Show the saved selection sets in their panel
+   */
+  updateSelectionSets() {
+    if (!this.selectionSetPanel) return;
+    const processor = this.dataProcessor;
+    this.selectionSetPanel.update([...processor.selectionSets].map(([name, set]) => ({
+      name,
+      size: set.size,
+      column: processor.getSelectionSetColumn(name)
+    })));
+    this.selectionSetPanel.setSelectedCount(this.scene3D.selectedIndices.size);
+  }
+  
+  /**
+   * Save the selected points as a named set
+   * @param {string} name - Set name
+   */
+  saveSelectionSet(name) {
+    try {
+      const points = this.scene3D.dataPoints;
+      const rows = this.scene3D.getSelectedIndices().map(index => points[index].originalData).filter(Boolean);
+      const column = this.dataProcessor.saveSelectionSet(name, rows);
+      this.handleSelectionSetsChange([column]);
+      this.showStatus(`Saved ${rows.length} points as "${name.trim()}"; colour or filter by the "${column}" column`);
+    } catch (error) {
+      console.error('Save selection set error:', error);
+      this.showError('Failed to save the selection set: ' + error.message);
+    }
+  }
+  
+  /**
+   * Combine two selection sets into a new one
+   * @param {string} name - Name of the result
+   * @param {string} operation - 'union', 'intersection' or 'difference'
+   * @param {string} first - First set
+   * @param {string} second - Second set
+   */
+  combineSelectionSets(name, operation, first, second) {
+    try {
+      const column = this.dataProcessor.combineSelectionSets(name, operation, first, second);
+      this.handleSelectionSetsChange([column]);
+      const size = this.dataProcessor.selectionSets.get(name.trim()).size;
+      this.showStatus(`Saved the ${operation} of "${first}" and "${second}" as "${name.trim()}" (${size} rows)`);
+    } catch (error) {
+      console.error('Combine selection sets error:', error);
+      this.showError('Failed to combine the selection sets: ' + error.message);
+    }
+  }
+  
+  /**
+   * Delete a selection set and its column; colouring or filtering by the column is turned off
+   * @param {string} name - Set name
+   */
+  deleteSelectionSet(name) {
+    const column = this.dataProcessor.deleteSelectionSet(name);
+    if (!column) return;
+    const settings = this.currentSettings;
+    if (settings.colorColumn === column) {
+      settings.colorColumn = '';
+      if (this.colorColumnSelect) this.colorColumnSelect.value = '';
+    }
+    if (settings.filterColumn === column) {
+      settings.filterColumn = '';
+      settings.filterValue = '';
+      if (this.filterColumnSelect) this.filterColumnSelect.value = '';
+      if (this.filterValueInput) this.filterValueInput.value = '';
+    }
+    this.handleSelectionSetsChange([column]);
+    this.showStatus(`Deleted the selection set "${name}"`);
+  }
+  
+  /**
+   * Refresh the column lists, panels and, if a changed set column is coloured or filtered by, the scene
+   * @param {Array<string>} columns - Set columns that were written or removed
+   */
+  handleSelectionSetsChange(columns) {
+    if (this.dataProcessor.dataColumns.join('\n') !== this.populatedColumns) {
+      this.populateColumnSelectors();
+    }
+    this.updateSelectionSets();
+    // Set columns change values without changing the column list
+    this.dataTableColumns = null;
+    this.updateDataTable();
+    
+    const { colorColumn, filterColumn, filterExpression } = this.currentSettings;
+    if (columns.some(column => column === colorColumn || column === filterColumn || filterExpression.includes(column))) {
+      this.refreshVisualization();
+    } else {
+      this.updateDataInfo();
+    }
+  }
+  
+  /**
+   * Select the plotted points of a selection set and fly the camera to them
+   * @param {string} name - Set name
+   */
+  selectSelectionSet(name) {
+    const set = this.dataProcessor.selectionSets.get(name);
+    if (!set) return;
+    const indices = [];
+    this.scene3D.dataPoints.forEach((point, index) => {
+      if (set.has(point.originalData)) indices.push(index);
+    });
+    this.scene3D.setSelection(indices);
+    const selected = this.scene3D.getSelectedIndices();
+    if (selected.length > 0) {
+      this.scene3D.flyToIndices(selected);
+    }
+    this.handleSceneSelection(selected);
+    this.showStatus(`Selected ${selected.length} of the ${set.size} points in "${name}"${selected.length < set.size ? ' (the rest are filtered out or hidden)' : ''}`);
+  }
+  
+  /**
+   * Export the rows of a selection set
+   * @param {string} name - Set name
+   * @param {string} format - 'csv' or 'json'
+   */
+  exportSelectionSet(name, format) {
+    try {
+      const rows = this.dataProcessor.getSelectionSetRows(name);
+      const text = format === 'json' ? this.dataProcessor.toJSON(rows) : this.dataProcessor.toCSV(rows);
+      const fileName = `${name.replace(/[^\w-]+/g, '_')}.${format === 'json' ? 'json' : 'csv'}`;
+      this.electronAPI.exportData(text, fileName)
+        .then(result => {
+          if (result.success) {
+            this.showStatus(`Exported ${rows.length} rows of "${name}"`);
           } else {
-            console.warn('Received unexpected data structure from openFile:', fileData);
-            this.showError('Failed to receive valid file data.');
+            this.showError('Failed to export the selection set: ' + (result.error || 'Unknown error'));
           }
         })
         .catch(error => {
-          console.error('Error during electronAPI.openFile call:', error);
-          this.showError('Failed to open file: ' + error.message);
-          this.showLoading(false); // Ensure loading is hidden on error
+          console.error('Error exporting selection set:', error);
+          this.showError('Failed to export the selection set: ' + error.message);
         });
     } catch (error) {
-      console.error('Error in openFileDialog method:', error);
-      this.showError('Failed to initiate file dialog: ' + error.message);
-      this.showLoading(false); // Ensure loading is hidden on error
+      console.error('Export selection set error:', error);
+      this.showError('Failed to export the selection set: ' + error.message);
+    }
+  }
+  
+  /**
+   * Put a column pair from the correlation matrix on the chosen two axes
+   * @param {string} columnA - Column for the first axis
+   * @param {string} columnB - Column for the second axis
+   */
+  plotColumnPair(columnA, columnB) {
+    const [axisA, axisB] = this.currentSettings.correlationMatrixAxes.split('');
+    this.currentSettings[`${axisA}Column`] = columnA;
+    this.currentSettings[`${axisB}Column`] = columnB;
+    this.syncAxisControls();
+    this.showStatus(`Plotting ${columnA} on ${axisA.toUpperCase()} and ${columnB} on ${axisB.toUpperCase()}`);
+    
+    // Projection, grid and network layouts ignore the axis columns
+    if (!AXIS_LAYOUTS.includes(this.currentSettings.layout)) {
+      if (this.layoutSelect) this.layoutSelect.value = 'scatter';
+      this.updateLayoutOptions('scatter');
+      this.updateLayout();
+      return;
+    }
+    this.refreshVisualization();
+  }
+  
+  /**
+   * Export the shown correlation matrix, in its displayed order, as a CSV file
+   */
+  exportCorrelationMatrix() {
+    try {
+      if (!this.correlationMatrix) {
+        throw new Error('No correlation matrix to export');
+      }
+      const csv = this.dataProcessor.correlationMatrixToCSV(this.correlationMatrix, this.correlationHeatmap.getDisplayedColumns());
+      this.electronAPI.exportData(csv, `correlation-${this.correlationMatrix.method}.csv`)
+        .then(result => {
+          if (result.success) {
+            this.showStatus('Correlation matrix exported successfully');
+          } else {
+            this.showError('Failed to export correlation matrix: ' + (result.error || 'Unknown error'));
+          }
+        })
+        .catch(error => {
+          console.error('Error exporting correlation matrix:', error);
+          this.showError('Failed to export correlation matrix: ' + error.message);
+        });
+    } catch (error) {
+      console.error('Export correlation matrix error:', error);
+      this.showError('Failed to export correlation matrix: ' + error.message);
+    }
+  }
+  
+  /**
+   * Write the cluster of every shown row into a `cluster` column of the data (`cluster_1` if the data has its own)
+   */
+  saveClusterColumn() {
+    try {
+      const column = this.dataProcessor.writeClusterColumn(this.scene3D.dataPoints);
+      if (this.dataProcessor.dataColumns.join('\n') !== this.populatedColumns) {
+        this.populateColumnSelectors();
+      }
+      this.updateDataInfo();
+      this.showStatus(`Cluster assignments saved to the "${column}" column`);
+    } catch (error) {
+      console.error('Save cluster column error:', error);
+      this.showError('Failed to save cluster assignments: ' + error.message);
+    }
+  }
+  
+  /**
+   * Export the loaded data, with any added columns, as a CSV file
+   */
+  exportData() {
+    try {
+      console.log('Exporting data');
+      const csv = this.dataProcessor.toCSV();
+      this.electronAPI.exportData(csv)
+        .then(result => {
+          if (result.success) {
+            this.showStatus('Data exported successfully');
+          } else {
+            this.showError('Failed to export data: ' + (result.error || 'Unknown error'));
+          }
+        })
+        .catch(error => {
+          console.error('Error exporting data:', error);
+          this.showError('Failed to export data: ' + error.message);
+        });
+    } catch (error) {
+      console.error('Export data error:', error);
+      this.showError('Failed to export data: ' + error.message);
+    }
+  }
+  
+  /**
+   * Redraw the overlays that depend on node positions (envelopes, correlation lines) for new points
+   */
+  updateLayoutOverlays() {
+    this.updateEnvelopes();
+    if (this.currentSettings.showCorrelationLines) this.updateCorrelationLines();
+  }
+  
+  /**
+   * Redraw the hulls or ellipsoids around the legend's groups for the current points
+   */
+  updateEnvelopes() {
+    if (!this.scene3D) return;
+    const mode = this.currentSettings.envelopeMode;
+    if (mode === 'none') {
+      this.scene3D.clearEnvelopes();
+      return;
+    }
+    
+    try {
+      const groups = this.colorLegend.getGroups();
+      if (groups.length === 0) {
+        this.scene3D.clearEnvelopes();
+        this.showStatus('Group envelopes need a categorical colour column or a clustering layout');
+        return;
+      }
+      this.scene3D.drawEnvelopes(groups, mode, this.colorLegend.hiddenKeys);
+    } catch (error) {
+      console.error('Envelope error:', error);
+      this.showError('Failed to draw group envelopes: ' + error.message);
+    }
+  }
+  
+  /**
+   * Reset the 3D view
+   */
+  resetView() {
+    try {
+      console.log('Resetting view');
+      this.scene3D.resetCameraPosition();
+      this.showStatus('View reset');
+    } catch (error) {
+      console.error('Reset view error:', error);
+      this.showError('Failed to reset view: ' + error.message);
+    }
+  }
+  
+  /**
+   * Enable UI controls after data import
+   */
+  enableControls() {
+    if (this.layoutSelect) this.layoutSelect.disabled = false;
+    if (this.nodeSizeSlider) this.nodeSizeSlider.disabled = false;
+    if (this.showConnectionsCheckbox) this.showConnectionsCheckbox.disabled = false;
+    if (this.nodeShapeSelect) this.nodeShapeSelect.disabled = false;
+    if (this.envelopeSelect) this.envelopeSelect.disabled = false;
+    if (this.kmeansClustersInput) this.kmeansClustersInput.disabled = !!this.currentSettings.kmeansAutoK;
+    [this.kmeansAutoCheckbox, this.kmeansAutoMethodSelect, this.kmeansMaxKInput, this.kmeansRestartsInput, this.seedInput,
+      this.dbscanInputs.eps, this.dbscanInputs.minPts, this.hierarchicalLinkageSelect, this.hierarchicalClustersInput,
+      this.clusterScalingSelect]
+      .forEach(input => { if (input) input.disabled = false; });
+    Object.values(this.tsneInputs).forEach(input => { if (input) input.disabled = false; });
+    Object.values(this.graphSelects).forEach(select => { if (select) select.disabled = false; });
+    if (this.colorColumnSelect) this.colorColumnSelect.disabled = false;
+    if (this.numericPaletteSelect) this.numericPaletteSelect.disabled = false;
+    if (this.categoricalPaletteSelect) this.categoricalPaletteSelect.disabled = false;
+    if (this.filterColumnSelect) this.filterColumnSelect.disabled = false;
+    if (this.filterValueInput) this.filterValueInput.disabled = false;
+    if (this.applyFilterBtn) this.applyFilterBtn.disabled = false;
+    if (this.detectOutliersBtn) this.detectOutliersBtn.disabled = false;
+    if (this.outlierMethodSelect) this.outlierMethodSelect.disabled = false;
+    if (this.outlierThresholdInput) this.outlierThresholdInput.disabled = false;
+    if (this.corrCol1Select) this.corrCol1Select.disabled = false;
+    if (this.corrCol2Select) this.corrCol2Select.disabled = false;
+    if (this.corrThresholdInput) this.corrThresholdInput.disabled = false;
+    if (this.corrNeighborsInput) this.corrNeighborsInput.disabled = false;
+    if (this.showCorrelationBtn) this.showCorrelationBtn.disabled = false;
+    if (this.fitModelSelect) this.fitModelSelect.disabled = false;
+    if (this.fitResidualCheckbox) this.fitResidualCheckbox.disabled = false;
+    if (this.selectionToolSelect) this.selectionToolSelect.disabled = false;
+    ['x', 'y', 'z'].forEach(axis => {
+      if (this.axisSelects[axis]) this.axisSelects[axis].disabled = false;
+      if (this.axisInvertCheckboxes[axis]) this.axisInvertCheckboxes[axis].disabled = false;
+    });
+    
+    // Enable buttons
+    const buttons = document.querySelectorAll('.data-dependent');
+    buttons.forEach(button => {
+      button.disabled = false;
+    });
+  }
+  
+  /**
+   * Update the data information panel
+   */
+  updateDataInfo() {
+    const dataInfo = this.dataProcessor.getDataInfo();
+    const infoPanel = document.getElementById('data-info-summary');
+    
+    if (!infoPanel || !dataInfo) return;
+    
+    let html = `<h3>Data Summary</h3>`;
+    html += `<p>Rows: ${dataInfo.rowCount}</p>`;
+    html += `<p>Columns: ${dataInfo.columns.length} (${dataInfo.numericColumns.length} numeric, ${dataInfo.categoricalColumns.length} categorical)</p>`;
+    
+    html += this.getProjectionInfoHtml();
+    html += this.getClusteringInfoHtml();
+    html += this.getGraphInfoHtml();
+    
+    infoPanel.innerHTML = html;
+    this.updateColumnStats();
+  }
+  
+  /**
+   * Describe the current projection layout: explained variance and loadings per component
+   * @returns {string} HTML, empty when the layout is not a projection
+   */
+  getProjectionInfoHtml() {
+    const projection = this.dataProcessor.projectionInfo;
+    if (!projection) return '';
+    if (projection.method === 'tsne') {
+      return `<h4>t-SNE (${projection.columns.length} columns, standardised)</h4>` +
+        `<p>Perplexity ${projection.perplexity}, ${projection.iterations} iterations, seed ${projection.seed}</p>` +
+        `<p>Distances between clusters are not meaningful, only which points are neighbours.</p>`;
+    }
+    if (projection.method !== 'pca') return '';
+    
+    let html = `<h4>PCA (${projection.columns.length} columns, standardised)</h4>`;
+    html += `<table class="loadings-table"><tr><th></th>`;
+    projection.components.forEach(component => {
+      html += `<th>${component.name}</th>`;
+    });
+    html += `</tr><tr><td>Variance</td>`;
+    projection.components.forEach(component => {
+      html += `<td>${(component.explainedVariance * 100).toFixed(1)}%</td>`;
+    });
+    html += `</tr>`;
+    projection.columns.forEach((column, j) => {
+      html += `<tr><td>${column}</td>`;
+      projection.components.forEach(component => {
+        const loading = component.loadings[j].loading;
+        // Shade strong loadings so the dominant columns of each axis stand out
+        const strength = Math.min(1, Math.abs(loading));
+        const background = loading >= 0 ? `rgba(3, 169, 244, ${strength * 0.5})` : `rgba(244, 67, 54, ${strength * 0.5})`;
+        html += `<td style="background-color: ${background}">${loading.toFixed(2)}</td>`;
+      });
+      html += `</tr>`;
+    });
+    html += `</table>`;
+    return html;
+  }
+  
+  /**
+   * Open a file dialog using Electron API or fallback
+   */
+  openFileDialog() {
+    try {
+      console.log('Opening file dialog via electronAPI.openFile...');
+      
+      // Reset file input for browser fallback consistency
+      if (this.fileInput) {
+        this.fileInput.value = ''; 
+      }
+      
+      // Use Electron API if available
+      this.electronAPI.openFile()
+        .then(fileData => { // Renamed variable for clarity
+          if (fileData && fileData.extension === '.csv' && !fileData.content) {
+            // The main process streams CSV files from disk into the parser
+            console.log('CSV file chosen in Electron:', { filename: fileData.path, size: fileData.size });
+            this.importStreamedCSV(fileData.path);
+          } else if (fileData && fileData.content) { // Check if we received valid data
+            console.log('File data received from Electron API:', {
+              filename: fileData.path, // Assuming path is the filename
+              extension: fileData.extension,
+              contentLength: fileData.content.length
+            });
+            
+            // Crucial Step: Import the received data
+            this.showLoading(true);
+            this.showStatus('Processing imported file...');
+            this.importData({
+              content: fileData.content,
+              filename: fileData.path, // Pass the path as filename
+              extension: fileData.extension
+            });
+          } else if (fileData === null) {
+            console.log('File selection canceled or no file selected.');
+            this.showStatus('File import canceled.');
+          } else {
+            console.warn('Received unexpected data structure from openFile:', fileData);
+            this.showError('Failed to receive valid file data.');
+          }
+        })
+        .catch(error => {
+          console.error('Error during electronAPI.openFile call:', error);
+          this.showError('Failed to open file: ' + error.message);
+          this.showLoading(false); // Ensure loading is hidden on error
+        });
+    } catch (error) {
+      console.error('Error in openFileDialog method:', error);
+      this.showError('Failed to initiate file dialog: ' + error.message);
+      this.showLoading(false); // Ensure loading is hidden on error
+    }
+  }
+  
+  /**
+   * Save current scene
+   */
+  saveScene() {
+    try {
+      console.log('Saving scene');
+      this.showStatus('Saving scene...');
+      
+      // Get scene data
+      const sceneData = this.scene3D.getSceneData();
+      
+      // Add data processor state
+      sceneData.dataInfo = this.dataProcessor.getDataInfo();
+      sceneData.settings = this.currentSettings;
+      // Every row is saved, including rows filtered out now; points refer to theirs by position
+      const rows = this.dataProcessor.processedData;
+      const rowPositions = new Map(rows.map((row, position) => [row, position]));
+      sceneData.rows = rows;
+      sceneData.dataPoints = sceneData.dataPoints.map(point => ({
+        ...point,
+        originalData: undefined,
+        rowIndex: rowPositions.has(point.originalData) ? rowPositions.get(point.originalData) : null
+      }));
+      sceneData.selectionSets = this.dataProcessor.serializeSelectionSets(rows);
+      sceneData.legend = this.colorLegend.legend;
+      
+      // Use Electron API to save
+      this.electronAPI.saveScene(sceneData)
+        .then(result => {
+          if (result.success) {
+            this.showStatus('Scene saved successfully');
+          } else {
+            this.showError('Failed to save scene: ' + (result.error || 'Unknown error'));
+          }
+        })
+        .catch(error => {
+          console.error('Error saving scene:', error);
+          this.showError('Failed to save scene: ' + error.message);
+        });
+    } catch (error) {
+      console.error('Save scene error:', error);
+      this.showError('Failed to save scene: ' + error.message);
+    }
+  }
+  
+  /**
+   * Load a previously saved scene using Electron API or fallback
+   */
+  loadScene() {
+    try {
+      console.log('Opening scene via electronAPI.loadScene...');
+      this.electronAPI.loadScene()
+        .then(sceneData => {
+          if (sceneData) {
+            this.restoreScene(sceneData);
+          } else {
+            console.log('Scene load canceled or handled by browser fallback.');
+          }
+        })
+        .catch(error => {
+          console.error('Error during electronAPI.loadScene call:', error);
+          this.showError('Failed to load scene: ' + error.message);
+        });
+    } catch (error) {
+      console.error('Load scene error:', error);
+      this.showError('Failed to load scene: ' + error.message);
+    }
+  }
+  
+  /**
+   * Handle scene file input (browser fallback)
+   * @param {Event} event - File input change event
+   */
+  handleSceneFileInput(event) {
+    const file = event.target.files[0];
+    if (!file) {
+      this.showStatus('Scene load canceled.');
+      return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        this.restoreScene(JSON.parse(e.target.result));
+      } catch (error) {
+        console.error('Error parsing scene file:', error);
+        this.showError('Failed to load scene: ' + error.message);
+      }
+    };
+    reader.onerror = (error) => {
+      console.error('FileReader error:', error);
+      this.showError('Failed to read scene file');
+    };
+    reader.readAsText(file);
+  }
+  
+  /**
+   * Restore data, settings and camera from saved scene data
+   * @param {Object} sceneData - Scene data as written by saveScene
+   */
+  restoreScene(sceneData) {
+    try {
+      if (!sceneData || !Array.isArray(sceneData.dataPoints) || sceneData.dataPoints.length === 0) {
+        throw new Error('Scene file contains no data points');
+      }
+      
+      this.showLoading(true);
+      this.showStatus('Restoring scene...');
+      this.cancelEmbedding();
+      this.stopSimulation();
+      
+      let rows;
+      if (Array.isArray(sceneData.rows) && sceneData.rows.length > 0) {
+        // All rows were saved, so rows filtered out at the time come back when the filter changes
+        rows = sceneData.rows;
+        sceneData.dataPoints.forEach(point => {
+          point.originalData = point.rowIndex === null || point.rowIndex === undefined ? undefined : rows[point.rowIndex];
+        });
+      } else {
+        // Older scene files carry only the plotted points' rows
+        rows = sceneData.dataPoints.map(point => point.originalData).filter(Boolean);
+      }
+      this.dataProcessor.loadRows(rows, sceneData.dataInfo?.columns);
+      this.dataProcessor.loadSelectionSets(sceneData.selectionSets);
+      this.populateColumnSelectors();
+      
+      this.applySettings(sceneData.settings || {});
+      // The saved points were laid out with the saved brushes
+      this.layoutBrushes = this.getFilterOptions().brushes || {};
+      
+      // Restore the exact saved positions and camera
+      this.scene3D.loadSceneData(sceneData);
+      this.colorLegend.update(sceneData.legend || null, this.scene3D.dataPoints);
+      this.scene3D.setHiddenIndices(this.colorLegend.getHiddenIndices());
+      this.applyBrushes();
+      this.updateBrushPanel();
+      this.updateDataTable();
+      this.updateSelectionCount();
+      this.updateSelectionSets();
+      this.updateEnvelopes();
+      this.updateSurfaceFit();
+      // The merge tree and clusters are not saved with the scene
+      this.dendrogram.update(null);
+      this.updateClusterSummary();
+      this.updateCorrelationMatrix();
+      
+      this.updateDataInfo();
+      this.enableControls();
+      this.showStatus('Scene loaded successfully');
+    } catch (error) {
+      console.error('Restore scene error:', error);
+      this.showError('Failed to load scene: ' + error.message);
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Apply saved settings to currentSettings and sync the controls
+   * @param {Object} settings - Settings object as stored in a saved scene
+   */
+  applySettings(settings) {
+    this.currentSettings = { ...this.currentSettings, ...settings };
+    const current = this.currentSettings;
+    
+    if (this.layoutSelect) this.layoutSelect.value = current.layout;
+    this.updateLayoutOptions(current.layout);
+    this.renderFeatureColumns();
+    this.renderClusterFeatures();
+    if (this.tsneInputs.perplexity) this.tsneInputs.perplexity.value = current.tsnePerplexity;
+    if (this.tsneInputs.iterations) this.tsneInputs.iterations.value = current.tsneIterations;
+    this.syncGraphControls();
+    this.syncClusteringControls();
+    if (this.colorColumnSelect) this.colorColumnSelect.value = current.colorColumn;
+    if (this.numericPaletteSelect) this.numericPaletteSelect.value = ColorPalettes.resolve(current.numericPalette, 'numeric');
+    if (this.categoricalPaletteSelect) this.categoricalPaletteSelect.value = ColorPalettes.resolve(current.categoricalPalette, 'categorical');
+    if (this.filterColumnSelect) this.filterColumnSelect.value = current.filterColumn;
+    if (this.filterValueInput) this.filterValueInput.value = current.filterColumn ? current.filterValue : current.filterExpression;
+    if (this.nodeShapeSelect) this.nodeShapeSelect.value = current.nodeShape;
+    if (this.nodeSizeSlider) this.nodeSizeSlider.value = current.nodeSize;
+    if (this.showConnectionsCheckbox) this.showConnectionsCheckbox.checked = current.showConnections;
+    if (this.envelopeSelect) this.envelopeSelect.value = current.envelopeMode;
+    if (this.corrMatrixMethodSelect) this.corrMatrixMethodSelect.value = current.correlationMatrixMethod;
+    if (this.corrMatrixSortCheckbox) this.corrMatrixSortCheckbox.checked = current.correlationMatrixSort;
+    if (this.corrMatrixAxesSelect) this.corrMatrixAxesSelect.value = current.correlationMatrixAxes;
+    this.correlationHeatmap.sortByStrength = !!current.correlationMatrixSort;
+    this.syncOutlierControls();
+    if (this.fitModelSelect) this.fitModelSelect.value = current.fitModel;
+    if (this.fitResidualCheckbox) this.fitResidualCheckbox.checked = current.fitResidualColors;
+    this.syncAxisControls();
+  }
+  
+  /**
+   * Save data as JSON file (browser fallback)
+   * @param {Object} data - Data to save
+   * @param {string} filename - Filename
+   */
+  saveDataAsJson(data, filename) {
+    const json = JSON.stringify(data, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+  }
+  
+  /**
+   * Export screenshot of the visualization
+   */
+  exportScreenshot() {
+    try {
+      console.log('Exporting screenshot');
+      this.showStatus('Exporting screenshot...');
+      
+      // Get screenshot from scene, with the legend painted on top
+      const dataUrl = this.scene3D.exportScreenshot((context, width, height) => {
+        this.colorLegend.drawToCanvas(context, width, height);
+      });
+      
+      // Use Electron API to save
+      this.electronAPI.exportScreenshot(dataUrl)
+        .then(result => {
+          if (result.success) {
+            this.showStatus('Screenshot exported successfully');
+          } else {
+            this.showError('Failed to export screenshot: ' + (result.error || 'Unknown error'));
+          }
+        })
+        .catch(error => {
+          console.error('Error exporting screenshot:', error);
+          this.showError('Failed to export screenshot: ' + error.message);
+        });
+    } catch (error) {
+      console.error('Export screenshot error:', error);
+      this.showError('Failed to export screenshot: ' + error.message);
+    }
+  }
+  
+  /**
+   * Show an error message to the user
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    console.error(message);
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.className = 'error';
+    } else {
+      // Fallback if status element isn't available yet
+      const errorMsg = document.getElementById('errorMessage');
+      if (errorMsg) {
+        errorMsg.textContent = message;
+        errorMsg.style.display = 'block';
+      } else {
+        alert('Error: ' + message);
+      }
+    }
+  }
+  
+  /**
+   * Show a status message to the user
+   * @param {string} message - Status message
+   */
+  showStatus(message) {
+    console.log(message);
+    if (this.statusElement) {
+      this.statusElement.textContent = message;
+      this.statusElement.className = '';
+    }
+  }
+  
+  /**
+   * Show or hide the loading indicator
+   * @param {boolean} show - Whether to show the loading indicator
+   * @param {Object} [options] - { message, progress (0-1), cancelable }
+   */
+  showLoading(show, options = {}) {
+    if (this.loadingIndicator) {
+      this.loadingIndicator.style.display = show ? 'block' : 'none';
+    }
+    if (this.loadingMessage) {
+      this.loadingMessage.textContent = (show && options.message) || 'Loading...';
+    }
+    const hasProgress = show && typeof options.progress === 'number';
+    if (this.loadingProgress) {
+      this.loadingProgress.style.display = hasProgress ? 'block' : 'none';
+    }
+    if (this.loadingProgressBar) {
+      this.loadingProgressBar.style.width = hasProgress ? `${Math.round(Math.min(1, options.progress) * 100)}%` : '0';
+    }
+    if (this.cancelLoadingBtn) {
+      this.cancelLoadingBtn.style.display = show && options.cancelable ? 'inline-block' : 'none';
+    }
+  }
+  
+  /**
+   * Update node shape based on user selection
+   */
+  updateNodeShape() {
+    try {
+      if (!this.nodeShapeSelect || !this.scene3D) return;
+      
+      const shape = this.nodeShapeSelect.value;
+      console.log('Updating node shape to:', shape);
+      
+      this.currentSettings.nodeShape = shape;
+      
+      // Update node shape in 3D scene
+      this.scene3D.updateNodeShape(shape);
+      
+      this.showStatus(`Node shape updated to ${shape}`);
+    } catch (error) {
+      console.error('Node shape update error:', error);
+      this.showError('Failed to update node shape: ' + error.message);
+    }
+  }
+  
+  /**
+   * Populate column selectors (color and filter)
+   */
+  populateColumnSelectors() {
+    if (!this.dataProcessor || !this.dataProcessor.dataColumns) return;
+    
+    const columns = this.dataProcessor.dataColumns;
+    console.log('Populating column selectors with:', columns);
+    this.populatedColumns = columns.join('\n');
+
+    const populate = (selectElement) => {
+      if (!selectElement) return;
+      const selected = selectElement.value;
+      // Clear existing options except the first default one
+      while (selectElement.options.length > 1) {
+        selectElement.remove(1);
+      }
+      // Add new options
+      columns.forEach(col => {
+        const option = document.createElement('option');
+        option.value = col;
+        option.textContent = col;
+        selectElement.appendChild(option);
+      });
+      // Keep the selection when columns are added after import
+      if (columns.includes(selected)) selectElement.value = selected;
+    };
+
+    populate(this.colorColumnSelect);
+    populate(this.filterColumnSelect);
+
+    const populateNumeric = (selectElement) => {
+        if (!selectElement) return;
+        while (selectElement.options.length > 1) selectElement.remove(1);
+        this.dataProcessor.metaData.numericColumns.forEach(col => {
+            // Avoid adding internal columns like _index, _derived_y etc.
+            if (!col.startsWith('_')) {
+                const option = document.createElement('option');
+                option.value = col;
+                option.textContent = col;
+                selectElement.appendChild(option);
+            }
+        });
+    };
+    // Populate correlation dropdowns with only numeric columns
+    populateNumeric(this.corrCol1Select);
+    populateNumeric(this.corrCol2Select);
+    populate(this.graphSelects.id);
+    populate(this.graphSelects.source);
+    populate(this.graphSelects.target);
+    populateNumeric(this.graphSelects.weight);
+    this.renderFeatureColumns();
+    this.renderClusterFeatures();
+    
+    // Axis selects include derived columns, since they may be the defaults
+    ['x', 'y', 'z'].forEach(axis => {
+      const selectElement = this.axisSelects[axis];
+      if (!selectElement) return;
+      while (selectElement.options.length > 1) selectElement.remove(1);
+      this.dataProcessor.metaData.numericColumns.forEach(col => {
+        const option = document.createElement('option');
+        option.value = col;
+        option.textContent = col;
+        selectElement.appendChild(option);
+      });
+    });
+  }
+  
+  /**
+   * Show the option panels that belong to a layout
+   * @param {string} layout - Layout name
+   */
+  updateLayoutOptions(layout) {
+    if (this.kmeansOptionsDiv) {
+      this.kmeansOptionsDiv.style.display = layout === 'kmeans' ? 'block' : 'none';
+    }
+    if (this.dbscanOptionsDiv) {
+      this.dbscanOptionsDiv.style.display = layout === 'dbscan' ? 'block' : 'none';
+    }
+    if (this.hierarchicalOptionsDiv) {
+      this.hierarchicalOptionsDiv.style.display = layout === 'hierarchical' ? 'block' : 'none';
+    }
+    if (this.featureOptionsDiv) {
+      this.featureOptionsDiv.style.display = layout === 'pca' || layout === 'tsne' ? 'block' : 'none';
+    }
+    if (this.clusterFeatureOptionsDiv) {
+      this.clusterFeatureOptionsDiv.style.display = this.isClusteringLayout(layout) ? 'block' : 'none';
+    }
+    if (this.tsneOptionsDiv) {
+      this.tsneOptionsDiv.style.display = layout === 'tsne' ? 'block' : 'none';
+    }
+    if (this.graphOptionsDiv) {
+      this.graphOptionsDiv.style.display = layout === 'force' ? 'block' : 'none';
+    }
+    if (this.seedOptionsDiv) {
+      this.seedOptionsDiv.style.display = ['kmeans', 'tsne', 'force'].includes(layout) ? 'block' : 'none';
+    }
+  }
+  
+  /**
+   * Rebuild the feature column checkboxes from the numeric columns and current settings
+   */
+  renderFeatureColumns() {
+    if (!this.featureColumnsList || !this.dataProcessor) return;
+    this.featureColumnsList.innerHTML = '';
+    
+    const selected = this.currentSettings.featureColumns || [];
+    const defaults = this.dataProcessor.getDefaultFeatureColumns();
+    this.dataProcessor.metaData.numericColumns
+      .filter(col => !col.startsWith('_'))
+      .forEach(col => {
+        const label = document.createElement('label');
+        label.className = 'inline-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = col;
+        // An empty selection means the default columns, which leave out generated ones such as outlier_score
+        checkbox.checked = selected.length === 0 ? defaults.includes(col) : selected.includes(col);
+        checkbox.addEventListener('change', () => this.updateFeatureColumns());
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' ' + col));
+        this.featureColumnsList.appendChild(label);
+      });
+  }
+  
+  /**
+   * Triggered when a feature column checkbox changes
+   */
+  updateFeatureColumns() {
+    const checkboxes = Array.from(this.featureColumnsList.querySelectorAll('input[type="checkbox"]'));
+    const checked = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+    const defaults = this.dataProcessor.getDefaultFeatureColumns();
+    const isDefault = checked.length === defaults.length && defaults.every(col => checked.includes(col));
+    this.currentSettings.featureColumns = isDefault ? [] : checked;
+    console.log('Feature columns changed to:', this.currentSettings.featureColumns);
+    if (this.currentSettings.layout === 'pca' || this.currentSettings.layout === 'tsne') {
+      this.refreshVisualization();
+    }
+  }
+  
+  /**
+   * Whether a layout groups points into clusters
+   * @param {string} layout - Layout name
+   * @returns {boolean} True for k-means, DBSCAN and hierarchical layouts
+   */
+  isClusteringLayout(layout) {
+    return layout === 'kmeans' || layout === 'dbscan' || layout === 'hierarchical';
+  }
+  
+  /**
+   * Rebuild the clustering feature checkboxes from the usable columns and current settings
+   */
+  renderClusterFeatures() {
+    if (!this.clusterFeaturesList || !this.dataProcessor) return;
+    this.clusterFeaturesList.innerHTML = '';
+    
+    const selected = this.currentSettings.clusterFeatures || [];
+    const { numeric, categorical } = this.dataProcessor.getClusteringColumnChoices();
+    const addCheckbox = (col, text) => {
+      const label = document.createElement('label');
+      label.className = 'inline-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = col;
+      // Unlike projection features, an empty selection means the axis columns, so nothing is pre-checked
+      checkbox.checked = selected.includes(col);
+      checkbox.addEventListener('change', () => this.updateClusterFeatures());
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(' ' + text));
+      this.clusterFeaturesList.appendChild(label);
+    };
+    numeric.forEach(col => addCheckbox(col, col));
+    categorical.forEach(col => addCheckbox(col, `${col} (one-hot)`));
+  }
+  
+  /**
+   * Triggered when a clustering feature checkbox changes
+   */
+  updateClusterFeatures() {
+    const checkboxes = Array.from(this.clusterFeaturesList.querySelectorAll('input[type="checkbox"]'));
+    this.currentSettings.clusterFeatures = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+    console.log('Clustering features changed to:', this.currentSettings.clusterFeatures);
+    if (this.isClusteringLayout(this.currentSettings.layout)) {
+      this.refreshVisualization();
+    }
+  }
+  
+  /**
+   * Triggered when a t-SNE parameter changes
+   */
+  updateTSNESettings() {
+    const readInt = (input, fallback, min, max) => {
+      const value = parseInt(input?.value, 10);
+      return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    };
+    this.currentSettings.tsnePerplexity = readInt(this.tsneInputs.perplexity, 30, 2, 100);
+    this.currentSettings.tsneIterations = readInt(this.tsneInputs.iterations, 1000, 50, 5000);
+    console.log('t-SNE settings changed:', this.currentSettings.tsnePerplexity, this.currentSettings.tsneIterations);
+    if (this.currentSettings.layout === 'tsne') {
+      this.refreshVisualization();
+    }
+  }
+  
+  /**
+   * Get the feature column and t-SNE options for prepareVisualizationData
+   * @returns {Object} { featureColumns, tsnePerplexity, tsneIterations }
+   */
+  getProjectionOptions() {
+    return {
+      featureColumns: this.currentSettings.featureColumns,
+      tsnePerplexity: this.currentSettings.tsnePerplexity,
+      tsneIterations: this.currentSettings.tsneIterations
+    };
+  }
+  
+  /**
+   * Get the clustering and seed options for prepareVisualizationData
+   * @returns {Object} { kmeansClusters, kmeansAutoK, kmeansAutoMethod, kmeansMaxK, kmeansRestarts, seed, dbscanEps, dbscanMinPts,
+   *   hierarchicalLinkage, hierarchicalClusters, clusterFeatures, clusterScaling }
+   */
+  getLayoutOptions() {
+    const {
+      kmeansClusters, kmeansAutoK, kmeansAutoMethod, kmeansMaxK, kmeansRestarts, seed,
+      dbscanEps, dbscanMinPts, hierarchicalLinkage, hierarchicalClusters, clusterFeatures, clusterScaling
+    } = this.currentSettings;
+    return {
+      kmeansClusters, kmeansAutoK, kmeansAutoMethod, kmeansMaxK, kmeansRestarts, seed,
+      dbscanEps, dbscanMinPts, hierarchicalLinkage, hierarchicalClusters, clusterFeatures, clusterScaling
+    };
+  }
+  
+  /**
+   * Triggered when a K-Means or DBSCAN input changes
+   */
+  updateClusteringSettings() {
+    const readInt = (input, fallback, min, max) => {
+      const value = parseInt(input?.value, 10);
+      return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+    };
+    this.currentSettings.kmeansClusters = readInt(this.kmeansClustersInput, 3, 1, 50);
+    this.currentSettings.kmeansAutoK = !!this.kmeansAutoCheckbox?.checked;
+    this.currentSettings.kmeansAutoMethod = this.kmeansAutoMethodSelect?.value || 'silhouette';
+    this.currentSettings.kmeansMaxK = readInt(this.kmeansMaxKInput, 10, 2, 20);
+    this.currentSettings.kmeansRestarts = readInt(this.kmeansRestartsInput, 10, 1, 50);
+    const eps = parseFloat(this.dbscanInputs.eps?.value);
+    this.currentSettings.dbscanEps = eps > 0 ? Math.min(eps, 1) : 0.05;
+    this.currentSettings.dbscanMinPts = readInt(this.dbscanInputs.minPts, 5, 1, 100);
+    console.log('Clustering settings changed:', this.getLayoutOptions());
+    this.syncClusteringControls();
+    if (this.currentSettings.layout === 'kmeans' || this.currentSettings.layout === 'dbscan') {
+      this.updateLayout(); // Re-run layout if K changes
+    }
+  }
+  
+  /**
+   * Triggered when the random seed changes
+   */
+  updateSeed() {
+    const value = parseInt(this.seedInput?.value, 10);
+    this.currentSettings.seed = Number.isFinite(value) ? value : 42;
+    console.log('Random seed changed to:', this.currentSettings.seed);
+    if (['kmeans', 'tsne', 'force'].includes(this.currentSettings.layout)) {
+      this.refreshVisualization();
+    }
+  }
+  
+  /**
+   * Show the K-Means and seed settings in their controls
+   */
+  syncClusteringControls() {
+    const current = this.currentSettings;
+    if (this.kmeansClustersInput) {
+      this.kmeansClustersInput.value = current.kmeansClusters;
+      // Auto K shows the chosen K in the disabled input instead
+      if (this.layoutSelect && !this.layoutSelect.disabled) this.kmeansClustersInput.disabled = !!current.kmeansAutoK;
+    }
+    if (this.kmeansAutoCheckbox) this.kmeansAutoCheckbox.checked = !!current.kmeansAutoK;
+    if (this.kmeansAutoOptionsDiv) this.kmeansAutoOptionsDiv.style.display = current.kmeansAutoK ? 'block' : 'none';
+    if (this.kmeansAutoMethodSelect) this.kmeansAutoMethodSelect.value = current.kmeansAutoMethod;
+    if (this.kmeansMaxKInput) this.kmeansMaxKInput.value = current.kmeansMaxK;
+    if (this.kmeansRestartsInput) this.kmeansRestartsInput.value = current.kmeansRestarts;
+    if (this.seedInput) this.seedInput.value = current.seed;
+    if (this.dbscanInputs.eps) this.dbscanInputs.eps.value = current.dbscanEps;
+    if (this.dbscanInputs.minPts) this.dbscanInputs.minPts.value = current.dbscanMinPts;
+    if (this.hierarchicalLinkageSelect) this.hierarchicalLinkageSelect.value = current.hierarchicalLinkage;
+    if (this.hierarchicalClustersInput) this.hierarchicalClustersInput.value = current.hierarchicalClusters;
+    if (this.clusterScalingSelect) this.clusterScalingSelect.value = current.clusterScaling;
+  }
+  
+  /**
+   * Re-cut the tree of the hierarchical layout and recolour the points in place
+   * @param {{height: number}|{clusters: number}} cut - Cut height (from the dendrogram) or cluster count
+   */
+  cutHierarchy(cut) {
+    const clustering = this.dataProcessor.clusteringInfo;
+    if (!clustering || clustering.method !== 'hierarchical') return;
+    
+    try {
+      const points = this.scene3D.dataPoints;
+      this.dataProcessor.cutHierarchicalLayout(points, cut);
+      const colors = points.map(point => point.color);
+      this.scene3D.updateColors(colors);
+      this.colorLegend.update(this.dataProcessor.colorLegend, points);
+      this.applyBrushes();
+      this.updateEnvelopes();
+      this.dendrogram.setCut(clustering.cutHeight, colors);
+      this.updateClusterSummary();
+      
+      this.currentSettings.hierarchicalClusters = clustering.clusterCount;
+      if (this.hierarchicalClustersInput) this.hierarchicalClustersInput.value = clustering.clusterCount;
+      this.updateDataInfo();
+    } catch (error) {
+      console.error('Error cutting the cluster tree:', error);
+      this.showError('Failed to update clusters: ' + error.message);
+    }
+  }
+  
+  /**
+   * Highlight and select the points under a dendrogram branch, so the pick reaches the table and selection sets
+   * @param {Array<number>|null} leaves - Point indices, or null to clear
+   */
+  selectBranch(leaves) {
+    // Branch highlights replace outlier highlights
+    if (this.currentSettings.highlightOutliers && this.detectOutliersBtn) {
+      this.currentSettings.highlightOutliers = false;
+      this.detectOutliersBtn.textContent = 'Highlight Outliers';
+      this.detectOutliersBtn.classList.remove('active');
+    }
+    if (!leaves) {
+      this.scene3D.clearHighlights();
+      this.scene3D.clearSelection();
+      this.handleSceneSelection([]);
+      return;
+    }
+    const selected = new Set(leaves);
+    const others = this.scene3D.dataPoints.map((_, index) => index).filter(index => !selected.has(index));
+    this.scene3D.highlightNodes(leaves, others);
+    this.scene3D.setSelection(leaves);
+    this.handleSceneSelection(this.scene3D.getSelectedIndices());
+    this.showStatus(`Selected the ${leaves.length} points under the branch.`);
+  }
+  
+  /**
+   * Plot the auto K score curve of the last K-Means layout, marking the chosen K
+   */
+  renderKMeansScores() {
+    if (!this.kmeansScoreChart) return;
+    this.kmeansScoreChart.innerHTML = '';
+    const info = this.dataProcessor.clusteringInfo;
+    if (!info || !info.autoK) {
+      this.kmeansScoreChart.style.display = 'none';
+      return;
+    }
+    this.kmeansScoreChart.style.display = 'block';
+    
+    const { method, scores } = info.autoK;
+    const key = method === 'elbow' ? 'inertia' : 'silhouette';
+    const points = scores.filter(score => score[key] !== null);
+    const values = points.map(point => point[key]);
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const minK = points[0].k;
+    const kRange = points[points.length - 1].k - minK || 1;
+    
+    const width = 240;
+    const height = 120;
+    const pad = { left: 10, right: 10, top: 20, bottom: 20 };
+    const toX = k => pad.left + (k - minK) / kRange * (width - pad.left - pad.right);
+    const toY = value => height - pad.bottom - (value - min) / range * (height - pad.top - pad.bottom);
+    
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const create = (tag, attributes, text) => {
+      const element = document.createElementNS(svgNS, tag);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      if (text !== undefined) element.textContent = text;
+      return element;
+    };
+    const svg = create('svg', { viewBox: `0 0 ${width} ${height}` });
+    svg.appendChild(create('text', { x: pad.left, y: 13, fill: '#dddddd', 'font-size': 11 },
+      method === 'elbow' ? `Inertia by K (elbow at ${info.k})` : `Silhouette by K (best at ${info.k})`));
+    svg.appendChild(create('polyline', {
+      points: points.map(point => `${toX(point.k)},${toY(point[key])}`).join(' '),
+      fill: 'none',
+      stroke: '#03a9f4',
+      'stroke-width': 2
+    }));
+    points.forEach(point => {
+      const chosen = point.k === info.k;
+      const dot = create('circle', {
+        cx: toX(point.k),
+        cy: toY(point[key]),
+        r: chosen ? 5 : 3,
+        fill: chosen ? '#ffaa00' : '#03a9f4'
+      });
+      dot.appendChild(create('title', {}, `K=${point.k}: ${key} ${point[key].toPrecision(4)}`));
+      svg.appendChild(dot);
+      svg.appendChild(create('text', { x: toX(point.k), y: height - 5, fill: '#aaaaaa', 'font-size': 10, 'text-anchor': 'middle' }, point.k));
+    });
+    this.kmeansScoreChart.appendChild(svg);
+  }
+  
+  /**
+   * Run the prepared t-SNE embedding on its worker, moving the points as it converges
+   */
+  startEmbedding() {
+    this.cancelEmbedding();
+    try {
+      const job = this.dataProcessor.runTSNE(({ iteration, iterations, positions }) => {
+        this.scene3D.updatePositions(positions);
+        this.showStatus(`t-SNE iteration ${iteration} / ${iterations}`);
+      });
+      this.activeEmbedding = job;
+      if (this.tsneStopBtn) this.tsneStopBtn.disabled = false;
+      this.showStatus('t-SNE: finding neighbours...');
+      
+      job.promise
+        .then(({ positions }) => {
+          this.scene3D.updatePositions(positions, true);
+          this.updateLayoutOverlays();
+          this.showStatus('t-SNE complete');
+        })
+        .catch(error => {
+          if (error.canceled) {
+            this.showStatus('t-SNE stopped');
+            return;
+          }
+          console.error('t-SNE error:', error);
+          this.showError(error.message);
+        })
+        .finally(() => {
+          if (this.activeEmbedding === job) {
+            this.activeEmbedding = null;
+            if (this.tsneStopBtn) this.tsneStopBtn.disabled = true;
+          }
+        });
+    } catch (error) {
+      console.error('Failed to start t-SNE:', error);
+      this.showError('Failed to start t-SNE: ' + error.message);
+    }
+  }
+  
+  /**
+   * Stop the running t-SNE embedding, if any; points keep their latest positions
+   */
+  cancelEmbedding() {
+    if (this.activeEmbedding) {
+      const job = this.activeEmbedding;
+      this.activeEmbedding = null;
+      if (this.tsneStopBtn) this.tsneStopBtn.disabled = true;
+      job.cancel();
+      // Connections and axes were not updated while the points moved
+      this.scene3D.updatePositions(this.scene3D.dataPoints.map(point => point.position), true);
+    }
+  }
+  
+  /**
+   * Pick node id and edge columns for a new dataset from their names
+   */
+  resetGraphMapping() {
+    const detected = this.dataProcessor.detectEdgeColumns(this.dataProcessor.dataColumns);
+    this.currentSettings.graphIdColumn = detected.id;
+    this.currentSettings.graphSourceColumn = detected.source || detected.id;
+    this.currentSettings.graphTargetColumn = detected.target;
+    this.currentSettings.graphWeightColumn = this.dataProcessor.metaData.numericColumns.includes(detected.weight) ? detected.weight : '';
+    // Without edge columns in the table, a loaded edge list is the only source
+    this.currentSettings.graphEdgeSource = !detected.target && this.dataProcessor.edgeList ? 'file' : 'columns';
+    this.syncGraphControls();
+  }
+  
+  /**
+   * Show the network layout settings in their controls
+   */
+  syncGraphControls() {
+    const current = this.currentSettings;
+    if (this.graphSelects.id) this.graphSelects.id.value = current.graphIdColumn;
+    if (this.graphSelects.edgeSource) this.graphSelects.edgeSource.value = current.graphEdgeSource;
+    if (this.graphSelects.source) this.graphSelects.source.value = current.graphSourceColumn;
+    if (this.graphSelects.target) this.graphSelects.target.value = current.graphTargetColumn;
+    if (this.graphSelects.weight) this.graphSelects.weight.value = current.graphWeightColumn;
+    
+    const fromFile = current.graphEdgeSource === 'file';
+    const columnEdges = document.getElementById('graph-column-edges');
+    const fileEdges = document.getElementById('graph-file-edges');
+    if (columnEdges) columnEdges.style.display = fromFile ? 'none' : 'block';
+    if (fileEdges) fileEdges.style.display = fromFile ? 'block' : 'none';
+    
+    if (this.edgeListInfo) {
+      const edgeList = this.dataProcessor?.edgeList;
+      this.edgeListInfo.textContent = edgeList
+        ? `${edgeList.name}: ${edgeList.rows.length.toLocaleString()} edges (${edgeList.source} → ${edgeList.target}${edgeList.weight ? `, weight: ${edgeList.weight}` : ''})`
+        : 'No edge list loaded';
+    }
+  }
+  
+  /**
+   * Triggered when a network layout column or the edge source changes
+   */
+  updateGraphSettings() {
+    this.currentSettings.graphIdColumn = this.graphSelects.id?.value || '';
+    this.currentSettings.graphEdgeSource = this.graphSelects.edgeSource?.value || 'columns';
+    this.currentSettings.graphSourceColumn = this.graphSelects.source?.value || '';
+    this.currentSettings.graphTargetColumn = this.graphSelects.target?.value || '';
+    this.currentSettings.graphWeightColumn = this.graphSelects.weight?.value || '';
+    console.log('Graph settings changed:', this.getGraphOptions());
+    this.syncGraphControls();
+    if (this.currentSettings.layout === 'force') {
+      this.refreshVisualization();
+    }
+  }
+  
+  /**
+   * Get the network layout options for prepareVisualizationData
+   * @returns {Object} { graphIdColumn, graphEdgeSource, graphSourceColumn, graphTargetColumn, graphWeightColumn }
+   */
+  getGraphOptions() {
+    const { graphIdColumn, graphEdgeSource, graphSourceColumn, graphTargetColumn, graphWeightColumn } = this.currentSettings;
+    return { graphIdColumn, graphEdgeSource, graphSourceColumn, graphTargetColumn, graphWeightColumn };
+  }
+  
+  /**
+   * Load an edge list CSV chosen in the edge file input
+   * @param {Event} event - File input change event
+   */
+  handleEdgeFileInput(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        this.dataProcessor.processEdgeListCSV(e.target.result, file.name);
+        this.currentSettings.graphEdgeSource = 'file';
+        this.syncGraphControls();
+        this.showStatus(`Loaded ${this.dataProcessor.edgeList.rows.length.toLocaleString()} edges from ${file.name}`);
+        if (this.currentSettings.layout === 'force' && this.dataProcessor.processedData) {
+          this.refreshVisualization();
+        }
+      } catch (error) {
+        console.error('Error loading edge list:', error);
+        this.showError('Failed to load edge list: ' + error.message);
+      }
+    };
+    reader.onerror = (error) => {
+      console.error('FileReader error:', error);
+      this.showError('Failed to read edge list file');
+    };
+    reader.readAsText(file);
+  }
+  
+  /**
+   * Animate the network layout prepared by the last visualization update.
+   * A simulation reused from an earlier refresh may already be settled; it stays available to re-heat.
+   */
+  startSimulation() {
+    this.stopSimulation();
+    this.simulation = this.dataProcessor.graph.simulation;
+    this.simulationPaused = false;
+    if (this.simulation.isSettled()) {
+      this.showStatus('Network layout settled');
+      this.updateSimulationButtons();
+      return;
     }
+    this.showStatus('Network layout running...');
+    this.scheduleSimulationFrame();
   }
   
   /**
-   * Save current scene
+   * Request the next simulation step
    */
-  saveScene() {
-    try {
-      console.log('Saving scene');
-      this.showStatus('Saving scene...');
-      
-      // Get scene data
-      const sceneData = this.scene3D.getSceneData();
-      
-      // Add data processor state
-      sceneData.dataInfo = this.dataProcessor.getDataInfo();
-      sceneData.settings = this.currentSettings;
-      
-      // Use Electron API to save
-      this.electronAPI.saveScene(sceneData)
-        .then(result => {
-          if (result.success) {
-            this.showStatus('Scene saved successfully');
-          } else {
-            this.showError('Failed to save scene: ' + (result.error || 'Unknown error'));
-          }
-        })
-        .catch(error => {
-          console.error('Error saving scene:', error);
-          this.showError('Failed to save scene: ' + error.message);
-        });
-    } catch (error) {
-      console.error('Save scene error:', error);
-      this.showError('Failed to save scene: ' + error.message);
+  scheduleSimulationFrame() {
+    if (this.simulationFrame === null) {
+      this.simulationFrame = requestAnimationFrame(() => this.stepSimulation());
     }
+    this.updateSimulationButtons();
   }
   
   /**
-   * Save data as JSON file (browser fallback)
-   * @param {Object} data - Data to save
-   * @param {string} filename - Filename
+   * Tick the simulation for one frame and move the nodes
    */
-  saveDataAsJson(data, filename) {
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
+  stepSimulation() {
+    this.simulationFrame = null;
+    const simulation = this.simulation;
+    if (!simulation || this.simulationPaused) return;
     
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.click();
+    // As many ticks as fit in the frame budget, but at least one
+    const start = performance.now();
+    do {
+      simulation.tick();
+    } while (!simulation.isSettled() && performance.now() - start < SIMULATION_FRAME_BUDGET_MS);
     
-    URL.revokeObjectURL(url);
+    const positions = this.dataProcessor.scaleEmbedding(simulation.positions);
+    if (simulation.isSettled()) {
+      this.scene3D.updatePositions(positions, true);
+      this.updateLayoutOverlays();
+      this.showStatus('Network layout settled');
+      this.updateSimulationButtons();
+      return;
+    }
+    this.scene3D.updatePositions(positions);
+    this.scheduleSimulationFrame();
   }
   
   /**
-   * Export screenshot of the visualization
+   * Pause or resume the network layout
    */
-  exportScreenshot() {
-    try {
-      console.log('Exporting screenshot');
-      this.showStatus('Exporting screenshot...');
-      
-      // Get screenshot from scene
-      const dataUrl = this.scene3D.exportScreenshot();
-      
-      // Use Electron API to save
-      this.electronAPI.exportScreenshot(dataUrl)
-        .then(result => {
-          if (result.success) {
-            this.showStatus('Screenshot exported successfully');
-          } else {
-            this.showError('Failed to export screenshot: ' + (result.error || 'Unknown error'));
-          }
-        })
-        .catch(error => {
-          console.error('Error exporting screenshot:', error);
-          this.showError('Failed to export screenshot: ' + error.message);
-        });
-    } catch (error) {
-      console.error('Export screenshot error:', error);
-      this.showError('Failed to export screenshot: ' + error.message);
+  toggleSimulationPaused() {
+    if (!this.simulation || this.simulation.isSettled()) return;
+    this.simulationPaused = !this.simulationPaused;
+    if (this.simulationPaused) {
+      // Connections and axes follow the nodes only once they stop
+      this.scene3D.updatePositions(this.dataProcessor.scaleEmbedding(this.simulation.positions), true);
+      this.showStatus('Network layout paused');
+      this.updateSimulationButtons();
+    } else {
+      this.showStatus('Network layout running...');
+      this.scheduleSimulationFrame();
     }
   }
   
   /**
-   * Show an error message to the user
-   * @param {string} message - Error message
+   * Heat the network layout up again so it can escape its current arrangement
    */
-  showError(message) {
-    console.error(message);
-    if (this.statusElement) {
-      this.statusElement.textContent = message;
-      this.statusElement.className = 'error';
-    } else {
-      // Fallback if status element isn't available yet
-      const errorMsg = document.getElementById('errorMessage');
-      if (errorMsg) {
-        errorMsg.textContent = message;
-        errorMsg.style.display = 'block';
-      } else {
-        alert('Error: ' + message);
-      }
-    }
+  reheatSimulation() {
+    if (!this.simulation) return;
+    this.simulation.reheat();
+    this.simulationPaused = false;
+    this.showStatus('Network layout running...');
+    this.scheduleSimulationFrame();
   }
   
   /**
-   * Show a status message to the user
-   * @param {string} message - Status message
+   * Stop animating the network layout
    */
-  showStatus(message) {
-    console.log(message);
-    if (this.statusElement) {
-      this.statusElement.textContent = message;
-      this.statusElement.className = '';
+  stopSimulation() {
+    if (this.simulationFrame !== null) {
+      cancelAnimationFrame(this.simulationFrame);
+      this.simulationFrame = null;
     }
+    this.simulation = null;
+    this.simulationPaused = false;
+    this.updateSimulationButtons();
   }
   
   /**
-   * Show or hide the loading indicator
-   * @param {boolean} show - Whether to show the loading indicator
+   * Enable the pause/re-heat buttons to match the simulation state
    */
-  showLoading(show) {
-    if (this.loadingIndicator) {
-      this.loadingIndicator.style.display = show ? 'block' : 'none';
+  updateSimulationButtons() {
+    const running = !!this.simulation && !this.simulation.isSettled();
+    if (this.graphPauseBtn) {
+      this.graphPauseBtn.disabled = !running;
+      this.graphPauseBtn.textContent = this.simulationPaused ? 'Resume' : 'Pause';
     }
+    if (this.graphReheatBtn) this.graphReheatBtn.disabled = !this.simulation;
   }
   
   /**
-   * Update node shape based on user selection
+   * Describe the current K-Means or DBSCAN clustering
+   * @returns {string} HTML, empty when the layout is not a clustering layout
    */
-  updateNodeShape() {
-    try {
-      if (!this.nodeShapeSelect || !this.scene3D) return;
-      
-      const shape = this.nodeShapeSelect.value;
-      console.log('Updating node shape to:', shape);
-      
-      this.currentSettings.nodeShape = shape;
-      
-      // Update node shape in 3D scene
-      this.scene3D.updateNodeShape(shape);
-      
-      this.showStatus(`Node shape updated to ${shape}`);
-    } catch (error) {
-      console.error('Node shape update error:', error);
-      this.showError('Failed to update node shape: ' + error.message);
+  getClusteringInfoHtml() {
+    const clustering = this.dataProcessor.clusteringInfo;
+    if (!clustering) return '';
+    const features = `<p>Features (${clustering.scaling === 'zscore' ? 'z-score' : 'min-max'}): ${clustering.features.join(', ')}</p>`;
+    if (clustering.method === 'hierarchical') {
+      return `<h4>Hierarchical (${clustering.linkage} linkage)</h4>` +
+        `<p>${clustering.clusterCount} clusters at height ${clustering.cutHeight.toPrecision(4)}</p>` + features +
+        `<p>Labels are in the <strong>${clustering.column}</strong> column.</p>`;
+    }
+    if (clustering.method === 'dbscan') {
+      return `<h4>DBSCAN (eps = ${clustering.eps}, min points = ${clustering.minPts})</h4>` +
+        `<p>${clustering.clusterCount} clusters, ${clustering.noiseCount} noise points</p>` + features +
+        `<p>Labels are in the <strong>${clustering.column}</strong> column.</p>`;
     }
+    let html = `<h4>K-Means (K = ${clustering.k})</h4>`;
+    if (clustering.autoK) {
+      html += `<p>K chosen by ${clustering.autoK.method === 'elbow' ? 'the elbow of the inertia curve' : 'the best silhouette score'} over K = 1..${clustering.autoK.maxK}</p>`;
+    }
+    html += `<p>Inertia ${clustering.inertia.toPrecision(4)}, best of ${clustering.restarts} restarts, seed ${clustering.seed}</p>`;
+    return html;
   }
   
   /**
-   * Populate column selectors (color and filter)
+   * Describe the current network layout
+   * @returns {string} HTML, empty when the layout is not a network
    */
-  populateColumnSelectors() {
-    if (!this.dataProcessor || !this.dataProcessor.dataColumns) return;
+  getGraphInfoHtml() {
+    const graph = this.dataProcessor.graph;
+    if (!graph) return '';
+    const connected = new Set();
+    graph.edges.forEach(({ source, target }) => {
+      connected.add(source);
+      connected.add(target);
+    });
     
-    const columns = this.dataProcessor.dataColumns;
-    console.log('Populating column selectors with:', columns);
-
-    const populate = (selectElement) => {
-      if (!selectElement) return;
-      // Clear existing options except the first default one
-      while (selectElement.options.length > 1) {
-        selectElement.remove(1);
-      }
-      // Add new options
-      columns.forEach(col => {
-        const option = document.createElement('option');
-        option.value = col;
-        option.textContent = col;
-        selectElement.appendChild(option);
-      });
-    };
-
-    populate(this.colorColumnSelect);
-    populate(this.filterColumnSelect);
-
-    const populateNumeric = (selectElement) => {
-        if (!selectElement) return;
-        while (selectElement.options.length > 1) selectElement.remove(1);
-        this.dataProcessor.metaData.numericColumns.forEach(col => {
-            // Avoid adding internal columns like _index, _derived_y etc.
-            if (!col.startsWith('_')) {
-                const option = document.createElement('option');
-                option.value = col;
-                option.textContent = col;
-                selectElement.appendChild(option);
-            }
-        });
-    };
-    // Populate correlation dropdowns with only numeric columns
-    populateNumeric(this.corrCol1Select);
-    populateNumeric(this.corrCol2Select);
+    let html = `<h4>Network</h4>`;
+    html += `<p>${graph.nodeCount} nodes, ${graph.edges.length} edges`;
+    html += graph.edgeSource === 'file' ? ` from ${this.dataProcessor.edgeList.name}</p>` : ` (${graph.columns.source} → ${graph.columns.target})</p>`;
+    if (graph.nodeCount > connected.size) {
+      html += `<p>${graph.nodeCount - connected.size} nodes have no edges</p>`;
+    }
+    if (graph.skipped > 0) {
+      html += `<p>${graph.skipped} edges skipped (unknown, filtered-out or self-linked nodes)</p>`;
+    }
+    if (graph.columns.weight) {
+      html += `<p>Edge opacity: ${graph.columns.weight} (${graph.minWeight} to ${graph.maxWeight})</p>`;
+    }
+    return html;
   }
   
   /**
@@ -924,6 +3165,145 @@ class UIController {
     this.refreshVisualization(); // Refresh needed to apply new colors
   }
 
+  /**
+   * Fill a palette select with the palettes for a colour map type
+   * @param {HTMLSelectElement} selectElement - Select to fill
+   * @param {string} kind - 'numeric' or 'categorical'
+   * @param {string} selected - Palette to select
+   */
+  populatePaletteSelect(selectElement, kind, selected) {
+    if (!selectElement) return;
+    selectElement.innerHTML = '';
+    ColorPalettes.list(kind).forEach(palette => {
+      const option = document.createElement('option');
+      option.value = palette.name;
+      option.textContent = palette.label;
+      selectElement.appendChild(option);
+    });
+    selectElement.value = ColorPalettes.resolve(selected, kind);
+  }
+  
+  /**
+   * Triggered when a palette selection changes
+   * @param {string} setting - 'numericPalette' or 'categoricalPalette'
+   * @param {string} palette - Palette name
+   */
+  updatePalette(setting, palette) {
+    this.currentSettings[setting] = palette;
+    console.log(`${setting} changed to: ${palette}`);
+    this.refreshVisualization();
+  }
+  
+  /**
+   * Override the colour of one category (from the legend colour picker)
+   * @param {string} column - Colour column
+   * @param {string} category - Category value
+   * @param {string} color - Hex colour
+   */
+  setCategoryColor(column, category, color) {
+    const overrides = this.currentSettings.colorOverrides;
+    overrides[column] = { ...(overrides[column] || {}), [category]: color };
+    console.log(`Colour of ${column} = ${category} set to ${color}`);
+    this.refreshVisualization();
+  }
+  
+  /**
+   * Drop all category colour overrides and go back to the palette colours
+   */
+  resetCategoryColors() {
+    this.currentSettings.colorOverrides = {};
+    this.refreshVisualization();
+  }
+  
+  /**
+   * Get the colour options for prepareVisualizationData
+   * @returns {Object} { numericPalette, categoricalPalette, colorOverrides }
+   */
+  getColorOptions() {
+    return {
+      numericPalette: this.currentSettings.numericPalette,
+      categoricalPalette: this.currentSettings.categoricalPalette,
+      colorOverrides: this.currentSettings.colorOverrides
+    };
+  }
+
+  /**
+   * Get the filter options for prepareVisualizationData and applyFilters
+   * @returns {Object} { filterColumn, filterValue, filterExpression }, plus brushes in filter mode
+   */
+  getFilterOptions() {
+    const { filterColumn, filterValue, filterExpression, brushes, brushMode } = this.currentSettings;
+    // Highlighting brushes only dim points, so they leave the rows alone
+    return brushMode === 'filter'
+      ? { filterColumn, filterValue, filterExpression, brushes }
+      : { filterColumn, filterValue, filterExpression };
+  }
+
+  /**
+   * Get the axis mapping options for prepareVisualizationData
+   * @returns {Object} xColumn, yColumn, zColumn and invert flags from currentSettings
+   */
+  getAxisOptions() {
+    const { xColumn, yColumn, zColumn, invertX, invertY, invertZ } = this.currentSettings;
+    return { xColumn, yColumn, zColumn, invertX, invertY, invertZ };
+  }
+  
+  /**
+   * Reset the axis mapping to the first three numeric columns
+   */
+  resetAxisMapping() {
+    const numericColumns = this.dataProcessor?.metaData?.numericColumns || [];
+    this.currentSettings.xColumn = numericColumns[0] || '';
+    this.currentSettings.yColumn = numericColumns[1] || '';
+    this.currentSettings.zColumn = numericColumns[2] || '';
+    this.currentSettings.invertX = false;
+    this.currentSettings.invertY = false;
+    this.currentSettings.invertZ = false;
+    this.syncAxisControls();
+  }
+  
+  /**
+   * Update the axis selects and invert checkboxes from currentSettings
+   */
+  syncAxisControls() {
+    ['x', 'y', 'z'].forEach(axis => {
+      const upper = axis.toUpperCase();
+      if (this.axisSelects[axis]) this.axisSelects[axis].value = this.currentSettings[`${axis}Column`] || '';
+      if (this.axisInvertCheckboxes[axis]) this.axisInvertCheckboxes[axis].checked = !!this.currentSettings[`invert${upper}`];
+    });
+  }
+  
+  /**
+   * Triggered when an axis column or invert toggle changes
+   */
+  updateAxisMapping() {
+    ['x', 'y', 'z'].forEach(axis => {
+      const upper = axis.toUpperCase();
+      if (this.axisSelects[axis]) this.currentSettings[`${axis}Column`] = this.axisSelects[axis].value;
+      if (this.axisInvertCheckboxes[axis]) this.currentSettings[`invert${upper}`] = this.axisInvertCheckboxes[axis].checked;
+    });
+    console.log('Axis mapping changed:', this.getAxisOptions());
+    this.refreshVisualization();
+  }
+  
+  /**
+   * Swap the column and invert flag of two axes
+   * @param {string} axisA - First axis ('x', 'y' or 'z')
+   * @param {string} axisB - Second axis ('x', 'y' or 'z')
+   */
+  swapAxes(axisA, axisB) {
+    const settings = this.currentSettings;
+    const columnA = `${axisA}Column`, columnB = `${axisB}Column`;
+    const invertA = `invert${axisA.toUpperCase()}`, invertB = `invert${axisB.toUpperCase()}`;
+    
+    [settings[columnA], settings[columnB]] = [settings[columnB], settings[columnA]];
+    [settings[invertA], settings[invertB]] = [settings[invertB], settings[invertA]];
+    
+    this.syncAxisControls();
+    this.showStatus(`Swapped ${axisA.toUpperCase()} and ${axisB.toUpperCase()} axes`);
+    this.refreshVisualization();
+  }
+  
   /**
    * Triggered when the apply filter button is clicked
    */
@@ -937,16 +3317,26 @@ class UIController {
     console.log(`UI: Apply Filter called. Column='${filterColumn}', Value='${filterValue}'`);
     // === End Log ===
 
-    // Update current settings only if a column is selected
-    // Allow empty value to clear filter for that column
+    // With a column selected the input is a value or a predicate for that column,
+    // otherwise it is treated as a full filter expression
+    const newSettings = filterColumn
+      ? { filterColumn, filterValue, filterExpression: '' }
+      : { filterColumn: '', filterValue: '', filterExpression: filterValue.trim() };
+
+    // Validate before touching the current settings so a typo doesn't drop the active filter
+    try {
+      this.dataProcessor.buildFilter(newSettings);
+    } catch (error) {
+      this.showError(`Invalid filter: ${error.message}`);
+      return;
+    }
+    Object.assign(this.currentSettings, newSettings);
+
     if (filterColumn) {
-        this.currentSettings.filterColumn = filterColumn;
-        this.currentSettings.filterValue = filterValue;
         this.showStatus(`Filtering ${filterColumn} for \'${filterValue}\'...`);
+    } else if (newSettings.filterExpression) {
+        this.showStatus(`Filtering by expression: ${newSettings.filterExpression}`);
     } else {
-        // If column is set back to 'None' or empty, clear the filter
-        this.currentSettings.filterColumn = '';
-        this.currentSettings.filterValue = '';
         this.showStatus('Filter cleared.');
     }
 
@@ -969,14 +3359,18 @@ class UIController {
       
       const layout = this.currentSettings.layout;
       const options = {
-        kmeansClusters: parseInt(this.kmeansClustersInput?.value || '3'),
+        ...this.getLayoutOptions(),
         colorColumn: this.currentSettings.colorColumn,
-        filterColumn: this.currentSettings.filterColumn,
-        filterValue: this.currentSettings.filterValue
+        ...this.getFilterOptions(),
+        ...this.getAxisOptions(),
+        ...this.getColorOptions(),
+        ...this.getProjectionOptions(),
+        ...this.getGraphOptions()
       };
       
       console.log('Refreshing visualization with options:', options);
       const visualizationData = this.dataProcessor.prepareVisualizationData(layout, options);
+      this.layoutBrushes = options.brushes || {};
       
       if (!visualizationData) {
         throw new Error('Failed to prepare visualization data with current settings.');
@@ -1002,22 +3396,12 @@ class UIController {
     console.log('Toggling outlier highlighting:', highlight);
     
     if (highlight) {
-      this.showLoading(true);
-      this.showStatus('Detecting outliers...');
-      try {
-        const outlierData = this.dataProcessor.detectOutliers(this.currentSettings.outlierThreshold || 1.5);
-        // Call the corrected method names in Scene3D
-        this.scene3D.highlightNodes(outlierData.outlierIndices, outlierData.nonOutlierIndices); // Use highlightNodes
+      if (this.runOutlierDetection()) {
         this.detectOutliersBtn.textContent = 'Clear Outlier Highlights';
         this.detectOutliersBtn.classList.add('active');
-        this.showStatus(`Highlighted ${outlierData.outlierIndices.length} potential outliers.`);
-      } catch (error) {
-        console.error('Outlier detection error:', error);
-        this.showError('Failed to detect outliers: ' + error.message);
-        this.currentSettings.highlightOutliers = false; 
+      } else {
+        this.currentSettings.highlightOutliers = false;
         this.detectOutliersBtn.classList.remove('active');
-      } finally {
-        this.showLoading(false);
       }
     } else {
       console.log('Clearing outlier highlights.');
@@ -1029,6 +3413,77 @@ class UIController {
     }
   }
   
+  /**
+   * Score the shown points with the selected outlier method, highlight those above its threshold
+   * and write the scores to a column
+   * @returns {boolean} False if detection failed
+   */
+  runOutlierDetection() {
+    const method = this.currentSettings.outlierMethod;
+    this.showLoading(true);
+    this.showStatus('Detecting outliers...');
+    try {
+      const points = this.scene3D.dataPoints;
+      const result = this.dataProcessor.detectOutliers(points, { method, threshold: this.getOutlierThreshold(method) });
+      this.scene3D.highlightNodes(result.outlierIndices, result.nonOutlierIndices);
+      
+      const column = this.dataProcessor.writeOutlierScoreColumn(points, result);
+      if (this.dataProcessor.dataColumns.join('\n') !== this.populatedColumns) {
+        this.populateColumnSelectors();
+      }
+      this.updateCorrelationMatrix();
+      this.updateDataInfo();
+      this.showStatus(`Highlighted ${result.outlierIndices.length} potential outliers; scores saved to the "${column}" column.`);
+      return true;
+    } catch (error) {
+      console.error('Outlier detection error:', error);
+      this.showError('Failed to detect outliers: ' + error.message);
+      return false;
+    } finally {
+      this.showLoading(false);
+    }
+  }
+  
+  /**
+   * Fill the outlier method select from the methods the data processor offers
+   */
+  populateOutlierMethods() {
+    if (!this.outlierMethodSelect) return;
+    this.outlierMethodSelect.innerHTML = '';
+    this.dataProcessor.getOutlierMethods().forEach(method => {
+      const option = document.createElement('option');
+      option.value = method.name;
+      option.textContent = method.label;
+      this.outlierMethodSelect.appendChild(option);
+    });
+    this.syncOutlierControls();
+  }
+  
+  /**
+   * Get the threshold of an outlier method: the user's value, or the method default
+   * @param {string} method - Outlier method name
+   * @returns {number} Threshold
+   */
+  getOutlierThreshold(method) {
+    const custom = (this.currentSettings.outlierThresholds || {})[method];
+    if (typeof custom === 'number') return custom;
+    const definition = this.dataProcessor.getOutlierMethods().find(entry => entry.name === method);
+    return definition ? definition.threshold : 0;
+  }
+  
+  /**
+   * Show the selected outlier method, its threshold and what its score means
+   */
+  syncOutlierControls() {
+    const method = this.currentSettings.outlierMethod;
+    const definition = this.dataProcessor.getOutlierMethods().find(entry => entry.name === method);
+    if (this.outlierMethodSelect) this.outlierMethodSelect.value = method;
+    if (this.outlierThresholdInput) this.outlierThresholdInput.value = this.getOutlierThreshold(method);
+    if (this.outlierMethodInfo && definition) {
+      this.outlierMethodInfo.textContent = `Score: ${definition.description.toLowerCase()}. Points scoring above the threshold are highlighted.`;
+    }
+  }
+  
   toggleCorrelationLines() {
     if (!this.showCorrelationBtn) return;
     this.currentSettings.showCorrelationLines = !this.currentSettings.showCorrelationLines;
@@ -1059,6 +3514,7 @@ class UIController {
     const col1 = this.corrCol1Select.value;
     const col2 = this.corrCol2Select.value;
     const threshold = parseFloat(this.corrThresholdInput.value);
+    const neighbors = this.corrNeighborsInput ? parseInt(this.corrNeighborsInput.value, 10) : this.currentSettings.correlationNeighbors;
 
     if (!col1 || !col2) {
         this.showError('Please select two numeric columns for correlation.');
@@ -1072,23 +3528,28 @@ class UIController {
         this.showError('Invalid correlation threshold.');
         return false;
     }
+    if (!(neighbors >= 2)) {
+        this.showError('Use at least 2 neighbours for local correlation.');
+        return false;
+    }
 
     this.currentSettings.correlationColumn1 = col1;
     this.currentSettings.correlationColumn2 = col2;
     this.currentSettings.correlationThreshold = threshold;
+    this.currentSettings.correlationNeighbors = neighbors;
 
     this.showLoading(true);
     this.showStatus(`Calculating correlations between ${col1} and ${col2}...`);
     try {
-        // Assuming calculateCorrelations returns an array of { point1Index, point2Index, correlationValue }
-        const correlationData = this.dataProcessor.calculateCorrelations(col1, col2, threshold);
+        // Pairs of neighbouring points { point1Index, point2Index, correlationValue } in strongly correlated regions
+        const correlationData = this.dataProcessor.calculateCorrelations(this.scene3D.dataPoints, col1, col2, threshold, neighbors);
         if (correlationData && correlationData.length > 0) {
             this.scene3D.drawCorrelationLines(correlationData); // Call Scene3D method
-            this.showStatus(`Showing ${correlationData.length} correlation lines (Threshold: ${threshold.toFixed(2)}).`);
+            this.showStatus(`Showing ${correlationData.length} local correlation lines (Threshold: ${threshold.toFixed(2)}, ${neighbors} neighbours).`);
             return true; // Success
         } else {
             this.scene3D.clearCorrelationLines(); // Clear any existing lines if none found now
-            this.showStatus(`No significant correlations found between ${col1} and ${col2} above threshold ${threshold.toFixed(2)}.`);
+            this.showStatus(`No regions where ${col1} and ${col2} correlate above ${threshold.toFixed(2)}.`);
             return true; // Technically success, just nothing to show
         }
     } catch (error) {
@@ -1114,8 +3575,22 @@ document.addEventListener('DOMContentLoaded', () => {
     { name: 'THREE', check: () => typeof THREE !== 'undefined' },
     { name: 'THREE.OrbitControls', check: () => typeof THREE !== 'undefined' && typeof THREE.OrbitControls === 'function' },
     { name: 'Papa', check: () => typeof Papa !== 'undefined' },
+    { name: 'FilterEngine', check: () => typeof FilterEngine !== 'undefined' },
+    { name: 'ColorPalettes', check: () => typeof ColorPalettes !== 'undefined' },
+    { name: 'MathUtils', check: () => typeof MathUtils !== 'undefined' },
+    { name: 'ForceSimulation', check: () => typeof ForceSimulation !== 'undefined' },
+    { name: 'KDTree', check: () => typeof KDTree !== 'undefined' },
+    { name: 'Envelopes', check: () => typeof Envelopes !== 'undefined' },
     { name: 'DataProcessor', check: () => typeof DataProcessor !== 'undefined' },
-    { name: 'Scene3D', check: () => typeof Scene3D !== 'undefined' }
+    { name: 'Scene3D', check: () => typeof Scene3D !== 'undefined' },
+    { name: 'ColorLegend', check: () => typeof ColorLegend !== 'undefined' },
+    { name: 'Dendrogram', check: () => typeof Dendrogram !== 'undefined' },
+    { name: 'ClusterSummary', check: () => typeof ClusterSummary !== 'undefined' },
+    { name: 'CorrelationHeatmap', check: () => typeof CorrelationHeatmap !== 'undefined' },
+    { name: 'ColumnStats', check: () => typeof ColumnStats !== 'undefined' },
+    { name: 'BrushPanel', check: () => typeof BrushPanel !== 'undefined' },
+    { name: 'DataTable', check: () => typeof DataTable !== 'undefined' },
+    { name: 'SelectionSetPanel', check: () => typeof SelectionSetPanel !== 'undefined' }
   ];
   
   const missing = dependencies.filter(dep => !dep.check());
@@ -18,6 +18,23 @@ function runTests() {
   
   // Load the DataProcessor class
   try {
+    // Helper modules are globals in the browser, expose them the same way here
+    require('./src/js/filterEngine.js');
+    global.FilterEngine = global.window.FilterEngine;
+    require('./src/js/colorPalettes.js');
+    global.ColorPalettes = global.window.ColorPalettes;
+    require('./src/js/mathUtils.js');
+    global.MathUtils = global.window.MathUtils;
+    require('./src/js/forceSimulation.js');
+    global.ForceSimulation = global.window.ForceSimulation;
+    require('./src/js/kdTree.js');
+    global.KDTree = global.window.KDTree;
+    require('./src/js/envelopes.js');
+    global.Envelopes = global.window.Envelopes;
+    // Scene and table classes, for their logic that needs no WebGL or DOM
+    require('./src/js/3dScene.js');
+    require('./src/js/dataTable.js');
+    
     require('./src/js/dataProcessor.js');
     
     if (!global.window.DataProcessor) {
@@ -157,6 +174,1201 @@ test('Handle invalid data', (DataProcessor) => {
   }
 });
 
+// Test axis column mapping and inversion
+test('Map and invert axis columns', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const jsonData = fs.readFileSync(path.join(__dirname, 'sample-data.json'), 'utf8');
+  processor.processFile({ content: jsonData, extension: '.json' });
+  
+  const result = processor.prepareVisualizationData('scatter', {
+    xColumn: 'value',
+    yColumn: 'x',
+    zColumn: 'category', // Not numeric, should fall back to the third numeric column
+    invertX: true
+  });
+  
+  const valueStats = processor.getColumnStats('value');
+  const maxRow = result.find(point => point.originalData.value === valueStats.max);
+  if (maxRow.position.x !== -50) {
+    throw new Error(`Expected inverted X of max value to be -50, got ${maxRow.position.x}`);
+  }
+  
+  const zStats = processor.getColumnStats('z');
+  const maxZRow = result.find(point => point.originalData.z === zStats.max);
+  if (maxZRow.position.z !== 50) {
+    throw new Error(`Expected non-numeric Z column to fall back to "z", got position ${maxZRow.position.z}`);
+  }
+});
+
+// Test axis annotations
+test('Build axis ticks in data units', (DataProcessor) => {
+  const processor = new DataProcessor();
+  
+  const ticks = processor.getNiceTicks(0.3, 9.7);
+  const values = ticks.map(tick => tick.value);
+  if (values.join(',') !== '2,4,6,8') {
+    throw new Error(`Unexpected tick values: ${values.join(',')}`);
+  }
+  if (processor.getNiceTicks(0, 1).map(tick => tick.label).join(',') !== '0.0,0.2,0.4,0.6,0.8,1.0') {
+    throw new Error('Tick labels should use the precision of the step');
+  }
+  
+  const jsonData = fs.readFileSync(path.join(__dirname, 'sample-data.json'), 'utf8');
+  processor.processFile({ content: jsonData, extension: '.json' });
+  processor.prepareVisualizationData('scatter', { xColumn: 'value', invertX: true });
+  
+  const xAxis = processor.axisInfo.x;
+  if (xAxis.column !== 'value' || !xAxis.inverted || xAxis.sceneMin !== 50) {
+    throw new Error('X axis info does not reflect the mapped, inverted column');
+  }
+  xAxis.ticks.forEach(tick => {
+    const expected = 50 - ((tick.value - xAxis.min) / (xAxis.max - xAxis.min)) * 100;
+    if (Math.abs(tick.position - expected) > 1e-9) {
+      throw new Error(`Tick ${tick.label} placed at ${tick.position}, expected ${expected}`);
+    }
+  });
+  
+  processor.prepareVisualizationData('grid');
+  if (processor.axisInfo !== null) {
+    throw new Error('Grid layout should not produce axis info');
+  }
+});
+
+// Test colour legend descriptions
+test('Describe the colour map as a legend', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const jsonData = fs.readFileSync(path.join(__dirname, 'sample-data.json'), 'utf8');
+  processor.processFile({ content: jsonData, extension: '.json' });
+  
+  const result = processor.prepareVisualizationData('scatter', { colorColumn: 'category' });
+  const legend = processor.colorLegend;
+  if (legend.type !== 'categorical' || legend.column !== 'category') {
+    throw new Error('Expected a categorical legend for the category column');
+  }
+  const total = legend.items.reduce((sum, item) => sum + item.count, 0);
+  if (total !== result.length) {
+    throw new Error(`Legend counts ${total} points, expected ${result.length}`);
+  }
+  legend.items.forEach(item => {
+    const point = result.find(p => String(p.originalData.category) === item.key);
+    if (!point || point.color !== item.color) {
+      throw new Error(`Legend colour for "${item.key}" does not match the rendered points`);
+    }
+  });
+  
+  processor.prepareVisualizationData('scatter', { colorColumn: 'value' });
+  const numeric = processor.colorLegend;
+  const stats = processor.getColumnStats('value');
+  if (numeric.type !== 'numeric' || numeric.min !== stats.min || numeric.max !== stats.max || numeric.stops.length < 2) {
+    throw new Error('Expected a numeric gradient legend spanning the column range');
+  }
+  
+  processor.prepareVisualizationData('kmeans', { kmeansClusters: 2 });
+  if (processor.colorLegend.field !== 'cluster' || processor.colorLegend.items.length === 0) {
+    throw new Error('K-means layout should produce a cluster legend');
+  }
+});
+
+// Test palettes and stable category colours
+test('Apply palettes and category colour overrides', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const jsonData = fs.readFileSync(path.join(__dirname, 'sample-data.json'), 'utf8');
+  processor.processFile({ content: jsonData, extension: '.json' });
+  
+  const first = processor.prepareVisualizationData('scatter', { colorColumn: 'category' });
+  const second = processor.prepareVisualizationData('scatter', { colorColumn: 'category' });
+  if (first.some((point, i) => point.color !== second[i].color)) {
+    throw new Error('Category colours should be the same on every refresh');
+  }
+  
+  const okabe = processor.createColorMap('category', processor.processedData, { categoricalPalette: 'okabe-ito' });
+  if (okabe.palette !== 'okabe-ito' || okabe.map.A !== ColorPalettes.getCategoricalColor('okabe-ito', 0)) {
+    throw new Error('Categorical palette was not applied in sorted category order');
+  }
+  
+  const overridden = processor.prepareVisualizationData('scatter', {
+    colorColumn: 'category',
+    colorOverrides: { category: { B: '#123456' } }
+  });
+  if (!overridden.filter(p => p.originalData.category === 'B').every(p => p.color === '#123456')) {
+    throw new Error('Category colour override was not applied');
+  }
+  
+  const numeric = processor.createColorMap('value', processor.processedData, { numericPalette: 'plasma' });
+  const stats = processor.getColumnStats('value');
+  if (processor.getColor(stats.min, numeric) !== '#0d0887' || processor.getColor(stats.max, numeric) !== '#f0f921') {
+    throw new Error('Numeric palette should span from its first to its last colour');
+  }
+  
+  // Unknown palettes fall back to the defaults instead of failing
+  if (processor.createColorMap('value', processor.processedData, { numericPalette: 'nope' }).palette !== ColorPalettes.DEFAULT_NUMERIC) {
+    throw new Error('Unknown numeric palette should fall back to the default');
+  }
+});
+
+// Test PCA projection layout
+test('Project rows onto principal components', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // b is a scaled copy of a and c is uncorrelated with both, so PC1 should carry a and b together
+  const rows = [];
+  for (let i = 0; i < 40; i++) {
+    const a = i;
+    rows.push({ a, b: a * 10 + 3, c: i % 4 === 0 || i % 4 === 3 ? 1 : -1, label: i % 2 ? 'odd' : 'even' });
+  }
+  processor.loadRows(rows, ['a', 'b', 'c', 'label']);
+  
+  const result = processor.prepareVisualizationData('pca', { featureColumns: ['a', 'b', 'c'] });
+  if (result.length !== rows.length) {
+    throw new Error(`Expected ${rows.length} points, got ${result.length}`);
+  }
+  
+  const [pc1, pc2] = processor.projectionInfo.components;
+  const totalVariance = processor.projectionInfo.components.reduce((sum, c) => sum + c.explainedVariance, 0);
+  if (Math.abs(totalVariance - 1) > 1e-9) {
+    throw new Error(`Explained variance should sum to 1 over all components, got ${totalVariance}`);
+  }
+  if (Math.abs(pc1.explainedVariance - 2 / 3) > 1e-6) {
+    throw new Error(`PC1 should explain 2/3 of the variance, got ${pc1.explainedVariance}`);
+  }
+  const loading = column => pc1.loadings.find(l => l.column === column).loading;
+  if (Math.abs(loading('a') - 1) > 1e-6 || Math.abs(loading('b') - 1) > 1e-6 || Math.abs(loading('c')) > 1e-6) {
+    throw new Error('PC1 loadings should be 1 for the correlated columns and 0 for the independent one');
+  }
+  if (Math.abs(pc2.loadings.find(l => l.column === 'c').loading) < 0.99) {
+    throw new Error('PC2 should be the independent column');
+  }
+  
+  // Rows are ordered along PC1 and the axes are labelled with the components
+  if (!(result[0].position.x < result[rows.length - 1].position.x)) {
+    throw new Error('First row should sit at the low end of PC1');
+  }
+  if (!processor.axisInfo.x.column.startsWith('PC1')) {
+    throw new Error('X axis should be labelled with PC1');
+  }
+  
+  // Large values with a small spread keep their standard deviation (timestamps, ids)
+  const offset = Array.from({ length: 1000 }, (_, i) => ({ t: 1.7e12 + (i % 10) }));
+  const { means, stdDevs } = processor.getColumnMoments(offset, ['t']);
+  const expectedStd = Math.sqrt(offset.reduce((sum, row) => sum + (row.t - means[0]) ** 2, 0) / 999);
+  if (Math.abs(means[0] - (1.7e12 + 4.5)) > 1e-3 || Math.abs(stdDevs[0] - expectedStd) > 1e-6 || Math.abs(stdDevs[0] - 2.87) > 0.01) {
+    throw new Error(`Expected a standard deviation of about 2.87, got ${stdDevs[0]}`);
+  }
+});
+
+// Test t-SNE layout preparation (the embedding itself runs on a worker)
+test('Prepare a seeded t-SNE layout', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const rows = [];
+  for (let i = 0; i < 50; i++) {
+    rows.push({ a: i % 5, b: i * 2, c: i % 3, label: i % 2 ? 'odd' : 'even' });
+  }
+  processor.loadRows(rows, ['a', 'b', 'c', 'label']);
+  
+  const options = { featureColumns: ['a', 'b'], tsnePerplexity: 10, tsneIterations: 300, seed: 7 };
+  const first = processor.prepareVisualizationData('tsne', options).map(point => point.position);
+  const firstInit = processor.pendingEmbedding.init;
+  const second = processor.prepareVisualizationData('tsne', options).map(point => point.position);
+  if (JSON.stringify(first) !== JSON.stringify(second)) {
+    throw new Error('The same seed should give the same starting positions');
+  }
+  if (processor.pendingEmbedding.rows.length !== rows.length || processor.pendingEmbedding.perplexity !== 10) {
+    throw new Error('Pending embedding should carry the rows and parameters for the worker');
+  }
+  if (processor.projectionInfo.method !== 'tsne' || processor.projectionInfo.columns.join() !== 'a,b') {
+    throw new Error('Projection info should describe the t-SNE run');
+  }
+  
+  processor.prepareVisualizationData('tsne', { ...options, seed: 8 });
+  if (processor.pendingEmbedding.init.every((value, i) => value === firstInit[i])) {
+    throw new Error('A different seed should give different starting positions');
+  }
+  
+  // A finished embedding (as runTSNE stores it) is reused for the same rows and parameters
+  const finished = rows.map((_, i) => ({ x: i, y: -i, z: 0 }));
+  processor.embeddingCache = { rows: processor.pendingEmbedding.rows, key: processor.pendingEmbedding.key, positions: finished };
+  const reused = processor.prepareVisualizationData('tsne', { ...options, seed: 8 }).map(point => point.position);
+  if (processor.pendingEmbedding !== null || JSON.stringify(reused) !== JSON.stringify(finished)) {
+    throw new Error('A finished embedding should be reused instead of run again');
+  }
+  processor.prepareVisualizationData('tsne', { ...options, seed: 8, tsnePerplexity: 12 });
+  if (!processor.pendingEmbedding) {
+    throw new Error('Changed parameters should run the embedding again');
+  }
+  
+  processor.prepareVisualizationData('grid');
+  if (processor.pendingEmbedding !== null || processor.projectionInfo !== null) {
+    throw new Error('Other layouts should clear the pending embedding');
+  }
+  
+  const large = Array.from({ length: 10001 }, (_, i) => ({ a: i, b: i % 7, c: i % 3 }));
+  processor.loadRows(large, ['a', 'b', 'c']);
+  let message = '';
+  try {
+    processor.prepareVisualizationData('tsne');
+  } catch (error) {
+    message = error.message;
+  }
+  if (!message.includes('10,000')) {
+    throw new Error(`Expected a row limit error, got "${message}"`);
+  }
+});
+
+// Test network layouts built from edge columns and from an edge list
+test('Build a force-directed network from edges', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const rows = [
+    { id: 'a', parent: '', size: 1, group: 'x' },
+    { id: 'b', parent: 'a', size: 2, group: 'x' },
+    { id: 'c', parent: 'a', size: 3, group: 'y' },
+    { id: 'd', parent: 'c', size: 4, group: 'y' },
+    { id: 'e', parent: 'zz', size: 5, group: 'y' }
+  ];
+  processor.loadRows(rows, ['id', 'parent', 'size', 'group']);
+  
+  const detected = processor.detectEdgeColumns(processor.dataColumns);
+  if (detected.id !== 'id' || detected.target !== 'parent') {
+    throw new Error(`Expected id/parent to be detected, got ${JSON.stringify(detected)}`);
+  }
+  
+  const result = processor.prepareVisualizationData('force', { graphIdColumn: 'id', graphTargetColumn: 'parent', colorColumn: 'group' });
+  const graph = processor.graph;
+  const pairs = graph.edges.map(edge => `${rows[edge.source].id}-${rows[edge.target].id}`).sort();
+  if (pairs.join() !== 'b-a,c-a,d-c') {
+    throw new Error(`Unexpected edges: ${pairs.join()}`);
+  }
+  if (graph.skipped !== 1) {
+    throw new Error(`The edge to an unknown id should be skipped, got ${graph.skipped}`);
+  }
+  if (result.length !== rows.length || processor.axisInfo !== null) {
+    throw new Error('Every row should be a node, without data axes');
+  }
+  
+  // Filtered-out nodes drop their edges
+  processor.prepareVisualizationData('force', { graphIdColumn: 'id', graphTargetColumn: 'parent', filterExpression: "id != 'c'" });
+  if (processor.graph.edges.length !== 1) {
+    throw new Error(`Expected one edge once c is filtered out, got ${processor.graph.edges.length}`);
+  }
+  
+  // Edge list ids are row numbers when no id column is chosen; weights are scaled to 0-1
+  const edgeList = processor.processEdgeListCSV('from,to,weight\n0,1,2\n1,2,4\n2,3,10\n3,9,1\n', 'edges.csv');
+  if (edgeList.source !== 'from' || edgeList.target !== 'to' || edgeList.weight !== 'weight') {
+    throw new Error('Edge list columns were not detected');
+  }
+  processor.prepareVisualizationData('force', { graphEdgeSource: 'file' });
+  const strengths = processor.graph.edges.map(edge => edge.strength);
+  if (strengths.join() !== '0,0.25,1' || processor.graph.skipped !== 1) {
+    throw new Error(`Unexpected edge strengths ${strengths.join()} or skipped count ${processor.graph.skipped}`);
+  }
+  
+  // The simulation pulls linked nodes together and settles
+  const simulation = processor.graph.simulation;
+  const distance = (i, j) => Math.hypot(...[0, 1, 2].map(c => simulation.positions[i * 3 + c] - simulation.positions[j * 3 + c]));
+  let ticks = 0;
+  while (!simulation.isSettled() && ticks < 1000) {
+    simulation.tick();
+    ticks++;
+  }
+  if (!simulation.isSettled() || !(distance(0, 1) < distance(0, 4))) {
+    throw new Error('Linked nodes should end up closer than unlinked ones');
+  }
+  
+  // A refresh that keeps the rows and edges continues from the settled positions
+  const settled = processor.scaleEmbedding(simulation.positions);
+  const refreshed = processor.prepareVisualizationData('force', { graphEdgeSource: 'file', colorColumn: 'group' });
+  if (processor.graph.simulation !== simulation || JSON.stringify(refreshed.map(point => point.position)) !== JSON.stringify(settled)) {
+    throw new Error('Refreshing the same network should keep its settled layout');
+  }
+  simulation.reheat();
+  if (simulation.isSettled()) {
+    throw new Error('Re-heating should restart the simulation');
+  }
+  
+  let message = '';
+  try {
+    processor.prepareVisualizationData('force', { graphIdColumn: 'group', graphTargetColumn: 'parent' });
+  } catch (error) {
+    message = error.message;
+  }
+  if (!message.includes('No edges found')) {
+    throw new Error(`Expected a missing edges error, got "${message}"`);
+  }
+});
+
+// Test seeded k-means++ clustering and automatic k selection
+test('Cluster reproducibly and choose k automatically', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // Three tight, well separated blobs
+  const centers = [[0, 0, 0], [100, 0, 50], [0, 100, 100]];
+  const rows = [];
+  for (let i = 0; i < 90; i++) {
+    const [cx, cy, cz] = centers[i % 3];
+    rows.push({ x: cx + (i % 5), y: cy + (i % 7), z: cz + (i % 4), blob: `b${i % 3}` });
+  }
+  processor.loadRows(rows, ['x', 'y', 'z', 'blob']);
+  
+  const first = processor.prepareVisualizationData('kmeans', { kmeansClusters: 3, seed: 5 });
+  const second = processor.prepareVisualizationData('kmeans', { kmeansClusters: 3, seed: 5 });
+  if (JSON.stringify(first.map(p => p.position)) !== JSON.stringify(second.map(p => p.position))) {
+    throw new Error('The same seed should give the same clusters and positions');
+  }
+  
+  // Each blob should be exactly one cluster
+  const blobClusters = new Map();
+  first.forEach(point => {
+    const clusters = blobClusters.get(point.originalData.blob) || new Set();
+    clusters.add(point.cluster);
+    blobClusters.set(point.originalData.blob, clusters);
+  });
+  if ([...blobClusters.values()].some(clusters => clusters.size !== 1) || new Set(first.map(p => p.cluster)).size !== 3) {
+    throw new Error('k-means++ with restarts should recover the three blobs');
+  }
+  if (processor.clusteringInfo.k !== 3 || processor.clusteringInfo.autoK !== null) {
+    throw new Error('Clustering info should record the fixed k');
+  }
+  
+  ['silhouette', 'elbow'].forEach(method => {
+    processor.prepareVisualizationData('kmeans', { kmeansAutoK: true, kmeansAutoMethod: method, kmeansMaxK: 6, seed: 5 });
+    const info = processor.clusteringInfo;
+    if (info.k !== 3) {
+      throw new Error(`Auto k by ${method} should pick 3, got ${info.k}`);
+    }
+    if (info.autoK.method !== method || info.autoK.scores.map(score => score.k).join() !== '1,2,3,4,5,6') {
+      throw new Error(`Expected ${method} scores for k = 1..6`);
+    }
+  });
+  const silhouettes = processor.clusteringInfo.autoK.scores;
+  if (silhouettes[0].silhouette !== null || !(silhouettes[2].silhouette > 0.8)) {
+    throw new Error('Silhouette should be undefined for k = 1 and high for the true k');
+  }
+});
+
+// Test clustering on features other than the display axes
+test('Cluster on chosen features with one-hot encoding and scaling', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // The axes carry no cluster structure; the groups are only in `kind` and `weight`
+  const rows = [];
+  for (let i = 0; i < 60; i++) {
+    const kind = ['red', 'green', 'blue'][i % 3];
+    rows.push({ x: (i * 37) % 60, y: (i * 11) % 60, z: (i * 23) % 60, weight: i % 3 === 0 ? 1000 + i : i, kind });
+  }
+  processor.loadRows(rows, ['x', 'y', 'z', 'weight', 'kind']);
+  
+  const choices = processor.getClusteringColumnChoices();
+  if (!choices.categorical.includes('kind') || !choices.numeric.includes('weight')) {
+    throw new Error('Numeric and low-cardinality categorical columns should be offered as features');
+  }
+  const encoded = processor.getClusteringFeatures(rows.slice(0, 3), ['kind', 'weight'], 'minmax');
+  if (encoded[0].length !== 4 || encoded[0].slice(0, 3).join() !== '0,0,1' || encoded[1].slice(0, 3).join() !== '0,1,0') {
+    throw new Error(`Expected one indicator per kind (blue, green, red) then weight, got ${JSON.stringify(encoded[0])}`);
+  }
+  const standardised = processor.getClusteringFeatures(rows, ['weight'], 'zscore').map(vector => vector[0]);
+  const mean = standardised.reduce((sum, value) => sum + value, 0) / standardised.length;
+  if (Math.abs(mean) > 1e-9) {
+    throw new Error('Z-scored features should have mean 0');
+  }
+  
+  const result = processor.prepareVisualizationData('kmeans', { kmeansClusters: 3, clusterFeatures: ['kind'] });
+  const kinds = new Map();
+  result.forEach(point => {
+    const clusters = kinds.get(point.originalData.kind) || new Set();
+    clusters.add(point.cluster);
+    kinds.set(point.originalData.kind, clusters);
+  });
+  if ([...kinds.values()].some(clusters => clusters.size !== 1) || new Set(result.map(point => point.cluster)).size !== 3) {
+    throw new Error('Clustering on the one-hot column should give one cluster per kind');
+  }
+  if (processor.clusteringInfo.features.join() !== 'kind' || processor.axisInfo.x.column !== 'x') {
+    throw new Error('Features and display axes should be chosen independently');
+  }
+  
+  const dbscan = processor.prepareVisualizationData('dbscan', { clusterFeatures: ['weight'], clusterScaling: 'zscore', dbscanEps: 0.5, dbscanMinPts: 3 });
+  const heavy = new Set(dbscan.filter(point => point.originalData.weight >= 1000).map(point => point.cluster));
+  if (processor.clusteringInfo.clusterCount !== 2 || heavy.size !== 1) {
+    throw new Error('DBSCAN on the scaled weight should separate the heavy rows');
+  }
+});
+
+// Test density-based clustering
+test('Find elongated clusters and noise with DBSCAN', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // Two long parallel lines, which k-means would cut across, plus a few isolated points
+  const rows = [];
+  for (let i = 0; i < 100; i++) {
+    rows.push({ x: i, y: 0, z: 0, line: 'low' });
+    rows.push({ x: i, y: 50, z: 0, line: 'high' });
+  }
+  [[20, 25, 90], [70, 100, 40], [50, 25, 60]].forEach(([x, y, z]) => rows.push({ x, y, z, line: 'none' }));
+  processor.loadRows(rows, ['x', 'y', 'z', 'line']);
+  
+  const result = processor.prepareVisualizationData('dbscan', { dbscanEps: 0.03, dbscanMinPts: 3 });
+  const info = processor.clusteringInfo;
+  if (info.clusterCount !== 2 || info.noiseCount !== 3) {
+    throw new Error(`Expected 2 clusters and 3 noise points, got ${info.clusterCount} and ${info.noiseCount}`);
+  }
+  result.forEach(point => {
+    const expected = point.originalData.line === 'none' ? 'Noise' : undefined;
+    if (expected && point.originalData.dbscan_cluster !== expected) {
+      throw new Error('Isolated points should be labelled as noise');
+    }
+  });
+  const lineLabels = new Set(result.filter(p => p.originalData.line === 'low').map(p => p.originalData.dbscan_cluster));
+  if (lineLabels.size !== 1 || lineLabels.has('Noise')) {
+    throw new Error('Each line should be a single cluster');
+  }
+  if (processor.colorLegend.column !== 'dbscan_cluster' || processor.colorLegend.items.find(item => item.key === 'Noise').color !== '#808080') {
+    throw new Error('Legend should show the cluster column with grey noise');
+  }
+  
+  // Labels are a column like any other: usable for colouring and filtering in other layouts
+  if (!processor.dataColumns.includes('dbscan_cluster')) {
+    throw new Error('DBSCAN labels should be registered as a column');
+  }
+  const noise = processor.prepareVisualizationData('scatter', { filterExpression: 'dbscan_cluster = Noise', colorColumn: 'dbscan_cluster' });
+  if (noise.length !== 3 || noise.some(point => point.color !== '#808080')) {
+    throw new Error('Filtering and colouring by the label column should find the grey noise points');
+  }
+  
+  // A dbscan_cluster column that came with the data is kept; labels go to dbscan_cluster_1
+  const imported = rows.map(row => ({ x: row.x, y: row.y, z: row.z, dbscan_cluster: 'mine' }));
+  processor.loadRows(imported, ['x', 'y', 'z', 'dbscan_cluster']);
+  processor.prepareVisualizationData('dbscan', { dbscanEps: 0.03, dbscanMinPts: 3 });
+  if (processor.clusteringInfo.column !== 'dbscan_cluster_1' || imported[0].dbscan_cluster !== 'mine' || !imported[0].dbscan_cluster_1) {
+    throw new Error(`An imported dbscan_cluster column should not be overwritten, labels went to "${processor.clusteringInfo.column}"`);
+  }
+  processor.prepareVisualizationData('dbscan', { dbscanEps: 0.03, dbscanMinPts: 3 });
+  if (processor.clusteringInfo.column !== 'dbscan_cluster_1' || processor.dataColumns.length !== 5) {
+    throw new Error('Running DBSCAN again should replace its own column');
+  }
+  
+  // The k-d tree returns the same neighbours as a brute-force search
+  const points = rows.map(row => [row.x / 100, row.y / 100, row.z / 100]);
+  const tree = new global.KDTree(points);
+  const query = [0.3, 0.1, 0.05];
+  const found = tree.radiusSearch(query, 0.2).sort((a, b) => a - b);
+  const expected = points.map((point, index) => index)
+    .filter(index => points[index].reduce((sum, value, d) => sum + (value - query[d]) ** 2, 0) <= 0.04);
+  if (found.join() !== expected.join()) {
+    throw new Error('k-d tree radius search disagrees with brute force');
+  }
+  
+  // Heavily repeated coordinates still split at the median and search correctly
+  const repeated = Array.from({ length: 20000 }, (_, i) => [i % 3, i % 2, 0]);
+  const repeatedTree = new global.KDTree(repeated);
+  if (repeatedTree.radiusSearch([0, 0, 0], 0.5).length !== repeated.filter(([x, y]) => x === 0 && y === 0).length) {
+    throw new Error('k-d tree over repeated values lost points');
+  }
+});
+
+// Test hierarchical clustering
+test('Build a hierarchical clustering and cut it', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // Three groups far apart in both features; c is not clustered on
+  const rows = [];
+  for (let i = 0; i < 30; i++) {
+    const group = Math.floor(i / 10);
+    rows.push({ a: group * 100 + (i % 10), b: group * 50 + (i * 7) % 5, c: i, group: `g${group}` });
+  }
+  processor.loadRows(rows, ['a', 'b', 'c', 'group']);
+  
+  ['ward', 'average', 'complete', 'single'].forEach(linkage => {
+    const result = processor.prepareVisualizationData('hierarchical', {
+      clusterFeatures: ['a', 'b'],
+      clusterScaling: 'zscore',
+      hierarchicalLinkage: linkage,
+      hierarchicalClusters: 3
+    });
+    const info = processor.clusteringInfo;
+    if (info.merges.length !== 29 || info.merges[28].size !== 30) {
+      throw new Error(`${linkage}: expected 29 merges ending in one cluster of 30`);
+    }
+    if (info.merges.some((merge, m) => m > 0 && merge.height < info.merges[m - 1].height)) {
+      throw new Error(`${linkage}: merges should be ordered by height`);
+    }
+    const groups = new Map();
+    result.forEach(point => {
+      const clusters = groups.get(point.originalData.group) || new Set();
+      clusters.add(point.originalData.hierarchical_cluster);
+      groups.set(point.originalData.group, clusters);
+    });
+    if (info.clusterCount !== 3 || [...groups.values()].some(clusters => clusters.size !== 1)) {
+      throw new Error(`${linkage}: cutting into 3 clusters should recover the groups`);
+    }
+  });
+  
+  // Cutting at a height recolours the existing points without rebuilding the tree
+  const points = processor.prepareVisualizationData('hierarchical', { clusterFeatures: ['a', 'b'], hierarchicalClusters: 3 });
+  const merges = processor.clusteringInfo.merges;
+  const version = processor.dataVersion;
+  processor.cutHierarchicalLayout(points, { height: merges[merges.length - 1].height });
+  if (!(processor.dataVersion > version)) {
+    throw new Error('Rewriting the label column should bump the data version');
+  }
+  if (processor.clusteringInfo.clusterCount !== 1 || new Set(points.map(point => point.color)).size !== 1) {
+    throw new Error('Cutting above the root should give one cluster');
+  }
+  processor.cutHierarchicalLayout(points, { height: 0 });
+  if (processor.clusteringInfo.clusterCount !== 30 || processor.colorLegend.items.length !== 30) {
+    throw new Error('Cutting below every merge should give one cluster per point');
+  }
+});
+
+test('Summarise clusters and export their assignments', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // Two groups that differ in income only; one name needs quoting in CSV
+  const rows = [];
+  for (let i = 0; i < 40; i++) {
+    const rich = i >= 30;
+    rows.push({ income: rich ? 100 + i : 10 + (i % 5), age: 30 + (i % 7), name: i === 0 ? 'Smith, "Jo"' : `row${i}` });
+  }
+  processor.loadRows(rows, ['income', 'age', 'name']);
+  const points = processor.prepareVisualizationData('kmeans', { kmeansClusters: 2, clusterFeatures: ['income'] });
+  
+  const summary = processor.summarizeClusters(points);
+  const sizes = summary.map(cluster => cluster.size).sort((a, b) => a - b);
+  if (sizes.join() !== '10,30') {
+    throw new Error(`Expected clusters of 10 and 30 rows, got ${sizes.join()}`);
+  }
+  const small = summary.find(cluster => cluster.size === 10);
+  if (small.distinguishing[0].column !== 'income' || small.distinguishing[0].effect <= 1) {
+    throw new Error('Income should set the small cluster apart with a higher mean');
+  }
+  const expectedMean = rows.slice(30).reduce((sum, row) => sum + row.income, 0) / 10;
+  if (Math.abs(small.stats.income.mean - expectedMean) > 1e-9 || !(small.stats.income.std > 0)) {
+    throw new Error('Cluster statistics do not match the rows');
+  }
+  if (small.indices.some(index => points[index].cluster !== small.cluster)) {
+    throw new Error('Cluster indices should point at its members');
+  }
+  
+  processor.writeClusterColumn(points);
+  if (!processor.dataColumns.includes('cluster') || processor.processedData[35].cluster !== `Cluster ${small.cluster}`) {
+    throw new Error('Cluster assignments should be written to a cluster column');
+  }
+  const lines = processor.toCSV().trim().split('\n');
+  if (lines[0] !== 'income,age,name,cluster' || lines.length !== 41) {
+    throw new Error(`Unexpected CSV header or length: ${lines[0]}, ${lines.length} lines`);
+  }
+  if (!lines[1].includes('"Smith, ""Jo"""')) {
+    throw new Error('CSV values with commas or quotes should be quoted');
+  }
+  if (processor.writeClusterColumn(points) !== 'cluster' || processor.dataColumns.length !== 4) {
+    throw new Error('Saving again should replace the saved column');
+  }
+  
+  // An imported cluster column is kept; large values with a small spread keep their standard deviation
+  const imported = rows.map((_, i) => ({ income: 1e9 + (i % 2), cluster: 'mine' }));
+  processor.loadRows(imported, ['income', 'cluster']);
+  const importedPoints = processor.prepareVisualizationData('kmeans', { kmeansClusters: 1, clusterFeatures: ['income'] });
+  const column = processor.writeClusterColumn(importedPoints);
+  if (column !== 'cluster_1' || imported[0].cluster !== 'mine' || imported[0].cluster_1 !== 'Cluster 0') {
+    throw new Error(`An imported cluster column should not be overwritten, assignments went to "${column}"`);
+  }
+  const std = processor.summarizeClusters(importedPoints)[0].stats.income.std;
+  if (Math.abs(std - Math.sqrt(40 / 39) / 2) > 1e-9) {
+    throw new Error(`Expected a standard deviation of about 0.5, got ${std}`);
+  }
+});
+
+test('Enclose groups with convex hulls and ellipsoids', () => {
+  // Unit cube corners plus points inside and on a face
+  const cube = [];
+  [0, 1].forEach(x => [0, 1].forEach(y => [0, 1].forEach(z => cube.push({ x, y, z }))));
+  cube.push({ x: 0.5, y: 0.5, z: 0.5 }, { x: 0.5, y: 0, z: 0.5 }, { x: 0.2, y: 0.7, z: 0.4 });
+  const hull = Envelopes.convexHull(cube);
+  if (Math.abs(hull.volume - 1) > 1e-9 || hull.vertices.length !== 8 || hull.faces.length !== 12) {
+    throw new Error(`Expected the unit cube hull, got volume ${hull.volume} with ${hull.vertices.length} vertices`);
+  }
+  // Every point is behind every outward face
+  hull.faces.forEach(([a, b, c]) => {
+    const [p, q, r] = [cube[a], cube[b], cube[c]];
+    const u = { x: q.x - p.x, y: q.y - p.y, z: q.z - p.z };
+    const v = { x: r.x - p.x, y: r.y - p.y, z: r.z - p.z };
+    const normal = { x: u.y * v.z - u.z * v.y, y: u.z * v.x - u.x * v.z, z: u.x * v.y - u.y * v.x };
+    if (cube.some(point => (point.x - p.x) * normal.x + (point.y - p.y) * normal.y + (point.z - p.z) * normal.z > 1e-9)) {
+      throw new Error('Hull face does not face outwards');
+    }
+  });
+  if (Envelopes.convexHull(cube.filter(point => point.z === 0)) !== null) {
+    throw new Error('Flat groups should have no hull');
+  }
+  
+  // Ellipsoid of a group stretched along x
+  const random = MathUtils.createRandom(3);
+  const group = Array.from({ length: 2000 }, () => ({
+    x: 10 + MathUtils.randomNormal(random) * 4,
+    y: MathUtils.randomNormal(random),
+    z: MathUtils.randomNormal(random) * 0.5
+  }));
+  const ellipsoid = Envelopes.covarianceEllipsoid(group);
+  if (Math.abs(ellipsoid.center.x - 10) > 0.5 || Math.abs(ellipsoid.axes[0].x) < 0.99) {
+    throw new Error('Ellipsoid should be centred on the group and point along x');
+  }
+  const inside = group.filter(point => {
+    const offset = { x: point.x - ellipsoid.center.x, y: point.y - ellipsoid.center.y, z: point.z - ellipsoid.center.z };
+    return ellipsoid.axes.reduce((sum, axis, i) => {
+      const t = (offset.x * axis.x + offset.y * axis.y + offset.z * axis.z) / ellipsoid.radii[i];
+      return sum + t * t;
+    }, 0) <= 1;
+  }).length;
+  if (Math.abs(inside / group.length - 0.95) > 0.02) {
+    throw new Error(`Ellipsoid should hold about 95% of a normal group, held ${inside / group.length}`);
+  }
+  const expectedVolume = 4 / 3 * Math.PI * ellipsoid.radii.reduce((product, radius) => product * radius, 1);
+  if (Math.abs(ellipsoid.volume - expectedVolume) > 1e-9) {
+    throw new Error('Ellipsoid volume does not match its radii');
+  }
+});
+
+test('Link neighbours in locally correlated regions', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // Two blobs in the layout: in the left one b rises with a, in the right one b falls
+  const random = MathUtils.createRandom(11);
+  const points = Array.from({ length: 200 }, (_, index) => {
+    const left = index < 100;
+    const a = random() * 10;
+    return {
+      position: { x: (left ? -30 : 30) + random() * 5, y: random() * 5, z: random() * 5 },
+      originalData: { a, b: (left ? a : -a) + random() * 0.5 }
+    };
+  });
+  
+  const pairs = processor.calculateCorrelations(points, 'a', 'b', 0.8, 10);
+  if (pairs.length === 0) {
+    throw new Error('Expected links in both correlated regions');
+  }
+  pairs.forEach(({ point1Index, point2Index, correlationValue }) => {
+    const left = point1Index < 100;
+    if (left !== point2Index < 100) {
+      throw new Error('Links should only join neighbours');
+    }
+    if (left ? correlationValue < 0.8 : correlationValue > -0.8) {
+      throw new Error(`Link in the ${left ? 'left' : 'right'} region has coefficient ${correlationValue}`);
+    }
+  });
+  if (!pairs.some(pair => pair.point1Index >= 100) || !pairs.some(pair => pair.point1Index < 100)) {
+    throw new Error('Both regions should be linked');
+  }
+  if (new Set(pairs.map(pair => [pair.point1Index, pair.point2Index].sort().join())).size !== pairs.length) {
+    throw new Error('Each pair should be linked once');
+  }
+  
+  // Unrelated columns give no links
+  points.forEach(point => { point.originalData.c = random(); });
+  if (processor.calculateCorrelations(points, 'a', 'c', 0.8, 10).length > 5) {
+    throw new Error('Uncorrelated columns should give (almost) no links');
+  }
+});
+
+test('Compute Pearson and Spearman correlation matrices', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // b rises with a but not linearly, c falls with a, d is missing in some rows and e is constant
+  const rows = [];
+  for (let i = 1; i <= 20; i++) {
+    rows.push({ a: i, b: Math.exp(i / 2), c: 100 - 3 * i, d: i % 4 === 0 ? null : (i * 7) % 11, e: 5, label: 'x,y' });
+  }
+  processor.loadRows(rows, ['a', 'b', 'c', 'd', 'e', 'label']);
+  
+  const pearson = processor.computeCorrelationMatrix(processor.processedData, 'pearson');
+  if (pearson.columns.join() !== 'a,b,c,d,e') {
+    throw new Error(`Expected the numeric columns, got ${pearson.columns.join()}`);
+  }
+  const at = (matrix, p, q) => matrix.values[matrix.columns.indexOf(p)][matrix.columns.indexOf(q)];
+  if (Math.abs(at(pearson, 'a', 'c') + 1) > 1e-9 || at(pearson, 'a', 'a') !== 1) {
+    throw new Error('A column falling linearly with another should correlate at -1');
+  }
+  const ab = at(pearson, 'a', 'b');
+  if (!(ab > 0.5 && ab < 0.99) || at(pearson, 'b', 'a') !== ab) {
+    throw new Error(`Pearson a/b should be positive but below 1 and symmetric, got ${ab}`);
+  }
+  if (at(pearson, 'a', 'e') !== null || at(pearson, 'e', 'e') !== null) {
+    throw new Error('A constant column has no correlation');
+  }
+  const dIndex = pearson.columns.indexOf('d');
+  if (pearson.counts[0][dIndex] !== 15) {
+    throw new Error(`Pairs with gaps should use the shared rows, got ${pearson.counts[0][dIndex]}`);
+  }
+  
+  const spearman = processor.computeCorrelationMatrix(processor.processedData, 'spearman');
+  if (Math.abs(at(spearman, 'a', 'b') - 1) > 1e-9) {
+    throw new Error('Spearman correlation of a monotonic relationship should be 1');
+  }
+  const ties = MathUtils.rank([3, 1, 3, 2]);
+  if (ties.join() !== '3.5,1,3.5,2') {
+    throw new Error(`Tied values should share the average rank, got ${ties.join()}`);
+  }
+  
+  // Filtered rows only
+  const filtered = processor.computeCorrelationMatrix(processor.applyFilters(processor.processedData, { filterExpression: 'a <= 4' }));
+  if (filtered.counts[0][0] !== 4) {
+    throw new Error('The matrix should only use the rows passed to it');
+  }
+  
+  // Numbers stored as text, e.g. from JSON, are parsed like everywhere else
+  processor.loadRows(rows.map(row => ({ a: row.a, s: String(row.c) })), ['a', 's']);
+  const parsed = processor.computeCorrelationMatrix(processor.processedData);
+  if (parsed.columns.join() !== 'a,s' || Math.abs(parsed.values[0][1] + 1) > 1e-9 || parsed.counts[0][1] !== 20) {
+    throw new Error('Numeric strings should be correlated as numbers');
+  }
+  
+  const lines = processor.correlationMatrixToCSV(pearson, ['c', 'a']).trim().split('\n');
+  if (lines.length !== 3 || lines[0] !== ',c,a' || lines[1] !== 'c,1.000000,-1.000000') {
+    throw new Error(`Unexpected matrix CSV: ${lines.join(' | ')}`);
+  }
+  try {
+    processor.computeCorrelationMatrix(processor.processedData, 'kendall');
+    throw new Error('Should have thrown an error for an unknown method');
+  } catch (error) {
+    if (!error.message.startsWith('Unknown correlation method')) throw error;
+  }
+});
+
+test('Fit planes and quadratic surfaces to the plotted columns', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // z is an exact quadratic of x and y; w is a plane plus a bump on one row
+  const rows = [];
+  for (let i = 0; i < 8; i++) {
+    for (let j = 0; j < 8; j++) {
+      const x = 1000 + i * 5;
+      const y = j - 3;
+      rows.push({ x, y, z: 2 + 0.5 * x - 3 * y + 0.01 * x * x - 0.2 * x * y + 1.5 * y * y, w: 4 + 2 * x - y + (i === 0 && j === 0 ? 10 : 0), group: i < 4 ? 'A' : 'B' });
+    }
+  }
+  processor.loadRows(rows, ['x', 'y', 'z', 'w', 'group']);
+  const points = processor.prepareVisualizationData('scatter', { xColumn: 'x', yColumn: 'y', zColumn: 'z' });
+  
+  const quadratic = processor.fitSurface(points, { x: 'x', y: 'y', z: 'z' }, 'quadratic');
+  const expected = [2, 0.5, -3, 0.01, -0.2, 1.5];
+  quadratic.weights.forEach((weight, i) => {
+    if (Math.abs(weight - expected[i]) > 1e-6 * Math.max(1, Math.abs(expected[i]))) {
+      throw new Error(`Quadratic coefficient ${quadratic.coefficients[i].term} should be ${expected[i]}, got ${weight}`);
+    }
+  });
+  if (Math.abs(quadratic.r2 - 1) > 1e-9 || quadratic.coefficients[4].term !== 'x·y') {
+    throw new Error('An exact quadratic should fit with R² = 1');
+  }
+  
+  const plane = processor.fitSurface(points, { x: 'x', y: 'y', z: 'z' }, 'plane');
+  if (plane.weights.length !== 3 || !(plane.r2 < 1)) {
+    throw new Error('A plane cannot fit a curved surface exactly');
+  }
+  
+  // Residuals point at the bumped row; the fit only sees the points passed to it
+  const bumped = processor.fitSurface(points, { x: 'x', y: 'y', z: 'w' }, 'plane');
+  const largest = bumped.residuals.reduce((best, residual, index) => (Math.abs(residual) > Math.abs(bumped.residuals[best]) ? index : best), 0);
+  if (points[largest].originalData.x !== 1000 || points[largest].originalData.y !== -3 || bumped.residuals[largest] <= 0) {
+    throw new Error('The largest residual should be the row above the plane');
+  }
+  const filtered = processor.prepareVisualizationData('scatter', { xColumn: 'x', yColumn: 'y', zColumn: 'w', filterExpression: 'group = B' });
+  const clean = processor.fitSurface(filtered, { x: 'x', y: 'y', z: 'w' }, 'plane');
+  if (clean.count !== 32 || Math.abs(clean.r2 - 1) > 1e-9 || Math.abs(clean.weights[1] - 2) > 1e-9) {
+    throw new Error('Fitting the filtered points should recover the plane exactly');
+  }
+  const text = points.map(point => ({ originalData: { x: String(point.originalData.x), y: point.originalData.y, z: String(point.originalData.z) } }));
+  if (processor.fitSurface(text, { x: 'x', y: 'y', z: 'z' }, 'quadratic').count !== points.length) {
+    throw new Error('Numeric strings should be fitted as numbers');
+  }
+  
+  const { colors, legend } = processor.buildResidualColors(bumped);
+  if (colors.length !== points.length || legend.type !== 'numeric' || legend.min !== -legend.max) {
+    throw new Error('Residual colours should cover every point with a legend centred on zero');
+  }
+  
+  try {
+    processor.fitSurface(points, { x: 'x', y: 'x', z: 'z' }, 'plane');
+    throw new Error('Should have thrown an error for collinear columns');
+  } catch (error) {
+    if (!error.message.includes('collinear')) throw error;
+  }
+});
+
+test('Detect outliers with per-column, neighbour and Mahalanobis methods', (DataProcessor) => {
+  const processor = new DataProcessor();
+  // b follows a closely; row 60 breaks the relationship without leaving either column's range,
+  // row 61 is far out on c
+  const random = MathUtils.createRandom(7);
+  const rows = [];
+  for (let i = 0; i < 60; i++) {
+    const a = random() * 10;
+    rows.push({ a, b: 2 * a + random() * 0.5, c: random() });
+  }
+  rows.push({ a: 9, b: 1, c: 0.5 });
+  rows.push({ a: 5, b: 10, c: 40 });
+  processor.loadRows(rows, ['a', 'b', 'c']);
+  const points = processor.prepareVisualizationData('scatter', {});
+  
+  const methods = processor.getOutlierMethods().map(method => method.name);
+  if (methods.join() !== 'zscore,iqr,knn,lof,mahalanobis') {
+    throw new Error(`Unexpected outlier methods: ${methods.join()}`);
+  }
+  ['zscore', 'iqr', 'knn', 'lof', 'mahalanobis'].forEach(method => {
+    const result = processor.detectOutliers(points, { method });
+    if (!result.outlierIndices.includes(61) || result.scores.length !== points.length) {
+      throw new Error(`${method} should flag the far row, got ${result.outlierIndices.join()}`);
+    }
+    if (result.outlierIndices.length > 6) {
+      throw new Error(`${method} flagged too many rows: ${result.outlierIndices.length}`);
+    }
+  });
+  
+  // Only the methods that see the relationship between columns catch row 60
+  const zscore = processor.detectOutliers(points, { method: 'zscore' });
+  const mahalanobis = processor.detectOutliers(points, { method: 'mahalanobis' });
+  if (zscore.outlierIndices.includes(60) || !mahalanobis.outlierIndices.includes(60)) {
+    throw new Error('Mahalanobis distance, unlike z-scores, should flag a row that breaks the correlation');
+  }
+  const lof = processor.detectOutliers(points, { method: 'lof', neighbors: 5 });
+  const typical = lof.scores.slice(0, 60).sort((x, y) => x - y)[30];
+  if (Math.abs(typical - 1) > 0.3) {
+    throw new Error(`Local Outlier Factor should be about 1 inside the data, got ${typical}`);
+  }
+  const strict = processor.detectOutliers(points, { method: 'zscore', threshold: 100 });
+  if (strict.outlierIndices.length !== 0 || strict.threshold !== 100) {
+    throw new Error('A custom threshold should replace the default');
+  }
+  
+  // Scores become a numeric column that filters can use
+  processor.writeOutlierScoreColumn(points, zscore);
+  if (!processor.metaData.numericColumns.includes('outlier_score') || !processor.dataColumns.includes('outlier_score')) {
+    throw new Error('Outlier scores should be stored as a numeric column');
+  }
+  const flagged = processor.applyFilters(processor.processedData, { filterExpression: 'outlier_score > 3' });
+  if (flagged.length !== zscore.outlierIndices.length) {
+    throw new Error('Filtering on the score column should find the flagged rows');
+  }
+  const again = processor.detectOutliers(points, { method: 'zscore' });
+  if (again.columns.includes('outlier_score')) {
+    throw new Error('The score column should not feed back into detection');
+  }
+  processor.prepareVisualizationData('pca');
+  if (processor.projectionInfo.columns.includes('outlier_score') || processor.resolveFeatureColumns(['outlier_score']).join() !== 'outlier_score') {
+    throw new Error('The score column should only be a projection feature when chosen');
+  }
+});
+
+test('Describe columns for all rows and the filtered subset', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const rows = [];
+  for (let i = 1; i <= 100; i++) {
+    rows.push({ value: i, other: i % 7, group: i <= 70 ? 'A' : (i <= 90 ? 'B' : 'C'), note: i % 10 === 0 ? null : 'x' });
+  }
+  processor.loadRows(rows, ['value', 'other', 'group', 'note']);
+  
+  const summaries = processor.summarizeColumns();
+  if (summaries.map(summary => summary.column).join() !== 'value,other,group,note' || summaries[0].filtered !== null) {
+    throw new Error('Expected one unfiltered summary per column');
+  }
+  const value = summaries[0].full;
+  const checks = { count: 100, nullCount: 0, distinct: 100, min: 1, max: 100, median: 50.5, q1: 25.75, q3: 75.25, mean: 50.5 };
+  Object.entries(checks).forEach(([key, expected]) => {
+    if (Math.abs(value[key] - expected) > 1e-9) throw new Error(`value ${key}: expected ${expected}, got ${value[key]}`);
+  });
+  if (Math.abs(value.std - Math.sqrt(841.6666666666666)) > 1e-9) {
+    throw new Error(`Unexpected sample standard deviation ${value.std}`);
+  }
+  if (value.histogram.counts.reduce((sum, count) => sum + count, 0) !== 100) {
+    throw new Error('Histogram should count every value');
+  }
+  
+  const group = summaries[2].full;
+  if (group.categories.map(category => `${category.value}:${category.count}`).join() !== 'A:70,B:20,C:10' || group.distinct !== 3) {
+    throw new Error('Categories should be counted most frequent first');
+  }
+  const note = summaries[3].full;
+  if (note.nullCount !== 10 || note.count !== 90) {
+    throw new Error(`Expected 10 missing notes, got ${note.nullCount}`);
+  }
+  
+  // The subset keeps the full data's bins and categories so the two line up
+  const filtered = processor.applyFilters(processor.processedData, { filterExpression: 'value > 80' });
+  const subset = processor.summarizeColumns(filtered);
+  const valueSubset = subset[0].filtered;
+  if (valueSubset.count !== 20 || valueSubset.min !== 81 || valueSubset.histogram.counts.length !== value.histogram.counts.length) {
+    throw new Error('Filtered summary should describe the subset on the full histogram bins');
+  }
+  if (valueSubset.histogram.counts.slice(0, 16).some(count => count > 0)) {
+    throw new Error('Filtered values should fall in the top bins only');
+  }
+  if (subset[2].filtered.categories.map(category => `${category.value}:${category.count}`).join() !== 'A:0,B:10,C:10') {
+    throw new Error('Filtered categories should follow the full data order');
+  }
+});
+
+test('Brush histogram ranges and combine brushes with AND', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const rows = [];
+  for (let i = 0; i < 100; i++) {
+    rows.push({ a: i, b: 99 - i, c: i % 10 });
+  }
+  processor.loadRows(rows, ['a', 'b', 'c']);
+  const brushes = { a: [60, 99], c: [0, 4] };
+  
+  // Brushes go through the same filter path as the other filters
+  const points = processor.prepareVisualizationData('scatter', { brushes });
+  if (points.length !== 20 || points.some(point => point.originalData.a < 60 || point.originalData.c > 4)) {
+    throw new Error(`Expected the 20 rows inside both brushes, got ${points.length}`);
+  }
+  const combined = processor.applyFilters(processor.processedData, { filterExpression: 'b >= 30', brushes });
+  if (combined.length !== 5) {
+    throw new Error(`Brushes should combine with the expression filter, got ${combined.length} rows`);
+  }
+  
+  const { histograms, selectedCount } = processor.computeBrushHistograms(processor.processedData, ['a', 'b', 'c'], brushes);
+  if (selectedCount !== 20 || histograms.length !== 3) {
+    throw new Error(`Expected 20 selected rows over 3 histograms, got ${selectedCount}`);
+  }
+  const total = counts => counts.reduce((sum, count) => sum + count, 0);
+  const [a, b, c] = histograms;
+  if (total(a.counts) !== 100 || a.min !== 0 || a.max !== 99) {
+    throw new Error('Histograms should count every row over the column range');
+  }
+  // Each histogram leaves out its own brush: a sees the c brush only, c the a brush only
+  if (total(a.selected) !== 50 || total(c.selected) !== 40 || total(b.selected) !== 20) {
+    throw new Error(`Unexpected selected counts ${total(a.selected)}, ${total(b.selected)}, ${total(c.selected)}`);
+  }
+  
+  const all = processor.prepareVisualizationData('scatter', {});
+  const { matchedIndices, unmatchedIndices } = processor.matchBrushes(all, brushes);
+  if (matchedIndices.length !== 20 || unmatchedIndices.length !== 80) {
+    throw new Error('Brushed points should be split from the rest for highlighting');
+  }
+});
+
+// Test compound filter expressions
+test('Filter with compound expressions', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const jsonData = fs.readFileSync(path.join(__dirname, 'sample-data.json'), 'utf8');
+  processor.processFile({ content: jsonData, extension: '.json' });
+  const rows = processor.processedData;
+  
+  const expected = rows.filter(row => row.value >= 30 && row.value <= 60 && ['A', 'B'].includes(row.category)).length;
+  const result = processor.prepareVisualizationData('scatter', {
+    filterExpression: 'value between 30 and 60 AND category in (A, "B")'
+  });
+  if (result.length !== expected) {
+    throw new Error(`Expected ${expected} rows, got ${result.length}`);
+  }
+  
+  const orResult = processor.applyFilters(rows, { filterExpression: 'category = A or not (x > 0)' });
+  const orExpected = rows.filter(row => row.category === 'A' || !(row.x > 0)).length;
+  if (orResult.length !== orExpected) {
+    throw new Error(`Expected ${orExpected} rows for OR/NOT expression, got ${orResult.length}`);
+  }
+  
+  const regexResult = processor.applyFilters(rows, { filterExpression: 'category matches /^[ab]$/i and z is not null' });
+  if (regexResult.length !== rows.filter(row => ['A', 'B'].includes(row.category)).length) {
+    throw new Error('Regex filter returned the wrong number of rows');
+  }
+  
+  // Predicate typed into the value input for a selected column
+  const predicateResult = processor.applyFilters(rows, { filterColumn: 'value', filterValue: '> 40' });
+  if (predicateResult.some(row => row.value <= 40)) {
+    throw new Error('Column predicate filter kept rows outside the range');
+  }
+  
+  // Plain values that merely start like a predicate are still exact matches
+  const stockRows = [{ status: 'In Stock' }, { status: 'Sold' }, { status: '<none>' }];
+  if (processor.applyFilters(stockRows, { filterColumn: 'status', filterValue: 'In Stock' }).length !== 1 ||
+      processor.applyFilters(stockRows, { filterColumn: 'status', filterValue: '<none>' }).length !== 1) {
+    throw new Error('Values starting with a keyword or operator should fall back to an exact match');
+  }
+  
+  try {
+    processor.applyFilters(rows, { filterExpression: 'value between 1' });
+    throw new Error('Should have thrown an error for an incomplete expression');
+  } catch (error) {
+    if (!error.message.startsWith('Invalid filter')) throw error;
+  }
+});
+
+test('Combine, filter, export and restore named selection sets', (DataProcessor) => {
+  const processor = new DataProcessor();
+  const rows = [];
+  for (let i = 0; i < 10; i++) {
+    rows.push({ x: i, y: i * 2, z: i * 3 });
+  }
+  processor.loadRows(rows, ['x', 'y', 'z']);
+  processor.saveSelectionSet('low', rows.slice(0, 6));
+  processor.saveSelectionSet('even', rows.filter(row => row.x % 2 === 0));
+  
+  const size = name => processor.getSelectionSetRows(name).length;
+  processor.combineSelectionSets('union', 'union', 'low', 'even');
+  processor.combineSelectionSets('both', 'intersection', 'low', 'even');
+  processor.combineSelectionSets('low odd', 'difference', 'low', 'even');
+  if (size('union') !== 8 || size('both') !== 3 || size('low odd') !== 3) {
+    throw new Error(`Unexpected set sizes ${size('union')}, ${size('both')}, ${size('low odd')}`);
+  }
+  
+  // Each set is a categorical column the filter and colour map can use
+  const column = processor.getSelectionSetColumn('low odd');
+  if (!processor.metaData.categoricalColumns.includes(column)) {
+    throw new Error('Set column should be categorical');
+  }
+  const filtered = processor.prepareVisualizationData('scatter', { filterExpression: `[${column}] = yes` });
+  if (filtered.map(point => point.originalData.x).join() !== '1,3,5') {
+    throw new Error('Filtering on a set column should keep its rows');
+  }
+  
+  const csv = processor.toCSV(processor.getSelectionSetRows('both')).trim().split('\n');
+  const json = JSON.parse(processor.toJSON(processor.getSelectionSetRows('both')));
+  if (csv.length !== 4 || json.length !== 3 || json[2].x !== 4) {
+    throw new Error('Set export should contain only the set rows');
+  }
+  
+  // Saved scenes keep only the plotted rows, so sets are stored as positions in them
+  const saved = processor.serializeSelectionSets(filtered.map(point => point.originalData));
+  processor.loadRows(filtered.map(point => point.originalData), processor.dataColumns);
+  processor.loadSelectionSets(saved);
+  if (size('low odd') !== 3 || size('even') !== 0 || size('union') !== 3) {
+    throw new Error('Restored sets should keep their plotted rows');
+  }
+  if (processor.getSelectionSetColumn('low odd') !== column || processor.dataColumns.includes(`${column}_1`)) {
+    throw new Error('Restored sets should write to their saved columns');
+  }
+  
+  processor.deleteSelectionSet('low');
+  if (processor.dataColumns.includes(processor.getSelectionSetColumn('low')) || 'set:low' in processor.processedData[0]) {
+    throw new Error('Deleting a set should remove its column');
+  }
+  
+  // An imported set:<name> column is kept; the set goes to a suffixed column
+  const imported = rows.map(row => ({ x: row.x, 'set:mine': 'theirs' }));
+  processor.loadRows(imported, ['x', 'set:mine']);
+  if (processor.saveSelectionSet('mine', imported.slice(0, 2)) !== 'set:mine_1' || imported[0]['set:mine'] !== 'theirs' || imported[0]['set:mine_1'] !== 'yes') {
+    throw new Error('An imported set column should not be overwritten');
+  }
+  processor.deleteSelectionSet('mine');
+  if (!processor.dataColumns.includes('set:mine') || processor.dataColumns.includes('set:mine_1')) {
+    throw new Error('Deleting a set should remove only its own column');
+  }
+  try {
+    processor.combineSelectionSets('x', 'union', 'low', 'even');
+    throw new Error('Should have thrown an error for a deleted set');
+  } catch (error) {
+    if (!error.message.startsWith('No selection set')) throw error;
+  }
+});
+
+test('Lasso and change the scene selection', () => {
+  // Scene3D needs WebGL, so its selection logic runs on a bare instance with the node projection stubbed
+  const scene = Object.create(global.window.Scene3D.prototype);
+  // Nodes on a 10 x 10 grid of screen positions, 10 pixels apart
+  const grid = Array.from({ length: 100 }, (_, index) => ({ index, x: (index % 10) * 10 + 5, y: Math.floor(index / 10) * 10 + 5 }));
+  scene.projectNodes = () => grid;
+  
+  // A U-shaped lasso leaves out the nodes in its notch
+  const lasso = [[0, 0], [30, 0], [30, 70], [70, 70], [70, 0], [100, 0], [100, 100], [0, 100]].map(([x, y]) => ({ x, y }));
+  const inLasso = scene.getIndicesInPolygon(lasso);
+  const notch = grid.filter(({ x, y }) => x > 30 && x < 70 && y < 70).map(({ index }) => index);
+  if (inLasso.length !== 72 || notch.some(index => inLasso.includes(index))) {
+    throw new Error(`A concave lasso should leave out its notch, got ${inLasso.length} nodes`);
+  }
+  
+  // A star drawn in one stroke crosses its centre twice, so the centre is outside (even-odd rule)
+  const star = Array.from({ length: 5 }, (_, k) => {
+    const angle = (-90 + k * 144) * Math.PI / 180;
+    return { x: 50 + 50 * Math.cos(angle), y: 50 + 50 * Math.sin(angle) };
+  });
+  scene.projectNodes = () => [{ index: 0, x: 50, y: 50 }, { index: 1, x: 50, y: 8 }, { index: 2, x: 5, y: 95 }];
+  if (scene.getIndicesInPolygon(star).join() !== '1') {
+    throw new Error('Only the star\'s tip should be inside it');
+  }
+  if (scene.getIndicesInPolygon(star.slice(0, 2)).length !== 0) {
+    throw new Error('A lasso with fewer than 3 vertices should select nothing');
+  }
+  
+  // Only nodes whose state changed are restyled; hidden nodes cannot be selected
+  scene.dataPoints = grid.map(() => ({}));
+  scene.hiddenIndices = new Set([99]);
+  scene.selectedIndices = new Set();
+  let restyled = [];
+  scene.refreshNodeStyle = index => restyled.push(index);
+  scene.updateSelectionInfo = () => {};
+  scene.setSelection([1, 2, 3]);
+  scene.setSelection([3, 4, 99, 500], 'add');
+  if (scene.getSelectedIndices().join() !== '1,2,3,4' || restyled.join() !== '1,2,3,4') {
+    throw new Error(`Adding should keep the selection and skip hidden or missing nodes, got ${scene.getSelectedIndices().join()}`);
+  }
+  restyled = [];
+  scene.setSelection([1, 7], 'remove');
+  if (scene.getSelectedIndices().join() !== '2,3,4' || restyled.join() !== '1') {
+    throw new Error('Removing should drop only the selected nodes given');
+  }
+  restyled = [];
+  scene.setSelection([4, 5]);
+  if (scene.getSelectedIndices().join() !== '4,5' || restyled.sort((a, b) => a - b).join() !== '2,3,5') {
+    throw new Error('Replacing should restyle the nodes that left or joined the selection');
+  }
+});
+
+test('Sort, search and map data table rows to scene points', () => {
+  // The table draws into the DOM, so its view logic runs on a bare instance with rendering stubbed
+  const table = Object.create(global.window.DataTable.prototype);
+  Object.assign(table, {
+    rows: [],
+    columns: [],
+    selected: new Set(),
+    hiddenColumns: new Set(),
+    sort: null,
+    search: '',
+    plottedOnly: false,
+    scroller: { scrollTop: 0, clientHeight: 220 },
+    header: { offsetHeight: 22 },
+    searchInput: { value: '' }
+  });
+  ['renderColumnsMenu', 'renderHeader', 'renderBody', 'updateCount'].forEach(method => { table[method] = () => {}; });
+  const rows = [
+    { name: 'Carol', score: 10, team: 'b' },
+    { name: 'alice', score: 2, team: 'a' },
+    { name: 'Bob', score: null, team: 'a' },
+    { name: 'dave', score: 9, team: 'b' }
+  ];
+  table.setData(rows, ['name', 'score', 'team'], ['score']);
+  
+  // Numeric columns sort as numbers, text ignoring case; missing values go last either way
+  const viewWith = changes => {
+    Object.assign(table, changes);
+    table.applyView();
+    return table.view.join();
+  };
+  if (viewWith({ sort: { column: 'score', direction: 1 } }) !== '1,3,0,2' || viewWith({ sort: { column: 'score', direction: -1 } }) !== '0,3,1,2') {
+    throw new Error(`Unexpected numeric sort order ${table.view.join()}`);
+  }
+  if (viewWith({ sort: { column: 'name', direction: 1 } }) !== '1,2,0,3') {
+    throw new Error(`Unexpected text sort order ${table.view.join()}`);
+  }
+  
+  // The search matches any shown column
+  if (viewWith({ sort: null, search: 'b' }) !== '0,2,3') {
+    throw new Error(`Search should match every column, got ${table.view.join()}`);
+  }
+  table.hiddenColumns.add('team');
+  if (viewWith({}) !== '2') {
+    throw new Error('Search should skip hidden columns');
+  }
+  table.hiddenColumns.clear();
+  
+  // Rows map to the points plotting them, in either direction
+  const points = [{ originalData: rows[3] }, { originalData: rows[1] }];
+  table.setPoints(points);
+  if ([...table.pointByRow].join() !== '-1,1,-1,0' || viewWith({ search: '', plottedOnly: true }) !== '1,3') {
+    throw new Error(`Unexpected row to point mapping ${[...table.pointByRow].join()}`);
+  }
+  let reported = null;
+  table.onSelectionChange = (pointIndices, rowIndices) => { reported = { pointIndices, rowIndices }; };
+  table.handleRowClick(table.view.indexOf(3), {});
+  if (reported.pointIndices.join() !== '0' || reported.rowIndices.join() !== '3') {
+    throw new Error('Clicking a row should report its point');
+  }
+  
+  // Points picked in the scene select their rows; a search hiding them is cleared
+  viewWith({ plottedOnly: false, search: 'carol' });
+  table.searchInput.value = 'carol';
+  table.revealPoints([1, 0], points);
+  if ([...table.selected].join() !== '1,3' || table.search !== '' || table.searchInput.value !== '' || table.view.length !== 4) {
+    throw new Error('Revealing points should select their rows and clear a search hiding them');
+  }
+});
+
 // Run the tests
 const success = runTests();
 